@@ -0,0 +1,6 @@
+module.exports = {
+  testEnvironment: 'node',
+  // 测试文件统一放在tests目录下（src/config/test.js是测试环境配置，不是测试文件）
+  roots: ['<rootDir>/tests'],
+  testMatch: ['**/*.test.js'],
+};
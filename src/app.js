@@ -5,6 +5,7 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
@@ -13,10 +14,21 @@ const { errorHandler, notFoundHandler } = require('./middleware/generic/errorHan
 const logger = require('./utils/logger');
 const config = require('./config');
 const setupSwagger = require('./config/swagger');
+const keyring = require('./utils/keyring');
+const requestContext = require('./utils/requestContext');
+const { issueSessionCookies } = require('./middleware/auth/sessionCookie');
+const { resolveTenant } = require('./middleware/generic/tenantContext');
 
 // 导入路由
 const userRoutes = require('./routes/api/users');
 const authRoutes = require('./routes/api/auth');
+const mfaRoutes = require('./routes/api/mfa');
+const roleRoutes = require('./routes/api/roles');
+const tenantRoutes = require('./routes/api/tenants');
+const oidcRoutes = require('./routes/api/oidc');
+const ldapRoutes = require('./routes/api/ldap');
+const samlRoutes = require('./routes/api/saml');
+const webauthnRoutes = require('./routes/api/webauthn');
 
 // 创建Express应用
 const app = express();
@@ -27,7 +39,9 @@ app.use(morgan('combined', { stream: { write: message => logger.info(message.tri
 app.use(compression()); // Gzip压缩
 app.use(express.json()); // JSON解析
 app.use(express.urlencoded({ extended: true })); // URL编码
-app.use(cors()); // 跨域
+app.use(cookieParser()); // Cookie解析
+app.use(cors(config.cors)); // 跨域
+app.use(requestContext.middleware); // 请求上下文（需在请求体解析之后）
 
 // 静态文件
 app.use(
@@ -54,8 +68,21 @@ const API_PREFIX = process.env.API_PREFIX || '/api/v1';
 // 应用速率限制到所有API路由
 app.use(API_PREFIX, apiLimiter);
 
+// schema/database隔离模式下按请求头确定请求所属的租户
+app.use(API_PREFIX, resolveTenant);
+
+// 启用会话Cookie时，认证接口签发的令牌改为通过Cookie下发
+app.use(`${API_PREFIX}/auth`, issueSessionCookies);
+
 // 注册API路由
 app.use(`${API_PREFIX}/users`, userRoutes);
+app.use(`${API_PREFIX}/roles`, roleRoutes);
+app.use(`${API_PREFIX}/tenants`, tenantRoutes);
+app.use(`${API_PREFIX}/auth/mfa`, mfaRoutes);
+app.use(`${API_PREFIX}/auth/webauthn`, webauthnRoutes);
+app.use(`${API_PREFIX}/auth/oidc`, oidcRoutes);
+app.use(`${API_PREFIX}/auth/ldap`, ldapRoutes);
+app.use(`${API_PREFIX}/auth/saml`, samlRoutes);
 app.use(`${API_PREFIX}/auth`, authRoutes);
 
 // 设置Swagger API文档
@@ -72,6 +99,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// JWT公钥集合端点，供其他服务验证本服务签发的令牌
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(keyring.getJwks());
+});
+
 // 添加版本信息端点
 app.get('/version', (req, res) => {
   res.status(200).json({
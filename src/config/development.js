@@ -71,6 +71,24 @@ module.exports = {
     },
   },
 
+  // 多租户配置
+  tenancy: {
+    // 租户隔离模式：row（行级隔离）、schema（一个租户一个schema）、database（一个租户一个数据库）
+    isolation: process.env.TENANT_ISOLATION || 'row',
+    // 租户schema名称前缀，schema名称为前缀加租户标识（连字符替换为下划线）
+    schemaPrefix: process.env.TENANT_SCHEMA_PREFIX || 'tenant_',
+    // 租户数据库名称前缀，未为租户配置独立数据库时在公共数据库所在的服务器上创建该名称的数据库
+    databasePrefix: process.env.TENANT_DATABASE_PREFIX || 'tenant_',
+    // database隔离模式下最多缓存的租户数据库连接池个数，超过时将最久未使用的连接池移出缓存，空闲超时后关闭
+    maxConnections: parseInt(process.env.TENANT_MAX_CONNECTIONS) || 50,
+    // 租户数据库连接池空闲多久（秒）后关闭
+    idleTimeout: parseInt(process.env.TENANT_IDLE_TIMEOUT) || 600,
+    // 保存租户、角色等平台数据的公共schema，默认为PostgreSQL的public或Oracle/达梦的登录用户
+    sharedSchema: process.env.TENANT_SHARED_SCHEMA || null,
+    // 指定请求所属租户（租户标识）的请求头，schema/database隔离模式下未登录的请求和API密钥需通过该请求头指定租户
+    header: process.env.TENANT_HEADER || 'x-tenant',
+  },
+
   // Redis配置
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
@@ -81,8 +99,170 @@ module.exports = {
 
   // JWT配置
   jwt: {
-    secret: process.env.JWT_SECRET || 'development-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    secret: process.env.JWT_SECRET || 'development-secret-key', // HS256签名密钥；使用非对称签名时仅用于在迁移截止时间前验证迁移前签发的令牌
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // 访问令牌有效期
+    refreshExpiresIn: parseInt(process.env.JWT_REFRESH_EXPIRES_IN) || 7 * 24 * 3600, // 刷新令牌有效期（秒）
+    algorithm: process.env.JWT_ALGORITHM || 'RS256', // 签名算法：RS256、ES256（非对称，通过JWKS公开公钥）或HS256（共享密钥）
+    keysDir: process.env.JWT_KEYS_DIR || 'keys', // 非对称签名密钥目录，密钥文件名为<kid>.pem
+    activeKid: process.env.JWT_ACTIVE_KID, // 当前签名密钥ID，未设置时使用最新的密钥
+    acceptLegacyHs256Until: process.env.JWT_ACCEPT_LEGACY_HS256_UNTIL || null, // 使用非对称签名时接受迁移前签发的HS256令牌的截止时间（ISO 8601），未设置时不接受
+    autoGenerateKeys: true, // 密钥目录为空时自动生成密钥
+  },
+
+  // 安全配置
+  security: {
+    encryptionKey: process.env.ENCRYPTION_KEY || 'development-encryption-key', // 敏感数据加密密钥
+  },
+
+  // 多因素认证配置
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'Express Enterprise Server', // 验证器应用中显示的签发方
+    enforcedRoles: process.env.MFA_ENFORCED_ROLES ? process.env.MFA_ENFORCED_ROLES.split(',') : [], // 强制启用MFA的角色（默认值，可由管理员调整）
+  },
+
+  // WebAuthn（通行密钥）配置
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Express Enterprise Server', // 浏览器和验证器中显示的服务名称
+    rpID: process.env.WEBAUTHN_RP_ID || 'localhost', // 依赖方ID，即前端页面的域名
+    origins: process.env.WEBAUTHN_ORIGINS ? process.env.WEBAUTHN_ORIGINS.split(',') : ['http://localhost:3000'], // 允许发起认证的前端页面源
+    challengeExpiresIn: 5 * 60, // 注册和认证挑战的有效期（秒）
+  },
+
+  // 模拟登录配置
+  impersonation: {
+    expiresIn: parseInt(process.env.IMPERSONATION_EXPIRES_IN) || 15 * 60, // 模拟登录令牌有效期（秒），到期后不能续期
+  },
+
+  // 敏感操作的二次认证配置
+  stepUp: {
+    maxAge: parseInt(process.env.STEP_UP_MAX_AGE) || 5 * 60, // 默认要求的最近认证时间（秒），重新认证后在此时间内可执行敏感操作
+  },
+
+  // 登录异常检测配置
+  loginAnomaly: {
+    enabled: process.env.LOGIN_ANOMALY_ENABLED !== 'false',
+    lookbackDays: parseInt(process.env.LOGIN_ANOMALY_LOOKBACK_DAYS) || 90, // 判断新设备、新IP时参考的登录历史天数
+    retentionDays: parseInt(process.env.LOGIN_ANOMALY_RETENTION_DAYS) || 180, // 登录历史保留天数，超过的记录定期删除（不短于lookbackDays）
+    failureWindow: 15 * 60, // 统计登录失败次数的时间窗口（秒）
+    maxFailuresPerUser: parseInt(process.env.LOGIN_ANOMALY_MAX_FAILURES_PER_USER) || 5, // 时间窗口内同一账户失败达到该次数时告警
+    maxFailuresPerIp: parseInt(process.env.LOGIN_ANOMALY_MAX_FAILURES_PER_IP) || 20, // 时间窗口内同一IP失败达到该次数时告警（可能是撞库）
+    notifiers: process.env.LOGIN_ANOMALY_NOTIFIERS ? process.env.LOGIN_ANOMALY_NOTIFIERS.split(',') : ['email', 'webhook'], // 启用的通知方式
+    webhookUrl: process.env.LOGIN_ANOMALY_WEBHOOK_URL, // 异常登录通知地址，未配置时不发送
+    webhookSecret: process.env.LOGIN_ANOMALY_WEBHOOK_SECRET, // 通知签名密钥（HMAC-SHA256，放在X-Signature请求头中）
+    webhookTimeout: 5000, // 通知请求超时时间（毫秒）
+  },
+
+  // 登录暴力破解防护配置（基于Redis，多实例共享）
+  // 分别按账户+IP、账户、IP统计时间窗口内的登录失败次数：达到captchaAfter后要求人机验证（配置了验证服务时），
+  // 达到lockAfter后按指数退避暂时拒绝登录（baseDelay、baseDelay * 2 ...，最长maxDelay），lockAfter为空时不限制
+  bruteForce: {
+    enabled: process.env.BRUTE_FORCE_ENABLED !== 'false',
+    window: parseInt(process.env.BRUTE_FORCE_WINDOW) || 60 * 60, // 统计失败次数的时间窗口（秒）
+    baseDelay: parseInt(process.env.BRUTE_FORCE_BASE_DELAY) || 60, // 首次限制的时长（秒）
+    maxDelay: parseInt(process.env.BRUTE_FORCE_MAX_DELAY) || 60 * 60, // 最长限制时长（秒）
+    backoffMaxDelay: parseInt(process.env.BRUTE_FORCE_BACKOFF_MAX_DELAY) || 30, // 未开启限制的范围在不能要求人机验证时的退避时长上限（秒），从1秒开始每次失败翻倍
+    userIp: { captchaAfter: 3, lockAfter: 5 }, // 同一账户在同一IP上（限制只影响该IP，攻击者无法借此锁定账户）
+    // 同一账户（分布式猜测密码）：默认只要求人机验证，不限制登录，否则攻击者可以从多个IP故意失败来锁定账户；需要时通过BRUTE_FORCE_USER_LOCK_AFTER开启
+    // 未配置人机验证服务时达到captchaAfter后按backoffMaxDelay短暂退避
+    user: { captchaAfter: 5, lockAfter: parseInt(process.env.BRUTE_FORCE_USER_LOCK_AFTER) || null },
+    ip: { captchaAfter: 20, lockAfter: 100 }, // 同一IP（对大量账户撒网猜测常用密码）
+    captcha: {
+      provider: process.env.CAPTCHA_PROVIDER, // 人机验证服务：recaptcha、hcaptcha、turnstile，未配置时不要求人机验证
+      siteKey: process.env.CAPTCHA_SITE_KEY, // 前端使用的站点密钥，要求人机验证时返回给客户端
+      secret: process.env.CAPTCHA_SECRET, // 服务端验证密钥
+      minScore: parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5, // reCAPTCHA v3的最低分数
+      timeout: 5000, // 验证请求超时时间（毫秒）
+    },
+  },
+
+  // OpenID Connect单点登录配置（默认的身份提供方，可由管理员按租户调整）
+  oidc: {
+    providers: process.env.OIDC_PROVIDERS ? JSON.parse(process.env.OIDC_PROVIDERS) : {}, // 以名称为键的身份提供方配置（issuer、clientId、clientSecret、redirectUri等）
+    stateExpiresIn: 10 * 60, // 登录请求（state、PKCE）有效期（秒）
+  },
+
+  // SAML 2.0单点登录配置（默认的身份提供方，可由管理员按租户调整）
+  saml: {
+    providers: process.env.SAML_PROVIDERS ? JSON.parse(process.env.SAML_PROVIDERS) : {}, // 以名称为键的身份提供方配置（entryPoint、idpCert、issuer、callbackUrl等）
+    requestExpiresIn: 10 * 60, // 登录请求（AuthnRequest、RelayState）有效期（秒）
+  },
+
+  // 登录认证方式（默认值，可由管理员按租户调整）
+  authentication: {
+    providers: process.env.AUTH_PROVIDERS ? process.env.AUTH_PROVIDERS.split(',') : ['local'], // 用户名密码登录时依次尝试的认证方式：local、ldap
+  },
+
+  // LDAP / Active Directory配置（默认目录，可由管理员按租户调整）
+  ldap: {
+    directory: process.env.LDAP_DIRECTORY ? JSON.parse(process.env.LDAP_DIRECTORY) : null, // 目录配置（url、bindDN、bindPassword、baseDN、userFilter、groupRoles等）
+    timeout: parseInt(process.env.LDAP_TIMEOUT) || 5000, // 连接和操作超时（毫秒）
+  },
+
+  // 邮箱验证配置
+  emailVerification: {
+    policy: process.env.EMAIL_VERIFICATION_POLICY || 'off', // 验证策略：off、block（未验证不能登录）、restrict（未验证不能使用受限角色）
+    restrictedRoles: process.env.EMAIL_VERIFICATION_RESTRICTED_ROLES ? process.env.EMAIL_VERIFICATION_RESTRICTED_ROLES.split(',') : ['admin', 'manager'], // restrict策略下受限的角色
+    tokenExpiresIn: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN) || 24 * 3600, // 验证令牌有效期（秒）
+    resendCooldown: 60, // 重新发送验证邮件的间隔（秒）
+  },
+
+  // 授权配置
+  authorization: {
+    explain: process.env.AUTHZ_EXPLAIN !== 'false', // 拒绝访问时在响应中返回未满足的策略规则，便于调试
+  },
+
+  // 密码策略（默认值，可由管理员按租户调整）
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8, // 最小长度
+    maxLength: 128, // 最大长度（bcrypt只使用前72字节）
+    requireLowercase: true, // 必须包含小写字母
+    requireUppercase: true, // 必须包含大写字母
+    requireNumber: true, // 必须包含数字
+    requireSpecial: true, // 必须包含特殊字符
+    blockCommon: true, // 拒绝常见弱密码
+    blockPersonalInfo: true, // 拒绝包含用户名或邮箱的密码
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT) || 5, // 不能重复使用最近N个密码，0表示不限制
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0, // 密码最长使用天数，0表示永不过期
+  },
+
+  // 密码重置配置
+  passwordReset: {
+    tokenExpiresIn: parseInt(process.env.PASSWORD_RESET_EXPIRES_IN) || 3600, // 重置令牌有效期（秒）
+    window: 3600, // 请求频率统计窗口（秒）
+    maxPerEmail: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3, // 窗口内每个邮箱最多发送的重置邮件数
+    maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 20, // 窗口内每个IP最多发起的重置请求数
+  },
+
+  // 邮件登录链接配置（默认值，可由管理员按租户调整）
+  magicLink: {
+    enabled: process.env.MAGIC_LINK_ENABLED === 'true', // 是否允许通过邮件链接免密码登录
+    allowedRoles: process.env.MAGIC_LINK_ALLOWED_ROLES ? process.env.MAGIC_LINK_ALLOWED_ROLES.split(',') : [], // 允许使用的角色，为空时不限制
+    tokenExpiresIn: parseInt(process.env.MAGIC_LINK_EXPIRES_IN) || 15 * 60, // 登录链接有效期（秒）
+    window: 3600, // 请求频率统计窗口（秒）
+    maxPerEmail: parseInt(process.env.MAGIC_LINK_MAX_PER_EMAIL) || 5, // 窗口内每个邮箱最多发送的登录邮件数
+    maxPerIp: parseInt(process.env.MAGIC_LINK_MAX_PER_IP) || 20, // 窗口内每个IP最多发起的请求数
+  },
+
+  // 邮件配置
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // 传输方式：smtp、file（写入.eml文件）、console（输出到日志）
+    from: process.env.MAIL_FROM || 'Express Enterprise Server <no-reply@example.com>', // 发件人
+    appUrl: process.env.APP_URL || 'http://localhost:3000', // 邮件中链接指向的前端地址
+    defaultLocale: process.env.MAIL_DEFAULT_LOCALE || 'zh-CN', // 用户未设置语言时使用的默认语言
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // 是否使用TLS直连（465端口）
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+    },
+    fileDir: process.env.MAIL_FILE_DIR || 'logs/mail', // file传输的邮件保存目录
+    queue: {
+      maxAttempts: 5, // 最大投递次数，超过后转入死信队列
+      retryDelay: 30, // 首次重试延迟（秒），之后按指数退避
+      pollInterval: 1000, // 队列轮询间隔（毫秒）
+      deadLetterLimit: 1000, // 死信队列最多保留的邮件数量
+    },
   },
 
   // 日志配置
@@ -106,11 +286,24 @@ module.exports = {
     enabled: false, // 开发环境默认不启用消息队列
   },
 
+  // 浏览器会话Cookie配置（启用后登录令牌通过HttpOnly Cookie下发，写操作需携带CSRF令牌）
+  authCookie: {
+    enabled: process.env.AUTH_COOKIE_ENABLED === 'true',
+    accessTokenName: 'access_token', // 访问令牌Cookie名称
+    refreshTokenName: 'refresh_token', // 刷新令牌Cookie名称（仅发送到认证接口）
+    csrfCookieName: 'csrf_token', // CSRF令牌Cookie名称（前端可读取）
+    csrfHeaderName: 'x-csrf-token', // 提交CSRF令牌的请求头
+    domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+    secure: false, // 开发环境允许通过HTTP发送
+    sameSite: process.env.AUTH_COOKIE_SAME_SITE || 'lax',
+  },
+
   // 跨域配置
   cors: {
-    origin: '*', // 开发环境允许所有来源
+    origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : '*', // 开发环境默认允许所有来源（携带Cookie时需指定来源）
     methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
     preflightContinue: false,
     optionsSuccessStatus: 204,
+    credentials: process.env.AUTH_COOKIE_ENABLED === 'true', // 启用会话Cookie时允许跨域请求携带Cookie
   },
 };
@@ -71,6 +71,24 @@ module.exports = {
     }
   },
   
+  // 多租户配置
+  tenancy: {
+    // 租户隔离模式：row（行级隔离）、schema（一个租户一个schema）、database（一个租户一个数据库）
+    isolation: process.env.TENANT_ISOLATION || 'row',
+    // 租户schema名称前缀，schema名称为前缀加租户标识（连字符替换为下划线）
+    schemaPrefix: process.env.TENANT_SCHEMA_PREFIX || 'tenant_',
+    // 租户数据库名称前缀，未为租户配置独立数据库时在公共数据库所在的服务器上创建该名称的数据库
+    databasePrefix: process.env.TENANT_DATABASE_PREFIX || 'tenant_',
+    // database隔离模式下最多缓存的租户数据库连接池个数，超过时将最久未使用的连接池移出缓存，空闲超时后关闭
+    maxConnections: parseInt(process.env.TENANT_MAX_CONNECTIONS) || 50,
+    // 租户数据库连接池空闲多久（秒）后关闭
+    idleTimeout: parseInt(process.env.TENANT_IDLE_TIMEOUT) || 600,
+    // 保存租户、角色等平台数据的公共schema，默认为PostgreSQL的public或Oracle/达梦的登录用户
+    sharedSchema: process.env.TENANT_SHARED_SCHEMA || null,
+    // 指定请求所属租户（租户标识）的请求头，schema/database隔离模式下未登录的请求和API密钥需通过该请求头指定租户
+    header: process.env.TENANT_HEADER || 'x-tenant'
+  },
+  
   // Redis配置
   redis: {
     host: process.env.REDIS_HOST,
@@ -96,8 +114,166 @@ module.exports = {
   
   // JWT配置
   jwt: {
-    secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '1d'
+    secret: process.env.JWT_SECRET, // HS256签名密钥；使用非对称签名时仅用于在迁移截止时间前验证迁移前签发的令牌
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // 访问令牌有效期
+    refreshExpiresIn: parseInt(process.env.JWT_REFRESH_EXPIRES_IN) || 7 * 24 * 3600, // 刷新令牌有效期（秒）
+    algorithm: process.env.JWT_ALGORITHM || 'RS256', // 签名算法：RS256、ES256（非对称，通过JWKS公开公钥）或HS256（共享密钥）
+    keysDir: process.env.JWT_KEYS_DIR || 'keys', // 非对称签名密钥目录，密钥文件名为<kid>.pem
+    activeKid: process.env.JWT_ACTIVE_KID, // 当前签名密钥ID，未设置时使用最新的密钥
+    acceptLegacyHs256Until: process.env.JWT_ACCEPT_LEGACY_HS256_UNTIL || null, // 使用非对称签名时接受迁移前签发的HS256令牌的截止时间（ISO 8601），未设置时不接受
+    autoGenerateKeys: false // 密钥目录为空时自动生成密钥
+  },
+  
+  // 安全配置
+  security: {
+    encryptionKey: process.env.ENCRYPTION_KEY // 敏感数据加密密钥
+  },
+  
+  // 多因素认证配置
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'Express Enterprise Server',
+    enforcedRoles: process.env.MFA_ENFORCED_ROLES ? process.env.MFA_ENFORCED_ROLES.split(',') : ['admin', 'manager'] // 生产环境默认要求管理员和经理启用MFA
+  },
+  
+  // WebAuthn（通行密钥）配置
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Express Enterprise Server',
+    rpID: process.env.WEBAUTHN_RP_ID,
+    origins: process.env.WEBAUTHN_ORIGINS ? process.env.WEBAUTHN_ORIGINS.split(',') : [],
+    challengeExpiresIn: 5 * 60
+  },
+  
+  // 模拟登录配置
+  impersonation: {
+    expiresIn: parseInt(process.env.IMPERSONATION_EXPIRES_IN) || 15 * 60
+  },
+  
+  // 敏感操作的二次认证配置
+  stepUp: {
+    maxAge: parseInt(process.env.STEP_UP_MAX_AGE) || 5 * 60
+  },
+  
+  // 登录异常检测配置
+  loginAnomaly: {
+    enabled: process.env.LOGIN_ANOMALY_ENABLED !== 'false',
+    lookbackDays: parseInt(process.env.LOGIN_ANOMALY_LOOKBACK_DAYS) || 90,
+    retentionDays: parseInt(process.env.LOGIN_ANOMALY_RETENTION_DAYS) || 180,
+    failureWindow: 15 * 60,
+    maxFailuresPerUser: parseInt(process.env.LOGIN_ANOMALY_MAX_FAILURES_PER_USER) || 5,
+    maxFailuresPerIp: parseInt(process.env.LOGIN_ANOMALY_MAX_FAILURES_PER_IP) || 20,
+    notifiers: process.env.LOGIN_ANOMALY_NOTIFIERS ? process.env.LOGIN_ANOMALY_NOTIFIERS.split(',') : ['email', 'webhook'],
+    webhookUrl: process.env.LOGIN_ANOMALY_WEBHOOK_URL,
+    webhookSecret: process.env.LOGIN_ANOMALY_WEBHOOK_SECRET,
+    webhookTimeout: 5000
+  },
+  
+  // 登录暴力破解防护配置
+  bruteForce: {
+    enabled: process.env.BRUTE_FORCE_ENABLED !== 'false',
+    window: parseInt(process.env.BRUTE_FORCE_WINDOW) || 60 * 60,
+    baseDelay: parseInt(process.env.BRUTE_FORCE_BASE_DELAY) || 60,
+    maxDelay: parseInt(process.env.BRUTE_FORCE_MAX_DELAY) || 60 * 60,
+    backoffMaxDelay: parseInt(process.env.BRUTE_FORCE_BACKOFF_MAX_DELAY) || 30,
+    userIp: { captchaAfter: 3, lockAfter: 5 },
+    user: { captchaAfter: 5, lockAfter: parseInt(process.env.BRUTE_FORCE_USER_LOCK_AFTER) || null },
+    ip: { captchaAfter: 20, lockAfter: 100 },
+    captcha: {
+      provider: process.env.CAPTCHA_PROVIDER,
+      siteKey: process.env.CAPTCHA_SITE_KEY,
+      secret: process.env.CAPTCHA_SECRET,
+      minScore: parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5,
+      timeout: 5000
+    }
+  },
+  
+  // OpenID Connect单点登录配置（默认的身份提供方，可由管理员按租户调整）
+  oidc: {
+    providers: process.env.OIDC_PROVIDERS ? JSON.parse(process.env.OIDC_PROVIDERS) : {},
+    stateExpiresIn: 10 * 60
+  },
+  
+  // SAML 2.0单点登录配置（默认的身份提供方，可由管理员按租户调整）
+  saml: {
+    providers: process.env.SAML_PROVIDERS ? JSON.parse(process.env.SAML_PROVIDERS) : {},
+    requestExpiresIn: 10 * 60
+  },
+  
+  // 登录认证方式（默认值，可由管理员按租户调整）
+  authentication: {
+    providers: process.env.AUTH_PROVIDERS ? process.env.AUTH_PROVIDERS.split(',') : ['local']
+  },
+  
+  // LDAP / Active Directory配置（默认目录，可由管理员按租户调整）
+  ldap: {
+    directory: process.env.LDAP_DIRECTORY ? JSON.parse(process.env.LDAP_DIRECTORY) : null,
+    timeout: parseInt(process.env.LDAP_TIMEOUT) || 5000
+  },
+  
+  // 邮箱验证配置
+  emailVerification: {
+    policy: process.env.EMAIL_VERIFICATION_POLICY || 'off', // 验证策略：off、block（未验证不能登录）、restrict（未验证不能使用受限角色）
+    restrictedRoles: process.env.EMAIL_VERIFICATION_RESTRICTED_ROLES ? process.env.EMAIL_VERIFICATION_RESTRICTED_ROLES.split(',') : ['admin', 'manager'],
+    tokenExpiresIn: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN) || 24 * 3600,
+    resendCooldown: 60
+  },
+  
+  // 授权配置（生产环境默认不在响应中返回拒绝原因）
+  authorization: {
+    explain: process.env.AUTHZ_EXPLAIN === 'true'
+  },
+  
+  // 密码策略（默认值，可由管理员按租户调整）
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: 128,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireNumber: true,
+    requireSpecial: true,
+    blockCommon: true,
+    blockPersonalInfo: true,
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT) || 5,
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0
+  },
+  
+  // 密码重置配置
+  passwordReset: {
+    tokenExpiresIn: parseInt(process.env.PASSWORD_RESET_EXPIRES_IN) || 3600,
+    window: 3600,
+    maxPerEmail: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3,
+    maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 20
+  },
+  
+  // 邮件登录链接配置（默认值，可由管理员按租户调整）
+  magicLink: {
+    enabled: process.env.MAGIC_LINK_ENABLED === 'true',
+    allowedRoles: process.env.MAGIC_LINK_ALLOWED_ROLES ? process.env.MAGIC_LINK_ALLOWED_ROLES.split(',') : [],
+    tokenExpiresIn: parseInt(process.env.MAGIC_LINK_EXPIRES_IN) || 15 * 60,
+    window: 3600,
+    maxPerEmail: parseInt(process.env.MAGIC_LINK_MAX_PER_EMAIL) || 5,
+    maxPerIp: parseInt(process.env.MAGIC_LINK_MAX_PER_IP) || 20
+  },
+  
+  // 邮件配置
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'smtp',
+    from: process.env.MAIL_FROM || 'Express Enterprise Server <no-reply@example.com>',
+    appUrl: process.env.APP_URL,
+    defaultLocale: process.env.MAIL_DEFAULT_LOCALE || 'zh-CN',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD
+    },
+    fileDir: process.env.MAIL_FILE_DIR || 'logs/mail',
+    queue: {
+      maxAttempts: 5,
+      retryDelay: 30,
+      pollInterval: 1000,
+      deadLetterLimit: 1000
+    }
   },
   
   // 日志配置
@@ -121,12 +297,25 @@ module.exports = {
     enabled: true // 生产环境默认启用消息队列
   },
   
+  // 浏览器会话Cookie配置（启用后登录令牌通过HttpOnly Cookie下发，写操作需携带CSRF令牌）
+  authCookie: {
+    enabled: process.env.AUTH_COOKIE_ENABLED === 'true',
+    accessTokenName: 'access_token', // 访问令牌Cookie名称
+    refreshTokenName: 'refresh_token', // 刷新令牌Cookie名称（仅发送到认证接口）
+    csrfCookieName: 'csrf_token', // CSRF令牌Cookie名称（前端可读取）
+    csrfHeaderName: 'x-csrf-token', // 提交CSRF令牌的请求头
+    domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+    secure: true, // 仅通过HTTPS发送
+    sameSite: process.env.AUTH_COOKIE_SAME_SITE || 'lax'
+  },
+  
   // 跨域配置
   cors: {
     origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : false, // 生产环境限制来源
     methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
     preflightContinue: false,
-    optionsSuccessStatus: 204
+    optionsSuccessStatus: 204,
+    credentials: process.env.AUTH_COOKIE_ENABLED === 'true' // 启用会话Cookie时允许跨域请求携带Cookie
   },
   
   // 静态资源缓存
@@ -43,6 +43,26 @@ const swaggerDefinition = {
       name: 'Users',
       description: '用户管理接口，包括用户CRUD操作',
     },
+    {
+      name: 'MFA',
+      description: '多因素认证接口，包括验证器绑定、登录验证和恢复码',
+    },
+    {
+      name: 'WebAuthn',
+      description: '通行密钥接口，包括注册、免密码登录和作为第二因素验证',
+    },
+    {
+      name: 'Roles',
+      description: '角色管理接口，角色是一组权限的集合',
+    },
+    {
+      name: 'Tenants',
+      description: '租户管理接口，包括租户CRUD以及停用、恢复租户',
+    },
+    {
+      name: 'SSO',
+      description: '单点登录和目录认证接口，对接外部身份提供方（OpenID Connect、SAML 2.0、LDAP / Active Directory）',
+    },
     // 其他标签可以在这里添加
   ],
   components: {
@@ -52,6 +72,18 @@ const swaggerDefinition = {
         scheme: 'bearer',
         bearerFormat: 'JWT',
       },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'API密钥只能访问声明了权限范围的接口（用户、角色、租户管理），认证设置、修改密码、通行密钥等接口不接受API密钥',
+      },
+      cookieAuth: {
+        type: 'apiKey',
+        in: 'cookie',
+        name: 'access_token',
+        description: '启用会话Cookie时登录接口下发的访问令牌，写操作还需在X-CSRF-Token请求头中携带csrf_token Cookie的值',
+      },
     },
     schemas: {
       User: {
@@ -97,6 +129,19 @@ const swaggerDefinition = {
             format: 'date-time',
             description: '最后登录时间',
           },
+          locale: {
+            type: 'string',
+            enum: ['zh-CN', 'en-US'],
+            description: '首选语言',
+          },
+          emailVerified: {
+            type: 'boolean',
+            description: '邮箱是否已验证',
+          },
+          mfaEnabled: {
+            type: 'boolean',
+            description: '是否已启用多因素认证',
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -109,6 +154,34 @@ const swaggerDefinition = {
           },
         },
       },
+      TenantDatabaseConfig: {
+        type: 'object',
+        description: '租户独立数据库的连接配置，只在database隔离模式下使用，加密保存。未配置时在公共数据库所在的服务器上创建按租户标识命名的数据库',
+        required: ['host', 'username'],
+        properties: {
+          host: {
+            type: 'string',
+          },
+          port: {
+            type: 'integer',
+          },
+          database: {
+            type: 'string',
+            description: '数据库名称（Oracle以外必填）',
+          },
+          sid: {
+            type: 'string',
+            description: 'Oracle SID（Oracle必填）',
+          },
+          username: {
+            type: 'string',
+          },
+          password: {
+            type: 'string',
+            description: '返回时以占位符代替，提交占位符时保持原密码不变',
+          },
+        },
+      },
       Error: {
         type: 'object',
         properties: {
@@ -10,6 +10,40 @@ module.exports = {
     GUEST: 'guest',
   },
 
+  // 角色名称格式（内置角色和自定义角色）
+  ROLE_NAME_PATTERN: /^[a-z][a-z0-9_-]{1,49}$/,
+
+  // 权限
+  // 角色是权限的集合，路由和服务按权限而不是角色名称判断能否执行操作
+  PERMISSIONS: {
+    ALL: '*', // 全部权限
+    USERS_READ: 'users:read', // 查看用户
+    USERS_CREATE: 'users:create', // 创建用户
+    USERS_UPDATE: 'users:update', // 修改其他用户的基本信息
+    USERS_UPDATE_ROLES: 'users:update:roles', // 为用户分配角色
+    USERS_UPDATE_STATUS: 'users:update:status', // 启用、停用用户
+    USERS_DELETE: 'users:delete', // 删除用户
+    USERS_SESSIONS_REVOKE: 'users:sessions:revoke', // 吊销其他用户的会话
+    USERS_MFA_RESET: 'users:mfa:reset', // 重置其他用户的多因素认证
+    USERS_UNLOCK: 'users:unlock', // 解除其他用户因登录失败被限制的状态
+    USERS_API_KEYS_MANAGE: 'users:api_keys:manage', // 管理其他用户的API密钥
+    USERS_IMPERSONATE: 'users:impersonate', // 模拟其他用户登录（用于排查用户问题）
+    TENANTS_ALL: 'tenants:all', // 访问所有租户的数据（没有该权限时只能访问本租户）
+    TENANTS_READ: 'tenants:read', // 查看租户
+    TENANTS_MANAGE: 'tenants:manage', // 创建、修改、停用、删除租户
+    ROLES_READ: 'roles:read', // 查看角色
+    ROLES_MANAGE: 'roles:manage', // 创建、修改、删除角色
+    SETTINGS_MANAGE: 'settings:manage', // 修改MFA策略、密码策略等系统设置
+  },
+
+  // 内置角色的默认权限，可通过角色管理接口调整（admin除外）
+  DEFAULT_ROLE_PERMISSIONS: {
+    admin: ['*'],
+    manager: ['users:read', 'users:create', 'users:update', 'users:update:roles', 'users:update:status', 'users:delete', 'users:unlock', 'roles:read'],
+    user: [],
+    guest: [],
+  },
+
   // 用户状态
   USER_STATUS: {
     ACTIVE: 'active',
@@ -18,6 +52,22 @@ module.exports = {
     DELETED: 'deleted',
   },
 
+  // 租户状态
+  TENANT_STATUS: {
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended', // 已停用，租户内所有用户都不能登录和访问接口
+  },
+
+  // 租户套餐
+  TENANT_PLANS: {
+    FREE: 'free',
+    STANDARD: 'standard',
+    ENTERPRISE: 'enterprise',
+  },
+
+  // 租户标识格式（小写字母、数字和连字符，以字母开头，长度2-63）
+  TENANT_SLUG_PATTERN: /^[a-z][a-z0-9-]{1,62}$/,
+
   // 审计日志类型
   AUDIT_TYPES: {
     CREATE: 'create',
@@ -44,6 +94,102 @@ module.exports = {
     LOCK: 'lock:',
     RATE_LIMIT: 'rate:',
     SESSION: 'session:',
+    BLACKLIST: 'blacklist:',
+    REFRESH_TOKEN: 'refresh:',
+    TOKEN_FAMILY: 'refresh_family:',
+    ONE_TIME_TOKEN: 'ott:',
+    EMAIL_VERIFICATION: 'email_verification:',
+    MAIL: 'mail:',
+    ROLE: 'role:',
+    MFA: 'mfa:',
+    SETTINGS: 'settings:',
+    SAML_REQUEST: 'saml_request:',
+    LOGIN_FAILURES: 'login_failures:',
+    LOGIN_THROTTLE: 'login_throttle:',
+    TENANT: 'tenant:',
+  },
+
+  // 认证方式
+  AUTH_TYPES: {
+    JWT: 'jwt',
+    API_KEY: 'api_key',
+  },
+
+  // 认证强度（记录在会话和访问令牌的auth_level声明中）
+  AUTH_LEVELS: {
+    SINGLE_FACTOR: 1, // 单一因素（密码、邮件登录链接、外部身份提供方等）
+    MULTI_FACTOR: 2, // 多因素（密码 + 第二因素，或需要用户验证的通行密钥）
+  },
+
+  // 外部身份提供方类型
+  IDENTITY_TYPES: {
+    OIDC: 'oidc',
+    LDAP: 'ldap',
+    SAML: 'saml',
+  },
+
+  // 用户名密码登录的认证方式（按租户配置的顺序依次尝试）
+  AUTH_PROVIDERS: {
+    LOCAL: 'local', // 本地用户表中的密码
+    LDAP: 'ldap', // LDAP / Active Directory绑定认证
+    MAGIC_LINK: 'magic_link', // 邮件登录链接（不参与用户名密码登录的认证顺序）
+  },
+
+  // 登录方式（记录在登录历史中）
+  LOGIN_METHODS: {
+    LOCAL: 'local', // 本地密码
+    LDAP: 'ldap', // LDAP / Active Directory
+    MAGIC_LINK: 'magic_link', // 邮件登录链接
+    WEBAUTHN: 'webauthn', // 通行密钥
+    OIDC: 'oidc', // OpenID Connect单点登录
+    SAML: 'saml', // SAML单点登录
+  },
+
+  // 登录结果
+  LOGIN_RESULTS: {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+  },
+
+  // 登录异常类型
+  LOGIN_ANOMALIES: {
+    NEW_DEVICE: 'new_device', // 从未使用过的设备登录
+    NEW_IP: 'new_ip', // 从未使用过的IP地址登录
+    FAILURE_BURST: 'failure_burst', // 短时间内多次登录失败
+  },
+
+  // API密钥权限范围
+  API_KEY_SCOPES: {
+    ALL: '*',
+    USERS_READ: 'users:read',
+    USERS_WRITE: 'users:write',
+    API_KEYS_MANAGE: 'api_keys:manage',
+    ROLES_READ: 'roles:read',
+    ROLES_WRITE: 'roles:write',
+    TENANTS_READ: 'tenants:read',
+    TENANTS_WRITE: 'tenants:write',
+  },
+
+  // 一次性令牌用途
+  TOKEN_PURPOSES: {
+    MFA_CHALLENGE: 'mfa_challenge',
+    EMAIL_VERIFICATION: 'email_verification',
+    PASSWORD_CHANGE: 'password_change',
+    OIDC_STATE: 'oidc_state',
+    SAML_RELAY_STATE: 'saml_relay_state',
+    WEBAUTHN_REGISTRATION: 'webauthn_registration',
+    WEBAUTHN_AUTHENTICATION: 'webauthn_authentication',
+    MAGIC_LINK: 'magic_link',
+  },
+
+  // 支持的语言（用于邮件等通知）
+  SUPPORTED_LOCALES: ['zh-CN', 'en-US'],
+
+  // 邮箱验证策略
+  EMAIL_VERIFICATION_POLICIES: {
+    OFF: 'off', // 不要求验证邮箱
+    BLOCK: 'block', // 未验证邮箱的用户不能登录
+    RESTRICT: 'restrict', // 未验证邮箱的用户不能使用受限角色
   },
 
   // 缓存过期时间（秒）
@@ -62,14 +208,8 @@ module.exports = {
     MAX_LIMIT: 100,
   },
 
-  // 密码规则
-  PASSWORD_RULES: {
-    MIN_LENGTH: 8,
-    REQUIRE_LOWERCASE: true,
-    REQUIRE_UPPERCASE: true,
-    REQUIRE_NUMBER: true,
-    REQUIRE_SPECIAL: true,
-  },
+  // 保留的历史密码个数上限（密码策略中historyCount的最大值）
+  PASSWORD_HISTORY_LIMIT: 24,
 
   // 文件上传限制
   UPLOAD_LIMITS: {
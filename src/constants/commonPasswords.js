@@ -0,0 +1,239 @@
+/**
+ * 常见弱密码列表
+ * 收录公开泄露数据中出现频率最高的密码，密码策略会拒绝与这些密码相同（忽略大小写及首尾的数字、符号）的密码
+ */
+module.exports = [
+  '123456',
+  '123456789',
+  '12345678',
+  'password',
+  'qwerty123',
+  'qwerty',
+  '1234567890',
+  '111111',
+  '1234567',
+  '123123',
+  'abc123',
+  '1q2w3e4r',
+  '000000',
+  'iloveyou',
+  'password1',
+  'qwertyuiop',
+  '123321',
+  '654321',
+  '666666',
+  '7777777',
+  '987654321',
+  '123qwe',
+  '1qaz2wsx',
+  'zaq12wsx',
+  'qazwsx',
+  'letmein',
+  'welcome',
+  'monkey',
+  'dragon',
+  'football',
+  'baseball',
+  'master',
+  'sunshine',
+  'shadow',
+  'princess',
+  'starwars',
+  'superman',
+  'batman',
+  'trustno1',
+  'whatever',
+  'freedom',
+  'hello',
+  'charlie',
+  'donald',
+  'michael',
+  'jordan',
+  'jennifer',
+  'hunter',
+  'ranger',
+  'buster',
+  'soccer',
+  'hockey',
+  'killer',
+  'access',
+  'admin',
+  'administrator',
+  'root',
+  'toor',
+  'login',
+  'passw0rd',
+  'p@ssw0rd',
+  'p@ssword',
+  'pa55word',
+  'changeme',
+  'default',
+  'guest',
+  'test',
+  'test123',
+  'testing',
+  'secret',
+  'secret123',
+  'system',
+  'service',
+  'server',
+  'database',
+  'oracle',
+  'mysql',
+  'postgres',
+  'computer',
+  'internet',
+  'samsung',
+  'apple',
+  'google',
+  'microsoft',
+  'windows',
+  'linux',
+  'ubuntu',
+  'android',
+  'iphone',
+  'flower',
+  'summer',
+  'winter',
+  'spring',
+  'autumn',
+  'love',
+  'lovely',
+  'loveme',
+  'angel',
+  'angels',
+  'baby',
+  'babygirl',
+  'sweety',
+  'cookie',
+  'chocolate',
+  'cheese',
+  'pepper',
+  'ginger',
+  'orange',
+  'banana',
+  'mustang',
+  'corvette',
+  'ferrari',
+  'porsche',
+  'harley',
+  'yamaha',
+  'letmein1',
+  'welcome1',
+  'welcome123',
+  'admin123',
+  'admin1234',
+  'root123',
+  'qwerty1',
+  'qwe123',
+  'asdf',
+  'asdfgh',
+  'asdfghjkl',
+  'zxcvbn',
+  'zxcvbnm',
+  'qazxsw',
+  '1qazxsw2',
+  'q1w2e3r4',
+  'q1w2e3r4t5',
+  '1q2w3e',
+  '1q2w3e4r5t',
+  '1qaz2wsx3edc',
+  'abcdef',
+  'abcd1234',
+  'aa123456',
+  'a123456',
+  'a12345678',
+  'password12',
+  'password123',
+  'passwordpassword',
+  'pass',
+  'pass123',
+  'pass1234',
+  'mypassword',
+  'mypass',
+  'nothing',
+  'nopassword',
+  'unknown',
+  'blahblah',
+  'woaini',
+  '5201314',
+  '520520',
+  '1314520',
+  'woaini1314',
+  'aini1314',
+  'wangyu',
+  'zhang123',
+  'li123456',
+  'zxc123',
+  'qq123456',
+  'wang123456',
+  '123456a',
+  '123456aa',
+  '123abc',
+  'abc12345',
+  '88888888',
+  '66666666',
+  '11111111',
+  '12341234',
+  '147258369',
+  '159357',
+  '159753',
+  'a1b2c3',
+  'a1b2c3d4',
+  '111222',
+  '112233',
+  '121212',
+  '123654',
+  '123789',
+  '131313',
+  '159159',
+  '202020',
+  '222222',
+  '232323',
+  '252525',
+  '555555',
+  '696969',
+  '777777',
+  '888888',
+  '999999',
+  '1111111',
+  '1212121',
+  '1234554321',
+  '12344321',
+  '987654',
+  '9876543210',
+  'jessica',
+  'ashley',
+  'amanda',
+  'daniel',
+  'thomas',
+  'robert',
+  'matthew',
+  'andrew',
+  'joshua',
+  'william',
+  'michelle',
+  'nicole',
+  'jessica1',
+  'tigger',
+  'maggie',
+  'ginger1',
+  'pepper1',
+  'buddy',
+  'harley1',
+  'snoopy',
+  'qwertyu',
+  'qwerty12',
+  'qwerty1234',
+  '1qaz@wsx',
+  'p@55w0rd',
+  'p@$$w0rd',
+  'passw0rd1',
+  'pa$$word',
+  'letmeinnow',
+  'opensesame',
+  'iloveu',
+  'iloveyou1',
+  'loveyou',
+  'fuckyou',
+];
@@ -8,6 +8,8 @@ const cluster = require('cluster');
 const numCPUs = require('os').cpus().length;
 const app = require('./app');
 const logger = require('./utils/logger');
+const mailService = require('./services/mailService');
+const loginHistoryService = require('./services/loginHistoryService');
 
 // 获取端口配置
 const PORT = process.env.PORT || 3000;
@@ -80,6 +82,12 @@ function onListening() {
   const addr = server.address();
   const bind = typeof addr === 'string' ? 'pipe ' + addr : 'port ' + addr.port;
   logger.info(`服务器监听在 ${bind}`);
+
+  // 启动邮件投递工作进程
+  mailService.startWorker();
+
+  // 启动登录历史清理任务
+  loginHistoryService.startPruning();
 }
 
 // 处理未捕获的异常
@@ -1,27 +1,58 @@
 /**
  * JWT认证中间件
  */
-const jwt = require('jsonwebtoken');
 const { ApiError } = require('../generic/errorHandler');
 const statusCodes = require('../../constants/statusCodes');
 const logger = require('../../utils/logger');
-const config = require('../../config');
 const Redis = require('../../utils/redis');
+const requestContext = require('../../utils/requestContext');
+const sessionCookie = require('./sessionCookie');
+const tokenService = require('../../services/tokenService');
+const sessionService = require('../../services/sessionService');
+const apiKeyService = require('../../services/apiKeyService');
+const roleService = require('../../services/roleService');
+const tenantService = require('../../services/tenantService');
+const config = require('../../config');
+const { API_KEY_SCOPES, AUTH_TYPES, CACHE_PREFIXES, PERMISSIONS } = require('../../constants/business');
 
 /**
- * 验证JWT令牌并将用户信息添加到请求对象
+ * 验证JWT令牌或API密钥并将用户信息添加到请求对象
+ * API密钥可通过X-API-Key请求头或Bearer令牌提供，只能访问通过requireScope声明了权限范围的接口；启用会话Cookie时也接受Cookie中的访问令牌
+ * 模拟登录令牌中的真实操作者（act声明）放在req.user.impersonator中；所属租户已停用时拒绝访问
+ * schema/database隔离模式下将请求绑定到用户所属的租户，API密钥保存在租户的schema或数据库中，需通过租户请求头指定租户
  */
 const authenticate = async (req, res, next) => {
   try {
     // 从请求头获取token
     const authHeader = req.headers.authorization;
+    const apiKeyHeader = req.get('x-api-key');
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    // API密钥认证
+    const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    if (apiKeyHeader || apiKeyService.isApiKey(bearerToken)) {
+      req.user = await apiKeyService.authenticateKey(apiKeyHeader || bearerToken, req.ip);
+
+      // 默认拒绝：未声明权限范围的接口（认证设置、修改密码、通行密钥等）不接受API密钥
+      if (!declaresScope(req)) {
+        throw new ApiError(statusCodes.FORBIDDEN, '此接口不支持使用API密钥访问', 'AUTH_API_KEY_NOT_ALLOWED');
+      }
+
+      await tenantService.assertNotSuspended(req.user.tenantId);
+      await tenantService.bindUserTenant(req.user);
+      requestContext.set('user', req.user);
+      return next();
+    }
+
+    // 未提供Bearer令牌时使用浏览器会话Cookie中的访问令牌，写操作需校验CSRF令牌
+    const cookieToken = authHeader ? null : sessionCookie.getAccessToken(req);
+    if (cookieToken) {
+      sessionCookie.verifyCsrf(req);
+    } else if (!authHeader || !authHeader.startsWith('Bearer ')) {
       throw new ApiError(statusCodes.UNAUTHORIZED, '未提供认证令牌', 'AUTH_TOKEN_MISSING');
     }
 
     // 提取token
-    const token = authHeader.split(' ')[1];
+    const token = cookieToken || bearerToken;
 
     if (!token) {
       throw new ApiError(statusCodes.UNAUTHORIZED, '无效的认证令牌格式', 'AUTH_INVALID_TOKEN_FORMAT');
@@ -29,16 +60,36 @@ const authenticate = async (req, res, next) => {
 
     // 验证token
     try {
-      const decoded = jwt.verify(token, config.jwt.secret);
+      const decoded = tokenService.verifyAccessToken(token);
+      let session = null;
 
       // 检查token是否在Redis黑名单中（已注销）
-      const isBlacklisted = await Redis.client.get(`blacklist:${token}`);
+      const isBlacklisted = await Redis.client.get(`${CACHE_PREFIXES.BLACKLIST}${token}`);
       if (isBlacklisted) {
         throw new ApiError(statusCodes.UNAUTHORIZED, '令牌已失效，请重新登录', 'AUTH_TOKEN_REVOKED');
       }
 
-      // 将用户信息添加到请求对象
-      req.user = decoded;
+      if (decoded.fid) {
+        // 检查令牌所属的令牌族是否已被吊销（注销或刷新令牌重放）
+        if (await tokenService.isFamilyRevoked(decoded.fid)) {
+          throw new ApiError(statusCodes.UNAUTHORIZED, '令牌已失效，请重新登录', 'AUTH_TOKEN_REVOKED');
+        }
+
+        // 检查会话是否仍然有效，并更新最后活跃时间
+        session = await sessionService.touchSession(decoded.fid, { ip: req.ip, userAgent: req.get('user-agent') });
+        if (!session) {
+          throw new ApiError(statusCodes.UNAUTHORIZED, '会话已失效，请重新登录', 'AUTH_SESSION_REVOKED');
+        }
+      }
+
+      // 将用户信息添加到请求对象和请求上下文（供审计日志等使用）
+      // 重新认证只更新会话，认证时间和强度以会话为准
+      const { act, ...claims } = decoded;
+      const authClaims = session && session.authTime ? sessionService.authClaims(session) : {};
+      req.user = { ...claims, ...authClaims, authType: AUTH_TYPES.JWT, impersonator: act || null };
+      await tenantService.assertNotSuspended(req.user.tenantId);
+      await tenantService.bindUserTenant(req.user);
+      requestContext.set('user', req.user);
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -61,8 +112,18 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * 当前接口是否通过requireScope声明了API密钥可用的权限范围
+ * @param {Object} req - 请求对象
+ * @returns {boolean}
+ */
+function declaresScope(req) {
+  return Boolean(req.route) && req.route.stack.some(layer => Array.isArray(layer.handle.scopes));
+}
+
 /**
  * 检查用户是否具有指定角色
+ * 新代码请使用requirePermission，按权限而不是角色名称判断
  * @param {string|string[]} roles - 必需的角色或角色数组
  */
 const hasRole = roles => (req, res, next) => {
@@ -92,13 +153,159 @@ const hasRole = roles => (req, res, next) => {
   next(new ApiError(statusCodes.FORBIDDEN, '权限不足，无法访问此资源', 'AUTH_INSUFFICIENT_PERMISSIONS'));
 };
 
+/**
+ * 检查用户的角色是否授予指定权限
+ * 解析出的权限缓存在req.user.permissions中，供后续中间件和路由使用
+ * @param {string|string[]} permissions - 必需的权限（满足其一即可）
+ */
+const requirePermission = permissions => async (req, res, next) => {
+  // 确保用户已通过认证
+  if (!req.user) {
+    return next(new ApiError(statusCodes.UNAUTHORIZED, '需要认证', 'AUTH_REQUIRED'));
+  }
+
+  try {
+    // 转换为数组
+    const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
+
+    if (!Array.isArray(req.user.permissions)) {
+      req.user.permissions = await roleService.getPermissions(req.user.roles);
+    }
+
+    if (requiredPermissions.some(permission => roleService.grants(req.user.permissions, permission))) {
+      return next();
+    }
+
+    // 记录访问尝试
+    logger.warn('权限不足', {
+      userId: req.user.id,
+      requiredPermissions,
+      userRoles: req.user.roles,
+      method: req.method,
+      path: req.originalUrl,
+    });
+
+    next(new ApiError(statusCodes.FORBIDDEN, '权限不足，无法访问此资源', 'AUTH_INSUFFICIENT_PERMISSIONS'));
+  } catch (error) {
+    logger.error('权限检查发生错误', { error: error.message, stack: error.stack });
+    next(new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '权限检查发生错误', 'AUTH_SYSTEM_ERROR'));
+  }
+};
+
+/**
+ * 检查API密钥是否具有指定权限范围
+ * 同时声明接口允许使用API密钥访问，没有声明的接口由authenticate拒绝API密钥；使用JWT登录的用户不受权限范围限制
+ * @param {string|string[]} scopes - 必需的权限范围（满足其一即可）
+ */
+const requireScope = scopes => {
+  // 转换为数组
+  const requiredScopes = Array.isArray(scopes) ? scopes : [scopes];
+
+  const middleware = (req, res, next) => {
+    // 确保用户已通过认证
+    if (!req.user) {
+      return next(new ApiError(statusCodes.UNAUTHORIZED, '需要认证', 'AUTH_REQUIRED'));
+    }
+
+    if (req.user.authType !== AUTH_TYPES.API_KEY) {
+      return next();
+    }
+
+    const grantedScopes = req.user.scopes || [];
+
+    if (grantedScopes.includes(API_KEY_SCOPES.ALL) || requiredScopes.some(scope => grantedScopes.includes(scope))) {
+      return next();
+    }
+
+    // 记录访问尝试
+    logger.warn('API密钥权限范围不足', {
+      userId: req.user.id,
+      apiKeyId: req.user.apiKeyId,
+      requiredScopes,
+      grantedScopes,
+      method: req.method,
+      path: req.originalUrl,
+    });
+
+    next(new ApiError(statusCodes.FORBIDDEN, 'API密钥权限范围不足，无法访问此资源', 'AUTH_INSUFFICIENT_SCOPE'));
+  };
+
+  middleware.scopes = requiredScopes;
+  return middleware;
+};
+
+/**
+ * 禁止在模拟登录期间执行敏感操作（修改密码、多因素认证、API密钥等）
+ */
+const forbidImpersonation = (req, res, next) => {
+  // 确保用户已通过认证
+  if (!req.user) {
+    return next(new ApiError(statusCodes.UNAUTHORIZED, '需要认证', 'AUTH_REQUIRED'));
+  }
+
+  if (!req.user.impersonator) {
+    return next();
+  }
+
+  // 记录访问尝试
+  logger.warn('模拟登录期间尝试执行敏感操作', {
+    userId: req.user.id,
+    impersonatorId: req.user.impersonator.id,
+    method: req.method,
+    path: req.originalUrl,
+  });
+
+  next(new ApiError(statusCodes.FORBIDDEN, '模拟登录期间不能执行此操作', 'AUTH_IMPERSONATION_FORBIDDEN'));
+};
+
+/**
+ * 要求最近进行过认证（登录或通过 /auth/reauthenticate 重新认证），用于修改角色、删除用户等敏感操作
+ * API密钥不能重新认证，不能执行这些操作
+ * @param {number} maxAge - 最近一次认证距今的最长时间（秒），默认为配置的stepUp.maxAge
+ */
+const requireRecentAuth =
+  (maxAge = config.stepUp.maxAge) =>
+  (req, res, next) => {
+    // 确保用户已通过认证
+    if (!req.user) {
+      return next(new ApiError(statusCodes.UNAUTHORIZED, '需要认证', 'AUTH_REQUIRED'));
+    }
+
+    if (req.user.authType === AUTH_TYPES.API_KEY) {
+      logger.warn('API密钥尝试执行需要重新认证的操作', {
+        userId: req.user.id,
+        apiKeyId: req.user.apiKeyId,
+        method: req.method,
+        path: req.originalUrl,
+      });
+
+      return next(new ApiError(statusCodes.FORBIDDEN, '此操作需要重新验证身份，不能使用API密钥', 'AUTH_API_KEY_NOT_ALLOWED'));
+    }
+
+    const authTime = req.user.auth_time;
+    if (authTime && Date.now() / 1000 - authTime <= maxAge) {
+      return next();
+    }
+
+    // 记录访问尝试
+    logger.warn('敏感操作需要重新认证', {
+      userId: req.user.id,
+      authTime,
+      maxAge,
+      method: req.method,
+      path: req.originalUrl,
+    });
+
+    next(new ApiError(statusCodes.UNAUTHORIZED, '此操作需要重新验证身份', 'AUTH_REAUTHENTICATION_REQUIRED', { maxAge }));
+  };
+
 /**
  * 检查用户是否有权限访问特定租户的数据
  * 用于多租户环境中的租户隔离
  */
 const tenantAccess =
   (paramName = 'tenantId') =>
-  (req, res, next) => {
+  async (req, res, next) => {
     // 确保用户已通过认证
     if (!req.user) {
       return next(new ApiError(statusCodes.UNAUTHORIZED, '需要认证', 'AUTH_REQUIRED'));
@@ -107,9 +314,14 @@ const tenantAccess =
     // 获取请求中的租户ID
     const requestedTenantId = req.params[paramName] || req.body[paramName] || req.query[paramName];
 
-    // 管理员可以访问所有租户
-    if (req.user.roles.includes('admin')) {
-      return next();
+    // 拥有跨租户权限的用户可以访问所有租户
+    try {
+      if (await roleService.hasPermission(req.user, PERMISSIONS.TENANTS_ALL)) {
+        return next();
+      }
+    } catch (error) {
+      logger.error('权限检查发生错误', { error: error.message, stack: error.stack });
+      return next(new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '权限检查发生错误', 'AUTH_SYSTEM_ERROR'));
     }
 
     // 验证用户是否可以访问请求的租户
@@ -130,6 +342,10 @@ const tenantAccess =
 
 module.exports = {
   authenticate,
+  forbidImpersonation,
   hasRole,
+  requirePermission,
+  requireRecentAuth,
+  requireScope,
   tenantAccess,
 };
@@ -0,0 +1,167 @@
+/**
+ * 浏览器会话Cookie中间件
+ * 启用后登录、刷新等接口签发的令牌通过HttpOnly Cookie下发，不再出现在响应体中，
+ * 前端脚本无法读取令牌；写操作使用双重提交的CSRF令牌防止跨站请求伪造
+ */
+const crypto = require('crypto');
+const { ApiError } = require('../generic/errorHandler');
+const statusCodes = require('../../constants/statusCodes');
+const { safeEqual } = require('../../utils/encryption');
+const config = require('../../config');
+
+// 不修改服务器状态、无需校验CSRF令牌的请求方法
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 刷新令牌Cookie只发送到认证接口，减少暴露
+const REFRESH_COOKIE_PATH = `${process.env.API_PREFIX || '/api/v1'}/auth`;
+
+/**
+ * 检查是否启用了会话Cookie
+ * @returns {boolean} - 是否启用
+ */
+function isEnabled() {
+  return Boolean(config.authCookie && config.authCookie.enabled);
+}
+
+/**
+ * 生成Cookie选项
+ * @param {Object} options - 需要覆盖的选项
+ * @returns {Object} - Cookie选项
+ */
+function cookieOptions(options = {}) {
+  const { domain, secure, sameSite } = config.authCookie;
+
+  return { httpOnly: true, secure, sameSite, domain, path: '/', ...options };
+}
+
+/**
+ * 读取请求中的Cookie（未启用会话Cookie时始终返回null）
+ * @param {Object} req - 请求对象
+ * @param {string} name - Cookie名称
+ * @returns {string|null} - Cookie值
+ */
+function getCookie(req, name) {
+  if (!isEnabled() || !req.cookies) {
+    return null;
+  }
+
+  return req.cookies[name] || null;
+}
+
+/**
+ * 从Cookie读取访问令牌
+ * @param {Object} req - 请求对象
+ * @returns {string|null} - 访问令牌
+ */
+function getAccessToken(req) {
+  return getCookie(req, config.authCookie.accessTokenName);
+}
+
+/**
+ * 从Cookie读取刷新令牌
+ * @param {Object} req - 请求对象
+ * @returns {string|null} - 刷新令牌
+ */
+function getRefreshToken(req) {
+  return getCookie(req, config.authCookie.refreshTokenName);
+}
+
+/**
+ * 设置会话Cookie
+ * 每次签发令牌时同时更换CSRF令牌
+ * @param {Object} res - 响应对象
+ * @param {Object} tokens - 令牌
+ * @param {string} tokens.token - 访问令牌
+ * @param {string} tokens.refreshToken - 刷新令牌
+ * @param {number} tokens.expiresIn - 访问令牌有效期（秒）
+ * @returns {string} - 新的CSRF令牌
+ */
+function setSessionCookies(res, { token, refreshToken, expiresIn }) {
+  const { accessTokenName, refreshTokenName, csrfCookieName } = config.authCookie;
+  const refreshMaxAge = config.jwt.refreshExpiresIn * 1000;
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(accessTokenName, token, cookieOptions({ maxAge: expiresIn * 1000 }));
+  res.cookie(refreshTokenName, refreshToken, cookieOptions({ path: REFRESH_COOKIE_PATH, maxAge: refreshMaxAge }));
+  // CSRF令牌需要由前端读取后放入请求头
+  res.cookie(csrfCookieName, csrfToken, cookieOptions({ httpOnly: false, maxAge: refreshMaxAge }));
+
+  return csrfToken;
+}
+
+/**
+ * 清除会话Cookie
+ * @param {Object} res - 响应对象
+ */
+function clearSessionCookies(res) {
+  if (!isEnabled()) {
+    return;
+  }
+
+  const { accessTokenName, refreshTokenName, csrfCookieName } = config.authCookie;
+
+  res.clearCookie(accessTokenName, cookieOptions());
+  res.clearCookie(refreshTokenName, cookieOptions({ path: REFRESH_COOKIE_PATH }));
+  res.clearCookie(csrfCookieName, cookieOptions({ httpOnly: false }));
+}
+
+/**
+ * 校验CSRF令牌
+ * 使用Cookie中的凭据执行写操作时，请求头中的CSRF令牌必须与CSRF Cookie一致。
+ * 跨站页面无法读取该Cookie，因此无法构造出正确的请求头
+ * @param {Object} req - 请求对象
+ * @throws {ApiError} - CSRF令牌缺失或不一致
+ */
+function verifyCsrf(req) {
+  if (SAFE_METHODS.includes(req.method)) {
+    return;
+  }
+
+  const { csrfCookieName, csrfHeaderName } = config.authCookie;
+  const cookieToken = getCookie(req, csrfCookieName);
+  const headerToken = req.get(csrfHeaderName);
+
+  if (!cookieToken || !headerToken || !safeEqual(cookieToken, headerToken)) {
+    throw new ApiError(statusCodes.FORBIDDEN, 'CSRF令牌无效，请刷新页面后重试', 'AUTH_CSRF_INVALID');
+  }
+}
+
+/**
+ * 将响应中签发的令牌改为通过Cookie下发
+ * 注册在认证接口上，响应数据同时包含访问令牌和刷新令牌时（登录、刷新等）生效；
+ * 模拟登录令牌没有刷新令牌，仍在响应体中返回
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ */
+function issueSessionCookies(req, res, next) {
+  if (!isEnabled()) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    const data = body && body.data;
+
+    if (data && data.token && data.refreshToken) {
+      const { token, refreshToken, ...rest } = data;
+      const csrfToken = setSessionCookies(res, { token, refreshToken, expiresIn: data.expiresIn });
+
+      return json({ ...body, data: { ...rest, csrfToken } });
+    }
+
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = {
+  isEnabled,
+  getAccessToken,
+  getRefreshToken,
+  clearSessionCookies,
+  verifyCsrf,
+  issueSessionCookies,
+};
@@ -0,0 +1,48 @@
+/**
+ * 租户上下文中间件
+ * schema/database隔离模式下按请求头中的租户标识确定请求所属的租户，之后的数据库操作都在该租户的schema或数据库中执行；
+ * 已登录用户的请求由认证中间件按用户所属租户确定，未登录的请求（如登录、注册）和API密钥需通过请求头指定租户
+ */
+const { ApiError } = require('./errorHandler');
+const statusCodes = require('../../constants/statusCodes');
+const database = require('../../utils/database');
+const tenantService = require('../../services/tenantService');
+const config = require('../../config');
+const { TENANT_STATUS } = require('../../constants/business');
+
+/**
+ * 按请求头解析请求所属的租户
+ * 行级隔离模式下或未指定租户时不做处理（使用公共schema或公共数据库）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ */
+async function resolveTenant(req, res, next) {
+  try {
+    const slug = req.get(config.tenancy.header);
+
+    if (!slug || !database.isTenantIsolated()) {
+      return next();
+    }
+
+    const tenant = await tenantService.getTenantInfoBySlug(slug);
+
+    if (!tenant) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '租户不存在', 'TENANT_NOT_FOUND');
+    }
+
+    if (tenant.status === TENANT_STATUS.SUSPENDED) {
+      throw new ApiError(statusCodes.FORBIDDEN, '所属租户已停用', 'AUTH_TENANT_SUSPENDED');
+    }
+
+    req.tenant = tenant;
+    tenantService.enterTenant(tenant);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  resolveTenant,
+};
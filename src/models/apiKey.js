@@ -0,0 +1,111 @@
+/**
+ * API密钥模型
+ * 供脚本和集成系统等机器客户端使用的长期凭证，只保存密钥哈希
+ */
+const { DataTypes } = require('sequelize');
+
+/**
+ * 定义API密钥模型
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize实例
+ */
+module.exports = sequelize => {
+  const ApiKey = sequelize.define(
+    'ApiKey',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: '密钥所属用户',
+      },
+      tenantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: '多租户标识',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          len: [1, 100],
+        },
+      },
+      prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        unique: true,
+        comment: '密钥公开前缀，用于查找和识别密钥',
+      },
+      keyHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: '密钥SHA-256哈希',
+      },
+      scopes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastUsedIp: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      timestamps: true,
+      tableName: 'api_keys',
+      indexes: [
+        {
+          unique: true,
+          fields: ['prefix'],
+        },
+        {
+          fields: ['userId'],
+        },
+      ],
+    }
+  );
+
+  // 实例方法
+
+  /**
+   * 检查密钥是否可用（未吊销且未过期）
+   * @returns {boolean} - 是否可用
+   */
+  ApiKey.prototype.isActive = function () {
+    if (this.revokedAt) {
+      return false;
+    }
+
+    return !this.expiresAt || new Date() < this.expiresAt;
+  };
+
+  /**
+   * 建立关联关系
+   * @param {Object} models - 所有模型
+   */
+  ApiKey.associate = function (models) {
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  };
+
+  return ApiKey;
+};
@@ -0,0 +1,97 @@
+/**
+ * 登录记录模型
+ * 记录每次登录的来源（IP、设备）和结果，用于登录历史查询和异常登录检测
+ */
+const { DataTypes } = require('sequelize');
+const { LOGIN_RESULTS } = require('../constants/business');
+
+/**
+ * 定义登录记录模型
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize实例
+ */
+module.exports = sequelize => {
+  const LoginEvent = sequelize.define(
+    'LoginEvent',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: '登录的用户，用户名不存在时为空',
+      },
+      tenantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: '多租户标识',
+      },
+      username: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: '登录时提交的用户名或邮箱',
+      },
+      method: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: '登录方式（local、ldap、magic_link、webauthn、oidc、saml）',
+      },
+      result: {
+        type: DataTypes.ENUM(...Object.values(LOGIN_RESULTS)),
+        allowNull: false,
+      },
+      failureReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: '失败原因（错误码）',
+      },
+      ip: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+      },
+      device: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: '根据User-Agent识别的设备描述',
+      },
+      anomalies: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: '检测到的异常（new_device、new_ip、failure_burst）',
+      },
+    },
+    {
+      timestamps: true,
+      updatedAt: false,
+      tableName: 'login_events',
+      indexes: [
+        {
+          fields: ['userId', 'createdAt'],
+        },
+        {
+          fields: ['ip', 'createdAt'],
+        },
+      ],
+    }
+  );
+
+  /**
+   * 建立关联关系
+   * @param {Object} models - 所有模型
+   */
+  LoginEvent.associate = function (models) {
+    LoginEvent.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  };
+
+  return LoginEvent;
+};
@@ -0,0 +1,60 @@
+/**
+ * 角色模型
+ * 角色是权限的集合。内置角色（admin、manager、user、guest）未保存到数据库时使用默认权限，
+ * 修改内置角色的权限或创建自定义角色时写入本表
+ */
+const { DataTypes } = require('sequelize');
+const { ROLE_NAME_PATTERN } = require('../constants/business');
+
+/**
+ * 定义角色模型
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize实例
+ */
+module.exports = sequelize => {
+  const Role = sequelize.define(
+    'Role',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        comment: '角色名称，保存在用户的roles字段中',
+        validate: {
+          is: ROLE_NAME_PATTERN,
+        },
+      },
+      description: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      permissions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      isSystem: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: '是否为内置角色（内置角色不能删除）',
+      },
+    },
+    {
+      timestamps: true,
+      tableName: 'roles',
+      indexes: [
+        {
+          unique: true,
+          fields: ['name'],
+        },
+      ],
+    }
+  );
+
+  return Role;
+};
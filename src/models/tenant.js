@@ -0,0 +1,101 @@
+/**
+ * 租户模型
+ * 用户通过tenantId属于某个租户，租户停用后其中所有用户都不能登录和访问接口
+ * schema/database隔离模式下租户表保存在公共schema或公共数据库中
+ */
+const { DataTypes } = require('sequelize');
+const { TENANT_PLANS, TENANT_SLUG_PATTERN, TENANT_STATUS } = require('../constants/business');
+
+/**
+ * 定义租户模型
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize实例
+ */
+module.exports = sequelize => {
+  const Tenant = sequelize.define(
+    'Tenant',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          len: [1, 100],
+        },
+      },
+      slug: {
+        type: DataTypes.STRING(63),
+        allowNull: false,
+        unique: true,
+        comment: '租户标识，用于URL、子域名等，创建后不能修改',
+        validate: {
+          is: TENANT_SLUG_PATTERN,
+        },
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(TENANT_STATUS)),
+        allowNull: false,
+        defaultValue: TENANT_STATUS.ACTIVE,
+      },
+      plan: {
+        type: DataTypes.ENUM(...Object.values(TENANT_PLANS)),
+        allowNull: false,
+        defaultValue: TENANT_PLANS.FREE,
+      },
+      settings: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        comment: '租户的自定义配置（如品牌、联系人），安全策略等系统设置仍通过设置接口管理',
+      },
+      suspendedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      databaseConfig: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: '独立数据库的连接配置（加密保存的JSON），database隔离模式下使用，为空时使用按租户标识命名的默认数据库',
+      },
+    },
+    {
+      timestamps: true,
+      tableName: 'tenants',
+      indexes: [
+        {
+          unique: true,
+          fields: ['slug'],
+        },
+        {
+          fields: ['status'],
+        },
+      ],
+    }
+  );
+
+  /**
+   * 数据库连接配置只在服务端使用，不在接口中返回
+   * @returns {Object} - 租户数据
+   */
+  Tenant.prototype.toJSON = function () {
+    const { databaseConfig, ...values } = this.get();
+    return { ...values, dedicatedDatabase: !!databaseConfig };
+  };
+
+  /**
+   * 建立关联关系
+   * @param {Object} models - 所有模型
+   */
+  Tenant.associate = function (models) {
+    // schema隔离模式下models.Tenant是公共schema中的租户表，用户表的外键需引用它
+    models.Tenant.hasMany(models.User, {
+      foreignKey: 'tenantId',
+      as: 'users',
+    });
+  };
+
+  return Tenant;
+};
@@ -1,9 +1,11 @@
 /**
  * 用户模型
  */
+const crypto = require('crypto');
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
-const { USER_ROLES, USER_STATUS } = require('../constants/business');
+const { hash } = require('../utils/encryption');
+const { PASSWORD_HISTORY_LIMIT, ROLE_NAME_PATTERN, SUPPORTED_LOCALES, USER_ROLES, USER_STATUS } = require('../constants/business');
 
 /**
  * 定义用户模型
@@ -56,9 +58,9 @@ module.exports = sequelize => {
               throw new Error('角色必须是数组');
             }
 
-            const validRoles = Object.values(USER_ROLES);
+            // 角色是否存在由角色服务在分配时检查，这里只校验格式
             for (const role of value) {
-              if (!validRoles.includes(role)) {
+              if (typeof role !== 'string' || !ROLE_NAME_PATTERN.test(role)) {
                 throw new Error(`无效的角色: ${role}`);
               }
             }
@@ -87,6 +89,24 @@ module.exports = sequelize => {
         allowNull: true,
         comment: '多租户标识',
       },
+      locale: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+        comment: '首选语言，用于邮件等通知',
+        validate: {
+          isIn: [SUPPORTED_LOCALES],
+        },
+      },
+      passwordChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '最近一次修改密码的时间',
+      },
+      passwordHistory: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: '历史密码哈希（最近的在前）',
+      },
       passwordResetToken: {
         type: DataTypes.STRING(100),
         allowNull: true,
@@ -99,11 +119,21 @@ module.exports = sequelize => {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
       },
-      failedLoginAttempts: {
-        type: DataTypes.INTEGER,
-        defaultValue: 0,
+      mfaEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
       },
-      lockUntil: {
+      mfaSecret: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'TOTP密钥（加密存储）',
+      },
+      mfaRecoveryCodes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: '恢复码哈希列表',
+      },
+      mfaEnrolledAt: {
         type: DataTypes.DATE,
         allowNull: true,
       },
@@ -126,11 +156,17 @@ module.exports = sequelize => {
         },
       ],
       hooks: {
-        // 保存前对密码进行哈希处理
+        // 保存前对密码进行哈希处理，并记录历史密码
         beforeSave: async user => {
           if (user.changed('password')) {
+            const previous = user.previous('password');
+            if (!user.isNewRecord && previous) {
+              user.passwordHistory = [previous, ...(user.passwordHistory || [])].slice(0, PASSWORD_HISTORY_LIMIT);
+            }
+
             const salt = await bcrypt.genSalt(10);
             user.password = await bcrypt.hash(user.password, salt);
+            user.passwordChangedAt = new Date();
           }
         },
       },
@@ -154,37 +190,9 @@ module.exports = sequelize => {
    */
   User.prototype.updateLoginTime = async function () {
     this.lastLogin = new Date();
-    this.failedLoginAttempts = 0;
-    this.lockUntil = null;
     return await this.save();
   };
 
-  /**
-   * 增加失败登录次数
-   * @returns {Promise<User>} - 更新后的用户实例
-   */
-  User.prototype.incrementFailedLogins = async function () {
-    this.failedLoginAttempts += 1;
-
-    // 如果失败次数达到阈值，锁定账户
-    if (this.failedLoginAttempts >= 5) {
-      // 锁定30分钟
-      const lockTime = new Date();
-      lockTime.setMinutes(lockTime.getMinutes() + 30);
-      this.lockUntil = lockTime;
-    }
-
-    return await this.save();
-  };
-
-  /**
-   * 检查账户是否被锁定
-   * @returns {boolean} - 是否被锁定
-   */
-  User.prototype.isLocked = function () {
-    return this.lockUntil && new Date() < this.lockUntil;
-  };
-
   /**
    * 重置密码
    * @param {string} newPassword - 新密码
@@ -194,25 +202,21 @@ module.exports = sequelize => {
     this.password = newPassword;
     this.passwordResetToken = null;
     this.passwordResetExpires = null;
-    this.failedLoginAttempts = 0;
-    this.lockUntil = null;
     return await this.save();
   };
 
   /**
    * 生成密码重置令牌
-   * @returns {Promise<string>} - 生成的令牌
+   * 数据库只保存令牌哈希，新令牌会覆盖之前未使用的令牌
+   * @param {number} expiresIn - 有效期（秒）
+   * @returns {Promise<string>} - 生成的令牌（明文，仅用于发送给用户）
    */
-  User.prototype.generatePasswordResetToken = async function () {
+  User.prototype.generatePasswordResetToken = async function (expiresIn = 3600) {
     // 生成随机令牌
-    const token = require('crypto').randomBytes(32).toString('hex');
-
-    // 设置令牌及过期时间（1小时后）
-    const expiry = new Date();
-    expiry.setHours(expiry.getHours() + 1);
+    const token = crypto.randomBytes(32).toString('hex');
 
-    this.passwordResetToken = token;
-    this.passwordResetExpires = expiry;
+    this.passwordResetToken = hash(token);
+    this.passwordResetExpires = new Date(Date.now() + expiresIn * 1000);
     await this.save();
 
     return token;
@@ -228,6 +232,15 @@ module.exports = sequelize => {
     return await this.save();
   };
 
+  /**
+   * 标记邮箱已验证
+   * @returns {Promise<User>} - 更新后的用户实例
+   */
+  User.prototype.markEmailVerified = async function () {
+    this.emailVerified = true;
+    return await this.save();
+  };
+
   /**
    * 停用账户
    * @returns {Promise<User>} - 更新后的用户实例
@@ -275,6 +288,38 @@ module.exports = sequelize => {
       });
     }
 
+    // 用户拥有多个API密钥
+    if (models.ApiKey) {
+      User.hasMany(models.ApiKey, {
+        foreignKey: 'userId',
+        as: 'apiKeys',
+      });
+    }
+
+    // 用户绑定的外部身份（OIDC等）
+    if (models.UserIdentity) {
+      User.hasMany(models.UserIdentity, {
+        foreignKey: 'userId',
+        as: 'identities',
+      });
+    }
+
+    // 用户注册的WebAuthn凭据（通行密钥）
+    if (models.WebAuthnCredential) {
+      User.hasMany(models.WebAuthnCredential, {
+        foreignKey: 'userId',
+        as: 'webAuthnCredentials',
+      });
+    }
+
+    // 用户的登录记录
+    if (models.LoginEvent) {
+      User.hasMany(models.LoginEvent, {
+        foreignKey: 'userId',
+        as: 'loginEvents',
+      });
+    }
+
     // 其他关联关系
     // 例如: User.hasMany(models.Order, { foreignKey: 'userId', as: 'orders' });
   };
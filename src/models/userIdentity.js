@@ -0,0 +1,92 @@
+/**
+ * 外部身份模型
+ * 记录用户与外部身份提供方（OIDC、LDAP、SAML等）账户的绑定关系
+ */
+const { DataTypes } = require('sequelize');
+const { IDENTITY_TYPES } = require('../constants/business');
+
+/**
+ * 定义外部身份模型
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize实例
+ */
+module.exports = sequelize => {
+  const UserIdentity = sequelize.define(
+    'UserIdentity',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: '绑定的本地用户',
+      },
+      tenantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: '多租户标识',
+      },
+      type: {
+        type: DataTypes.ENUM(...Object.values(IDENTITY_TYPES)),
+        allowNull: false,
+        comment: '身份提供方类型',
+      },
+      provider: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: '身份提供方名称',
+      },
+      providerTenantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: '身份提供方配置所属的租户，全局配置的提供方为空',
+      },
+      issuer: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: '身份提供方标识（如OIDC的iss）',
+      },
+      subject: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: '用户在身份提供方中的唯一标识（如OIDC的sub）',
+      },
+      email: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      lastLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      timestamps: true,
+      tableName: 'user_identities',
+      indexes: [
+        {
+          unique: true,
+          fields: ['type', 'providerTenantId', 'provider', 'issuer', 'subject'],
+        },
+        {
+          fields: ['userId'],
+        },
+      ],
+    }
+  );
+
+  /**
+   * 建立关联关系
+   * @param {Object} models - 所有模型
+   */
+  UserIdentity.associate = function (models) {
+    UserIdentity.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  };
+
+  return UserIdentity;
+};
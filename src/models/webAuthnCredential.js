@@ -0,0 +1,108 @@
+/**
+ * WebAuthn凭据模型
+ * 用户注册的通行密钥或安全密钥，只保存公钥，私钥始终留在验证器中
+ */
+const { DataTypes } = require('sequelize');
+
+/**
+ * 定义WebAuthn凭据模型
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize实例
+ */
+module.exports = sequelize => {
+  const WebAuthnCredential = sequelize.define(
+    'WebAuthnCredential',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: '凭据所属用户',
+      },
+      tenantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: '多租户标识',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          len: [1, 100],
+        },
+        comment: '用户为凭据设置的名称',
+      },
+      credentialId: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+        unique: true,
+        comment: '验证器生成的凭据ID（base64url）',
+      },
+      publicKey: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'COSE格式的凭据公钥（base64url）',
+      },
+      counter: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '签名计数器，用于发现被克隆的验证器',
+      },
+      transports: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: '验证器支持的传输方式（usb、nfc、ble、internal、hybrid）',
+      },
+      deviceType: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'singleDevice（设备绑定）或multiDevice（可同步的通行密钥）',
+      },
+      backedUp: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      aaguid: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+        comment: '验证器型号标识',
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      timestamps: true,
+      tableName: 'webauthn_credentials',
+      indexes: [
+        {
+          unique: true,
+          fields: ['credentialId'],
+        },
+        {
+          fields: ['userId'],
+        },
+      ],
+    }
+  );
+
+  /**
+   * 建立关联关系
+   * @param {Object} models - 所有模型
+   */
+  WebAuthnCredential.associate = function (models) {
+    WebAuthnCredential.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user',
+    });
+  };
+
+  return WebAuthnCredential;
+};
@@ -0,0 +1,104 @@
+/**
+ * 授权策略的可复用条件
+ *
+ * 每个条件包含：
+ * - description: 条件说明，用于解释拒绝原因
+ * - test({ subject, resource, context }): 判断条件是否满足
+ * - where({ subject, context }): 可选，把条件转换为数据库查询条件，用于列表过滤
+ * - subjectOnly: 可选，条件只依赖当前用户和上下文，与具体资源无关
+ */
+const { Op } = require('sequelize');
+const roleService = require('../services/roleService');
+const { PERMISSIONS } = require('../constants/business');
+
+/**
+ * 当前用户拥有指定权限
+ * @param {string} permission - 权限
+ * @returns {Object} - 条件
+ */
+const hasPermission = permission => ({
+  description: `需要${permission}权限`,
+  subjectOnly: true,
+  test: ({ subject }) => roleService.hasPermission(subject, permission),
+});
+
+/**
+ * 目标是当前用户本人
+ */
+const isSelf = {
+  description: '目标必须是当前用户本人',
+  test: ({ subject, resource }) => subject.id === resource.id,
+  where: ({ subject }) => ({ id: subject.id }),
+};
+
+/**
+ * 目标不是当前用户本人
+ */
+const isNotSelf = {
+  description: '不能对自己执行该操作',
+  test: ({ subject, resource }) => subject.id !== resource.id,
+  where: ({ subject }) => ({ id: { [Op.ne]: subject.id } }),
+};
+
+/**
+ * 目标在当前用户可访问的租户内（同一租户，或拥有跨租户权限）
+ */
+const inAccessibleTenant = {
+  description: `目标必须属于当前用户所在的租户，或当前用户拥有${PERMISSIONS.TENANTS_ALL}权限`,
+  test: async ({ subject, resource }) => resource.tenantId === subject.tenantId || roleService.hasPermission(subject, PERMISSIONS.TENANTS_ALL),
+  where: async ({ subject }) => ((await roleService.hasPermission(subject, PERMISSIONS.TENANTS_ALL)) ? {} : { tenantId: subject.tenantId }),
+};
+
+/**
+ * 目标租户是当前用户所在的租户，或当前用户拥有跨租户权限（用于租户资源本身）
+ */
+const isAccessibleTenant = {
+  description: `目标必须是当前用户所在的租户，或当前用户拥有${PERMISSIONS.TENANTS_ALL}权限`,
+  test: async ({ subject, resource }) => resource.id === subject.tenantId || roleService.hasPermission(subject, PERMISSIONS.TENANTS_ALL),
+  where: async ({ subject }) => ((await roleService.hasPermission(subject, PERMISSIONS.TENANTS_ALL)) ? {} : { id: subject.tenantId }),
+};
+
+/**
+ * 目标租户不是当前用户所在的租户，避免停用自己所在的租户后无法再访问
+ */
+const isNotOwnTenant = {
+  description: '不能对自己所在的租户执行该操作',
+  test: ({ subject, resource }) => resource.id !== subject.tenantId,
+};
+
+/**
+ * 目标用户的权限低于当前用户
+ */
+const outranksTarget = {
+  description: '目标用户的权限必须低于当前用户（目标的权限是当前用户权限的真子集）',
+  test: ({ subject, resource }) => roleService.canManageUser(subject, resource),
+};
+
+/**
+ * 目标用户不拥有全部权限（如admin），避免借助目标用户的身份获得全部权限
+ */
+const targetNotSuperuser = {
+  description: `目标用户不能拥有全部权限（${PERMISSIONS.ALL}）`,
+  test: async ({ resource }) => !(await roleService.getPermissions(resource.roles)).includes(PERMISSIONS.ALL),
+};
+
+/**
+ * 要分配的角色（context.roles）的权限不超出当前用户的权限，未分配角色时视为满足
+ */
+const canAssignRoles = {
+  description: `分配角色需要${PERMISSIONS.USERS_UPDATE_ROLES}权限，且角色的权限不能超出当前用户的权限`,
+  subjectOnly: true,
+  test: async ({ subject, context }) => context.roles === undefined || ((await roleService.hasPermission(subject, PERMISSIONS.USERS_UPDATE_ROLES)) && roleService.canAssignRoles(subject, context.roles)),
+};
+
+module.exports = {
+  hasPermission,
+  isSelf,
+  isNotSelf,
+  inAccessibleTenant,
+  isAccessibleTenant,
+  isNotOwnTenant,
+  outranksTarget,
+  targetNotSuperuser,
+  canAssignRoles,
+};
@@ -0,0 +1,16 @@
+/**
+ * 授权策略
+ * 注册所有资源的策略，使用方式：
+ *   await policies.authorize(req.user, 'update', 'user', targetUser);
+ *   const where = await policies.scope(req.user, 'read', 'user');
+ */
+const PolicyEngine = require('./policyEngine');
+const userPolicy = require('./userPolicy');
+const tenantPolicy = require('./tenantPolicy');
+
+const policies = new PolicyEngine();
+
+policies.register('user', userPolicy);
+policies.register('tenant', tenantPolicy);
+
+module.exports = policies;
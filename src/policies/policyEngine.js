@@ -0,0 +1,187 @@
+/**
+ * 授权策略引擎
+ * 按资源类型注册策略，根据当前用户（subject）、目标资源（resource）和上下文（context）判断操作是否允许，
+ * 可在路由、服务和列表查询中复用，并能给出拒绝原因
+ */
+const { Op } = require('sequelize');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+
+/**
+ * 判断查询条件是否为空（不限制）
+ * @param {Object} where - 查询条件
+ * @returns {boolean} - 是否为空
+ */
+const isUnrestricted = where => Object.keys(where).length === 0 && Object.getOwnPropertySymbols(where).length === 0;
+
+class PolicyEngine {
+  constructor() {
+    this.policies = new Map();
+  }
+
+  /**
+   * 注册资源的授权策略
+   * @param {string} resourceType - 资源类型
+   * @param {Object} policy - 策略（操作名 => { message, rules }）
+   */
+  register(resourceType, policy) {
+    this.policies.set(resourceType, policy);
+  }
+
+  /**
+   * 获取操作的策略定义
+   * @param {string} resourceType - 资源类型
+   * @param {string} action - 操作
+   * @returns {Object} - 操作的策略
+   */
+  getActionPolicy(resourceType, action) {
+    const policy = this.policies.get(resourceType);
+
+    if (!policy || !policy[action]) {
+      throw new Error(`未定义的授权策略: ${resourceType}.${action}`);
+    }
+
+    return policy[action];
+  }
+
+  /**
+   * 评估操作是否允许，并返回每条规则的评估结果
+   * @param {Object} subject - 当前用户
+   * @param {string} action - 操作
+   * @param {string} resourceType - 资源类型
+   * @param {Object} resource - 目标资源
+   * @param {Object} context - 上下文
+   * @returns {Promise<Object>} - 评估结果 { allowed, resource, action, rule, rules }
+   */
+  async evaluate(subject, action, resourceType, resource = {}, context = {}) {
+    const { rules } = this.getActionPolicy(resourceType, action);
+    const results = [];
+
+    for (const rule of rules) {
+      let failed = null;
+
+      for (const condition of rule.conditions) {
+        if (!(await condition.test({ subject, resource, context }))) {
+          failed = condition.description;
+          break;
+        }
+      }
+
+      if (!failed) {
+        return { allowed: true, resource: resourceType, action, rule: rule.name, rules: results };
+      }
+
+      results.push({ rule: rule.name, description: rule.description, failed });
+    }
+
+    return { allowed: false, resource: resourceType, action, rule: null, rules: results };
+  }
+
+  /**
+   * 检查操作是否允许
+   * @param {Object} subject - 当前用户
+   * @param {string} action - 操作
+   * @param {string} resourceType - 资源类型
+   * @param {Object} resource - 目标资源
+   * @param {Object} context - 上下文
+   * @returns {Promise<boolean>} - 是否允许
+   */
+  async can(subject, action, resourceType, resource, context) {
+    return (await this.evaluate(subject, action, resourceType, resource, context)).allowed;
+  }
+
+  /**
+   * 要求操作必须允许，否则抛出403错误
+   * 开启authorization.explain时，错误详情中包含每条规则未满足的原因
+   * @param {Object} subject - 当前用户
+   * @param {string} action - 操作
+   * @param {string} resourceType - 资源类型
+   * @param {Object} resource - 目标资源
+   * @param {Object} context - 上下文
+   * @throws {ApiError} - 操作不允许
+   */
+  async authorize(subject, action, resourceType, resource, context) {
+    const result = await this.evaluate(subject, action, resourceType, resource, context);
+
+    if (!result.allowed) {
+      this.deny(subject, result);
+    }
+  }
+
+  /**
+   * 获取当前用户可以执行操作的资源范围，用于列表查询
+   * 无法转换为查询条件的规则会被忽略
+   * @param {Object} subject - 当前用户
+   * @param {string} action - 操作
+   * @param {string} resourceType - 资源类型
+   * @param {Object} context - 上下文
+   * @returns {Promise<Object|null>} - 查询条件，空对象表示不限制，null表示没有任何可访问的资源
+   */
+  async scope(subject, action, resourceType, context = {}) {
+    const { rules } = this.getActionPolicy(resourceType, action);
+    const scopes = [];
+
+    for (const rule of rules) {
+      const where = await this.ruleScope(rule, subject, context);
+
+      if (where && isUnrestricted(where)) {
+        return {};
+      }
+
+      if (where) {
+        scopes.push(where);
+      }
+    }
+
+    if (scopes.length === 0) {
+      return null;
+    }
+
+    return scopes.length === 1 ? scopes[0] : { [Op.or]: scopes };
+  }
+
+  /**
+   * 把一条规则转换为查询条件
+   * @param {Object} rule - 规则
+   * @param {Object} subject - 当前用户
+   * @param {Object} context - 上下文
+   * @returns {Promise<Object|null>} - 查询条件，规则不满足或无法转换时为null
+   */
+  async ruleScope(rule, subject, context) {
+    const parts = [];
+
+    for (const condition of rule.conditions) {
+      if (condition.where) {
+        parts.push(await condition.where({ subject, context }));
+      } else if (!condition.subjectOnly || !(await condition.test({ subject, resource: null, context }))) {
+        return null;
+      }
+    }
+
+    const filtered = parts.filter(part => !isUnrestricted(part));
+
+    if (filtered.length <= 1) {
+      return filtered[0] || {};
+    }
+
+    return { [Op.and]: filtered };
+  }
+
+  /**
+   * 记录拒绝原因并抛出403错误
+   * @param {Object} subject - 当前用户
+   * @param {Object} result - 评估结果
+   * @throws {ApiError}
+   */
+  deny(subject, result) {
+    const { message } = this.getActionPolicy(result.resource, result.action);
+
+    logger.debug('授权被拒绝', { userId: subject.id, resource: result.resource, action: result.action, rules: result.rules });
+
+    throw new ApiError(statusCodes.FORBIDDEN, message || '权限不足', 'AUTH_INSUFFICIENT_PERMISSIONS', config.authorization.explain ? result : null);
+  }
+}
+
+module.exports = PolicyEngine;
@@ -0,0 +1,75 @@
+/**
+ * 租户资源的授权策略
+ * 租户管理员（有tenants:manage权限但没有tenants:all权限）只能查看和修改自己所在的租户；
+ * 创建、停用、删除租户和管理租户的数据库是平台级操作，需要跨租户权限
+ */
+const { PERMISSIONS } = require('../constants/business');
+const { hasPermission, isAccessibleTenant, isNotOwnTenant } = require('./conditions');
+
+module.exports = {
+  read: {
+    message: '权限不足，无法查看该租户',
+    rules: [
+      {
+        name: 'reader',
+        description: `拥有${PERMISSIONS.TENANTS_READ}权限的用户可以查看可访问的租户`,
+        conditions: [hasPermission(PERMISSIONS.TENANTS_READ), isAccessibleTenant],
+      },
+    ],
+  },
+
+  create: {
+    message: '权限不足，无法创建租户',
+    rules: [
+      {
+        name: 'platformAdmin',
+        description: `拥有${PERMISSIONS.TENANTS_MANAGE}和${PERMISSIONS.TENANTS_ALL}权限的用户可以创建租户`,
+        conditions: [hasPermission(PERMISSIONS.TENANTS_MANAGE), hasPermission(PERMISSIONS.TENANTS_ALL)],
+      },
+    ],
+  },
+
+  update: {
+    message: '权限不足，无法修改该租户',
+    rules: [
+      {
+        name: 'manager',
+        description: `拥有${PERMISSIONS.TENANTS_MANAGE}权限的用户可以修改可访问租户的名称、套餐和配置`,
+        conditions: [hasPermission(PERMISSIONS.TENANTS_MANAGE), isAccessibleTenant],
+      },
+    ],
+  },
+
+  updateStatus: {
+    message: '权限不足，无法停用或恢复该租户',
+    rules: [
+      {
+        name: 'platformAdmin',
+        description: `拥有${PERMISSIONS.TENANTS_MANAGE}和${PERMISSIONS.TENANTS_ALL}权限的用户可以停用或恢复自己所在租户以外的租户`,
+        conditions: [hasPermission(PERMISSIONS.TENANTS_MANAGE), hasPermission(PERMISSIONS.TENANTS_ALL), isNotOwnTenant],
+      },
+    ],
+  },
+
+  manageDatabase: {
+    message: '权限不足，无法管理该租户的数据库',
+    rules: [
+      {
+        name: 'platformAdmin',
+        description: `拥有${PERMISSIONS.TENANTS_MANAGE}和${PERMISSIONS.TENANTS_ALL}权限的用户可以查看和修改租户的独立数据库连接配置`,
+        conditions: [hasPermission(PERMISSIONS.TENANTS_MANAGE), hasPermission(PERMISSIONS.TENANTS_ALL)],
+      },
+    ],
+  },
+
+  delete: {
+    message: '权限不足，无法删除该租户',
+    rules: [
+      {
+        name: 'platformAdmin',
+        description: `拥有${PERMISSIONS.TENANTS_MANAGE}和${PERMISSIONS.TENANTS_ALL}权限的用户可以删除自己所在租户以外的租户`,
+        conditions: [hasPermission(PERMISSIONS.TENANTS_MANAGE), hasPermission(PERMISSIONS.TENANTS_ALL), isNotOwnTenant],
+      },
+    ],
+  },
+};
@@ -0,0 +1,155 @@
+/**
+ * 用户资源的授权策略
+ * 每个操作由若干条规则组成，满足任意一条规则即允许；一条规则的所有条件都满足才算满足
+ */
+const { PERMISSIONS } = require('../constants/business');
+const { hasPermission, isSelf, isNotSelf, inAccessibleTenant, outranksTarget, targetNotSuperuser, canAssignRoles } = require('./conditions');
+
+module.exports = {
+  read: {
+    message: '权限不足，无法查看该用户',
+    rules: [
+      {
+        name: 'self',
+        description: '用户可以查看自己',
+        conditions: [isSelf],
+      },
+      {
+        name: 'reader',
+        description: `拥有${PERMISSIONS.USERS_READ}权限的用户可以查看可访问租户内的用户`,
+        conditions: [hasPermission(PERMISSIONS.USERS_READ), inAccessibleTenant],
+      },
+    ],
+  },
+
+  create: {
+    message: '权限不足，无法创建该用户',
+    rules: [
+      {
+        name: 'creator',
+        description: `拥有${PERMISSIONS.USERS_CREATE}权限的用户可以在可访问的租户内创建用户，并分配不超出自己权限的角色`,
+        conditions: [hasPermission(PERMISSIONS.USERS_CREATE), inAccessibleTenant, canAssignRoles],
+      },
+    ],
+  },
+
+  update: {
+    message: '权限不足，无法修改该用户',
+    rules: [
+      {
+        name: 'self',
+        description: '用户可以修改自己的基本信息',
+        conditions: [isSelf],
+      },
+      {
+        name: 'manager',
+        description: `拥有${PERMISSIONS.USERS_UPDATE}权限的用户可以修改可访问租户内权限低于自己的用户`,
+        conditions: [hasPermission(PERMISSIONS.USERS_UPDATE), inAccessibleTenant, outranksTarget],
+      },
+    ],
+  },
+
+  updateRoles: {
+    message: '权限不足，无法修改该用户的角色',
+    rules: [
+      {
+        name: 'roleManager',
+        description: `拥有${PERMISSIONS.USERS_UPDATE_ROLES}权限的用户可以为可访问租户内权限低于自己的其他用户分配不超出自己权限的角色`,
+        conditions: [hasPermission(PERMISSIONS.USERS_UPDATE_ROLES), isNotSelf, inAccessibleTenant, outranksTarget, canAssignRoles],
+      },
+    ],
+  },
+
+  updateStatus: {
+    message: '权限不足，无法修改该用户的状态',
+    rules: [
+      {
+        name: 'statusManager',
+        description: `拥有${PERMISSIONS.USERS_UPDATE_STATUS}权限的用户可以修改可访问租户内权限低于自己的其他用户的状态`,
+        conditions: [hasPermission(PERMISSIONS.USERS_UPDATE_STATUS), isNotSelf, inAccessibleTenant, outranksTarget],
+      },
+    ],
+  },
+
+  changeTenant: {
+    message: '权限不足，无法把用户移到其他租户',
+    rules: [
+      {
+        name: 'sameTenant',
+        description: '用户所在的租户必须是当前用户可访问的租户',
+        conditions: [inAccessibleTenant],
+      },
+    ],
+  },
+
+  delete: {
+    message: '权限不足，无法删除该用户',
+    rules: [
+      {
+        name: 'manager',
+        description: `拥有${PERMISSIONS.USERS_DELETE}权限的用户可以删除可访问租户内权限低于自己的其他用户`,
+        conditions: [hasPermission(PERMISSIONS.USERS_DELETE), isNotSelf, inAccessibleTenant, outranksTarget],
+      },
+    ],
+  },
+
+  revokeSessions: {
+    message: '权限不足，无法吊销该用户的会话',
+    rules: [
+      {
+        name: 'manager',
+        description: `拥有${PERMISSIONS.USERS_SESSIONS_REVOKE}权限的用户可以吊销可访问租户内权限低于自己的用户的会话`,
+        conditions: [hasPermission(PERMISSIONS.USERS_SESSIONS_REVOKE), inAccessibleTenant, outranksTarget],
+      },
+    ],
+  },
+
+  resetMfa: {
+    message: '权限不足，无法重置该用户的多因素认证',
+    rules: [
+      {
+        name: 'manager',
+        description: `拥有${PERMISSIONS.USERS_MFA_RESET}权限的用户可以重置可访问租户内权限低于自己的用户的多因素认证`,
+        conditions: [hasPermission(PERMISSIONS.USERS_MFA_RESET), inAccessibleTenant, outranksTarget],
+      },
+    ],
+  },
+
+  unlock: {
+    message: '权限不足，无法解除该用户的登录限制',
+    rules: [
+      {
+        name: 'manager',
+        description: `拥有${PERMISSIONS.USERS_UNLOCK}权限的用户可以解除可访问租户内权限低于自己的用户因登录失败被限制的状态`,
+        conditions: [hasPermission(PERMISSIONS.USERS_UNLOCK), inAccessibleTenant, outranksTarget],
+      },
+    ],
+  },
+
+  impersonate: {
+    message: '权限不足，无法模拟该用户登录',
+    rules: [
+      {
+        name: 'support',
+        description: `拥有${PERMISSIONS.USERS_IMPERSONATE}权限的用户可以模拟可访问租户内权限低于自己、且不拥有全部权限的其他用户`,
+        conditions: [hasPermission(PERMISSIONS.USERS_IMPERSONATE), isNotSelf, inAccessibleTenant, outranksTarget, targetNotSuperuser],
+      },
+    ],
+  },
+
+  manageApiKeys: {
+    message: '权限不足，只能管理自己的API密钥',
+    rules: [
+      {
+        name: 'self',
+        description: '用户可以管理自己的API密钥',
+        conditions: [isSelf],
+      },
+      {
+        name: 'manager',
+        description: `拥有${PERMISSIONS.USERS_API_KEYS_MANAGE}权限的用户可以管理可访问租户内权限低于自己的用户的API密钥`,
+        conditions: [hasPermission(PERMISSIONS.USERS_API_KEYS_MANAGE), inAccessibleTenant, outranksTarget],
+      },
+    ],
+  },
+};
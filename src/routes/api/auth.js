@@ -4,10 +4,20 @@
 const express = require('express');
 const router = express.Router();
 const userService = require('../../services/userService');
+const sessionService = require('../../services/sessionService');
+const emailVerificationService = require('../../services/emailVerificationService');
+const passwordPolicyService = require('../../services/passwordPolicyService');
+const authProviderService = require('../../services/authProviderService');
+const magicLinkService = require('../../services/magicLinkService');
+const loginHistoryService = require('../../services/loginHistoryService');
+const samlService = require('../../services/samlService');
+const policies = require('../../policies');
 const { asyncHandler } = require('../../middleware/generic/errorHandler');
-const { authenticate } = require('../../middleware/auth/jwtAuth');
+const { authenticate, forbidImpersonation, requirePermission, tenantAccess } = require('../../middleware/auth/jwtAuth');
+const sessionCookie = require('../../middleware/auth/sessionCookie');
 const statusCodes = require('../../constants/statusCodes');
-const { PASSWORD_RULES } = require('../../constants/business');
+const logger = require('../../utils/logger');
+const { AUTH_TYPES, IDENTITY_TYPES, PERMISSIONS, SUPPORTED_LOCALES } = require('../../constants/business');
 
 /**
  * @swagger
@@ -41,9 +51,13 @@ const { PASSWORD_RULES } = require('../../constants/business');
  *                 type: string
  *               lastName:
  *                 type: string
+ *               locale:
+ *                 type: string
+ *                 enum: [zh-CN, en-US]
+ *                 description: 首选语言，用于邮件通知
  *     responses:
  *       201:
- *         description: 用户创建成功
+ *         description: 用户创建成功，验证邮件已发送到注册邮箱
  *       400:
  *         description: 请求数据无效
  *       409:
@@ -54,7 +68,7 @@ const { PASSWORD_RULES } = require('../../constants/business');
 router.post(
   '/register',
   asyncHandler(async (req, res) => {
-    const { username, email, password, firstName, lastName } = req.body;
+    const { username, email, password, firstName, lastName, locale } = req.body;
 
     // 验证请求参数
     if (!username || !email || !password) {
@@ -90,54 +104,35 @@ router.post(
       });
     }
 
-    // 验证密码复杂度
-    const passwordErrors = [];
-
-    if (password.length < PASSWORD_RULES.MIN_LENGTH) {
-      passwordErrors.push(`密码长度必须至少为${PASSWORD_RULES.MIN_LENGTH}个字符`);
-    }
-
-    if (PASSWORD_RULES.REQUIRE_LOWERCASE && !/[a-z]/.test(password)) {
-      passwordErrors.push('密码必须包含至少一个小写字母');
-    }
-
-    if (PASSWORD_RULES.REQUIRE_UPPERCASE && !/[A-Z]/.test(password)) {
-      passwordErrors.push('密码必须包含至少一个大写字母');
-    }
-
-    if (PASSWORD_RULES.REQUIRE_NUMBER && !/\d/.test(password)) {
-      passwordErrors.push('密码必须包含至少一个数字');
-    }
-
-    if (PASSWORD_RULES.REQUIRE_SPECIAL && !/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
-      passwordErrors.push('密码必须包含至少一个特殊字符');
-    }
-
-    if (passwordErrors.length > 0) {
+    // 验证语言
+    if (locale && !SUPPORTED_LOCALES.includes(locale)) {
       return res.status(statusCodes.BAD_REQUEST).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: '密码不符合安全要求',
-          details: passwordErrors,
+          message: `不支持的语言，可选值: ${SUPPORTED_LOCALES.join(', ')}`,
         },
       });
     }
 
-    // 创建用户
+    // 创建用户（密码策略由用户服务统一校验）
     const userData = {
       username,
       email,
       password,
       firstName,
       lastName,
+      locale,
     };
 
     const user = await userService.register(userData);
 
+    // 发送验证邮件
+    await emailVerificationService.sendVerification(user);
+
     res.status(statusCodes.CREATED).json({
       success: true,
-      message: '注册成功',
+      message: '注册成功，请查收验证邮件',
       data: user,
     });
   })
@@ -145,10 +140,10 @@ router.post(
 
 /**
  * @swagger
- * /api/v1/auth/login:
+ * /api/v1/auth/verify-email:
  *   post:
- *     summary: 用户登录
- *     description: 使用用户名/邮箱和密码登录
+ *     summary: 验证邮箱
+ *     description: 使用验证邮件中的令牌验证邮箱地址
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -157,94 +152,49 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - username
- *               - password
+ *               - token
  *             properties:
- *               username:
- *                 type: string
- *                 description: 用户名或邮箱
- *               password:
+ *               token:
  *                 type: string
  *     responses:
  *       200:
- *         description: 登录成功
+ *         description: 邮箱验证成功
  *       400:
- *         description: 请求数据无效
- *       401:
- *         description: 用户名或密码错误
- *       403:
- *         description: 账户被锁定或未激活
+ *         description: 验证令牌无效或已过期
  *       500:
  *         description: 服务器错误
  */
 router.post(
-  '/login',
+  '/verify-email',
   asyncHandler(async (req, res) => {
-    const { username, password } = req.body;
+    const { token } = req.body;
 
     // 验证请求参数
-    if (!username || !password) {
+    if (!token) {
       return res.status(statusCodes.BAD_REQUEST).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: '用户名/邮箱和密码都是必填项',
+          message: '验证令牌是必填项',
         },
       });
     }
 
-    // 登录
-    const result = await userService.login(username, password);
-
-    res.json({
-      success: true,
-      message: '登录成功',
-      data: result,
-    });
-  })
-);
-
-/**
- * @swagger
- * /api/v1/auth/logout:
- *   post:
- *     summary: 注销登录
- *     description: 注销当前用户会话
- *     tags: [Auth]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: 注销成功
- *       401:
- *         description: 未授权
- *       500:
- *         description: 服务器错误
- */
-router.post(
-  '/logout',
-  authenticate,
-  asyncHandler(async (req, res) => {
-    // 获取认证令牌
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
-
-    // 注销登录
-    await userService.logout(token, req.user);
+    await emailVerificationService.verifyEmail(token);
 
     res.json({
       success: true,
-      message: '注销成功',
+      message: '邮箱验证成功',
     });
   })
 );
 
 /**
  * @swagger
- * /api/v1/auth/forgot-password:
+ * /api/v1/auth/resend-verification:
  *   post:
- *     summary: 忘记密码
- *     description: 发送密码重置链接到用户邮箱
+ *     summary: 重新发送验证邮件
+ *     description: 向未验证的邮箱重新发送验证邮件。无论邮箱是否已注册都返回相同的响应
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -260,14 +210,14 @@ router.post(
  *                 format: email
  *     responses:
  *       200:
- *         description: 密码重置链接已发送
- *       404:
- *         description: 邮箱未注册
+ *         description: 请求已受理
+ *       400:
+ *         description: 请求数据无效
  *       500:
  *         description: 服务器错误
  */
 router.post(
-  '/forgot-password',
+  '/resend-verification',
   asyncHandler(async (req, res) => {
     const { email } = req.body;
 
@@ -294,27 +244,21 @@ router.post(
       });
     }
 
-    // 请求密码重置
-    const resetToken = await userService.requestPasswordReset(email);
-
-    // 注意：在实际应用中，这里应该发送邮件而不是直接返回令牌
-    // 这里为了演示方便，直接返回令牌
+    await emailVerificationService.resendVerification(email);
 
     res.json({
       success: true,
-      message: '密码重置链接已发送到您的邮箱',
-      // 仅在开发环境返回令牌，生产环境不应该这样做
-      ...(process.env.NODE_ENV !== 'production' && { resetToken }),
+      message: '如果该邮箱已注册且尚未验证，验证邮件将很快送达',
     });
   })
 );
 
 /**
  * @swagger
- * /api/v1/auth/reset-password:
+ * /api/v1/auth/login:
  *   post:
- *     summary: 重置密码
- *     description: 使用重置令牌重设密码
+ *     summary: 用户登录
+ *     description: 使用用户名/邮箱和密码登录。启用会话Cookie时访问令牌和刷新令牌通过HttpOnly Cookie下发，响应中不再返回令牌，改为返回csrfToken，之后的写操作需在X-CSRF-Token请求头中携带该值
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -323,112 +267,1049 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - token
- *               - newPassword
+ *               - username
+ *               - password
  *             properties:
- *               token:
+ *               username:
  *                 type: string
- *               newPassword:
+ *                 description: 用户名或邮箱
+ *               password:
  *                 type: string
- *                 minLength: 8
+ *               deviceName:
+ *                 type: string
+ *                 description: 设备名称（可选，用于会话列表展示）
+ *               tenantId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: 租户ID（可选，目录用户首次登录时用于确定所属租户和目录配置）
+ *               captchaToken:
+ *                 type: string
+ *                 description: 人机验证令牌（登录失败次数过多、服务端要求人机验证时必填）
  *     responses:
  *       200:
- *         description: 密码重置成功
+ *         description: 登录成功；用户需要多因素认证时返回mfaRequired和mfaToken，需调用 /auth/mfa/verify 完成登录；密码已过期时返回passwordChangeRequired和passwordChangeToken，需调用 /auth/change-expired-password 完成登录
  *       400:
- *         description: 请求数据无效或令牌已过期
+ *         description: 请求数据无效
+ *       401:
+ *         description: 用户名或密码错误；之后需要人机验证时details中返回captchaRequired和人机验证信息
+ *       403:
+ *         description: 账户未激活、邮箱未验证，或需要人机验证（AUTH_CAPTCHA_REQUIRED、AUTH_CAPTCHA_INVALID，details.captcha中返回验证服务和站点密钥）
+ *       409:
+ *         description: 目录账户的邮箱已被其他账户使用
+ *       429:
+ *         description: 登录失败次数过多，暂时不能登录（details.retryAfter为剩余秒数）
  *       500:
  *         description: 服务器错误
+ *       503:
+ *         description: 目录服务暂时不可用
  */
 router.post(
-  '/reset-password',
+  '/login',
   asyncHandler(async (req, res) => {
-    const { token, newPassword } = req.body;
+    const { username, password, deviceName, tenantId, captchaToken } = req.body;
 
     // 验证请求参数
-    if (!token || !newPassword) {
+    if (!username || !password) {
       return res.status(statusCodes.BAD_REQUEST).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: '令牌和新密码都是必填项',
+          message: '用户名/邮箱和密码都是必填项',
         },
       });
     }
 
-    // 验证密码复杂度
-    const passwordErrors = [];
+    // 登录
+    const result = await userService.login(username, password, { ip: req.ip, userAgent: req.get('user-agent'), deviceName, tenantId, captchaToken });
 
-    if (newPassword.length < PASSWORD_RULES.MIN_LENGTH) {
-      passwordErrors.push(`密码长度必须至少为${PASSWORD_RULES.MIN_LENGTH}个字符`);
+    let message = '登录成功';
+    if (result.mfaRequired) {
+      message = '请完成多因素认证';
+    } else if (result.passwordChangeRequired) {
+      message = '密码已过期，请修改密码';
     }
 
-    if (PASSWORD_RULES.REQUIRE_LOWERCASE && !/[a-z]/.test(newPassword)) {
-      passwordErrors.push('密码必须包含至少一个小写字母');
-    }
+    res.json({
+      success: true,
+      message,
+      data: result,
+    });
+  })
+);
 
-    if (PASSWORD_RULES.REQUIRE_UPPERCASE && !/[A-Z]/.test(newPassword)) {
-      passwordErrors.push('密码必须包含至少一个大写字母');
-    }
+/**
+ * @swagger
+ * /api/v1/auth/change-expired-password:
+ *   post:
+ *     summary: 修改过期密码
+ *     description: 密码超过最长使用期限时，使用登录返回的passwordChangeToken设置新密码并完成登录，其他会话将全部失效
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - passwordChangeToken
+ *               - newPassword
+ *             properties:
+ *               passwordChangeToken:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 密码修改成功并完成登录
+ *       400:
+ *         description: 请求数据无效或新密码不符合密码策略
+ *       401:
+ *         description: 修改密码令牌无效或已过期
+ *       403:
+ *         description: 账户未激活或已被禁用
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/change-expired-password',
+  asyncHandler(async (req, res) => {
+    const { passwordChangeToken, newPassword } = req.body;
 
-    if (PASSWORD_RULES.REQUIRE_NUMBER && !/\d/.test(newPassword)) {
-      passwordErrors.push('密码必须包含至少一个数字');
+    // 验证请求参数
+    if (!passwordChangeToken || !newPassword) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '修改密码令牌和新密码都是必填项',
+        },
+      });
     }
 
-    if (PASSWORD_RULES.REQUIRE_SPECIAL && !/[!@#$%^&*(),.?":{}|<>]/.test(newPassword)) {
-      passwordErrors.push('密码必须包含至少一个特殊字符');
+    const result = await userService.changeExpiredPassword(passwordChangeToken, newPassword);
+
+    res.json({
+      success: true,
+      message: '密码修改成功',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: 刷新令牌
+ *     description: 使用刷新令牌换取新的访问令牌和刷新令牌。每个刷新令牌只能使用一次，重复使用将吊销该登录产生的所有令牌。启用会话Cookie时可不传refreshToken，改用Cookie中的刷新令牌，此时需在X-CSRF-Token请求头中携带CSRF令牌
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: 刷新令牌（使用会话Cookie时可省略）
+ *     responses:
+ *       200:
+ *         description: 刷新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 刷新令牌无效、已过期或已被使用
+ *       403:
+ *         description: 账户未激活或已被禁用，或CSRF令牌无效
+ *       500:
+ *         description: 服务器错误
+ *       503:
+ *         description: 令牌存储暂时不可用，刷新令牌仍然有效，可稍后重试
+ */
+router.post(
+  '/refresh',
+  asyncHandler(async (req, res) => {
+    // 请求体中未提供时使用浏览器会话Cookie中的刷新令牌
+    const cookieToken = req.body.refreshToken ? null : sessionCookie.getRefreshToken(req);
+    if (cookieToken) {
+      sessionCookie.verifyCsrf(req);
     }
 
-    if (passwordErrors.length > 0) {
+    const refreshToken = req.body.refreshToken || cookieToken;
+
+    // 验证请求参数
+    if (!refreshToken) {
       return res.status(statusCodes.BAD_REQUEST).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: '密码不符合安全要求',
-          details: passwordErrors,
+          message: '刷新令牌是必填项',
         },
       });
     }
 
-    // 重置密码
-    await userService.resetPassword(token, newPassword);
+    const result = await userService.refreshToken(refreshToken, { ip: req.ip, userAgent: req.get('user-agent') });
 
     res.json({
       success: true,
-      message: '密码重置成功，请使用新密码登录',
+      message: '令牌刷新成功',
+      data: result,
     });
   })
 );
 
 /**
  * @swagger
- * /api/v1/auth/me:
- *   get:
- *     summary: 获取当前用户信息
- *     description: 获取当前已登录用户的详细信息
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: 注销登录
+ *     description: 注销当前用户会话，同时吊销该会话的刷新令牌并清除会话Cookie。使用模拟登录令牌时即结束模拟。通过SAML登录且身份提供方支持单点注销时，返回samlLogoutUrl，客户端应重定向到该地址完成单点注销
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
  *     responses:
  *       200:
- *         description: 当前用户信息
+ *         description: 注销成功
  *       401:
  *         description: 未授权
  *       500:
  *         description: 服务器错误
  */
-router.get(
-  '/me',
+router.post(
+  '/logout',
   authenticate,
   asyncHandler(async (req, res) => {
-    // 从请求中获取用户ID
-    const userId = req.user.id;
+    // 获取认证令牌（请求头或浏览器会话Cookie）
+    const authHeader = req.headers.authorization;
+    const token = authHeader ? authHeader.split(' ')[1] : sessionCookie.getAccessToken(req);
 
-    // 获取用户详情
-    const user = await userService.getUserById(userId);
+    // 通过SAML登录的会话，注销后需要通知身份提供方
+    const session = req.user.fid ? await sessionService.getSession(req.user.fid) : null;
+
+    // 注销登录
+    await userService.logout(token, req.user);
+    sessionCookie.clearSessionCookies(res);
+
+    const samlLogoutUrl = session && session.sso && session.sso.type === IDENTITY_TYPES.SAML ? await samlService.createLogoutUrl(session.sso) : null;
 
     res.json({
       success: true,
-      data: user,
+      message: '注销成功',
+      data: samlLogoutUrl ? { samlLogoutUrl } : undefined,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/reauthenticate:
+ *   post:
+ *     summary: 重新认证
+ *     description: 修改角色、删除用户、修改密码等敏感操作要求最近进行过认证。使用密码、第二因素（TOTP口令或恢复码）或通行密钥重新认证后，当前会话在stepUp.maxAge秒内可以执行这些操作；同时提供密码和第二因素时记为多因素认证。通行密钥的认证选项通过 /auth/webauthn/authentication/options 传入自己的用户名获取。验证失败计入登录失败次数
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 验证器生成的6位口令
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 恢复码
+ *               webauthn:
+ *                 type: object
+ *                 description: 通行密钥认证结果（AuthenticationResponseJSON）
+ *     responses:
+ *       200:
+ *         description: 重新认证成功，返回认证时间（authTime）、认证强度（authLevel）和有效期（maxAge）
+ *       400:
+ *         description: 请求数据无效或当前登录方式不支持重新认证
+ *       401:
+ *         description: 未授权或身份验证失败
+ *       403:
+ *         description: 账户未激活，或模拟登录期间不能执行此操作
+ *       429:
+ *         description: 验证失败次数过多，暂时不能重新认证
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/reauthenticate',
+  authenticate,
+  forbidImpersonation,
+  asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode, webauthn } = req.body;
+
+    // 验证请求参数
+    if (!password && !code && !recoveryCode && !webauthn) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '请提供密码、验证码、恢复码或通行密钥',
+        },
+      });
+    }
+
+    const result = await userService.reauthenticate(req.user, { password, code, recoveryCode, webauthn }, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: '身份验证成功',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/impersonate/{userId}:
+ *   post:
+ *     summary: 模拟用户登录
+ *     description: 客服排查问题时以指定用户的身份访问系统，需要users:impersonate权限，只能模拟权限低于自己的用户。返回的访问令牌同时记录被模拟的用户和真实操作者，到期后不能刷新；模拟期间不能修改密码、多因素认证和API密钥，所有审计日志都会记录真实操作者。模拟登录沿用操作者自己的认证时间，需要重新认证的操作以操作者最近一次认证为准。调用 /auth/logout 结束模拟
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 被模拟的用户ID
+ *     responses:
+ *       200:
+ *         description: 模拟登录成功，返回被模拟的用户信息和访问令牌
+ *       400:
+ *         description: 用户未激活或已禁用
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足、使用API密钥或已处于模拟登录状态
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/impersonate/:userId',
+  authenticate,
+  forbidImpersonation,
+  asyncHandler(async (req, res) => {
+    // 只能由登录用户发起，API密钥不能模拟登录
+    if (req.user.authType === AUTH_TYPES.API_KEY) {
+      return res.status(statusCodes.FORBIDDEN).json({
+        success: false,
+        error: {
+          code: 'AUTH_INSUFFICIENT_PERMISSIONS',
+          message: 'API密钥不能模拟用户登录',
+        },
+      });
+    }
+
+    // 在可查看的范围内查找用户，再检查能否模拟
+    const target = await userService.getUserInScope(req.params.userId, await policies.scope(req.user, 'read', 'user'));
+    await policies.authorize(req.user, 'impersonate', 'user', target);
+
+    const result = await userService.impersonate(req.user, target.id, { ip: req.ip, userAgent: req.get('user-agent') });
+
+    res.json({
+      success: true,
+      message: `正在以${target.username}的身份访问`,
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: 忘记密码
+ *     description: 如果邮箱已注册，发送密码重置链接。无论邮箱是否存在都返回相同的响应
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: 请求已受理
+ *       429:
+ *         description: 请求过于频繁
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/forgot-password',
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    // 验证请求参数
+    if (!email) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '邮箱是必填项',
+        },
+      });
+    }
+
+    // 验证邮箱格式
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '邮箱格式不正确',
+        },
+      });
+    }
+
+    // 请求密码重置，重置链接通过邮件发送
+    await userService.requestPasswordReset(email, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: '如果该邮箱已注册，密码重置链接将发送到该邮箱',
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: 重置密码
+ *     description: 使用重置令牌重设密码
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: 密码重置成功，所有已登录的会话均已失效
+ *       400:
+ *         description: 请求数据无效或令牌已过期
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/reset-password',
+  asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    // 验证请求参数
+    if (!token || !newPassword) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '令牌和新密码都是必填项',
+        },
+      });
+    }
+
+    // 重置密码（密码策略由用户服务统一校验）
+    await userService.resetPassword(token, newPassword);
+
+    res.json({
+      success: true,
+      message: '密码重置成功，请使用新密码登录',
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/magic-link:
+ *   post:
+ *     summary: 请求邮件登录链接
+ *     description: 向邮箱发送一次性的短期登录链接，用于免密码登录。需要所属租户启用邮件登录且用户角色在允许范围内；无论邮箱是否已注册、是否允许使用都返回相同的响应
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: 请求已受理
+ *       400:
+ *         description: 请求数据无效
+ *       429:
+ *         description: 请求过于频繁
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/magic-link',
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    // 验证请求参数
+    if (!email) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '邮箱是必填项',
+        },
+      });
+    }
+
+    // 验证邮箱格式
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (typeof email !== 'string' || !emailRegex.test(email)) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '邮箱格式不正确',
+        },
+      });
+    }
+
+    await magicLinkService.requestLink(email, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: '如果该邮箱可以使用邮件登录，登录链接将很快送达',
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/magic-link/verify:
+ *   get:
+ *     summary: 使用邮件登录链接登录
+ *     description: 用登录链接中的令牌换取访问令牌和刷新令牌，令牌只能使用一次。用户需要多因素认证时返回mfaRequired和mfaToken
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceName
+ *         schema:
+ *           type: string
+ *         description: 设备名称（可选，用于会话列表展示）
+ *     responses:
+ *       200:
+ *         description: 登录成功；需要多因素认证时返回mfaRequired和mfaToken，需调用 /auth/mfa/verify 完成登录
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 登录链接无效或已过期
+ *       403:
+ *         description: 账户已停用或不能使用邮件登录
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/magic-link/verify',
+  asyncHandler(async (req, res) => {
+    const { token, deviceName } = req.query;
+
+    // 验证请求参数
+    if (!token) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '登录令牌是必填项',
+        },
+      });
+    }
+
+    const result = await userService.loginWithMagicLink(token, { ip: req.ip, userAgent: req.get('user-agent'), deviceName });
+
+    res.json({
+      success: true,
+      message: result.mfaRequired ? '请完成多因素认证' : '登录成功',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/magic-link/settings:
+ *   get:
+ *     summary: 获取邮件登录策略
+ *     description: 获取全局或指定租户生效的邮件登录策略
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 租户ID，为空时获取全局策略（需要跨租户权限）
+ *     responses:
+ *       200:
+ *         description: 邮件登录策略
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   put:
+ *     summary: 更新邮件登录策略
+ *     description: 覆盖全局或指定租户的邮件登录策略，未传入的字段沿用上一级策略（租户策略 > 全局策略 > 配置默认值）
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 租户ID，为空时更新全局策略（需要跨租户权限）
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 description: 是否允许通过邮件链接免密码登录
+ *               allowedRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 允许使用的角色（如guest），为空数组时不限制
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/magic-link/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await magicLinkService.getPolicy(req.query.tenantId || null),
+    });
+  })
+);
+
+router.put(
+  '/magic-link/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    const tenantId = req.query.tenantId || null;
+    const policy = await magicLinkService.setPolicy(req.body, tenantId);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'update_magic_link_policy', 'settings', { tenantId, ...req.body });
+
+    res.json({
+      success: true,
+      message: '邮件登录策略已更新',
+      data: policy,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/password-policy:
+ *   get:
+ *     summary: 获取密码策略
+ *     description: 获取当前生效的密码策略，供客户端提示密码要求
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 租户ID，为空时返回全局策略
+ *     responses:
+ *       200:
+ *         description: 密码策略
+ *   put:
+ *     summary: 更新密码策略
+ *     description: 覆盖全局或指定租户的密码策略，未传入的字段沿用上一级策略（租户策略 > 全局策略 > 配置默认值）
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 租户ID，为空时更新全局策略
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minLength:
+ *                 type: integer
+ *               maxLength:
+ *                 type: integer
+ *               requireLowercase:
+ *                 type: boolean
+ *               requireUppercase:
+ *                 type: boolean
+ *               requireNumber:
+ *                 type: boolean
+ *               requireSpecial:
+ *                 type: boolean
+ *               blockCommon:
+ *                 type: boolean
+ *                 description: 拒绝常见弱密码
+ *               blockPersonalInfo:
+ *                 type: boolean
+ *                 description: 拒绝包含用户名或邮箱的密码
+ *               historyCount:
+ *                 type: integer
+ *                 description: 不能重复使用最近N个密码，0表示不限制
+ *               maxAgeDays:
+ *                 type: integer
+ *                 description: 密码最长使用天数，0表示永不过期
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/password-policy',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await passwordPolicyService.getPolicy(req.query.tenantId),
+    });
+  })
+);
+
+router.put(
+  '/password-policy',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const policy = await passwordPolicyService.setPolicy(req.body, req.query.tenantId);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'update_password_policy', 'settings', { tenantId: req.query.tenantId || null, ...req.body });
+
+    res.json({
+      success: true,
+      message: '密码策略已更新',
+      data: policy,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/login-providers:
+ *   get:
+ *     summary: 获取登录认证方式
+ *     description: 获取全局或指定租户的用户名密码登录认证方式及尝试顺序
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 租户ID，为空时获取全局配置（需要跨租户权限）
+ *     responses:
+ *       200:
+ *         description: 认证方式名称列表
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   put:
+ *     summary: 更新登录认证方式
+ *     description: 设置全局或指定租户的认证方式及尝试顺序，第一个认证通过的为准（如 ["ldap", "local"] 先尝试目录，再尝试本地密码）
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: 租户ID，为空时更新全局配置（需要跨租户权限）
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - providers
+ *             properties:
+ *               providers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [local, ldap]
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/login-providers',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { providers: await authProviderService.getChain(req.query.tenantId || null) },
+    });
+  })
+);
+
+router.put(
+  '/login-providers',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    const tenantId = req.query.tenantId || null;
+    const providers = await authProviderService.setChain(req.body.providers, tenantId);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'update_login_providers', 'settings', { tenantId, providers });
+
+    res.json({
+      success: true,
+      message: '登录认证方式已更新',
+      data: { providers },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   get:
+ *     summary: 获取当前用户信息
+ *     description: 获取当前已登录用户的详细信息，模拟登录时impersonator为真实操作者
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 当前用户信息
+ *       401:
+ *         description: 未授权
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/me',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    // 从请求中获取用户ID
+    const userId = req.user.id;
+
+    // 获取用户详情
+    const user = await userService.getUserById(userId);
+
+    res.json({
+      success: true,
+      data: { ...user, impersonator: req.user.impersonator || null },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/login-history:
+ *   get:
+ *     summary: 获取登录历史
+ *     description: 获取当前用户的登录记录（时间、登录方式、结果、失败原因、IP、设备），按时间倒序。anomalies为检测到的异常（new_device、new_ip、failure_burst），检测到异常时会通过邮件提醒用户
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 登录记录和分页信息
+ *       401:
+ *         description: 未授权
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/login-history',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+
+    res.json({
+      success: true,
+      data: await loginHistoryService.listHistory(req.user.id, { page, limit }),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: 获取登录会话列表
+ *     description: 获取当前用户所有活跃的登录会话（设备、IP、User-Agent、登录及最后活跃时间）
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 会话列表
+ *       401:
+ *         description: 未授权
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.fid,
+      })),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: 吊销登录会话
+ *     description: 吊销当前用户的指定会话，该设备上的访问令牌和刷新令牌将立即失效
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 会话ID
+ *     responses:
+ *       200:
+ *         description: 会话已吊销
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 会话不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await sessionService.revokeSession(req.user.id, req.params.id);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'revoke_session', 'session', { id: req.params.id });
+
+    res.json({
+      success: true,
+      message: '会话已吊销',
     });
   })
 );
@@ -0,0 +1,159 @@
+/**
+ * LDAP / Active Directory目录配置API路由
+ */
+const express = require('express');
+const router = express.Router();
+const ldapService = require('../../services/ldapService');
+const { asyncHandler } = require('../../middleware/generic/errorHandler');
+const { authenticate, requirePermission, tenantAccess } = require('../../middleware/auth/jwtAuth');
+const logger = require('../../utils/logger');
+const { PERMISSIONS } = require('../../constants/business');
+
+/**
+ * @swagger
+ * /api/v1/auth/ldap/settings:
+ *   get:
+ *     summary: 获取目录配置
+ *     description: 获取全局或指定租户的LDAP / Active Directory配置，服务账号密码以占位符代替
+ *     tags: [SSO]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时获取全局配置（需要跨租户权限）
+ *     responses:
+ *       200:
+ *         description: 目录配置，未配置时为null
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   put:
+ *     summary: 更新目录配置
+ *     description: 整体替换全局或指定租户的目录配置。bindPassword传入占位符时沿用原密码。需要在登录认证方式中启用ldap后生效
+ *     tags: [SSO]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时更新全局配置（需要跨租户权限）
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - baseDN
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: ldap://或ldaps://地址
+ *               startTLS:
+ *                 type: boolean
+ *               tlsRejectUnauthorized:
+ *                 type: boolean
+ *               bindDN:
+ *                 type: string
+ *                 description: 查找用户的服务账号，为空时匿名查找
+ *               bindPassword:
+ *                 type: string
+ *               baseDN:
+ *                 type: string
+ *               userFilter:
+ *                 type: string
+ *                 description: 查找用户的过滤条件，{{username}}为登录时输入的用户名
+ *               uidAttribute:
+ *                 type: string
+ *                 description: 唯一标识属性（OpenLDAP为entryUUID，Active Directory为objectGUID）
+ *               usernameAttribute:
+ *                 type: string
+ *               emailAttribute:
+ *                 type: string
+ *               firstNameAttribute:
+ *                 type: string
+ *               lastNameAttribute:
+ *                 type: string
+ *               groupAttribute:
+ *                 type: string
+ *                 description: 用户条目上的所属组属性（如memberOf）
+ *               groupSearchBase:
+ *                 type: string
+ *                 description: 组目录，设置后按groupFilter查找用户所属的组
+ *               groupFilter:
+ *                 type: string
+ *                 description: 查找组的过滤条件，{{dn}}为用户条目的DN
+ *               groupRoles:
+ *                 type: object
+ *                 description: 组（DN或CN）到角色名称数组的映射
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *               defaultRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 不属于任何映射组时的角色
+ *               enabled:
+ *                 type: boolean
+ *               autoProvision:
+ *                 type: boolean
+ *                 description: 首次登录时自动创建用户
+ *               linkByEmail:
+ *                 type: boolean
+ *                 description: 按邮箱绑定已有的本地用户
+ *               syncRoles:
+ *                 type: boolean
+ *                 description: 每次登录时按组映射更新用户角色
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await ldapService.getDirectorySettings(req.query.tenantId || null),
+    });
+  })
+);
+
+router.put(
+  '/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    const tenantId = req.query.tenantId || null;
+    const directory = await ldapService.setDirectory(req.body, tenantId);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'update_ldap_directory', 'settings', { tenantId, url: directory.url, baseDN: directory.baseDN });
+
+    res.json({
+      success: true,
+      message: '目录配置已更新',
+      data: directory,
+    });
+  })
+);
+
+module.exports = router;
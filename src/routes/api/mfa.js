@@ -0,0 +1,403 @@
+/**
+ * 多因素认证API路由
+ */
+const express = require('express');
+const router = express.Router();
+const userService = require('../../services/userService');
+const mfaService = require('../../services/mfaService');
+const tokenService = require('../../services/tokenService');
+const { ApiError, asyncHandler } = require('../../middleware/generic/errorHandler');
+const { authenticate, forbidImpersonation, requirePermission } = require('../../middleware/auth/jwtAuth');
+const statusCodes = require('../../constants/statusCodes');
+const logger = require('../../utils/logger');
+const { PERMISSIONS, TOKEN_PURPOSES } = require('../../constants/business');
+
+/**
+ * 绑定验证器的认证方式：已登录用户使用Bearer令牌；
+ * 角色被强制要求MFA但尚未绑定的用户，使用登录时返回的MFA挑战令牌
+ */
+const authenticateOrChallenge = asyncHandler(async (req, res, next) => {
+  if (!req.body.mfaToken) {
+    return authenticate(req, res, next);
+  }
+
+  const challenge = await tokenService.peekOneTimeToken(TOKEN_PURPOSES.MFA_CHALLENGE, req.body.mfaToken);
+
+  if (!challenge || !challenge.mfaSetupRequired) {
+    throw new ApiError(statusCodes.UNAUTHORIZED, 'MFA挑战令牌无效或已过期，请重新登录', 'AUTH_INVALID_MFA_TOKEN');
+  }
+
+  req.user = { id: challenge.userId };
+  req.mfaChallenge = challenge;
+  next();
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/setup:
+ *   post:
+ *     summary: 开始绑定验证器
+ *     description: 生成TOTP密钥和otpauth URI（可生成二维码供验证器应用扫描）。已登录用户使用Bearer令牌；被强制要求MFA的用户在登录时可使用返回的mfaToken
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: 登录返回的MFA挑战令牌（未登录时使用）
+ *     responses:
+ *       200:
+ *         description: 返回密钥和otpauth URI
+ *       401:
+ *         description: 未授权
+ *       409:
+ *         description: 已启用多因素认证
+ *       403:
+ *         description: 模拟登录期间不能执行此操作
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/setup',
+  authenticateOrChallenge,
+  forbidImpersonation,
+  asyncHandler(async (req, res) => {
+    const enrollment = await mfaService.beginEnrollment(req.user.id);
+
+    res.json({
+      success: true,
+      data: enrollment,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/enable:
+ *   post:
+ *     summary: 确认绑定并启用多因素认证
+ *     description: 提交验证器生成的口令确认绑定，返回一次性展示的恢复码。使用mfaToken绑定时同时完成登录并返回令牌
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6位验证码
+ *               mfaToken:
+ *                 type: string
+ *                 description: 登录返回的MFA挑战令牌（未登录时使用）
+ *     responses:
+ *       200:
+ *         description: 启用成功
+ *       400:
+ *         description: 验证码不正确或绑定请求已过期
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 模拟登录期间不能执行此操作
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/enable',
+  authenticateOrChallenge,
+  forbidImpersonation,
+  asyncHandler(async (req, res) => {
+    const { code, mfaToken } = req.body;
+
+    if (!code) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '验证码是必填项',
+        },
+      });
+    }
+
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user.id, code);
+
+    // 登录过程中完成的绑定，直接完成登录
+    const loginResult = req.mfaChallenge ? await userService.resumeLogin(mfaToken) : {};
+
+    res.json({
+      success: true,
+      message: '多因素认证已启用，请妥善保存恢复码',
+      data: {
+        ...loginResult,
+        recoveryCodes,
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/verify:
+ *   post:
+ *     summary: 验证第二因素完成登录
+ *     description: 使用登录返回的mfaToken和验证码（或恢复码、通行密钥）完成登录。使用通行密钥时先以mfaToken调用 /auth/webauthn/authentication/options 获取认证选项
+ *     tags: [MFA]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6位验证码
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 恢复码（无法使用验证器时）
+ *               webauthn:
+ *                 type: object
+ *                 description: navigator.credentials.get()的结果（AuthenticationResponseJSON）
+ *     responses:
+ *       200:
+ *         description: 登录成功；密码已过期时返回passwordChangeRequired和passwordChangeToken
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 挑战令牌无效、验证码不正确或通行密钥验证失败
+ *       403:
+ *         description: 需要先绑定验证器
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/verify',
+  asyncHandler(async (req, res) => {
+    const { mfaToken, code, recoveryCode, webauthn } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode && !(webauthn && webauthn.response))) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'MFA挑战令牌和验证码（或恢复码、通行密钥）都是必填项',
+        },
+      });
+    }
+
+    const result = await userService.verifyMfaLogin(mfaToken, { code, recoveryCode, webauthn });
+
+    res.json({
+      success: true,
+      message: result.passwordChangeRequired ? '密码已过期，请修改密码' : '登录成功',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: 重新生成恢复码
+ *     description: 验证当前口令后生成新的恢复码，旧恢复码全部作废
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 新的恢复码
+ *       401:
+ *         description: 未授权或验证码不正确
+ *       403:
+ *         description: 模拟登录期间不能执行此操作
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/recovery-codes',
+  authenticate,
+  forbidImpersonation,
+  asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '验证码是必填项',
+        },
+      });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id, code);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/disable:
+ *   post:
+ *     summary: 停用多因素认证
+ *     description: 验证密码和当前口令后停用多因素认证。角色被强制要求MFA的用户不能停用
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 已停用
+ *       401:
+ *         description: 未授权、密码或验证码不正确
+ *       403:
+ *         description: 角色要求必须启用MFA
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/disable',
+  authenticate,
+  forbidImpersonation,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '密码和验证码都是必填项',
+        },
+      });
+    }
+
+    await mfaService.disable(req.user.id, password, code);
+
+    res.json({
+      success: true,
+      message: '多因素认证已停用',
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/policy:
+ *   get:
+ *     summary: 获取MFA策略
+ *     description: 获取强制启用多因素认证的角色列表
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: MFA策略
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   put:
+ *     summary: 更新MFA策略
+ *     description: 设置强制启用多因素认证的角色，这些角色的用户登录时必须完成MFA（未绑定的需先绑定）
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enforcedRoles
+ *             properties:
+ *               enforcedRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 角色名称（内置角色或自定义角色）
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/policy',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await mfaService.getPolicy(),
+    });
+  })
+);
+
+router.put(
+  '/policy',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const policy = await mfaService.setPolicy(req.body);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'update_mfa_policy', 'settings', policy);
+
+    res.json({
+      success: true,
+      message: 'MFA策略已更新',
+      data: policy,
+    });
+  })
+);
+
+module.exports = router;
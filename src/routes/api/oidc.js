@@ -0,0 +1,263 @@
+/**
+ * OpenID Connect单点登录API路由
+ */
+const express = require('express');
+const router = express.Router();
+const oidcService = require('../../services/oidcService');
+const { asyncHandler } = require('../../middleware/generic/errorHandler');
+const { authenticate, requirePermission, tenantAccess } = require('../../middleware/auth/jwtAuth');
+const statusCodes = require('../../constants/statusCodes');
+const logger = require('../../utils/logger');
+const { PERMISSIONS } = require('../../constants/business');
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/providers:
+ *   get:
+ *     summary: 获取可用的身份提供方
+ *     description: 登录页展示的单点登录入口列表
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时返回全局配置的身份提供方
+ *     responses:
+ *       200:
+ *         description: 身份提供方列表（name、displayName、tenantId），tenantId为提供方所属的租户，全局提供方为空
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/providers',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await oidcService.listProviders(req.query.tenantId || null),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/settings:
+ *   get:
+ *     summary: 获取身份提供方配置
+ *     description: 获取全局或指定租户的身份提供方配置，客户端密钥以占位符代替
+ *     tags: [SSO]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时获取全局配置（需要跨租户权限）
+ *     responses:
+ *       200:
+ *         description: 以名称为键的身份提供方配置
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   put:
+ *     summary: 更新身份提供方配置
+ *     description: 整体替换全局或指定租户的身份提供方配置。clientSecret传入占位符时沿用原密钥
+ *     tags: [SSO]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时更新全局配置（需要跨租户权限）
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: 以提供方名称为键
+ *             additionalProperties:
+ *               type: object
+ *               required:
+ *                 - issuer
+ *                 - clientId
+ *                 - redirectUri
+ *               properties:
+ *                 displayName:
+ *                   type: string
+ *                 issuer:
+ *                   type: string
+ *                   description: 身份提供方地址（支持.well-known/openid-configuration发现）
+ *                 clientId:
+ *                   type: string
+ *                 clientSecret:
+ *                   type: string
+ *                   description: 客户端密钥，为空时作为公开客户端
+ *                 redirectUri:
+ *                   type: string
+ *                   description: 在身份提供方登记的回调地址
+ *                 scope:
+ *                   type: string
+ *                 enabled:
+ *                   type: boolean
+ *                 autoProvision:
+ *                   type: boolean
+ *                   description: 首次登录时自动创建用户
+ *                 linkByEmail:
+ *                   type: boolean
+ *                   description: 按已验证的邮箱绑定已有用户
+ *                 defaultRoles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await oidcService.getProviderSettings(req.query.tenantId || null),
+    });
+  })
+);
+
+router.put(
+  '/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    const tenantId = req.query.tenantId || null;
+    const providers = await oidcService.setProviders(req.body, tenantId);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'update_oidc_providers', 'settings', { tenantId, providers: Object.keys(providers) });
+
+    res.json({
+      success: true,
+      message: '身份提供方配置已更新',
+      data: providers,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: 发起单点登录
+ *     description: 重定向到身份提供方的登录页（授权码 + PKCE）。请求头Accept为application/json时返回授权地址
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户自己定义的身份提供方所属的租户ID（见提供方列表中的tenantId），全局提供方不传，登录所在的租户由请求解析
+ *       - in: query
+ *         name: deviceName
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 返回授权地址（authorizationUrl）
+ *       302:
+ *         description: 重定向到身份提供方
+ *       404:
+ *         description: 身份提供方不存在或未启用
+ *       502:
+ *         description: 无法连接身份提供方
+ */
+router.get(
+  '/:provider/authorize',
+  asyncHandler(async (req, res) => {
+    const { tenantId, deviceName } = req.query;
+
+    const authorizationUrl = await oidcService.createAuthorizationUrl(req.params.provider, tenantId || null, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      deviceName,
+    });
+
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json({
+        success: true,
+        data: { authorizationUrl },
+      });
+    }
+
+    res.redirect(statusCodes.FOUND, authorizationUrl);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: 单点登录回调
+ *     description: 身份提供方认证后的回调地址，换取令牌后按外部账户登录（首次登录时绑定或创建用户）
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 登录成功
+ *       400:
+ *         description: 登录请求无效或已过期
+ *       401:
+ *         description: 身份提供方认证失败
+ *       403:
+ *         description: 账户未开通或已被禁用
+ *       409:
+ *         description: 邮箱已被其他账户使用
+ *       502:
+ *         description: 无法连接身份提供方
+ */
+router.get(
+  '/:provider/callback',
+  asyncHandler(async (req, res) => {
+    const result = await oidcService.handleCallback(req.params.provider, req.query);
+
+    res.json({
+      success: true,
+      message: '登录成功',
+      data: result,
+    });
+  })
+);
+
+module.exports = router;
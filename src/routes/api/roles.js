@@ -0,0 +1,267 @@
+/**
+ * 角色管理路由
+ */
+const express = require('express');
+const router = express.Router();
+const roleService = require('../../services/roleService');
+const { asyncHandler } = require('../../middleware/generic/errorHandler');
+const { authenticate, requirePermission, requireScope } = require('../../middleware/auth/jwtAuth');
+const statusCodes = require('../../constants/statusCodes');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../../constants/business');
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     summary: 获取角色列表
+ *     description: 获取内置角色和自定义角色及其权限，需要roles:read权限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 角色列表
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   post:
+ *     summary: 创建角色
+ *     description: 创建由一组权限组成的自定义角色，需要roles:manage权限，且只能授予自己拥有的权限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[a-z][a-z0-9_-]{1,49}$'
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: 角色创建成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       409:
+ *         description: 角色已存在
+ */
+router.get(
+  '/',
+  authenticate,
+  requireScope(API_KEY_SCOPES.ROLES_READ),
+  requirePermission(PERMISSIONS.ROLES_READ),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await roleService.listRoles(),
+    });
+  })
+);
+
+router.post(
+  '/',
+  authenticate,
+  requireScope(API_KEY_SCOPES.ROLES_WRITE),
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  asyncHandler(async (req, res) => {
+    const { name, description, permissions } = req.body;
+
+    if (!name || !permissions) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '角色名称和权限都是必填项',
+        },
+      });
+    }
+
+    const role = await roleService.createRole({ name, description, permissions }, req.user);
+
+    res.status(statusCodes.CREATED).json({
+      success: true,
+      data: role,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/roles/permissions:
+ *   get:
+ *     summary: 获取可用权限
+ *     description: 获取可以授予角色的全部权限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 权限列表
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/permissions',
+  authenticate,
+  requireScope(API_KEY_SCOPES.ROLES_READ),
+  requirePermission(PERMISSIONS.ROLES_READ),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: Object.values(PERMISSIONS),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/roles/{name}:
+ *   get:
+ *     summary: 获取角色
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 角色名称
+ *     responses:
+ *       200:
+ *         description: 角色详情
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 角色不存在
+ *   put:
+ *     summary: 修改角色
+ *     description: 修改角色的描述或权限，内置角色（admin除外）也可以修改。需要roles:manage权限，且只能授予自己拥有的权限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 角色名称
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足或角色不能修改
+ *       404:
+ *         description: 角色不存在
+ *   delete:
+ *     summary: 删除角色
+ *     description: 删除自定义角色，内置角色和仍有用户使用的角色不能删除。需要roles:manage权限
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 角色名称
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足或内置角色不能删除
+ *       404:
+ *         description: 角色不存在
+ *       409:
+ *         description: 仍有用户使用该角色
+ */
+router.get(
+  '/:name',
+  authenticate,
+  requireScope(API_KEY_SCOPES.ROLES_READ),
+  requirePermission(PERMISSIONS.ROLES_READ),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await roleService.getRole(req.params.name),
+    });
+  })
+);
+
+router.put(
+  '/:name',
+  authenticate,
+  requireScope(API_KEY_SCOPES.ROLES_WRITE),
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  asyncHandler(async (req, res) => {
+    const { description, permissions } = req.body;
+
+    const role = await roleService.updateRole(req.params.name, { description, permissions }, req.user);
+
+    res.json({
+      success: true,
+      message: '角色已更新',
+      data: role,
+    });
+  })
+);
+
+router.delete(
+  '/:name',
+  authenticate,
+  requireScope(API_KEY_SCOPES.ROLES_WRITE),
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  asyncHandler(async (req, res) => {
+    await roleService.deleteRole(req.params.name, req.user);
+
+    res.json({
+      success: true,
+      message: '角色已删除',
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,437 @@
+/**
+ * SAML 2.0单点登录API路由
+ */
+const express = require('express');
+const router = express.Router();
+const samlService = require('../../services/samlService');
+const { asyncHandler } = require('../../middleware/generic/errorHandler');
+const { authenticate, requirePermission, tenantAccess } = require('../../middleware/auth/jwtAuth');
+const statusCodes = require('../../constants/statusCodes');
+const logger = require('../../utils/logger');
+const { PERMISSIONS } = require('../../constants/business');
+
+/**
+ * @swagger
+ * /api/v1/auth/saml/providers:
+ *   get:
+ *     summary: 获取可用的SAML身份提供方
+ *     description: 登录页展示的SAML单点登录入口列表
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时返回全局配置的身份提供方
+ *     responses:
+ *       200:
+ *         description: 身份提供方列表（name、displayName）
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/providers',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await samlService.listProviders(req.query.tenantId || null),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/saml/settings:
+ *   get:
+ *     summary: 获取SAML身份提供方配置
+ *     description: 获取全局或指定租户的SAML身份提供方配置，SP私钥以占位符代替
+ *     tags: [SSO]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时获取全局配置（需要跨租户权限）
+ *     responses:
+ *       200:
+ *         description: 以名称为键的身份提供方配置
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   put:
+ *     summary: 更新SAML身份提供方配置
+ *     description: 整体替换全局或指定租户的SAML身份提供方配置。privateKey传入占位符时沿用原私钥
+ *     tags: [SSO]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 租户ID，为空时更新全局配置（需要跨租户权限）
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: 以提供方名称为键
+ *             additionalProperties:
+ *               type: object
+ *               required:
+ *                 - entryPoint
+ *                 - idpIssuer
+ *                 - idpCert
+ *                 - issuer
+ *                 - callbackUrl
+ *               properties:
+ *                 displayName:
+ *                   type: string
+ *                 entryPoint:
+ *                   type: string
+ *                   description: 身份提供方的单点登录地址
+ *                 logoutUrl:
+ *                   type: string
+ *                   description: 身份提供方的单点注销地址，为空时不进行单点注销
+ *                 idpIssuer:
+ *                   type: string
+ *                   description: 身份提供方的实体ID，登录断言和注销消息的签发方必须与之一致
+ *                 idpCert:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *                   description: 身份提供方的签名证书（PEM或Base64），轮换期间可传入多个
+ *                 issuer:
+ *                   type: string
+ *                   description: SP实体ID
+ *                 callbackUrl:
+ *                   type: string
+ *                   description: ACS地址，租户级配置应带上tenantId查询参数
+ *                 logoutCallbackUrl:
+ *                   type: string
+ *                   description: 单点注销地址，租户级配置应带上tenantId查询参数
+ *                 privateKey:
+ *                   type: string
+ *                   description: SP私钥，用于签名请求和解密断言
+ *                 publicCert:
+ *                   type: string
+ *                   description: SP证书，发布在元数据中
+ *                 signatureAlgorithm:
+ *                   type: string
+ *                   enum: [sha1, sha256, sha512]
+ *                 identifierFormat:
+ *                   type: string
+ *                 wantAssertionsSigned:
+ *                   type: boolean
+ *                 wantAuthnResponseSigned:
+ *                   type: boolean
+ *                 allowIdpInitiated:
+ *                   type: boolean
+ *                   description: 是否接受身份提供方发起的登录（不对应SP请求的响应）
+ *                 attributeMap:
+ *                   type: object
+ *                   description: 用户字段（email、username、firstName、lastName）到断言属性名的映射
+ *                 groupAttribute:
+ *                   type: string
+ *                   description: 断言中表示所属组的属性名
+ *                 groupRoles:
+ *                   type: object
+ *                   description: 组到角色名称数组的映射
+ *                 defaultRoles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 enabled:
+ *                   type: boolean
+ *                 autoProvision:
+ *                   type: boolean
+ *                 linkByEmail:
+ *                   type: boolean
+ *                 syncRoles:
+ *                   type: boolean
+ *                   description: 每次登录时按组映射更新用户角色
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ */
+router.get(
+  '/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await samlService.getProviderSettings(req.query.tenantId || null),
+    });
+  })
+);
+
+router.put(
+  '/settings',
+  authenticate,
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  tenantAccess(),
+  asyncHandler(async (req, res) => {
+    const tenantId = req.query.tenantId || null;
+    const providers = await samlService.setProviders(req.body, tenantId);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'update_saml_providers', 'settings', { tenantId, providers: Object.keys(providers) });
+
+    res.json({
+      success: true,
+      message: '身份提供方配置已更新',
+      data: providers,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/saml/{provider}/metadata:
+ *   get:
+ *     summary: 获取SP元数据
+ *     description: 供身份提供方导入的服务提供方元数据（实体ID、ACS地址、单点注销地址和证书）
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 元数据XML
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: 身份提供方不存在或未启用
+ */
+router.get(
+  '/:provider/metadata',
+  asyncHandler(async (req, res) => {
+    const metadata = await samlService.getMetadata(req.params.provider, req.query.tenantId || null);
+
+    res.type('application/xml').send(metadata);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/saml/{provider}/login:
+ *   get:
+ *     summary: 发起SAML单点登录
+ *     description: 重定向到身份提供方的登录页。请求头Accept为application/json时返回登录地址
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceName
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 返回登录地址（loginUrl）
+ *       302:
+ *         description: 重定向到身份提供方
+ *       404:
+ *         description: 身份提供方不存在或未启用
+ */
+router.get(
+  '/:provider/login',
+  asyncHandler(async (req, res) => {
+    const { tenantId, deviceName } = req.query;
+
+    const loginUrl = await samlService.createLoginUrl(req.params.provider, tenantId || null, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      deviceName,
+    });
+
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json({
+        success: true,
+        data: { loginUrl },
+      });
+    }
+
+    res.redirect(statusCodes.FOUND, loginUrl);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/saml/{provider}/acs:
+ *   post:
+ *     summary: SAML断言消费服务（ACS）
+ *     description: 身份提供方通过HTTP-POST绑定提交的登录响应，校验签名断言后按外部账户登录（首次登录时绑定或创建用户）
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: 身份提供方发起登录（没有RelayState）时使用的租户
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - SAMLResponse
+ *             properties:
+ *               SAMLResponse:
+ *                 type: string
+ *               RelayState:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 登录成功
+ *       400:
+ *         description: 登录请求无效或已过期
+ *       401:
+ *         description: 断言校验失败
+ *       403:
+ *         description: 账户未开通或已被禁用
+ *       409:
+ *         description: 邮箱已被其他账户使用
+ */
+router.post(
+  '/:provider/acs',
+  asyncHandler(async (req, res) => {
+    if (!req.body.SAMLResponse) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'SAMLResponse是必填项',
+        },
+      });
+    }
+
+    const result = await samlService.handleAcs(req.params.provider, req.body, req.query.tenantId || null);
+
+    res.json({
+      success: true,
+      message: '登录成功',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/saml/{provider}/slo:
+ *   get:
+ *     summary: SAML单点注销（HTTP-Redirect绑定）
+ *     description: 身份提供方发起的LogoutRequest会注销对应的本地会话并重定向回身份提供方；SP发起注销后身份提供方返回的LogoutResponse在校验后确认注销完成
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: SAMLRequest
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: SAMLResponse
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 注销完成
+ *       302:
+ *         description: 重定向到身份提供方（LogoutResponse）
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 消息校验失败
+ *   post:
+ *     summary: SAML单点注销（HTTP-POST绑定）
+ *     description: 同GET，消息通过表单提交
+ *     tags: [SSO]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 注销完成
+ *       302:
+ *         description: 重定向到身份提供方（LogoutResponse）
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 消息校验失败
+ */
+const handleLogout = asyncHandler(async (req, res) => {
+  const result = await samlService.handleLogout(
+    req.params.provider,
+    {
+      query: req.query,
+      originalQuery: req.originalUrl.split('?')[1] || '',
+      body: req.body,
+    },
+    req.query.tenantId || null
+  );
+
+  if (result.logoutResponseUrl) {
+    return res.redirect(statusCodes.FOUND, result.logoutResponseUrl);
+  }
+
+  res.json({
+    success: true,
+    message: '注销成功',
+  });
+});
+
+router.get('/:provider/slo', handleLogout);
+router.post('/:provider/slo', handleLogout);
+
+module.exports = router;
@@ -0,0 +1,421 @@
+/**
+ * 租户管理路由
+ */
+const express = require('express');
+const router = express.Router();
+const tenantService = require('../../services/tenantService');
+const policies = require('../../policies');
+const { asyncHandler } = require('../../middleware/generic/errorHandler');
+const { authenticate, requirePermission, requireRecentAuth, requireScope } = require('../../middleware/auth/jwtAuth');
+const statusCodes = require('../../constants/statusCodes');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../../constants/business');
+
+/**
+ * 在当前用户可查看的范围内查找租户，不可见的租户按不存在处理
+ * @param {Object} req - 请求对象
+ * @param {string} id - 租户ID
+ * @returns {Promise<Object>} - 租户
+ */
+const findVisibleTenant = async (req, id) => tenantService.getTenant(id, await policies.scope(req.user, 'read', 'tenant'));
+
+/**
+ * @swagger
+ * /api/v1/tenants:
+ *   get:
+ *     summary: 获取租户列表
+ *     description: 获取租户列表，支持分页、按状态筛选和搜索。需要tenants:read权限，没有tenants:all权限时只返回本租户
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: 每页条数（最多100）
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *         description: 按状态筛选
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: 按名称或标识搜索
+ *     responses:
+ *       200:
+ *         description: 租户列表
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *   post:
+ *     summary: 创建租户
+ *     description: 需要tenants:manage和tenants:all权限。schema/database隔离模式下同时创建租户的schema或数据库以及数据表，之后该租户的请求需在租户请求头（默认X-Tenant）中携带租户标识
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - slug
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               slug:
+ *                 type: string
+ *                 pattern: '^[a-z][a-z0-9-]{1,62}$'
+ *                 description: 租户标识，创建后不能修改
+ *               plan:
+ *                 type: string
+ *                 enum: [free, standard, enterprise]
+ *                 default: free
+ *               settings:
+ *                 type: object
+ *                 description: 租户的自定义配置
+ *               database:
+ *                 $ref: '#/components/schemas/TenantDatabaseConfig'
+ *     responses:
+ *       201:
+ *         description: 租户创建成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       409:
+ *         description: 租户标识已存在
+ *       500:
+ *         description: 创建租户的数据库schema失败（TENANT_PROVISION_FAILED）
+ */
+router.get(
+  '/',
+  authenticate,
+  requireScope(API_KEY_SCOPES.TENANTS_READ),
+  requirePermission(PERMISSIONS.TENANTS_READ),
+  asyncHandler(async (req, res) => {
+    const { page, limit, status, search } = req.query;
+    const scope = await policies.scope(req.user, 'read', 'tenant');
+
+    res.json({
+      success: true,
+      data: await tenantService.listTenants({ page, limit, status, search, scope }),
+    });
+  })
+);
+
+router.post(
+  '/',
+  authenticate,
+  requireScope(API_KEY_SCOPES.TENANTS_WRITE),
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const { name, slug, plan, settings, database } = req.body;
+
+    if (!name || !slug) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '租户名称和标识都是必填项',
+        },
+      });
+    }
+
+    await policies.authorize(req.user, 'create', 'tenant');
+
+    const tenant = await tenantService.createTenant({ name, slug, plan, settings, database }, req.user);
+
+    res.status(statusCodes.CREATED).json({
+      success: true,
+      data: tenant,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/tenants/{id}:
+ *   get:
+ *     summary: 获取租户
+ *     description: 需要tenants:read权限，没有tenants:all权限时只能查看本租户
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 租户ID
+ *     responses:
+ *       200:
+ *         description: 租户详情
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 租户不存在
+ *   put:
+ *     summary: 修改租户
+ *     description: 修改租户的名称、套餐或配置，需要tenants:manage权限，没有tenants:all权限时只能修改本租户。修改状态（停用或恢复租户）需要tenants:all权限，不能停用自己所在的租户，且需要最近进行过认证；租户停用后其中所有用户立即不能登录和访问接口
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 租户ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended]
+ *               plan:
+ *                 type: string
+ *                 enum: [free, standard, enterprise]
+ *               settings:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 租户不存在
+ *   delete:
+ *     summary: 删除租户
+ *     description: 删除没有用户的租户，需要tenants:manage和tenants:all权限，且需要最近进行过认证。不能删除自己所在的租户
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 租户ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 租户不存在
+ *       409:
+ *         description: 租户内仍有用户
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requireScope(API_KEY_SCOPES.TENANTS_READ),
+  requirePermission(PERMISSIONS.TENANTS_READ),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await findVisibleTenant(req, req.params.id),
+    });
+  })
+);
+
+router.put(
+  '/:id',
+  authenticate,
+  requireScope(API_KEY_SCOPES.TENANTS_WRITE),
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  // 停用或恢复租户需要最近进行过认证
+  (req, res, next) => (req.body.status !== undefined ? requireRecentAuth()(req, res, next) : next()),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, status, plan, settings } = req.body;
+
+    const target = await findVisibleTenant(req, id);
+    await policies.authorize(req.user, 'update', 'tenant', target);
+
+    if (status !== undefined && status !== target.status) {
+      await policies.authorize(req.user, 'updateStatus', 'tenant', target);
+    }
+
+    const tenant = await tenantService.updateTenant(id, { name, status, plan, settings }, req.user);
+
+    res.json({
+      success: true,
+      message: '租户已更新',
+      data: tenant,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/tenants/{id}/database:
+ *   get:
+ *     summary: 获取租户的独立数据库配置
+ *     description: 需要tenants:manage和tenants:all权限，密码以占位符代替
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 租户ID
+ *     responses:
+ *       200:
+ *         description: 连接配置，未配置独立数据库时为null
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 租户不存在
+ *   put:
+ *     summary: 设置租户的独立数据库配置
+ *     description: 需要tenants:manage和tenants:all权限，且需要最近进行过认证。只在database隔离模式下可用；设置后在新数据库中创建数据表，原数据库中的数据不会迁移
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 租户ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               database:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/TenantDatabaseConfig'
+ *                 nullable: true
+ *                 description: 为null时改回使用默认数据库
+ *     responses:
+ *       200:
+ *         description: 设置成功
+ *       400:
+ *         description: 配置无效或未启用database隔离模式
+ *       401:
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 租户不存在
+ *       500:
+ *         description: 初始化租户的数据库失败，已恢复原配置（TENANT_PROVISION_FAILED）
+ */
+router.get(
+  '/:id/database',
+  authenticate,
+  requireScope(API_KEY_SCOPES.TENANTS_WRITE),
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const target = await findVisibleTenant(req, req.params.id);
+    await policies.authorize(req.user, 'manageDatabase', 'tenant', target);
+
+    res.json({
+      success: true,
+      data: await tenantService.getDatabaseConfig(target.id),
+    });
+  })
+);
+
+router.put(
+  '/:id/database',
+  authenticate,
+  requireScope(API_KEY_SCOPES.TENANTS_WRITE),
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  requireRecentAuth(),
+  asyncHandler(async (req, res) => {
+    const { database } = req.body;
+
+    if (database === undefined) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'database是必填项，为null时改回使用默认数据库',
+        },
+      });
+    }
+
+    const target = await findVisibleTenant(req, req.params.id);
+    await policies.authorize(req.user, 'manageDatabase', 'tenant', target);
+
+    res.json({
+      success: true,
+      message: '租户数据库配置已更新',
+      data: await tenantService.setDatabaseConfig(target.id, database, req.user),
+    });
+  })
+);
+
+router.delete(
+  '/:id',
+  authenticate,
+  requireScope(API_KEY_SCOPES.TENANTS_WRITE),
+  requirePermission(PERMISSIONS.TENANTS_MANAGE),
+  requireRecentAuth(),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const target = await findVisibleTenant(req, id);
+    await policies.authorize(req.user, 'delete', 'tenant', target);
+
+    await tenantService.deleteTenant(id, req.user);
+
+    res.json({
+      success: true,
+      message: '租户已删除',
+    });
+  })
+);
+
+module.exports = router;
@@ -4,16 +4,31 @@
 const express = require('express');
 const router = express.Router();
 const userService = require('../../services/userService');
+const sessionService = require('../../services/sessionService');
+const mfaService = require('../../services/mfaService');
+const apiKeyService = require('../../services/apiKeyService');
+const bruteForceService = require('../../services/bruteForceService');
+const policies = require('../../policies');
+const logger = require('../../utils/logger');
+const statusCodes = require('../../constants/statusCodes');
 const { asyncHandler } = require('../../middleware/generic/errorHandler');
-const { authenticate, hasRole } = require('../../middleware/auth/jwtAuth');
-const { USER_ROLES } = require('../../constants/business');
+const { authenticate, forbidImpersonation, requirePermission, requireRecentAuth, requireScope } = require('../../middleware/auth/jwtAuth');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../../constants/business');
+
+/**
+ * 在当前用户可查看的范围内查找用户，不可见的用户按不存在处理
+ * @param {Object} req - 请求对象
+ * @param {string} id - 用户ID
+ * @returns {Promise<Object>} - 用户信息
+ */
+const findVisibleUser = async (req, id) => userService.getUserInScope(id, await policies.scope(req.user, 'read', 'user'));
 
 /**
  * @swagger
  * /api/v1/users:
  *   get:
  *     summary: 获取用户列表
- *     description: 获取所有用户的列表，支持分页、搜索和排序
+ *     description: 获取用户列表，支持分页、搜索和排序。需要users:read权限，没有tenants:all权限时只返回本租户的用户
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -45,8 +60,7 @@ const { USER_ROLES } = require('../../constants/business');
  *         name: role
  *         schema:
  *           type: string
- *           enum: [admin, manager, user, guest]
- *         description: 用户角色
+ *         description: 用户角色（内置角色或自定义角色）
  *       - in: query
  *         name: sortBy
  *         schema:
@@ -73,7 +87,8 @@ const { USER_ROLES } = require('../../constants/business');
 router.get(
   '/',
   authenticate,
-  hasRole([USER_ROLES.ADMIN, USER_ROLES.MANAGER]),
+  requireScope(API_KEY_SCOPES.USERS_READ),
+  requirePermission(PERMISSIONS.USERS_READ),
   asyncHandler(async (req, res) => {
     const { page, limit, search, status, role, sortBy, sortOrder } = req.query;
 
@@ -88,10 +103,8 @@ router.get(
       sortOrder,
     };
 
-    // 如果非管理员，只能查看自己所在租户的用户
-    if (!req.user.roles.includes(USER_ROLES.ADMIN)) {
-      options.tenantId = req.user.tenantId;
-    }
+    // 只返回当前用户可查看的用户
+    options.scope = await policies.scope(req.user, 'read', 'user');
 
     const result = await userService.getUsers(options);
     res.json(result);
@@ -103,7 +116,7 @@ router.get(
  * /api/v1/users/{id}:
  *   get:
  *     summary: 获取用户详情
- *     description: 根据ID获取用户详细信息
+ *     description: 根据ID获取用户详细信息。查看其他用户需要users:read权限，不可查看的用户（如其他租户的用户）按不存在处理
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -130,33 +143,12 @@ router.get(
 router.get(
   '/:id',
   authenticate,
+  requireScope(API_KEY_SCOPES.USERS_READ),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    // 如果非管理员，只能查看自己或自己所在租户的用户
-    if (!req.user.roles.includes(USER_ROLES.ADMIN) && req.user.id !== id && req.user.roles.includes(USER_ROLES.MANAGER) === false) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-          message: '权限不足，无法查看其他用户信息',
-        },
-      });
-    }
-
-    const user = await userService.getUserById(id);
-
-    // 如果是管理员，可以查看所有用户
-    // 如果是经理，只能查看自己租户的用户
-    if (!req.user.roles.includes(USER_ROLES.ADMIN) && req.user.roles.includes(USER_ROLES.MANAGER) && req.user.tenantId !== user.tenantId) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-          message: '权限不足，无法查看其他租户的用户',
-        },
-      });
-    }
+    // 在可查看的范围内查找，其他租户的用户按不存在处理
+    const user = await findVisibleUser(req, id);
 
     res.json({
       success: true,
@@ -170,7 +162,7 @@ router.get(
  * /api/v1/users:
  *   post:
  *     summary: 创建新用户
- *     description: 创建一个新用户账户
+ *     description: 创建一个新用户账户，需要users:create权限
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -201,9 +193,9 @@ router.get(
  *                 type: string
  *               roles:
  *                 type: array
+ *                 description: 角色名称（内置角色或自定义角色），需要users:update:roles权限
  *                 items:
  *                   type: string
- *                   enum: [admin, manager, user, guest]
  *               status:
  *                 type: string
  *                 enum: [active, inactive, suspended]
@@ -211,6 +203,7 @@ router.get(
  *               tenantId:
  *                 type: string
  *                 format: uuid
+ *                 description: 所属租户，必须是已存在且未停用的租户
  *     responses:
  *       201:
  *         description: 用户创建成功
@@ -228,27 +221,18 @@ router.get(
 router.post(
   '/',
   authenticate,
-  hasRole([USER_ROLES.ADMIN, USER_ROLES.MANAGER]),
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  requirePermission(PERMISSIONS.USERS_CREATE),
   asyncHandler(async (req, res) => {
     const userData = req.body;
 
-    // 如果非管理员，确保只能创建自己租户的用户，且不能创建管理员
-    if (!req.user.roles.includes(USER_ROLES.ADMIN)) {
-      // 设置为当前用户的租户ID
+    // 没有跨租户权限时，只能创建自己租户的用户
+    if (!(await policies.can(req.user, 'changeTenant', 'user', userData))) {
       userData.tenantId = req.user.tenantId;
-
-      // 不允许创建管理员
-      if (userData.roles && userData.roles.includes(USER_ROLES.ADMIN)) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-            message: '权限不足，无法创建管理员用户',
-          },
-        });
-      }
     }
 
+    await policies.authorize(req.user, 'create', 'user', userData, { roles: userData.roles });
+
     const user = await userService.register(userData);
 
     res.status(201).json({
@@ -263,7 +247,7 @@ router.post(
  * /api/v1/users/{id}:
  *   put:
  *     summary: 更新用户
- *     description: 更新用户信息
+ *     description: 更新用户信息。修改其他用户需要users:update权限，且只能修改权限低于自己的用户。模拟登录期间不能修改邮箱
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -295,24 +279,25 @@ router.post(
  *                 type: string
  *               roles:
  *                 type: array
+ *                 description: 角色名称（内置角色或自定义角色），需要users:update:roles权限，且需要最近进行过认证
  *                 items:
  *                   type: string
- *                   enum: [admin, manager, user, guest]
  *               status:
  *                 type: string
  *                 enum: [active, inactive, suspended]
  *               tenantId:
  *                 type: string
  *                 format: uuid
+ *                 description: 所属租户，必须是已存在且未停用的租户
  *     responses:
  *       200:
  *         description: 用户更新成功
  *       400:
  *         description: 请求数据无效
  *       401:
- *         description: 未授权
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
  *       403:
- *         description: 权限不足
+ *         description: 权限不足或模拟登录期间修改邮箱
  *       404:
  *         description: 用户不存在
  *       500:
@@ -321,69 +306,45 @@ router.post(
 router.put(
   '/:id',
   authenticate,
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  // 修改其他用户的角色需要最近进行过认证
+  (req, res, next) => (req.body.roles !== undefined && req.user.id !== req.params.id ? requireRecentAuth()(req, res, next) : next()),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const userData = req.body;
 
-    // 获取当前用户信息，用于权限检查
-    const currentUser = await userService.getUserById(id);
+    // 模拟登录期间不能修改邮箱，避免操作者借此重置密码接管账户
+    if (req.user.impersonator && userData.email !== undefined) {
+      return res.status(statusCodes.FORBIDDEN).json({
+        success: false,
+        error: {
+          code: 'AUTH_IMPERSONATION_FORBIDDEN',
+          message: '模拟登录期间不能修改邮箱',
+        },
+      });
+    }
+
+    const target = await findVisibleUser(req, id);
+    await policies.authorize(req.user, 'update', 'user', target);
 
-    // 权限检查
-    // 1. 用户可以修改自己的基本信息，但不能修改角色或状态
-    // 2. 管理员可以修改任何用户的任何信息
-    // 3. 经理可以修改同租户普通用户的信息，但不能修改其他经理或管理员
+    // 用户修改自己时不能修改角色、状态或租户；修改其他用户的角色、状态需要相应的权限
     if (req.user.id === id) {
-      // 用户修改自己的信息
       delete userData.roles;
       delete userData.status;
       delete userData.tenantId;
-    } else if (req.user.roles.includes(USER_ROLES.ADMIN)) {
-      // 管理员可以修改任何信息
-    } else if (req.user.roles.includes(USER_ROLES.MANAGER)) {
-      // 经理只能修改同租户的普通用户
-      if (req.user.tenantId !== currentUser.tenantId) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-            message: '权限不足，无法修改其他租户的用户',
-          },
-        });
+    } else {
+      if (userData.roles !== undefined) {
+        await policies.authorize(req.user, 'updateRoles', 'user', target, { roles: userData.roles });
       }
 
-      // 经理不能修改其他经理或管理员
-      if (currentUser.roles.includes(USER_ROLES.MANAGER) || currentUser.roles.includes(USER_ROLES.ADMIN)) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-            message: '权限不足，无法修改管理员或经理用户',
-          },
-        });
+      if (userData.status !== undefined) {
+        await policies.authorize(req.user, 'updateStatus', 'user', target);
       }
 
-      // 不能将用户提升为管理员
-      if (userData.roles && userData.roles.includes(USER_ROLES.ADMIN)) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-            message: '权限不足，无法将用户提升为管理员',
-          },
-        });
+      // 没有跨租户权限时，不能把用户移到其他租户
+      if (!(await policies.can(req.user, 'changeTenant', 'user', userData))) {
+        userData.tenantId = req.user.tenantId;
       }
-
-      // 强制设置为当前租户
-      userData.tenantId = req.user.tenantId;
-    } else {
-      // 普通用户不能修改他人信息
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-          message: '权限不足，无法修改其他用户信息',
-        },
-      });
     }
 
     const updatedUser = await userService.updateUser(id, userData);
@@ -400,7 +361,7 @@ router.put(
  * /api/v1/users/{id}/password:
  *   put:
  *     summary: 更改密码
- *     description: 更改用户密码
+ *     description: 更改用户密码，需要最近进行过认证
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -430,11 +391,11 @@ router.put(
  *                 minLength: 8
  *     responses:
  *       200:
- *         description: 密码更改成功
+ *         description: 密码更改成功，除当前会话外的其他会话均已失效
  *       400:
  *         description: 请求数据无效
  *       401:
- *         description: 当前密码不正确
+ *         description: 当前密码不正确或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
  *       403:
  *         description: 权限不足
  *       404:
@@ -445,6 +406,9 @@ router.put(
 router.put(
   '/:id/password',
   authenticate,
+  forbidImpersonation,
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  requireRecentAuth(),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { currentPassword, newPassword } = req.body;
@@ -471,23 +435,103 @@ router.put(
       });
     }
 
-    // 验证密码复杂度
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
-    if (!passwordRegex.test(newPassword)) {
-      return res.status(400).json({
+    // 校验密码策略，保留当前会话并吊销其他会话
+    await userService.changePassword(id, currentPassword, newPassword, { keepSession: req.user.fid });
+
+    res.json({
+      success: true,
+      message: '密码更改成功',
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/roles:
+ *   put:
+ *     summary: 分配角色
+ *     description: 替换用户的角色。需要users:update:roles权限且最近进行过认证，只能为权限低于自己的用户分配不超出自己权限的角色
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 用户ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 分配成功
+ *       400:
+ *         description: 请求数据无效或角色不存在
+ *       401:
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.put(
+  '/:id/roles',
+  authenticate,
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  requirePermission(PERMISSIONS.USERS_UPDATE_ROLES),
+  requireRecentAuth(),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || roles.length === 0) {
+      return res.status(statusCodes.BAD_REQUEST).json({
         success: false,
         error: {
           code: 'VALIDATION_ERROR',
-          message: '密码必须至少包含8个字符，至少一个大写字母，一个小写字母，一个数字和一个特殊字符',
+          message: 'roles必须是非空的角色名称数组',
         },
       });
     }
 
-    await userService.changePassword(id, currentPassword, newPassword);
+    // 不能修改自己的角色
+    if (req.user.id === id) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '不能修改自己的角色',
+        },
+      });
+    }
+
+    const target = await findVisibleUser(req, id);
+    await policies.authorize(req.user, 'updateRoles', 'user', target, { roles });
+
+    const updatedUser = await userService.updateUser(id, { roles });
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'assign_roles', 'user', { id, roles });
 
     res.json({
       success: true,
-      message: '密码更改成功',
+      message: '角色已更新',
+      data: updatedUser,
     });
   })
 );
@@ -497,7 +541,7 @@ router.put(
  * /api/v1/users/{id}:
  *   delete:
  *     summary: 删除用户
- *     description: 删除用户（软删除）
+ *     description: 删除用户（软删除），需要users:delete权限且最近进行过认证，只能删除权限低于自己的用户
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -513,7 +557,7 @@ router.put(
  *       200:
  *         description: 用户删除成功
  *       401:
- *         description: 未授权
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
  *       403:
  *         description: 权限不足
  *       404:
@@ -524,13 +568,12 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  hasRole([USER_ROLES.ADMIN, USER_ROLES.MANAGER]),
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  requirePermission(PERMISSIONS.USERS_DELETE),
+  requireRecentAuth(),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    // 获取要删除的用户信息
-    const userToDelete = await userService.getUserById(id);
-
     // 不能删除自己
     if (req.user.id === id) {
       return res.status(400).json({
@@ -542,32 +585,9 @@ router.delete(
       });
     }
 
-    // 权限检查
-    if (req.user.roles.includes(USER_ROLES.ADMIN)) {
-      // 管理员可以删除任何用户
-    } else if (req.user.roles.includes(USER_ROLES.MANAGER)) {
-      // 经理只能删除同租户的普通用户
-      if (req.user.tenantId !== userToDelete.tenantId) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-            message: '权限不足，无法删除其他租户的用户',
-          },
-        });
-      }
-
-      // 经理不能删除其他经理或管理员
-      if (userToDelete.roles.includes(USER_ROLES.MANAGER) || userToDelete.roles.includes(USER_ROLES.ADMIN)) {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'AUTH_INSUFFICIENT_PERMISSIONS',
-            message: '权限不足，无法删除管理员或经理用户',
-          },
-        });
-      }
-    }
+    // 获取要删除的用户信息，用于权限检查
+    const userToDelete = await findVisibleUser(req, id);
+    await policies.authorize(req.user, 'delete', 'user', userToDelete);
 
     await userService.deleteUser(id);
 
@@ -578,4 +598,368 @@ router.delete(
   })
 );
 
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   delete:
+ *     summary: 吊销用户的所有会话
+ *     description: 强制下线指定用户的所有设备，需要users:sessions:revoke权限
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 用户ID
+ *     responses:
+ *       200:
+ *         description: 会话已全部吊销
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       500:
+ *         description: 服务器错误
+ */
+router.delete(
+  '/:id/sessions',
+  authenticate,
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  requirePermission(PERMISSIONS.USERS_SESSIONS_REVOKE),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const target = await findVisibleUser(req, id);
+    await policies.authorize(req.user, 'revokeSessions', 'user', target);
+
+    const revoked = await sessionService.revokeAllSessions(id);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'revoke_all_sessions', 'user', { id, revoked });
+
+    res.json({
+      success: true,
+      message: '用户会话已全部吊销',
+      data: { revoked },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/mfa:
+ *   delete:
+ *     summary: 重置用户的多因素认证
+ *     description: 为丢失验证器的用户清除MFA绑定和通行密钥，同时吊销该用户所有会话，需要users:mfa:reset权限
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 用户ID
+ *     responses:
+ *       200:
+ *         description: 重置成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.delete(
+  '/:id/mfa',
+  authenticate,
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  requirePermission(PERMISSIONS.USERS_MFA_RESET),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const target = await findVisibleUser(req, id);
+    await policies.authorize(req.user, 'resetMfa', 'user', target);
+
+    await mfaService.reset(id);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'reset_mfa', 'user', { id });
+
+    res.json({
+      success: true,
+      message: '用户的多因素认证已重置',
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   post:
+ *     summary: 解除用户的登录限制
+ *     description: 清除用户因登录失败次数过多被要求人机验证或暂时拒绝登录的状态，需要users:unlock权限。指定IP时同时清除该IP的失败记录
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 用户ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ip:
+ *                 type: string
+ *                 description: 需要一并解除限制的IP（例如用户所在办公网络的出口IP）
+ *     responses:
+ *       200:
+ *         description: 解除成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/:id/unlock',
+  authenticate,
+  requireScope(API_KEY_SCOPES.USERS_WRITE),
+  requirePermission(PERMISSIONS.USERS_UNLOCK),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { ip } = req.body || {};
+
+    const target = await findVisibleUser(req, id);
+    await policies.authorize(req.user, 'unlock', 'user', target);
+
+    await bruteForceService.unlock(bruteForceService.subjectKey(target), ip || null);
+
+    // 记录审计日志
+    logger.audit(req.user.id, 'unlock_user', 'user', { id, ip: ip || null });
+
+    res.json({
+      success: true,
+      message: '用户的登录限制已解除',
+    });
+  })
+);
+
+/**
+ * 检查当前用户能否管理指定用户的API密钥（本人，或有users:api_keys:manage权限且能管理该用户）
+ * @param {Object} req - 请求对象
+ * @throws {ApiError} - 用户不存在或权限不足
+ */
+const authorizeApiKeyAccess = async req => policies.authorize(req.user, 'manageApiKeys', 'user', await findVisibleUser(req, req.params.id));
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/api-keys:
+ *   get:
+ *     summary: 获取API密钥列表
+ *     description: 获取用户的API密钥列表（不包含密钥本身）。用户只能查看自己的密钥，拥有users:api_keys:manage权限的用户可查看任何用户的密钥
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 用户ID
+ *     responses:
+ *       200:
+ *         description: API密钥列表
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       500:
+ *         description: 服务器错误
+ *   post:
+ *     summary: 创建API密钥
+ *     description: 为脚本、集成系统等机器客户端创建API密钥。密钥仅在创建时返回一次，请求时通过X-API-Key请求头或Bearer令牌提供。需要最近进行过认证
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 用户ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: ['*', 'users:read', 'users:write', 'api_keys:manage', 'roles:read', 'roles:write', 'tenants:read', 'tenants:write']
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: 过期时间（可选，不填则长期有效）
+ *     responses:
+ *       201:
+ *         description: 创建成功，返回明文密钥
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: 用户不存在
+ *       409:
+ *         description: 密钥数量已达上限
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/:id/api-keys',
+  authenticate,
+  requireScope(API_KEY_SCOPES.API_KEYS_MANAGE),
+  asyncHandler(async (req, res) => {
+    await authorizeApiKeyAccess(req);
+
+    const apiKeys = await apiKeyService.listKeys(req.params.id);
+
+    res.json({
+      success: true,
+      data: apiKeys,
+    });
+  })
+);
+
+router.post(
+  '/:id/api-keys',
+  authenticate,
+  forbidImpersonation,
+  requireScope(API_KEY_SCOPES.API_KEYS_MANAGE),
+  // 创建密钥需要最近进行过认证，不能使用API密钥创建
+  requireRecentAuth(),
+  asyncHandler(async (req, res) => {
+    await authorizeApiKeyAccess(req);
+
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '密钥名称是必填项',
+        },
+      });
+    }
+
+    const owner = await userService.getUserById(req.params.id);
+    const apiKey = await apiKeyService.createKey(owner, { name, scopes, expiresAt });
+
+    // 管理员为他人创建密钥时记录操作者
+    if (req.user.id !== owner.id) {
+      logger.audit(req.user.id, 'create_api_key', 'user', { id: owner.id, apiKeyId: apiKey.id });
+    }
+
+    res.status(statusCodes.CREATED).json({
+      success: true,
+      message: 'API密钥已创建，请妥善保存，密钥不会再次显示',
+      data: apiKey,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/api-keys/{keyId}:
+ *   delete:
+ *     summary: 吊销API密钥
+ *     description: 吊销后使用该密钥的请求将立即被拒绝
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: 用户ID
+ *       - in: path
+ *         name: keyId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: API密钥ID
+ *     responses:
+ *       200:
+ *         description: 吊销成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 权限不足
+ *       404:
+ *         description: API密钥不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.delete(
+  '/:id/api-keys/:keyId',
+  authenticate,
+  forbidImpersonation,
+  requireScope(API_KEY_SCOPES.API_KEYS_MANAGE),
+  asyncHandler(async (req, res) => {
+    await authorizeApiKeyAccess(req);
+
+    const { id, keyId } = req.params;
+
+    await apiKeyService.revokeKey(id, keyId);
+
+    // 管理员吊销他人密钥时记录操作者
+    if (req.user.id !== id) {
+      logger.audit(req.user.id, 'revoke_api_key', 'user', { id, apiKeyId: keyId });
+    }
+
+    res.json({
+      success: true,
+      message: 'API密钥已吊销',
+    });
+  })
+);
+
 module.exports = router;
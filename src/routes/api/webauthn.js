@@ -0,0 +1,316 @@
+/**
+ * WebAuthn（通行密钥）API路由
+ */
+const express = require('express');
+const router = express.Router();
+const userService = require('../../services/userService');
+const webauthnService = require('../../services/webauthnService');
+const tokenService = require('../../services/tokenService');
+const { ApiError, asyncHandler } = require('../../middleware/generic/errorHandler');
+const { authenticate, forbidImpersonation, requireRecentAuth } = require('../../middleware/auth/jwtAuth');
+const statusCodes = require('../../constants/statusCodes');
+const { TOKEN_PURPOSES } = require('../../constants/business');
+
+/**
+ * 检查请求体中的注册或认证结果
+ * @param {Object} response - navigator.credentials.create()或get()的结果
+ * @returns {boolean} - 格式是否有效
+ */
+function isCredentialResponse(response) {
+  return Boolean(response && typeof response.id === 'string' && response.response && typeof response.response.clientDataJSON === 'string');
+}
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/registration/options:
+ *   post:
+ *     summary: 开始注册通行密钥
+ *     description: 返回传给 navigator.credentials.create() 的注册选项，挑战在有效期内只能使用一次。需要最近进行过认证，不能使用API密钥
+ *     tags: [WebAuthn]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 注册选项（PublicKeyCredentialCreationOptionsJSON）
+ *       401:
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
+ *       403:
+ *         description: 模拟登录期间或使用API密钥时不能执行此操作
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/registration/options',
+  authenticate,
+  forbidImpersonation,
+  // 通行密钥可以作为多因素认证登录，注册需要最近进行过认证（API密钥不能注册）
+  requireRecentAuth(),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await webauthnService.beginRegistration(req.user.id),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/registration:
+ *   post:
+ *     summary: 完成注册通行密钥
+ *     description: 提交 navigator.credentials.create() 的结果。注册后可使用通行密钥免密码登录，或在多因素认证时作为第二因素。需要最近进行过认证，不能使用API密钥
+ *     tags: [WebAuthn]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: 注册结果（RegistrationResponseJSON）
+ *               name:
+ *                 type: string
+ *                 description: 凭据名称，便于在列表中识别
+ *     responses:
+ *       201:
+ *         description: 注册成功
+ *       400:
+ *         description: 请求数据无效、注册请求已过期或校验失败
+ *       401:
+ *         description: 未授权或需要重新认证（AUTH_REAUTHENTICATION_REQUIRED）
+ *       403:
+ *         description: 模拟登录期间或使用API密钥时不能执行此操作
+ *       409:
+ *         description: 该验证器已注册
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/registration',
+  authenticate,
+  forbidImpersonation,
+  // 通行密钥可以作为多因素认证登录，注册需要最近进行过认证（API密钥不能注册）
+  requireRecentAuth(),
+  asyncHandler(async (req, res) => {
+    const { response, name } = req.body;
+
+    if (!isCredentialResponse(response)) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '注册结果是必填项',
+        },
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '名称不能超过100个字符',
+        },
+      });
+    }
+
+    const credential = await webauthnService.finishRegistration(req.user.id, response, name);
+
+    res.status(statusCodes.CREATED).json({
+      success: true,
+      message: '通行密钥已注册',
+      data: credential,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/authentication/options:
+ *   post:
+ *     summary: 开始通行密钥认证
+ *     description: 返回传给 navigator.credentials.get() 的认证选项。免密码登录或重新认证时可传入用户名（不传时由浏览器列出可用的通行密钥）；作为第二因素时传入登录返回的mfaToken
+ *     tags: [WebAuthn]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: 用户名或邮箱（免密码登录时可选）
+ *               mfaToken:
+ *                 type: string
+ *                 description: 登录返回的MFA挑战令牌（作为第二因素时）
+ *     responses:
+ *       200:
+ *         description: 认证选项（PublicKeyCredentialRequestOptionsJSON）
+ *       400:
+ *         description: 尚未注册通行密钥
+ *       401:
+ *         description: MFA挑战令牌无效或已过期
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/authentication/options',
+  asyncHandler(async (req, res) => {
+    const { username, mfaToken } = req.body;
+    let options;
+
+    if (mfaToken) {
+      const challenge = await tokenService.peekOneTimeToken(TOKEN_PURPOSES.MFA_CHALLENGE, mfaToken);
+
+      if (!challenge) {
+        throw new ApiError(statusCodes.UNAUTHORIZED, 'MFA挑战令牌无效或已过期，请重新登录', 'AUTH_INVALID_MFA_TOKEN');
+      }
+
+      // 作为第二因素时密码已经验证过，不要求验证器再次验证用户
+      options = await webauthnService.beginAuthentication({ userId: challenge.userId, userVerification: 'discouraged' });
+    } else {
+      options = await webauthnService.beginAuthentication({ username: username || null, userVerification: 'required' });
+    }
+
+    res.json({
+      success: true,
+      data: options,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/login:
+ *   post:
+ *     summary: 使用通行密钥登录
+ *     description: 提交 navigator.credentials.get() 的结果代替用户名和密码登录，验证器必须完成用户验证（PIN、指纹等），无需再进行多因素认证
+ *     tags: [WebAuthn]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: 认证结果（AuthenticationResponseJSON）
+ *               deviceName:
+ *                 type: string
+ *                 description: 设备名称（可选，用于会话列表展示）
+ *     responses:
+ *       200:
+ *         description: 登录成功
+ *       400:
+ *         description: 请求数据无效
+ *       401:
+ *         description: 认证请求已过期、通行密钥验证失败或签名计数异常
+ *       403:
+ *         description: 账户未激活或邮箱未验证
+ *       500:
+ *         description: 服务器错误
+ */
+router.post(
+  '/login',
+  asyncHandler(async (req, res) => {
+    const { response, deviceName } = req.body;
+
+    if (!isCredentialResponse(response)) {
+      return res.status(statusCodes.BAD_REQUEST).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: '认证结果是必填项',
+        },
+      });
+    }
+
+    const result = await userService.loginWithWebAuthn(response, { ip: req.ip, userAgent: req.get('user-agent'), deviceName });
+
+    res.json({
+      success: true,
+      message: '登录成功',
+      data: result,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/credentials:
+ *   get:
+ *     summary: 获取已注册的通行密钥
+ *     tags: [WebAuthn]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 通行密钥列表（不含公钥）
+ *       401:
+ *         description: 未授权
+ *       500:
+ *         description: 服务器错误
+ */
+router.get(
+  '/credentials',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await webauthnService.listCredentials(req.user.id),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/webauthn/credentials/{id}:
+ *   delete:
+ *     summary: 删除通行密钥
+ *     description: 删除后该验证器不能再用于登录
+ *     tags: [WebAuthn]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 模拟登录期间不能执行此操作
+ *       404:
+ *         description: 通行密钥不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.delete(
+  '/credentials/:id',
+  authenticate,
+  forbidImpersonation,
+  asyncHandler(async (req, res) => {
+    await webauthnService.removeCredential(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: '通行密钥已删除',
+    });
+  })
+);
+
+module.exports = router;
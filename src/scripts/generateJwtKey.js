@@ -0,0 +1,21 @@
+/**
+ * 生成JWT签名密钥
+ * 用法: npm run keys:generate -- [RS256|ES256]
+ * 密钥写入JWT_KEYS_DIR目录，生成后需分发到所有实例，再通过JWT_ACTIVE_KID启用
+ */
+const keyring = require('../utils/keyring');
+const config = require('../config');
+
+const algorithm = process.argv[2] || (config.jwt.algorithm === 'HS256' ? 'RS256' : config.jwt.algorithm);
+
+try {
+  const kid = keyring.generateKey(algorithm);
+
+  console.log(`已生成${algorithm}签名密钥: ${kid}`);
+  console.log(`密钥文件: ${keyring.getKeysDir()}/${kid}.pem`);
+  console.log(`分发到所有实例后，设置 JWT_ACTIVE_KID=${kid} 启用该密钥`);
+  process.exit(0);
+} catch (error) {
+  console.error(`生成密钥失败: ${error.message}`);
+  process.exit(1);
+}
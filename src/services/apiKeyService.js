@@ -0,0 +1,216 @@
+/**
+ * API密钥服务类
+ * 处理API密钥的创建、吊销和认证
+ */
+const crypto = require('crypto');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const encryption = require('../utils/encryption');
+const emailVerificationService = require('./emailVerificationService');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { API_KEY_SCOPES, AUTH_TYPES, CACHE_TTL, USER_STATUS } = require('../constants/business');
+
+// API密钥前缀，便于识别密钥类型和在代码仓库中扫描泄露的密钥
+const KEY_PREFIX = 'eak_';
+
+// 每个用户最多可持有的有效密钥数量
+const MAX_KEYS_PER_USER = 20;
+
+class ApiKeyService {
+  /**
+   * 获取API密钥模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - API密钥模型
+   */
+  async getApiKeyModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.ApiKey;
+  }
+
+  /**
+   * 创建API密钥
+   * @param {Object} user - 密钥所属用户（id、tenantId）
+   * @param {Object} keyData - 密钥数据
+   * @param {string} keyData.name - 密钥名称
+   * @param {string[]} keyData.scopes - 权限范围
+   * @param {string} keyData.expiresAt - 过期时间（可选）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 密钥信息及明文密钥（仅此一次返回）
+   */
+  async createKey(user, { name, scopes, expiresAt }, dbType) {
+    const ApiKey = await this.getApiKeyModel(dbType);
+
+    try {
+      // 验证权限范围
+      const validScopes = Object.values(API_KEY_SCOPES);
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !validScopes.includes(scope))) {
+        throw new ApiError(statusCodes.BAD_REQUEST, `scopes必须是非空数组，可选值: ${validScopes.join(', ')}`, 'VALIDATION_ERROR');
+      }
+
+      // 验证过期时间
+      let expiry = null;
+      if (expiresAt) {
+        expiry = new Date(expiresAt);
+        if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+          throw new ApiError(statusCodes.BAD_REQUEST, '过期时间必须是将来的时间', 'VALIDATION_ERROR');
+        }
+      }
+
+      const activeKeys = await ApiKey.count({ where: { userId: user.id, revokedAt: null } });
+      if (activeKeys >= MAX_KEYS_PER_USER) {
+        throw new ApiError(statusCodes.CONFLICT, `每个用户最多可创建${MAX_KEYS_PER_USER}个API密钥`, 'AUTH_API_KEY_LIMIT_REACHED');
+      }
+
+      // 生成密钥：eak_<公开前缀>_<随机密文>
+      const prefix = crypto.randomBytes(6).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const key = `${KEY_PREFIX}${prefix}_${secret}`;
+
+      const apiKey = await ApiKey.create({
+        userId: user.id,
+        tenantId: user.tenantId || null,
+        name,
+        prefix,
+        keyHash: encryption.hash(key),
+        scopes,
+        expiresAt: expiry,
+      });
+
+      // 记录审计日志
+      logger.audit(user.id, 'create_api_key', 'api_key', { id: apiKey.id, name, scopes });
+
+      return {
+        ...this.sanitizeKey(apiKey.toJSON()),
+        key,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('创建API密钥失败', { error: error.message, userId: user.id });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '创建API密钥失败', 'AUTH_API_KEY_CREATE_FAILED');
+    }
+  }
+
+  /**
+   * 获取用户的API密钥列表
+   * @param {string} userId - 用户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object[]>} - 密钥列表（不含密钥哈希）
+   */
+  async listKeys(userId, dbType) {
+    const ApiKey = await this.getApiKeyModel(dbType);
+
+    const apiKeys = await ApiKey.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      attributes: { exclude: ['keyHash'] },
+    });
+
+    return apiKeys.map(apiKey => ({
+      ...apiKey.toJSON(),
+      active: apiKey.isActive(),
+    }));
+  }
+
+  /**
+   * 吊销API密钥
+   * @param {string} userId - 密钥所属用户ID
+   * @param {string} keyId - 密钥ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async revokeKey(userId, keyId, dbType) {
+    const ApiKey = await this.getApiKeyModel(dbType);
+
+    const apiKey = await ApiKey.findOne({ where: { id: keyId, userId } });
+
+    if (!apiKey) {
+      throw new ApiError(statusCodes.NOT_FOUND, 'API密钥不存在', 'AUTH_API_KEY_NOT_FOUND');
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      // 记录审计日志
+      logger.audit(userId, 'revoke_api_key', 'api_key', { id: keyId });
+    }
+
+    return true;
+  }
+
+  /**
+   * 使用API密钥认证
+   * @param {string} key - 明文API密钥
+   * @param {string} ip - 客户端IP
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 认证主体（密钥所属用户及权限范围），结构与JWT载荷一致
+   */
+  async authenticateKey(key, ip, dbType) {
+    const match = /^eak_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(key);
+
+    if (!match) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '无效的API密钥', 'AUTH_INVALID_API_KEY');
+    }
+
+    const ApiKey = await this.getApiKeyModel(dbType);
+    const apiKey = await ApiKey.findOne({
+      where: { prefix: match[1] },
+      include: [{ association: 'user' }],
+    });
+
+    if (!apiKey || !encryption.safeEqual(apiKey.keyHash, encryption.hash(key))) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '无效的API密钥', 'AUTH_INVALID_API_KEY');
+    }
+
+    if (!apiKey.isActive()) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, 'API密钥已过期或已被吊销', 'AUTH_API_KEY_REVOKED');
+    }
+
+    const { user } = apiKey;
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+    }
+
+    // 记录最后使用时间（最多每分钟写入一次）
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() >= CACHE_TTL.SHORT * 1000) {
+      apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ip || null }).catch(error => {
+        logger.warn('更新API密钥使用时间失败', { error: error.message, keyId: apiKey.id });
+      });
+    }
+
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      roles: emailVerificationService.getEffectiveRoles(user),
+      tenantId: user.tenantId,
+      scopes: apiKey.scopes,
+      authType: AUTH_TYPES.API_KEY,
+      apiKeyId: apiKey.id,
+    };
+  }
+
+  /**
+   * 判断凭证是否为API密钥格式
+   * @param {string} credential - 凭证
+   * @returns {boolean} - 是否为API密钥
+   */
+  isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * 从密钥对象中移除敏感信息
+   * @param {Object} apiKey - 密钥对象
+   * @returns {Object} - 处理后的密钥对象
+   */
+  sanitizeKey(apiKey) {
+    return Object.fromEntries(Object.entries(apiKey).filter(([field]) => field !== 'keyHash'));
+  }
+}
+
+module.exports = new ApiKeyService();
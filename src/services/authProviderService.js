@@ -0,0 +1,130 @@
+/**
+ * 登录认证方式服务类
+ * 用户名密码登录时按租户配置的顺序依次尝试各认证方式，第一个认证通过的为准，
+ * 同一租户中可以同时存在本地用户和目录用户
+ *
+ * 认证方式需实现 authenticate(credentials, dbType)：
+ * credentials包含username、password、user（按用户名或邮箱找到的本地用户，可能为空）和tenantId，
+ * 认证通过时返回本地用户实例，不适用或凭据不正确时返回null
+ */
+const settingsService = require('./settingsService');
+const identityService = require('./identityService');
+const ldapService = require('./ldapService');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { AUTH_PROVIDERS, IDENTITY_TYPES } = require('../constants/business');
+
+// 认证方式顺序在系统设置中的名称
+const SETTING_NAME = 'auth.providers';
+
+/**
+ * 本地密码认证
+ * 绑定了目录账户的用户只能通过目录认证，避免在目录中停用后仍能使用本地密码登录
+ */
+const localProvider = {
+  async authenticate({ user, password }, dbType) {
+    if (!user || (await identityService.hasIdentity(user.id, IDENTITY_TYPES.LDAP, dbType))) {
+      return null;
+    }
+
+    return (await user.validatePassword(password)) ? user : null;
+  },
+};
+
+class AuthProviderService {
+  constructor() {
+    // 已注册的认证方式
+    this.providers = new Map();
+
+    this.register(AUTH_PROVIDERS.LOCAL, localProvider);
+    this.register(AUTH_PROVIDERS.LDAP, ldapService);
+  }
+
+  /**
+   * 注册认证方式
+   * @param {string} name - 认证方式名称
+   * @param {Object} provider - 实现了authenticate方法的认证方式
+   */
+  register(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * 获取租户的认证方式顺序
+   * @param {string} tenantId - 租户ID，为空时返回全局配置
+   * @returns {Promise<string[]>} - 认证方式名称
+   */
+  async getChain(tenantId = null) {
+    return await settingsService.get(SETTING_NAME, config.authentication.providers, tenantId);
+  }
+
+  /**
+   * 更新认证方式顺序
+   * @param {string[]} chain - 认证方式名称，按尝试顺序排列
+   * @param {string} tenantId - 租户ID，为空时更新全局配置
+   * @returns {Promise<string[]>} - 更新后的认证方式顺序
+   */
+  async setChain(chain, tenantId = null) {
+    if (!Array.isArray(chain) || chain.length === 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '认证方式必须是非空数组', 'VALIDATION_ERROR');
+    }
+
+    const unknown = chain.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, `未知的认证方式: ${unknown.join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    if (new Set(chain).size !== chain.length) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '认证方式不能重复', 'VALIDATION_ERROR');
+    }
+
+    await settingsService.set(SETTING_NAME, chain, tenantId);
+
+    return chain;
+  }
+
+  /**
+   * 按租户配置的顺序认证用户
+   * 认证方式暂时不可用时继续尝试下一个，全部失败且有不可用的认证方式时返回503，以免把服务故障当作密码错误
+   * @param {Object} credentials - 登录凭据（username、password、user、tenantId）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object|null>} - 认证通过的用户和认证方式（user、provider），全部失败时返回null
+   */
+  async authenticate(credentials, dbType) {
+    const chain = await this.getChain(credentials.tenantId);
+    let unavailable = null;
+
+    for (const name of chain) {
+      const provider = this.providers.get(name);
+
+      if (!provider) {
+        logger.warn('未知的认证方式', { provider: name, tenantId: credentials.tenantId });
+        continue;
+      }
+
+      try {
+        const user = await provider.authenticate(credentials, dbType);
+
+        if (user) {
+          return { user, provider: name };
+        }
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.statusCode !== statusCodes.SERVICE_UNAVAILABLE) {
+          throw error;
+        }
+
+        unavailable = error;
+      }
+    }
+
+    if (unavailable) {
+      throw unavailable;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new AuthProviderService();
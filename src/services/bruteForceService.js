@@ -0,0 +1,299 @@
+/**
+ * 登录暴力破解防护服务类
+ * 基于Redis分别按账户+IP、账户、IP统计登录失败次数，多个实例共享同一份计数：
+ * 失败次数达到阈值后先要求人机验证（配置了验证服务时），继续失败则按指数退避暂时拒绝登录；
+ * 不限制登录的范围（默认为按账户统计）在没有人机验证服务时改为短暂退避，避免分布式猜测密码不受任何限制
+ */
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES } = require('../constants/business');
+
+// 统计范围：账户+IP、账户、IP，依次对应配置中的userIp、user、ip阈值
+const SCOPES = ['userIp', 'user', 'ip'];
+
+/**
+ * 创建兼容siteverify接口的人机验证服务（reCAPTCHA、hCaptcha、Turnstile的服务端验证接口格式相同）
+ * @param {string} url - 验证接口地址
+ * @returns {Object} - 实现了verify(token, options)方法的验证服务
+ */
+function siteVerifyProvider(url) {
+  return {
+    async verify(token, { ip } = {}) {
+      const { secret, minScore, timeout } = config.bruteForce.captcha;
+      const body = new URLSearchParams({ secret, response: token });
+
+      if (ip) {
+        body.set('remoteip', ip);
+      }
+
+      const response = await fetch(url, { method: 'POST', body, signal: AbortSignal.timeout(timeout) });
+
+      if (!response.ok) {
+        throw new Error(`人机验证接口返回状态码${response.status}`);
+      }
+
+      const result = await response.json();
+
+      // reCAPTCHA v3按分数判断，其余服务没有score字段
+      return Boolean(result.success) && (result.score === undefined || result.score >= minScore);
+    },
+  };
+}
+
+class BruteForceService {
+  constructor() {
+    // 已注册的人机验证服务
+    this.captchaProviders = new Map();
+
+    this.register('recaptcha', siteVerifyProvider('https://www.google.com/recaptcha/api/siteverify'));
+    this.register('hcaptcha', siteVerifyProvider('https://api.hcaptcha.com/siteverify'));
+    this.register('turnstile', siteVerifyProvider('https://challenges.cloudflare.com/turnstile/v0/siteverify'));
+  }
+
+  /**
+   * 注册人机验证服务
+   * 只有bruteForce.captcha.provider指定的验证服务才会被调用
+   * @param {string} name - 验证服务名称
+   * @param {Object} provider - 实现了verify(token, { ip })方法、返回是否通过的验证服务
+   */
+  register(name, provider) {
+    this.captchaProviders.set(name, provider);
+  }
+
+  /**
+   * 生成账户标识
+   * 已存在的用户按ID统计（用户名和邮箱登录计入同一账户），不存在的用户名按提交的名称统计
+   * @param {Object} user - 用户对象，用户名不存在时为空
+   * @param {string} username - 提交的用户名或邮箱
+   * @returns {string} - 账户标识
+   */
+  subjectKey(user, username) {
+    return user ? `id:${user.id}` : `name:${String(username).toLowerCase()}`;
+  }
+
+  /**
+   * 获取当前使用的人机验证服务，未配置时返回null
+   * @returns {Object|null} - 验证服务
+   */
+  getCaptchaProvider() {
+    const { provider } = config.bruteForce.captcha;
+
+    if (!provider) {
+      return null;
+    }
+
+    const captchaProvider = this.captchaProviders.get(provider);
+    if (!captchaProvider) {
+      logger.warn('未知的人机验证服务，已忽略人机验证', { provider });
+      return null;
+    }
+
+    return captchaProvider;
+  }
+
+  /**
+   * 登录前检查：处于限制期时拒绝登录，失败次数达到人机验证阈值时要求并验证人机验证令牌
+   * @param {Object} attempt - 登录尝试
+   * @param {string} attempt.userKey - 账户标识（subjectKey）
+   * @param {string} attempt.ip - 客户端IP
+   * @param {string} attempt.captchaToken - 人机验证令牌
+   * @param {Object} options - 选项
+   * @param {boolean} options.captcha - 是否要求人机验证（已登录用户重新认证时不要求）
+   * @throws {ApiError} - 处于限制期（429）或需要人机验证（403）
+   */
+  async check({ userKey, ip, captchaToken }, { captcha = true } = {}) {
+    if (!config.bruteForce.enabled) {
+      return;
+    }
+
+    const targets = this.targets(userKey, ip);
+
+    const locks = await Promise.all(targets.map(({ scope, id }) => redisClient.get(this.lockKey(scope, id))));
+    const retryAfter = Math.max(0, ...locks.filter(Boolean).map(lock => Math.ceil((lock.until - Date.now()) / 1000)));
+
+    if (retryAfter > 0) {
+      throw new ApiError(statusCodes.TOO_MANY_REQUESTS, `登录失败次数过多，请在${retryAfter}秒后重试`, 'AUTH_TOO_MANY_ATTEMPTS', { retryAfter });
+    }
+
+    const provider = captcha ? this.getCaptchaProvider() : null;
+    if (!provider) {
+      return;
+    }
+
+    const counts = await Promise.all(targets.map(({ scope, id }) => redisClient.get(this.failureKey(scope, id))));
+    if (!targets.some(({ scope }, index) => (counts[index] || 0) >= config.bruteForce[scope].captchaAfter)) {
+      return;
+    }
+
+    const challenge = this.captchaChallenge();
+
+    if (!captchaToken) {
+      throw new ApiError(statusCodes.FORBIDDEN, '请先完成人机验证', 'AUTH_CAPTCHA_REQUIRED', challenge);
+    }
+
+    let verified;
+    try {
+      verified = await provider.verify(captchaToken, { ip });
+    } catch (error) {
+      logger.error('人机验证请求失败', { provider: config.bruteForce.captcha.provider, error: error.message });
+      verified = false;
+    }
+
+    if (!verified) {
+      throw new ApiError(statusCodes.FORBIDDEN, '人机验证未通过，请重试', 'AUTH_CAPTCHA_INVALID', challenge);
+    }
+  }
+
+  /**
+   * 记录一次失败的登录
+   * 失败次数达到限制阈值后，每多失败一次限制时长翻倍（baseDelay、baseDelay * 2 ...），最长maxDelay；
+   * 没有限制阈值的范围只要求人机验证，未配置验证服务时从人机验证阈值起退避（1秒、2秒 ...），最长backoffMaxDelay
+   * @param {Object} attempt - 登录尝试
+   * @param {string} attempt.userKey - 账户标识（subjectKey）
+   * @param {string} attempt.ip - 客户端IP
+   * @returns {Promise<Object>} - 之后是否需要人机验证（captchaRequired）和限制时长（retryAfter，秒，未限制时为0）
+   */
+  async recordFailure({ userKey, ip }) {
+    const { enabled, window, baseDelay, maxDelay, backoffMaxDelay } = config.bruteForce;
+
+    if (!enabled) {
+      return { captchaRequired: false, retryAfter: 0 };
+    }
+
+    const captchaAvailable = Boolean(this.getCaptchaProvider());
+    let captchaRequired = false;
+    let retryAfter = 0;
+
+    for (const { scope, id } of this.targets(userKey, ip)) {
+      const count = await redisClient.incr(this.failureKey(scope, id), window);
+      const { captchaAfter, lockAfter } = config.bruteForce[scope];
+
+      if (!count) {
+        continue;
+      }
+
+      captchaRequired = captchaRequired || count >= captchaAfter;
+
+      // 未配置限制阈值的范围（默认为按账户统计）只要求人机验证，不能要求人机验证时短暂退避
+      let delay = 0;
+      if (lockAfter && count >= lockAfter) {
+        delay = Math.min(baseDelay * 2 ** (count - lockAfter), maxDelay);
+      } else if (!lockAfter && !captchaAvailable && count >= captchaAfter) {
+        delay = Math.min(2 ** (count - captchaAfter), backoffMaxDelay);
+      }
+
+      if (delay > 0) {
+        await redisClient.set(this.lockKey(scope, id), { until: Date.now() + delay * 1000 }, delay);
+        retryAfter = Math.max(retryAfter, delay);
+
+        logger.warn('登录失败次数过多，暂时限制登录', { scope, id, failures: count, delay });
+      }
+    }
+
+    // 记录账户在哪些IP上失败过，解除限制时一并清除
+    if (userKey && ip) {
+      await redisClient.sadd(this.ipIndexKey(userKey), ip, window);
+    }
+
+    return { captchaRequired: captchaRequired && captchaAvailable, retryAfter };
+  }
+
+  /**
+   * 登录成功后清除账户的失败记录
+   * 按IP的统计不清除，避免攻击者用自己的账户定期登录来掩盖撒网式猜测
+   * @param {Object} attempt - 登录尝试
+   * @param {string} attempt.userKey - 账户标识（subjectKey）
+   * @param {string} attempt.ip - 客户端IP
+   */
+  async reset({ userKey, ip }) {
+    if (!config.bruteForce.enabled) {
+      return;
+    }
+
+    for (const { scope, id } of this.targets(userKey, ip).filter(target => target.scope !== 'ip')) {
+      await redisClient.del(this.failureKey(scope, id));
+      await redisClient.del(this.lockKey(scope, id));
+    }
+  }
+
+  /**
+   * 解除账户的登录限制（管理员操作、邮件链接登录或重置密码后）
+   * 清除账户及其在各IP上的失败记录；指定IP时同时清除该IP的失败记录
+   * @param {string} userKey - 账户标识（subjectKey）
+   * @param {string} ip - 需要一并解除限制的IP
+   */
+  async unlock(userKey, ip = null) {
+    const ips = await redisClient.smembers(this.ipIndexKey(userKey));
+    const targets = [{ scope: 'user', id: userKey }, ...ips.map(address => ({ scope: 'userIp', id: `${userKey}|${address}` }))];
+
+    if (ip) {
+      targets.push({ scope: 'ip', id: ip });
+    }
+
+    for (const { scope, id } of targets) {
+      await redisClient.del(this.failureKey(scope, id));
+      await redisClient.del(this.lockKey(scope, id));
+    }
+
+    await redisClient.del(this.ipIndexKey(userKey));
+  }
+
+  /**
+   * 生成需要检查的统计对象
+   * @param {string} userKey - 账户标识
+   * @param {string} ip - 客户端IP
+   * @returns {Object[]} - 统计范围和对象标识
+   */
+  targets(userKey, ip) {
+    const ids = {
+      userIp: userKey && ip ? `${userKey}|${ip}` : null,
+      user: userKey || null,
+      ip: ip || null,
+    };
+
+    return SCOPES.filter(scope => ids[scope]).map(scope => ({ scope, id: ids[scope] }));
+  }
+
+  /**
+   * 返回给客户端的人机验证信息（验证服务和站点密钥）
+   * @returns {Object} - 人机验证信息
+   */
+  captchaChallenge() {
+    const { provider, siteKey } = config.bruteForce.captcha;
+    return { captcha: { provider, siteKey } };
+  }
+
+  /**
+   * 生成失败次数的缓存键
+   * @param {string} scope - 统计范围
+   * @param {string} id - 统计对象标识
+   * @returns {string} - 缓存键
+   */
+  failureKey(scope, id) {
+    return `${CACHE_PREFIXES.LOGIN_THROTTLE}failures:${scope}:${id}`;
+  }
+
+  /**
+   * 生成限制期的缓存键
+   * @param {string} scope - 统计范围
+   * @param {string} id - 统计对象标识
+   * @returns {string} - 缓存键
+   */
+  lockKey(scope, id) {
+    return `${CACHE_PREFIXES.LOGIN_THROTTLE}lock:${scope}:${id}`;
+  }
+
+  /**
+   * 生成账户失败过的IP集合的缓存键
+   * @param {string} userKey - 账户标识
+   * @returns {string} - 缓存键
+   */
+  ipIndexKey(userKey) {
+    return `${CACHE_PREFIXES.LOGIN_THROTTLE}ips:${userKey}`;
+  }
+}
+
+module.exports = new BruteForceService();
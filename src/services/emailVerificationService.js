@@ -0,0 +1,170 @@
+/**
+ * 邮箱验证服务类
+ * 处理验证令牌的签发与校验，以及未验证邮箱用户的登录策略
+ */
+const crypto = require('crypto');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const config = require('../config');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, EMAIL_VERIFICATION_POLICIES, TOKEN_PURPOSES, USER_ROLES, USER_STATUS } = require('../constants/business');
+
+class EmailVerificationService {
+  /**
+   * 获取用户模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 用户模型
+   */
+  async getUserModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.User;
+  }
+
+  /**
+   * 获取当前的邮箱验证策略
+   * @returns {string} - EMAIL_VERIFICATION_POLICIES之一
+   */
+  getPolicy() {
+    const policy = config.emailVerification.policy;
+    return Object.values(EMAIL_VERIFICATION_POLICIES).includes(policy) ? policy : EMAIL_VERIFICATION_POLICIES.OFF;
+  }
+
+  /**
+   * 检查用户是否因未验证邮箱而不能登录
+   * @param {Object} user - 用户对象
+   * @returns {boolean} - 是否阻止登录
+   */
+  isLoginBlocked(user) {
+    return !user.emailVerified && this.getPolicy() === EMAIL_VERIFICATION_POLICIES.BLOCK;
+  }
+
+  /**
+   * 获取用户的有效角色
+   * restrict策略下，未验证邮箱的用户不能使用受限角色，全部角色受限时降级为访客
+   * @param {Object} user - 用户对象
+   * @returns {string[]} - 有效角色
+   */
+  getEffectiveRoles(user) {
+    if (user.emailVerified || this.getPolicy() !== EMAIL_VERIFICATION_POLICIES.RESTRICT) {
+      return user.roles;
+    }
+
+    const roles = user.roles.filter(role => !config.emailVerification.restrictedRoles.includes(role));
+    return roles.length > 0 ? roles : [USER_ROLES.GUEST];
+  }
+
+  /**
+   * 为用户签发邮箱验证令牌
+   * 令牌绑定签发时的邮箱地址，邮箱变更后旧令牌自动失效
+   * @param {Object} user - 用户对象
+   * @returns {Promise<string>} - 验证令牌
+   */
+  async createVerificationToken(user) {
+    const token = await tokenService.createOneTimeToken(TOKEN_PURPOSES.EMAIL_VERIFICATION, { userId: user.id, email: user.email }, config.emailVerification.tokenExpiresIn);
+
+    // 记录审计日志
+    logger.audit(user.id, 'request_email_verification', 'user', { id: user.id, email: user.email });
+
+    return token;
+  }
+
+  /**
+   * 签发验证令牌并发送验证邮件
+   * @param {Object} user - 用户对象
+   * @returns {Promise<string>} - 邮件ID
+   */
+  async sendVerification(user) {
+    const token = await this.createVerificationToken(user);
+
+    return await mailService.send('emailVerification', {
+      to: user.email,
+      locale: user.locale,
+      data: {
+        username: user.username,
+        url: mailService.buildUrl('/verify-email', { token }),
+        expiresInHours: Math.round(config.emailVerification.tokenExpiresIn / 3600),
+      },
+    });
+  }
+
+  /**
+   * 重新发送验证邮件
+   * 无论邮箱是否存在、是否已验证，调用方都应返回相同的响应，避免泄露注册信息
+   * @param {string} email - 用户邮箱
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 是否发送了验证邮件
+   */
+  async resendVerification(email, dbType) {
+    const User = await this.getUserModel(dbType);
+
+    try {
+      // 同一邮箱在冷却时间内只发送一次
+      const cooldownKey = `${CACHE_PREFIXES.EMAIL_VERIFICATION}cooldown:${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex')}`;
+      if (!(await redisClient.setIfNotExists(cooldownKey, true, config.emailVerification.resendCooldown))) {
+        return false;
+      }
+
+      const user = await User.findOne({ where: { email } });
+
+      if (!user || user.emailVerified || user.status !== USER_STATUS.ACTIVE) {
+        return false;
+      }
+
+      await this.sendVerification(user);
+      return true;
+    } catch (error) {
+      logger.error('重新发送验证邮件失败', { error: error.message, email });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '重新发送验证邮件失败', 'USER_EMAIL_VERIFICATION_FAILED');
+    }
+  }
+
+  /**
+   * 使用验证令牌验证邮箱
+   * @param {string} token - 验证令牌
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 已验证的用户
+   */
+  async verifyEmail(token, dbType) {
+    const User = await this.getUserModel(dbType);
+
+    try {
+      const payload = await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.EMAIL_VERIFICATION, token);
+
+      if (!payload) {
+        throw new ApiError(statusCodes.BAD_REQUEST, '验证令牌无效或已过期', 'AUTH_INVALID_VERIFICATION_TOKEN');
+      }
+
+      const user = await User.findByPk(payload.userId);
+
+      // 令牌签发后邮箱已变更
+      if (!user || user.email !== payload.email) {
+        throw new ApiError(statusCodes.BAD_REQUEST, '验证令牌无效或已过期', 'AUTH_INVALID_VERIFICATION_TOKEN');
+      }
+
+      if (!user.emailVerified) {
+        await user.markEmailVerified();
+
+        // 清除用户缓存
+        await redisClient.del(`${CACHE_PREFIXES.USER}${user.id}`);
+
+        // 记录审计日志
+        logger.audit(user.id, 'verify_email', 'user', { id: user.id, email: user.email });
+      }
+
+      return user;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('验证邮箱失败', { error: error.message });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '验证邮箱失败', 'USER_EMAIL_VERIFICATION_FAILED');
+    }
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,315 @@
+/**
+ * 外部身份服务类
+ * 将外部身份提供方（OIDC、LDAP等）认证通过的账户解析为本地用户：
+ * 已绑定的直接登录，否则按邮箱绑定已有用户，或即时创建新用户
+ */
+const crypto = require('crypto');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const roleService = require('./roleService');
+const tenantService = require('./tenantService');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, USER_ROLES, USER_STATUS } = require('../constants/business');
+
+// 自动生成的用户名长度限制（与用户模型一致）
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 50;
+
+class IdentityService {
+  /**
+   * 获取用户模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 用户模型
+   */
+  async getUserModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.User;
+  }
+
+  /**
+   * 获取外部身份模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 外部身份模型
+   */
+  async getIdentityModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.UserIdentity;
+  }
+
+  /**
+   * 解析外部账户对应的本地用户
+   * @param {Object} profile - 外部账户信息
+   * @param {string} profile.type - 身份提供方类型（IDENTITY_TYPES）
+   * @param {string} profile.provider - 身份提供方名称
+   * @param {string} profile.providerTenantId - 身份提供方配置所属的租户，全局配置的提供方为空
+   * @param {string} profile.issuer - 身份提供方标识
+   * @param {string} profile.subject - 外部账户唯一标识
+   * @param {string} profile.email - 邮箱
+   * @param {boolean} profile.emailVerified - 邮箱是否已由身份提供方验证
+   * @param {string} profile.username - 建议的用户名
+   * @param {string} profile.firstName - 名
+   * @param {string} profile.lastName - 姓
+   * @param {string[]} profile.roles - 身份提供方映射出的角色（可选）
+   * @param {Object} options - 身份提供方的绑定选项
+   * @param {string} options.tenantId - 登录所在的租户，绑定和新建的用户必须属于该租户（租户自己的提供方即为该租户）
+   * @param {boolean} options.linkByEmail - 是否按已验证的邮箱绑定已有用户
+   * @param {boolean} options.autoProvision - 是否自动创建用户
+   * @param {string[]} options.defaultRoles - 自动创建用户的角色
+   * @param {boolean} options.syncRoles - 每次登录时是否用映射出的角色覆盖用户角色
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 本地用户实例
+   */
+  async resolveUser(profile, options = {}, dbType) {
+    const User = await this.getUserModel(dbType);
+
+    try {
+      const identity = await this.findIdentity(profile, dbType);
+
+      // 已绑定的外部账户
+      if (identity) {
+        const user = await User.findByPk(identity.userId);
+
+        if (!user) {
+          throw new ApiError(statusCodes.FORBIDDEN, '绑定的用户不存在', 'AUTH_IDENTITY_USER_MISSING');
+        }
+
+        // 租户的身份提供方只能登录该租户的用户
+        const tenantId = profile.providerTenantId || options.tenantId || null;
+        if (tenantId && user.tenantId !== tenantId) {
+          logger.warn('外部身份绑定的用户不属于登录所在的租户', { type: profile.type, provider: profile.provider, userId: user.id, tenantId });
+          throw new ApiError(statusCodes.FORBIDDEN, '绑定的用户不属于该身份提供方所在的租户', 'AUTH_IDENTITY_TENANT_MISMATCH');
+        }
+
+        await identity.update({ email: profile.email || identity.email, lastLoginAt: new Date() });
+        return await this.syncUser(user, profile, options);
+      }
+
+      // 按邮箱绑定已有用户，只信任身份提供方验证过的邮箱，避免冒用他人邮箱接管账户
+      const existing = profile.email ? await User.findOne({ where: { email: profile.email } }) : null;
+
+      if (existing) {
+        if (!options.linkByEmail || !profile.emailVerified) {
+          throw new ApiError(statusCodes.CONFLICT, '该邮箱已被其他账户使用，请使用原账户登录后再绑定', 'AUTH_IDENTITY_CONFLICT');
+        }
+
+        if (options.tenantId && existing.tenantId !== options.tenantId) {
+          throw new ApiError(statusCodes.CONFLICT, '该邮箱已被其他租户的账户使用', 'AUTH_IDENTITY_CONFLICT');
+        }
+
+        await this.linkIdentity(existing, profile, dbType);
+        return await this.syncUser(existing, profile, options);
+      }
+
+      if (!options.autoProvision) {
+        throw new ApiError(statusCodes.FORBIDDEN, '账户不存在，请联系管理员开通', 'AUTH_IDENTITY_NOT_PROVISIONED');
+      }
+
+      return await this.provisionUser(profile, options, dbType);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('解析外部身份失败', { error: error.message, type: profile.type, provider: profile.provider });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '外部身份登录失败', 'AUTH_IDENTITY_FAILED');
+    }
+  }
+
+  /**
+   * 把外部账户绑定到已有用户
+   * @param {Model} user - 用户实例
+   * @param {Object} profile - 外部账户信息
+   * @param {string} dbType - 数据库类型
+   * @param {Object} transaction - 事务
+   * @returns {Promise<Model>} - 外部身份实例
+   */
+  async linkIdentity(user, profile, dbType, transaction) {
+    const UserIdentity = await this.getIdentityModel(dbType);
+
+    const identity = await UserIdentity.create(
+      {
+        userId: user.id,
+        tenantId: user.tenantId,
+        type: profile.type,
+        provider: profile.provider,
+        providerTenantId: profile.providerTenantId || null,
+        issuer: profile.issuer,
+        subject: profile.subject,
+        email: profile.email,
+        lastLoginAt: new Date(),
+      },
+      { transaction }
+    );
+
+    // 记录审计日志
+    logger.audit(user.id, 'link_identity', 'user', { id: user.id, type: profile.type, provider: profile.provider });
+
+    return identity;
+  }
+
+  /**
+   * 即时创建用户并绑定外部账户
+   * 用户的本地密码为随机值，只能通过外部身份提供方或重置密码后登录
+   * @param {Object} profile - 外部账户信息
+   * @param {Object} options - 身份提供方的绑定选项
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 新创建的用户实例
+   */
+  async provisionUser(profile, options, dbType) {
+    const User = await this.getUserModel(dbType);
+
+    if (!profile.email) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '身份提供方未返回邮箱，无法创建账户', 'AUTH_IDENTITY_EMAIL_MISSING');
+    }
+
+    const roles = [profile.roles, options.defaultRoles].find(candidate => Array.isArray(candidate) && candidate.length > 0) || [USER_ROLES.USER];
+    await roleService.assertRolesExist(roles, dbType);
+    await tenantService.assertAssignable(options.tenantId, dbType);
+
+    const username = await this.generateUsername(User, profile.username || profile.email.split('@')[0]);
+
+    return await database.transaction(async transaction => {
+      const user = await User.create(
+        {
+          username,
+          email: profile.email,
+          password: crypto.randomBytes(32).toString('base64'),
+          firstName: profile.firstName,
+          lastName: profile.lastName,
+          roles,
+          status: USER_STATUS.ACTIVE,
+          emailVerified: Boolean(profile.emailVerified),
+          tenantId: options.tenantId || null,
+        },
+        { transaction }
+      );
+
+      await this.linkIdentity(user, profile, dbType, transaction);
+
+      // 记录审计日志
+      logger.audit(user.id, 'provision_user', 'user', { id: user.id, username, type: profile.type, provider: profile.provider });
+
+      return user;
+    }, dbType);
+  }
+
+  /**
+   * 根据外部账户信息生成未被占用的用户名
+   * @param {Model} User - 用户模型
+   * @param {string} candidate - 建议的用户名
+   * @returns {Promise<string>} - 用户名
+   */
+  async generateUsername(User, candidate) {
+    let base = String(candidate || '')
+      .replace(/[^A-Za-z0-9_.-]/g, '')
+      .slice(0, USERNAME_MAX_LENGTH - 5);
+
+    if (base.length < USERNAME_MIN_LENGTH) {
+      base = `user${base}`;
+    }
+
+    // 用户名在所有租户中唯一
+    if (!(await User.findOne({ where: { username: base }, tenantScope: false }))) {
+      return base;
+    }
+
+    // 用户名已被占用时追加随机后缀
+    return `${base}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  /**
+   * 用身份提供方的信息更新已绑定的用户（姓名；启用syncRoles时还包括角色）
+   * @param {Model} user - 用户实例
+   * @param {Object} profile - 外部账户信息
+   * @param {Object} options - 身份提供方的绑定选项
+   * @returns {Promise<Model>} - 用户实例
+   */
+  async syncUser(user, profile, options = {}) {
+    const changes = {};
+
+    ['firstName', 'lastName'].forEach(field => {
+      if (profile[field] && profile[field] !== user[field]) {
+        changes[field] = profile[field];
+      }
+    });
+
+    const roles = Array.isArray(profile.roles) && profile.roles.length > 0 ? profile.roles : options.defaultRoles;
+    const currentRoles = user.roles || [];
+
+    if (options.syncRoles && Array.isArray(roles) && roles.length > 0 && (roles.length !== currentRoles.length || roles.some(role => !currentRoles.includes(role)))) {
+      changes.roles = roles;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return user;
+    }
+
+    await user.update(changes);
+
+    // 清除缓存
+    await redisClient.del(`${CACHE_PREFIXES.USER}${user.id}`);
+
+    // 记录审计日志
+    logger.audit(user.id, 'sync_identity', 'user', { id: user.id, type: profile.type, provider: profile.provider, fields: Object.keys(changes), previousRoles: changes.roles ? currentRoles : undefined });
+
+    return user;
+  }
+
+  /**
+   * 将身份提供方返回的组映射为角色
+   * groupRoles的键可以是组名、组的完整DN或DN中的CN，不区分大小写
+   * @param {string[]} groups - 用户所属的组
+   * @param {Object} groupRoles - 组到角色名称数组的映射
+   * @returns {string[]} - 角色
+   */
+  mapRoles(groups, groupRoles = {}) {
+    const mapping = Object.entries(groupRoles).map(([group, roles]) => [group.toLowerCase(), roles]);
+    const roles = new Set();
+
+    groups.forEach(group => {
+      const normalized = String(group).toLowerCase();
+      const cn = (/^cn=([^,]+)/.exec(normalized) || [])[1];
+
+      mapping.forEach(([name, mappedRoles]) => {
+        if (name === normalized || name === cn) {
+          mappedRoles.forEach(role => roles.add(role));
+        }
+      });
+    });
+
+    return [...roles];
+  }
+
+  /**
+   * 查找外部身份
+   * 按提供方名称和提供方配置所属的租户区分，issuer由提供方配置决定，不同租户的提供方即使声称同一issuer也互不相通
+   * @param {Object} profile - 外部账户信息
+   * @param {string} profile.type - 身份提供方类型（IDENTITY_TYPES）
+   * @param {string} profile.provider - 身份提供方名称
+   * @param {string} profile.providerTenantId - 身份提供方配置所属的租户，全局配置的提供方为空
+   * @param {string} profile.issuer - 身份提供方标识
+   * @param {string} profile.subject - 外部账户唯一标识
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model|null>} - 外部身份实例
+   */
+  async findIdentity({ type, provider, providerTenantId, issuer, subject }, dbType) {
+    const UserIdentity = await this.getIdentityModel(dbType);
+    return await UserIdentity.findOne({ where: { type, provider, providerTenantId: providerTenantId || null, issuer, subject } });
+  }
+
+  /**
+   * 检查用户是否绑定了指定类型的外部身份
+   * @param {string} userId - 用户ID
+   * @param {string} type - 身份提供方类型（IDENTITY_TYPES）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 是否已绑定
+   */
+  async hasIdentity(userId, type, dbType) {
+    const UserIdentity = await this.getIdentityModel(dbType);
+    return (await UserIdentity.count({ where: { userId, type } })) > 0;
+  }
+}
+
+module.exports = new IdentityService();
@@ -0,0 +1,355 @@
+/**
+ * LDAP / Active Directory服务类
+ * 使用服务账号查找用户条目后以用户的DN和密码绑定完成认证，目录组按配置映射为角色
+ * 目录配置：租户设置 > 全局设置 > 配置文件中的默认值（整体替换，不按字段合并）
+ */
+const { Client, InvalidCredentialsError, escapeFilter } = require('ldapts');
+const settingsService = require('./settingsService');
+const identityService = require('./identityService');
+const roleService = require('./roleService');
+const logger = require('../utils/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { IDENTITY_TYPES, ROLE_NAME_PATTERN } = require('../constants/business');
+
+// 目录配置在系统设置中的名称
+const SETTING_NAME = 'ldap.directory';
+
+// 对外返回配置时服务账号密码的占位符，保存时传入占位符表示沿用原密码
+const SECRET_PLACEHOLDER = '********';
+
+// 以二进制返回的唯一标识属性（Active Directory）
+const BINARY_ATTRIBUTES = ['objectGUID', 'objectSid'];
+
+// 目录配置字段及其类型
+const DIRECTORY_FIELDS = {
+  url: 'string',
+  startTLS: 'boolean',
+  tlsRejectUnauthorized: 'boolean',
+  bindDN: 'string',
+  bindPassword: 'string',
+  baseDN: 'string',
+  userFilter: 'string',
+  uidAttribute: 'string',
+  usernameAttribute: 'string',
+  emailAttribute: 'string',
+  firstNameAttribute: 'string',
+  lastNameAttribute: 'string',
+  groupAttribute: 'string',
+  groupSearchBase: 'string',
+  groupFilter: 'string',
+  groupRoles: 'object',
+  defaultRoles: 'array',
+  enabled: 'boolean',
+  autoProvision: 'boolean',
+  linkByEmail: 'boolean',
+  syncRoles: 'boolean',
+};
+
+// 目录配置的默认值（同时兼容OpenLDAP和Active Directory的常用属性）
+const DIRECTORY_DEFAULTS = {
+  startTLS: false,
+  tlsRejectUnauthorized: true,
+  userFilter: '(|(uid={{username}})(sAMAccountName={{username}})(userPrincipalName={{username}})(mail={{username}}))',
+  uidAttribute: 'entryUUID',
+  usernameAttribute: 'uid',
+  emailAttribute: 'mail',
+  firstNameAttribute: 'givenName',
+  lastNameAttribute: 'sn',
+  groupAttribute: 'memberOf',
+  groupFilter: '(member={{dn}})',
+  groupRoles: {},
+  defaultRoles: [],
+  enabled: true,
+  autoProvision: true,
+  linkByEmail: false,
+  syncRoles: true,
+};
+
+/**
+ * 转义LDAP过滤器中的值（RFC 4515），防止注入
+ * @param {string} value - 原始值
+ * @returns {string} - 转义后的值
+ */
+const escapeValue = value => escapeFilter`${value}`;
+
+/**
+ * 取条目属性的第一个值，二进制值转为十六进制
+ * @param {Object} entry - 目录条目
+ * @param {string} attribute - 属性名
+ * @returns {string|null} - 属性值
+ */
+const firstValue = (entry, attribute) => {
+  const value = Array.isArray(entry[attribute]) ? entry[attribute][0] : entry[attribute];
+
+  if (Buffer.isBuffer(value)) {
+    return value.length > 0 ? value.toString('hex') : null;
+  }
+
+  return value ? String(value) : null;
+};
+
+/**
+ * 取条目属性的全部值
+ * @param {Object} entry - 目录条目
+ * @param {string} attribute - 属性名
+ * @returns {string[]} - 属性值
+ */
+const allValues = (entry, attribute) => {
+  const value = entry[attribute];
+
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+class LdapService {
+  /**
+   * 获取目录配置（含服务账号密码）
+   * tenantId为目录配置所属的租户：租户自己的设置中定义的目录为该租户，否则为空（全局目录）
+   * @param {string} tenantId - 租户ID，为空时返回全局配置
+   * @returns {Promise<Object|null>} - 目录配置，未配置时返回null
+   */
+  async getDirectory(tenantId = null) {
+    const own = tenantId ? await settingsService.getOwn(SETTING_NAME, tenantId) : null;
+    const directory = own || (await settingsService.get(SETTING_NAME, null)) || config.ldap.directory;
+
+    if (!directory) {
+      return null;
+    }
+
+    const { encryptedBindPassword, bindPassword, ...rest } = directory;
+
+    return {
+      ...DIRECTORY_DEFAULTS,
+      ...rest,
+      tenantId: own ? tenantId : null,
+      // 系统设置中的密码加密保存，配置文件中的密码为明文
+      bindPassword: encryptedBindPassword ? decrypt(encryptedBindPassword) : bindPassword || null,
+    };
+  }
+
+  /**
+   * 获取目录配置（管理用，隐藏服务账号密码）
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<Object|null>} - 目录配置
+   */
+  async getDirectorySettings(tenantId = null) {
+    const directory = await this.getDirectory(tenantId);
+
+    if (!directory) {
+      return null;
+    }
+
+    const settings = { ...directory, bindPassword: directory.bindPassword ? SECRET_PLACEHOLDER : null };
+
+    // 所属租户由配置所在的级别决定，不作为配置字段返回
+    delete settings.tenantId;
+
+    return settings;
+  }
+
+  /**
+   * 更新目录配置
+   * 传入的配置整体替换该级别原有的配置
+   * @param {Object} directory - 目录配置
+   * @param {string} tenantId - 租户ID，为空时更新全局配置
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 更新后的配置（隐藏服务账号密码）
+   */
+  async setDirectory(directory, tenantId = null, dbType) {
+    const errors = this.validateDirectory(directory);
+
+    if (errors.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '目录配置无效', 'VALIDATION_ERROR', errors);
+    }
+
+    // 映射的角色必须存在
+    const roles = [...Object.values(directory.groupRoles || {}).flat(), ...(directory.defaultRoles || [])];
+    if (roles.length > 0) {
+      await roleService.assertRolesExist([...new Set(roles)], dbType);
+    }
+
+    const current = await this.getDirectory(tenantId);
+    const { bindPassword, ...rest } = directory;
+    const secret = bindPassword === SECRET_PLACEHOLDER ? current && current.bindPassword : bindPassword;
+
+    await settingsService.set(SETTING_NAME, { ...rest, encryptedBindPassword: secret ? encrypt(secret) : undefined }, tenantId);
+
+    return this.getDirectorySettings(tenantId);
+  }
+
+  /**
+   * 校验目录配置
+   * @param {Object} directory - 目录配置
+   * @returns {string[]} - 错误列表
+   */
+  validateDirectory(directory) {
+    if (!directory || typeof directory !== 'object' || Array.isArray(directory)) {
+      return ['目录配置必须是对象'];
+    }
+
+    const errors = [];
+
+    Object.entries(directory).forEach(([field, value]) => {
+      const type = DIRECTORY_FIELDS[field];
+
+      if (!type) {
+        errors.push(`未知的配置字段 ${field}`);
+      } else if (type === 'array' ? !Array.isArray(value) : typeof value !== type || value === null || Array.isArray(value)) {
+        errors.push(`${field}类型必须是${type}`);
+      }
+    });
+
+    ['url', 'baseDN'].forEach(field => {
+      if (!directory[field]) {
+        errors.push(`${field}是必填项`);
+      }
+    });
+
+    if (typeof directory.url === 'string' && !/^ldaps?:\/\/\S+$/.test(directory.url)) {
+      errors.push('url必须是ldap://或ldaps://地址');
+    }
+
+    if (typeof directory.userFilter === 'string' && !directory.userFilter.includes('{{username}}')) {
+      errors.push('userFilter必须包含{{username}}占位符');
+    }
+
+    const isRoleList = roles => Array.isArray(roles) && roles.every(role => typeof role === 'string' && ROLE_NAME_PATTERN.test(role));
+
+    if (directory.groupRoles && typeof directory.groupRoles === 'object' && !Object.values(directory.groupRoles).every(isRoleList)) {
+      errors.push('groupRoles必须是组到角色名称数组的映射');
+    }
+
+    if (Array.isArray(directory.defaultRoles) && !isRoleList(directory.defaultRoles)) {
+      errors.push('defaultRoles包含无效的角色名称');
+    }
+
+    return errors;
+  }
+
+  /**
+   * 登录认证方式接口：在租户的目录中认证用户，并解析为本地用户（首次登录时绑定或创建）
+   * 租户自己的目录只能登录该租户的用户
+   * @param {Object} credentials - 登录凭据
+   * @param {string} credentials.username - 用户名或邮箱
+   * @param {string} credentials.password - 密码
+   * @param {string} credentials.tenantId - 租户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model|null>} - 本地用户实例，认证失败时返回null
+   */
+  async authenticate({ username, password, tenantId }, dbType) {
+    const directory = await this.getDirectory(tenantId);
+
+    if (!directory || !directory.enabled) {
+      return null;
+    }
+
+    const profile = await this.verifyCredentials(directory, username, password);
+
+    if (!profile) {
+      return null;
+    }
+
+    return await identityService.resolveUser(
+      { ...profile, roles: identityService.mapRoles(profile.groups, directory.groupRoles) },
+      { tenantId: directory.tenantId || tenantId, linkByEmail: directory.linkByEmail, autoProvision: directory.autoProvision, defaultRoles: directory.defaultRoles, syncRoles: directory.syncRoles },
+      dbType
+    );
+  }
+
+  /**
+   * 在目录中验证用户名和密码
+   * 先用服务账号（未配置时匿名）查找唯一的用户条目，再以该条目的DN和密码绑定
+   * @param {Object} directory - 目录配置
+   * @param {string} username - 用户名或邮箱
+   * @param {string} password - 密码
+   * @returns {Promise<Object|null>} - 外部账户信息（含所属组），认证失败时返回null
+   */
+  async verifyCredentials(directory, username, password) {
+    // 空密码会被目录当作匿名绑定而成功，必须拒绝
+    if (!username || !password) {
+      return null;
+    }
+
+    const tlsOptions = { rejectUnauthorized: directory.tlsRejectUnauthorized };
+    const client = new Client({ url: directory.url, timeout: config.ldap.timeout, connectTimeout: config.ldap.timeout, tlsOptions });
+
+    try {
+      if (directory.startTLS) {
+        await client.startTLS(tlsOptions);
+      }
+
+      if (directory.bindDN) {
+        await client.bind(directory.bindDN, directory.bindPassword || '');
+      }
+
+      const attributes = [directory.uidAttribute, directory.usernameAttribute, directory.emailAttribute, directory.firstNameAttribute, directory.lastNameAttribute, directory.groupAttribute];
+      const { searchEntries } = await client.search(directory.baseDN, {
+        scope: 'sub',
+        filter: directory.userFilter.replace(/\{\{username\}\}/g, () => escapeValue(username)),
+        attributes,
+        explicitBufferAttributes: BINARY_ATTRIBUTES.filter(attribute => attributes.includes(attribute)),
+        sizeLimit: 2,
+      });
+
+      if (searchEntries.length !== 1) {
+        if (searchEntries.length > 1) {
+          logger.warn('LDAP用户过滤条件匹配到多个条目', { baseDN: directory.baseDN, username });
+        }
+        return null;
+      }
+
+      const [entry] = searchEntries;
+      const groups = allValues(entry, directory.groupAttribute);
+
+      // 目录条目上没有memberOf时，在组目录中按成员查找
+      if (directory.groupSearchBase) {
+        const result = await client.search(directory.groupSearchBase, {
+          scope: 'sub',
+          filter: directory.groupFilter.replace(/\{\{dn\}\}/g, () => escapeValue(entry.dn)),
+          attributes: ['dn'],
+        });
+        groups.push(...result.searchEntries.map(group => group.dn));
+      }
+
+      try {
+        await client.bind(entry.dn, password);
+      } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+          return null;
+        }
+        throw error;
+      }
+
+      const email = firstValue(entry, directory.emailAttribute);
+
+      return {
+        type: IDENTITY_TYPES.LDAP,
+        provider: IDENTITY_TYPES.LDAP,
+        // 外部身份按目录所属的租户区分，baseDN由租户自行配置，只用于区分同一租户内的目录
+        providerTenantId: directory.tenantId,
+        issuer: directory.baseDN.toLowerCase(),
+        subject: firstValue(entry, directory.uidAttribute) || entry.dn.toLowerCase(),
+        // 目录中的邮箱由管理员维护，视为已验证
+        email: email ? email.toLowerCase() : null,
+        emailVerified: Boolean(email),
+        username: firstValue(entry, directory.usernameAttribute) || username,
+        firstName: firstValue(entry, directory.firstNameAttribute),
+        lastName: firstValue(entry, directory.lastNameAttribute),
+        groups: [...new Set(groups)],
+      };
+    } catch (error) {
+      logger.error('LDAP认证失败', { error: error.message, url: directory.url });
+      throw new ApiError(statusCodes.SERVICE_UNAVAILABLE, '目录服务暂时不可用', 'AUTH_LDAP_UNAVAILABLE');
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+}
+
+module.exports = new LdapService();
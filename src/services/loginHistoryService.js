@@ -0,0 +1,392 @@
+/**
+ * 登录历史服务类
+ * 记录每次登录的结果和来源，检测新设备、新IP登录以及短时间内的大量登录失败，
+ * 发现异常时通过已注册的通知方式（邮件、Webhook等）发出提醒
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const { describeDevice } = require('../utils/device');
+const mailService = require('./mailService');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, LOGIN_ANOMALIES, LOGIN_METHODS, LOGIN_RESULTS, PAGINATION } = require('../constants/business');
+
+// 登录历史中保存的User-Agent最大长度
+const USER_AGENT_MAX_LENGTH = 512;
+
+// 清理过期登录历史的间隔（毫秒）
+const PRUNE_INTERVAL = 6 * 3600 * 1000;
+
+/**
+ * 邮件通知：向账户所有者发送安全提醒
+ * 按IP统计的告警没有对应的账户，不发送邮件
+ */
+const emailNotifier = {
+  async notify({ event, user, ip, device }) {
+    if (!user || !user.email) {
+      return;
+    }
+
+    await mailService.sendSecurityAlert(user, event, { ip, device });
+  },
+};
+
+/**
+ * Webhook通知：向配置的地址POST告警内容，供安全运营平台、即时通讯机器人等接收
+ * 配置了签名密钥时，X-Signature请求头为请求体的HMAC-SHA256签名（sha256=<hex>）
+ */
+const webhookNotifier = {
+  async notify({ event, anomalies, user, ip, device, scope }) {
+    const { webhookUrl, webhookSecret, webhookTimeout } = config.loginAnomaly;
+
+    if (!webhookUrl) {
+      return;
+    }
+
+    const body = JSON.stringify({
+      event,
+      scope,
+      anomalies,
+      user: user ? { id: user.id, username: user.username, tenantId: user.tenantId } : null,
+      ip,
+      device,
+      time: new Date().toISOString(),
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (webhookSecret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`;
+    }
+
+    const response = await fetch(webhookUrl, { method: 'POST', headers, body, signal: AbortSignal.timeout(webhookTimeout) });
+
+    if (!response.ok) {
+      throw new Error(`Webhook返回状态码${response.status}`);
+    }
+  },
+};
+
+class LoginHistoryService {
+  constructor() {
+    // 已注册的通知方式
+    this.notifiers = new Map();
+
+    this.register('email', emailNotifier);
+    this.register('webhook', webhookNotifier);
+  }
+
+  /**
+   * 注册通知方式
+   * 只有在loginAnomaly.notifiers中启用的通知方式才会被调用
+   * @param {string} name - 通知方式名称
+   * @param {Object} notifier - 实现了notify(alert)方法的通知方式
+   */
+  register(name, notifier) {
+    this.notifiers.set(name, notifier);
+  }
+
+  /**
+   * 获取登录记录模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 登录记录模型
+   */
+  async getLoginEventModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.LoginEvent;
+  }
+
+  /**
+   * 记录成功的登录，并检测是否来自新设备或新IP
+   * 记录失败只写日志，不影响登录
+   * @param {Object} user - 用户对象
+   * @param {Object} context - 登录上下文（ip、userAgent、loginMethod或authProvider）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model|null>} - 登录记录
+   */
+  async recordSuccess(user, context = {}, dbType) {
+    try {
+      const LoginEvent = await this.getLoginEventModel(dbType);
+      const ip = context.ip || null;
+      const device = context.userAgent ? describeDevice(context.userAgent) : null;
+      const anomalies = config.loginAnomaly.enabled ? await this.detectAnomalies(LoginEvent, user, { ip, device }) : [];
+
+      const event = await LoginEvent.create({
+        userId: user.id,
+        tenantId: user.tenantId,
+        username: user.username,
+        method: resolveMethod(context),
+        result: LOGIN_RESULTS.SUCCESS,
+        ip,
+        userAgent: truncateUserAgent(context.userAgent),
+        device,
+        anomalies,
+      });
+
+      if (anomalies.length > 0) {
+        logger.warn('检测到异常登录', { userId: user.id, ip, device, anomalies });
+        await this.notify({ event: 'suspicious_login', scope: 'user', anomalies, user, ip, device });
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('记录登录历史失败', { error: error.message, userId: user.id });
+      return null;
+    }
+  }
+
+  /**
+   * 记录失败的登录，并检测短时间内同一账户或同一IP的大量失败
+   * 失败次数达到阈值时只告警一次，时间窗口过后重新计数
+   * @param {Object} attempt - 登录尝试
+   * @param {Object} attempt.user - 登录的用户，用户名不存在时为空
+   * @param {string} attempt.username - 提交的用户名或邮箱
+   * @param {string} attempt.reason - 失败原因（错误码）
+   * @param {Object} context - 登录上下文（ip、userAgent、loginMethod或authProvider）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model|null>} - 登录记录
+   */
+  async recordFailure({ user = null, username = null, reason }, context = {}, dbType) {
+    try {
+      const LoginEvent = await this.getLoginEventModel(dbType);
+      const ip = context.ip || null;
+      const device = context.userAgent ? describeDevice(context.userAgent) : null;
+      const { enabled, failureWindow, maxFailuresPerUser, maxFailuresPerIp } = config.loginAnomaly;
+
+      const userBurst = Boolean(enabled && user && (await redisClient.incr(`${CACHE_PREFIXES.LOGIN_FAILURES}user:${user.id}`, failureWindow)) === maxFailuresPerUser);
+      const ipBurst = Boolean(enabled && ip && (await redisClient.incr(`${CACHE_PREFIXES.LOGIN_FAILURES}ip:${ip}`, failureWindow)) === maxFailuresPerIp);
+      const anomalies = userBurst || ipBurst ? [LOGIN_ANOMALIES.FAILURE_BURST] : [];
+
+      const event = await LoginEvent.create({
+        userId: user ? user.id : null,
+        tenantId: user ? user.tenantId : null,
+        username: username || (user ? user.username : null),
+        method: resolveMethod(context),
+        result: LOGIN_RESULTS.FAILURE,
+        failureReason: reason || null,
+        ip,
+        userAgent: truncateUserAgent(context.userAgent),
+        device,
+        anomalies,
+      });
+
+      if (userBurst) {
+        logger.warn('账户短时间内多次登录失败', { userId: user.id, ip, failures: maxFailuresPerUser });
+        await this.notify({ event: 'login_failure_burst', scope: 'user', anomalies, user, ip, device });
+      }
+
+      // 同一IP尝试大量账户（撞库）时没有单一的账户所有者，只通知管理员
+      if (ipBurst) {
+        logger.warn('同一IP短时间内多次登录失败', { ip, failures: maxFailuresPerIp });
+        await this.notify({ event: 'login_failure_burst', scope: 'ip', anomalies, user: null, ip, device });
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('记录登录历史失败', { error: error.message, userId: user ? user.id : null });
+      return null;
+    }
+  }
+
+  /**
+   * 检测登录是否来自新设备或新IP
+   * 参考期内没有成功登录记录（首次登录）时无从比较，不视为异常
+   * @param {Model} LoginEvent - 登录记录模型
+   * @param {Object} user - 用户对象
+   * @param {Object} source - 登录来源（ip、device）
+   * @returns {Promise<string[]>} - 检测到的异常
+   */
+  async detectAnomalies(LoginEvent, user, { ip, device }) {
+    const where = {
+      userId: user.id,
+      result: LOGIN_RESULTS.SUCCESS,
+      createdAt: { [Op.gte]: new Date(Date.now() - config.loginAnomaly.lookbackDays * 24 * 3600 * 1000) },
+    };
+
+    if ((await LoginEvent.count({ where })) === 0) {
+      return [];
+    }
+
+    const anomalies = [];
+
+    if (device && (await LoginEvent.count({ where: { ...where, device } })) === 0) {
+      anomalies.push(LOGIN_ANOMALIES.NEW_DEVICE);
+    }
+
+    if (ip && (await LoginEvent.count({ where: { ...where, ip } })) === 0) {
+      anomalies.push(LOGIN_ANOMALIES.NEW_IP);
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * 通过启用的通知方式发送告警
+   * 各通知方式互不影响，失败时只写日志，不会抛出异常；
+   * 邮件通知只写入投递队列，Webhook受webhookTimeout限制，等待通知完成不会明显拖慢登录
+   * @param {Object} alert - 告警内容（event、scope、anomalies、user、ip、device）
+   * @returns {Promise<void>}
+   */
+  async notify(alert) {
+    const results = await Promise.allSettled(
+      config.loginAnomaly.notifiers.map(async name => {
+        const notifier = this.notifiers.get(name);
+
+        if (!notifier) {
+          throw new Error(`未知的通知方式: ${name}`);
+        }
+
+        await notifier.notify(alert);
+      })
+    );
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.warn('发送登录异常通知失败', { notifier: config.loginAnomaly.notifiers[index], event: alert.event, error: result.reason.message });
+      }
+    });
+  }
+
+  /**
+   * 删除超过保留期的登录历史
+   * 保留期不短于异常检测的参考期，否则会把老设备、老IP误判为新设备、新IP；
+   * schema/database隔离模式下依次清理公共存储和各租户的存储，单个租户失败不影响其他租户
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<number>} - 删除的记录数
+   */
+  async pruneEvents(dbType) {
+    const { retentionDays, lookbackDays } = config.loginAnomaly;
+    const cutoff = new Date(Date.now() - Math.max(retentionDays, lookbackDays) * 24 * 3600 * 1000);
+
+    const prune = async () => {
+      const LoginEvent = await this.getLoginEventModel(dbType);
+      return LoginEvent.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+    };
+
+    let removed = await database.withoutTenantScope(prune);
+
+    if (database.isTenantIsolated()) {
+      const sequelize = await database.getSharedConnection(dbType);
+      const tenants = await sequelize.models.Tenant.findAll({ attributes: ['id', 'slug'] });
+
+      for (const tenant of tenants) {
+        try {
+          removed += await database.withTenant(tenant, prune);
+        } catch (error) {
+          logger.warn('清理租户登录历史失败', { error: error.message, tenantId: tenant.id });
+        }
+      }
+    }
+
+    if (removed > 0) {
+      logger.info('已清理过期登录历史', { removed, before: cutoff.toISOString() });
+    }
+
+    return removed;
+  }
+
+  /**
+   * 启动定期清理过期登录历史的任务
+   * @param {string} dbType - 数据库类型
+   */
+  startPruning(dbType) {
+    if (this.pruneTimer) {
+      return;
+    }
+
+    const run = async () => {
+      // 上一轮尚未结束时跳过
+      if (this.pruning) {
+        return;
+      }
+
+      this.pruning = true;
+      try {
+        await this.pruneEvents(dbType);
+      } catch (error) {
+        logger.error('清理登录历史失败', { error: error.message });
+      } finally {
+        this.pruning = false;
+      }
+    };
+
+    this.pruneTimer = setInterval(run, PRUNE_INTERVAL);
+
+    // 不阻止进程退出
+    this.pruneTimer.unref();
+
+    run();
+  }
+
+  /**
+   * 停止定期清理任务
+   */
+  stopPruning() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * 获取用户的登录历史
+   * @param {string} userId - 用户ID
+   * @param {Object} options - 查询选项
+   * @param {number} options.page - 页码
+   * @param {number} options.limit - 每页条数
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 登录记录（按时间倒序）和分页信息
+   */
+  async listHistory(userId, { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT } = {}, dbType) {
+    const LoginEvent = await this.getLoginEventModel(dbType);
+    const pageNumber = Math.max(parseInt(page) || PAGINATION.DEFAULT_PAGE, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+
+    try {
+      const { count, rows } = await LoginEvent.findAndCountAll({
+        where: { userId },
+        order: [['createdAt', 'DESC']],
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize,
+        attributes: ['id', 'method', 'result', 'failureReason', 'ip', 'device', 'userAgent', 'anomalies', 'createdAt'],
+      });
+
+      return {
+        events: rows,
+        pagination: {
+          total: count,
+          page: pageNumber,
+          limit: pageSize,
+          totalPages: Math.ceil(count / pageSize),
+        },
+      };
+    } catch (error) {
+      logger.error('获取登录历史失败', { error: error.message, userId });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '获取登录历史失败', 'AUTH_LOGIN_HISTORY_FAILED');
+    }
+  }
+}
+
+/**
+ * 确定登录方式
+ * 单点登录、通行密钥等在上下文中指定loginMethod；用户名密码登录使用通过认证的authProvider
+ * @param {Object} context - 登录上下文
+ * @returns {string} - 登录方式
+ */
+function resolveMethod(context) {
+  return context.loginMethod || context.authProvider || LOGIN_METHODS.LOCAL;
+}
+
+/**
+ * 截断过长的User-Agent
+ * @param {string} userAgent - User-Agent请求头
+ * @returns {string|null} - 截断后的User-Agent
+ */
+function truncateUserAgent(userAgent) {
+  return userAgent ? String(userAgent).slice(0, USER_AGENT_MAX_LENGTH) : null;
+}
+
+module.exports = new LoginHistoryService();
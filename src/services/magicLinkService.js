@@ -0,0 +1,182 @@
+/**
+ * 邮件登录链接服务类
+ * 为很少登录的用户（外部协作人员、访客等）提供免密码登录：通过邮件发送一次性的短期登录链接，
+ * 是否启用以及允许使用的角色可按租户配置
+ */
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const { hash } = require('../utils/encryption');
+const settingsService = require('./settingsService');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const roleService = require('./roleService');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, TOKEN_PURPOSES, USER_STATUS } = require('../constants/business');
+
+// 策略在系统设置中的名称
+const SETTING_NAME = 'auth.magicLink';
+
+class MagicLinkService {
+  /**
+   * 获取用户模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 用户模型
+   */
+  async getUserModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.User;
+  }
+
+  /**
+   * 获取邮件登录策略
+   * 配置文件中的默认值 < 全局设置 < 租户设置
+   * @param {string} tenantId - 租户ID，为空时返回全局策略
+   * @returns {Promise<Object>} - 策略（enabled、allowedRoles）
+   */
+  async getPolicy(tenantId = null) {
+    const defaults = { enabled: config.magicLink.enabled, allowedRoles: config.magicLink.allowedRoles };
+    const globalPolicy = await settingsService.get(SETTING_NAME, {});
+    const tenantPolicy = tenantId ? await settingsService.get(SETTING_NAME, globalPolicy, tenantId) : globalPolicy;
+
+    return { ...defaults, ...globalPolicy, ...tenantPolicy };
+  }
+
+  /**
+   * 更新邮件登录策略
+   * 传入的字段整体替换该级别原有的覆盖项，未传入的字段沿用上一级策略
+   * @param {Object} overrides - 要覆盖的策略字段
+   * @param {boolean} overrides.enabled - 是否启用
+   * @param {string[]} overrides.allowedRoles - 允许使用的角色，为空数组时不限制
+   * @param {string} tenantId - 租户ID，为空时更新全局策略
+   * @returns {Promise<Object>} - 更新后的策略
+   */
+  async setPolicy(overrides, tenantId = null) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '邮件登录策略必须是对象', 'VALIDATION_ERROR');
+    }
+
+    const unknown = Object.keys(overrides).filter(field => !['enabled', 'allowedRoles'].includes(field));
+    if (unknown.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, `未知的策略字段: ${unknown.join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    if (overrides.enabled !== undefined && typeof overrides.enabled !== 'boolean') {
+      throw new ApiError(statusCodes.BAD_REQUEST, 'enabled必须是布尔值', 'VALIDATION_ERROR');
+    }
+
+    if (overrides.allowedRoles !== undefined) {
+      if (!Array.isArray(overrides.allowedRoles)) {
+        throw new ApiError(statusCodes.BAD_REQUEST, 'allowedRoles必须是角色数组', 'VALIDATION_ERROR');
+      }
+
+      if (overrides.allowedRoles.length > 0) {
+        await roleService.assertRolesExist(overrides.allowedRoles);
+      }
+    }
+
+    await settingsService.set(SETTING_NAME, overrides, tenantId);
+
+    return this.getPolicy(tenantId);
+  }
+
+  /**
+   * 检查用户能否使用邮件登录
+   * @param {Model} user - 用户实例
+   * @returns {Promise<boolean>} - 是否允许
+   */
+  async isAllowed(user) {
+    const { enabled, allowedRoles } = await this.getPolicy(user.tenantId);
+
+    if (!enabled || user.status !== USER_STATUS.ACTIVE) {
+      return false;
+    }
+
+    return allowedRoles.length === 0 || (user.roles || []).some(role => allowedRoles.includes(role));
+  }
+
+  /**
+   * 请求登录链接
+   * 无论邮箱是否存在、是否允许使用、是否触发限流，调用方都应返回相同的响应，避免泄露注册信息
+   * @param {string} email - 用户邮箱
+   * @param {Object} context - 请求上下文
+   * @param {string} context.ip - 请求IP
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 是否发送了登录邮件
+   */
+  async requestLink(email, { ip } = {}, dbType) {
+    const User = await this.getUserModel(dbType);
+    const { tokenExpiresIn, window, maxPerEmail, maxPerIp } = config.magicLink;
+
+    try {
+      // 按IP限流，超出时明确拒绝（不涉及邮箱是否存在）
+      if (ip && (await redisClient.incr(`${CACHE_PREFIXES.RATE_LIMIT}magic_link:ip:${ip}`, window)) > maxPerIp) {
+        throw new ApiError(statusCodes.TOO_MANY_REQUESTS, '请求过于频繁，请稍后再试', 'AUTH_TOO_MANY_REQUESTS');
+      }
+
+      // 按邮箱限流，超出时静默忽略，避免通过响应差异判断邮箱是否存在
+      if ((await redisClient.incr(`${CACHE_PREFIXES.RATE_LIMIT}magic_link:email:${hash(email.toLowerCase())}`, window)) > maxPerEmail) {
+        logger.warn('登录链接请求过于频繁，已忽略', { email, ip });
+        return false;
+      }
+
+      const user = await User.findOne({ where: { email } });
+
+      if (!user || !(await this.isAllowed(user))) {
+        return false;
+      }
+
+      const token = await tokenService.createOneTimeToken(TOKEN_PURPOSES.MAGIC_LINK, { userId: user.id }, tokenExpiresIn);
+
+      await mailService.send('magicLink', {
+        to: user.email,
+        locale: user.locale,
+        data: {
+          username: user.username,
+          url: mailService.buildUrl('/magic-link', { token }),
+          expiresInMinutes: Math.round(tokenExpiresIn / 60),
+        },
+      });
+
+      // 记录审计日志
+      logger.audit(user.id, 'request_magic_link', 'user', { id: user.id, email, ip });
+
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('请求登录链接失败', { error: error.message, email });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '请求登录链接失败', 'AUTH_MAGIC_LINK_REQUEST_FAILED');
+    }
+  }
+
+  /**
+   * 消费登录链接中的令牌
+   * @param {string} token - 登录令牌
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 令牌对应的用户
+   */
+  async consumeLink(token, dbType) {
+    const payload = await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.MAGIC_LINK, token);
+
+    if (!payload) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '登录链接无效或已过期，请重新获取', 'AUTH_INVALID_MAGIC_LINK');
+    }
+
+    const User = await this.getUserModel(dbType);
+    const user = await User.findByPk(payload.userId);
+
+    // 链接发出后账户被停用或策略被关闭时同样拒绝
+    if (!user || !(await this.isAllowed(user))) {
+      throw new ApiError(statusCodes.FORBIDDEN, '该账户不能使用邮件登录', 'AUTH_MAGIC_LINK_NOT_ALLOWED');
+    }
+
+    return user;
+  }
+}
+
+module.exports = new MagicLinkService();
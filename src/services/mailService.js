@@ -0,0 +1,232 @@
+/**
+ * 邮件服务类
+ * 邮件先写入Redis队列，由后台工作进程投递，请求处理不会因SMTP阻塞：
+ * - mail:queue  待投递队列
+ * - mail:retry  投递失败等待重试的邮件（有序集合，分值为下次投递时间）
+ * - mail:dead   超过最大投递次数的邮件（死信队列，供人工排查，不保存链接中的令牌）
+ */
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const config = require('../config');
+const templates = require('../templates/mail');
+const { createTransport } = require('../utils/mailTransport');
+const { CACHE_PREFIXES } = require('../constants/business');
+
+const QUEUE_KEY = `${CACHE_PREFIXES.MAIL}queue`;
+const RETRY_KEY = `${CACHE_PREFIXES.MAIL}retry`;
+const DEAD_LETTER_KEY = `${CACHE_PREFIXES.MAIL}dead`;
+
+// 每轮最多处理的邮件数量
+const BATCH_SIZE = 50;
+
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * 获取邮件传输（延迟创建）
+   * @returns {Object} - 邮件传输
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(config.mail);
+    }
+    return this.transport;
+  }
+
+  /**
+   * 发送模板邮件（加入投递队列）
+   * @param {string} template - 模板名称
+   * @param {Object} options - 发送选项
+   * @param {string} options.to - 收件人
+   * @param {string} options.locale - 收件人语言
+   * @param {Object} options.data - 模板数据
+   * @returns {Promise<string>} - 邮件ID
+   */
+  async send(template, { to, locale, data }) {
+    const job = {
+      id: crypto.randomUUID(),
+      template,
+      to,
+      locale: locale || config.mail.defaultLocale,
+      data,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+    };
+
+    // Redis不可用时直接投递，避免丢失邮件
+    if (!(await redisClient.lpush(QUEUE_KEY, job))) {
+      logger.warn('邮件入队失败，改为直接投递', { id: job.id, template });
+      this.process(job);
+    }
+
+    return job.id;
+  }
+
+  /**
+   * 发送账户安全提醒
+   * @param {Object} user - 用户对象
+   * @param {string} event - 安全事件（password_changed、mfa_disabled、suspicious_login等，见邮件模板中的SECURITY_EVENTS）
+   * @param {Object} context - 请求上下文（ip、device）
+   * @returns {Promise<string>} - 邮件ID
+   */
+  async sendSecurityAlert(user, event, context = {}) {
+    return this.send('securityAlert', {
+      to: user.email,
+      locale: user.locale,
+      data: {
+        username: user.username,
+        event,
+        time: new Date().toISOString(),
+        ip: context.ip,
+        device: context.device,
+      },
+    });
+  }
+
+  /**
+   * 生成邮件中的前端链接
+   * @param {string} pathname - 前端路径
+   * @param {Object} params - 查询参数
+   * @returns {string} - 完整链接
+   */
+  buildUrl(pathname, params = {}) {
+    const url = new URL(pathname, config.mail.appUrl);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+  }
+
+  /**
+   * 渲染并投递邮件
+   * @param {Object} job - 邮件任务
+   * @returns {Promise<Object>} - 传输返回的投递信息
+   */
+  async deliver(job) {
+    const { subject, html, text } = templates.render(job.template, job.locale, job.data, config.mail.defaultLocale);
+
+    return await this.getTransport().sendMail({
+      from: config.mail.from,
+      to: job.to,
+      subject,
+      html,
+      text,
+    });
+  }
+
+  /**
+   * 投递单封邮件，失败时安排重试或转入死信队列
+   * @param {Object} job - 邮件任务
+   * @returns {Promise<boolean>} - 是否投递成功
+   */
+  async process(job) {
+    try {
+      await this.deliver(job);
+      logger.info('邮件已投递', { id: job.id, template: job.template, attempts: job.attempts + 1 });
+      return true;
+    } catch (error) {
+      const failed = { ...job, attempts: job.attempts + 1, lastError: error.message };
+
+      if (failed.attempts >= config.mail.queue.maxAttempts) {
+        logger.error('邮件投递失败次数过多，已转入死信队列', { id: job.id, template: job.template, error: error.message });
+        await redisClient.lpush(DEAD_LETTER_KEY, { ...redactJob(failed), failedAt: new Date().toISOString() }, config.mail.queue.deadLetterLimit);
+      } else {
+        // 指数退避：retryDelay, retryDelay * 2, retryDelay * 4 ...
+        const delay = config.mail.queue.retryDelay * 2 ** (failed.attempts - 1);
+        logger.warn('邮件投递失败，稍后重试', { id: job.id, template: job.template, attempts: failed.attempts, delay, error: error.message });
+        await redisClient.zadd(RETRY_KEY, Date.now() + delay * 1000, failed);
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * 处理一轮队列：将到期的重试邮件移回待投递队列，再依次投递
+   * @returns {Promise<number>} - 本轮处理的邮件数量
+   */
+  async processQueue() {
+    // 多个实例同时处理时，只有成功移除的实例负责重新入队
+    const due = await redisClient.zrangebyscore(RETRY_KEY, 0, Date.now(), BATCH_SIZE);
+    for (const job of due) {
+      if (await redisClient.zrem(RETRY_KEY, job)) {
+        await redisClient.lpush(QUEUE_KEY, job);
+      }
+    }
+
+    let processed = 0;
+    while (processed < BATCH_SIZE) {
+      const job = await redisClient.rpop(QUEUE_KEY);
+      if (!job) {
+        break;
+      }
+
+      await this.process(job);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * 启动后台投递工作进程
+   */
+  startWorker() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(async () => {
+      // 上一轮尚未结束时跳过
+      if (this.processing) {
+        return;
+      }
+
+      this.processing = true;
+      try {
+        await this.processQueue();
+      } catch (error) {
+        logger.error('邮件队列处理失败', { error: error.message });
+      } finally {
+        this.processing = false;
+      }
+    }, config.mail.queue.pollInterval);
+
+    // 不阻止进程退出
+    this.timer.unref();
+
+    logger.info('邮件投递工作进程已启动', { transport: config.mail.transport });
+  }
+
+  /**
+   * 停止后台投递工作进程
+   */
+  stopWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * 去掉邮件数据中链接的查询参数
+ * 重置密码、邮箱验证、登录链接的令牌在查询参数中，死信队列长期保存，不能保留可用的链接
+ * @param {Object} job - 邮件任务
+ * @returns {Object} - 处理后的邮件任务
+ */
+function redactJob(job) {
+  if (!job.data || !job.data.url) {
+    return job;
+  }
+
+  const url = new URL(job.data.url);
+  url.search = '';
+
+  return { ...job, data: { ...job.data, url: url.toString() } };
+}
+
+module.exports = new MailService();
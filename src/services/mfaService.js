@@ -0,0 +1,327 @@
+/**
+ * 多因素认证服务类
+ * 处理TOTP验证器的绑定、验证、恢复码以及按角色强制启用MFA的策略
+ */
+const crypto = require('crypto');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const totp = require('../utils/totp');
+const encryption = require('../utils/encryption');
+const settingsService = require('./settingsService');
+const sessionService = require('./sessionService');
+const roleService = require('./roleService');
+const mailService = require('./mailService');
+const webauthnService = require('./webauthnService');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES } = require('../constants/business');
+
+// 恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+
+// 待确认的绑定信息有效期（秒）
+const ENROLLMENT_TTL = 10 * 60;
+
+class MfaService {
+  /**
+   * 获取用户模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 用户模型
+   */
+  async getUserModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.User;
+  }
+
+  /**
+   * 开始绑定验证器
+   * 生成新的TOTP密钥并暂存，用户在验证器中添加后需调用confirmEnrollment确认
+   * @param {string} userId - 用户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 密钥和otpauth URI
+   */
+  async beginEnrollment(userId, dbType) {
+    const User = await this.getUserModel(dbType);
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      throw new ApiError(statusCodes.NOT_FOUND, '用户不存在', 'USER_NOT_FOUND');
+    }
+
+    if (user.mfaEnabled) {
+      throw new ApiError(statusCodes.CONFLICT, '已启用多因素认证', 'AUTH_MFA_ALREADY_ENABLED');
+    }
+
+    const secret = totp.generateSecret();
+    await redisClient.set(`${CACHE_PREFIXES.MFA}setup:${userId}`, { secret: encryption.encrypt(secret) }, ENROLLMENT_TTL);
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl({ secret, accountName: user.email || user.username, issuer: config.mfa.issuer }),
+      expiresIn: ENROLLMENT_TTL,
+    };
+  }
+
+  /**
+   * 确认绑定验证器
+   * @param {string} userId - 用户ID
+   * @param {string} code - 验证器生成的口令
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<string[]>} - 恢复码（仅此一次以明文返回）
+   */
+  async confirmEnrollment(userId, code, dbType) {
+    const pending = await redisClient.get(`${CACHE_PREFIXES.MFA}setup:${userId}`);
+
+    if (!pending) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '绑定请求不存在或已过期，请重新开始', 'AUTH_MFA_SETUP_EXPIRED');
+    }
+
+    const secret = encryption.decrypt(pending.secret);
+    if (totp.verifyCode(secret, code) === null) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '验证码不正确', 'AUTH_INVALID_MFA_CODE');
+    }
+
+    const User = await this.getUserModel(dbType);
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      throw new ApiError(statusCodes.NOT_FOUND, '用户不存在', 'USER_NOT_FOUND');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.mfaEnabled = true;
+    user.mfaSecret = pending.secret;
+    user.mfaRecoveryCodes = recoveryCodes.map(recoveryCode => encryption.hash(normalizeRecoveryCode(recoveryCode)));
+    user.mfaEnrolledAt = new Date();
+    await user.save();
+
+    await redisClient.del(`${CACHE_PREFIXES.MFA}setup:${userId}`);
+    await redisClient.del(`${CACHE_PREFIXES.USER}${userId}`);
+
+    // 记录审计日志
+    logger.audit(userId, 'enable_mfa', 'user', { id: userId });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * 验证第二因素（TOTP口令、恢复码或通行密钥）
+   * 恢复码使用后即作废；同一TOTP口令在有效期内不能重复使用
+   * 通行密钥不依赖是否绑定了验证器，验证失败时抛出带有具体原因的错误
+   * @param {Model} user - 用户实例
+   * @param {Object} factor - 验证因素
+   * @param {string} factor.code - TOTP口令
+   * @param {string} factor.recoveryCode - 恢复码
+   * @param {Object} factor.webauthn - 通行密钥认证结果（AuthenticationResponseJSON）
+   * @returns {Promise<boolean>} - 是否验证通过
+   */
+  async verifyFactor(user, { code, recoveryCode, webauthn } = {}) {
+    if (webauthn) {
+      return Boolean(await webauthnService.verifyAuthentication(webauthn, { userId: user.id }));
+    }
+
+    if (!user.mfaEnabled || !user.mfaSecret) {
+      return false;
+    }
+
+    if (code) {
+      const step = totp.verifyCode(encryption.decrypt(user.mfaSecret), code);
+      if (step === null) {
+        return false;
+      }
+
+      // 防止口令在有效窗口内被重放
+      return await redisClient.setIfNotExists(`${CACHE_PREFIXES.MFA}used:${user.id}:${step}`, true, totp.PERIOD * 3);
+    }
+
+    if (recoveryCode) {
+      const codeHash = encryption.hash(normalizeRecoveryCode(recoveryCode));
+      const remainingCodes = (user.mfaRecoveryCodes || []).filter(storedHash => !encryption.safeEqual(storedHash, codeHash));
+
+      if (remainingCodes.length === (user.mfaRecoveryCodes || []).length) {
+        return false;
+      }
+
+      user.mfaRecoveryCodes = remainingCodes;
+      await user.save();
+
+      logger.audit(user.id, 'use_mfa_recovery_code', 'user', { id: user.id, remaining: remainingCodes.length });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 重新生成恢复码（需验证当前TOTP口令）
+   * @param {string} userId - 用户ID
+   * @param {string} code - TOTP口令
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<string[]>} - 新的恢复码
+   */
+  async regenerateRecoveryCodes(userId, code, dbType) {
+    const User = await this.getUserModel(dbType);
+    const user = await User.findByPk(userId);
+
+    if (!user || !user.mfaEnabled) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '未启用多因素认证', 'AUTH_MFA_NOT_ENABLED');
+    }
+
+    if (!(await this.verifyFactor(user, { code }))) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '验证码不正确', 'AUTH_INVALID_MFA_CODE');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.mfaRecoveryCodes = recoveryCodes.map(recoveryCode => encryption.hash(normalizeRecoveryCode(recoveryCode)));
+    await user.save();
+
+    logger.audit(userId, 'regenerate_mfa_recovery_codes', 'user', { id: userId });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * 用户自行停用多因素认证（需验证密码和当前口令）
+   * @param {string} userId - 用户ID
+   * @param {string} password - 当前密码
+   * @param {string} code - TOTP口令
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async disable(userId, password, code, dbType) {
+    const User = await this.getUserModel(dbType);
+    const user = await User.findByPk(userId);
+
+    if (!user || !user.mfaEnabled) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '未启用多因素认证', 'AUTH_MFA_NOT_ENABLED');
+    }
+
+    if (await this.isEnforced(user)) {
+      throw new ApiError(statusCodes.FORBIDDEN, '您的角色要求必须启用多因素认证', 'AUTH_MFA_ENFORCED');
+    }
+
+    if (!(await user.validatePassword(password))) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '当前密码不正确', 'AUTH_INVALID_CURRENT_PASSWORD');
+    }
+
+    if (!(await this.verifyFactor(user, { code }))) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '验证码不正确', 'AUTH_INVALID_MFA_CODE');
+    }
+
+    await this.clearMfa(user);
+
+    logger.audit(userId, 'disable_mfa', 'user', { id: userId });
+    await mailService.sendSecurityAlert(user, 'mfa_disabled');
+
+    return true;
+  }
+
+  /**
+   * 管理员重置用户的多因素认证
+   * 用户丢失验证器时使用，同时删除用户注册的通行密钥，重置后该用户所有会话将被吊销
+   * @param {string} userId - 用户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async reset(userId, dbType) {
+    const User = await this.getUserModel(dbType);
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      throw new ApiError(statusCodes.NOT_FOUND, '用户不存在', 'USER_NOT_FOUND');
+    }
+
+    await this.clearMfa(user);
+    await webauthnService.removeAllCredentials(userId, dbType);
+    await sessionService.revokeAllSessions(userId);
+    await mailService.sendSecurityAlert(user, 'mfa_reset');
+
+    return true;
+  }
+
+  /**
+   * 检查用户登录时是否需要进行多因素认证
+   * @param {Model} user - 用户实例
+   * @returns {Promise<boolean>} - 是否需要
+   */
+  async isMfaRequired(user) {
+    return Boolean(user.mfaEnabled) || (await this.isEnforced(user));
+  }
+
+  /**
+   * 检查用户的角色是否被强制要求启用MFA
+   * @param {Object} user - 用户对象
+   * @returns {Promise<boolean>} - 是否强制
+   */
+  async isEnforced(user) {
+    const { enforcedRoles } = await this.getPolicy();
+    return (user.roles || []).some(role => enforcedRoles.includes(role));
+  }
+
+  /**
+   * 获取MFA策略
+   * @returns {Promise<Object>} - 策略（enforcedRoles）
+   */
+  async getPolicy() {
+    return {
+      enforcedRoles: await settingsService.get('mfa.enforcedRoles', config.mfa.enforcedRoles),
+    };
+  }
+
+  /**
+   * 更新MFA策略
+   * @param {Object} policy - 策略
+   * @param {string[]} policy.enforcedRoles - 强制启用MFA的角色
+   * @returns {Promise<Object>} - 更新后的策略
+   */
+  async setPolicy({ enforcedRoles }) {
+    const validRoles = (await roleService.listRoles()).map(role => role.name);
+
+    if (!Array.isArray(enforcedRoles) || enforcedRoles.some(role => !validRoles.includes(role))) {
+      throw new ApiError(statusCodes.BAD_REQUEST, `enforcedRoles必须是角色数组，可选值: ${validRoles.join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    await settingsService.set('mfa.enforcedRoles', enforcedRoles);
+
+    return this.getPolicy();
+  }
+
+  /**
+   * 清除用户的MFA配置
+   * @param {Model} user - 用户实例
+   */
+  async clearMfa(user) {
+    user.mfaEnabled = false;
+    user.mfaSecret = null;
+    user.mfaRecoveryCodes = null;
+    user.mfaEnrolledAt = null;
+    await user.save();
+
+    await redisClient.del(`${CACHE_PREFIXES.USER}${user.id}`);
+  }
+
+  /**
+   * 生成恢复码
+   * @returns {string[]} - 恢复码列表，格式为 xxxxx-xxxxx
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+}
+
+/**
+ * 规范化恢复码（忽略大小写、空格和连字符）
+ * @param {string} code - 恢复码
+ * @returns {string} - 规范化后的恢复码
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,350 @@
+/**
+ * OpenID Connect服务类
+ * 作为依赖方（Relying Party）对接外部身份提供方，使用授权码 + PKCE 流程登录
+ * 提供方配置：配置文件中的默认值 < 全局设置 < 租户设置（按名称合并）
+ */
+const { Issuer, generators, errors: oidcErrors } = require('openid-client');
+const settingsService = require('./settingsService');
+const tokenService = require('./tokenService');
+const identityService = require('./identityService');
+const userService = require('./userService');
+const tenantService = require('./tenantService');
+const logger = require('../utils/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { IDENTITY_TYPES, LOGIN_METHODS, ROLE_NAME_PATTERN, TOKEN_PURPOSES, USER_STATUS } = require('../constants/business');
+
+// 提供方配置在系统设置中的名称
+const SETTING_NAME = 'oidc.providers';
+
+// 对外返回配置时客户端密钥的占位符，保存时传入占位符表示沿用原密钥
+const SECRET_PLACEHOLDER = '********';
+
+// 提供方名称格式
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+// 提供方配置字段及其类型
+const PROVIDER_FIELDS = {
+  name: 'string', // 以键名为准，允许原样提交查询结果
+  displayName: 'string',
+  issuer: 'string',
+  clientId: 'string',
+  clientSecret: 'string',
+  redirectUri: 'string',
+  scope: 'string',
+  enabled: 'boolean',
+  autoProvision: 'boolean',
+  linkByEmail: 'boolean',
+  defaultRoles: 'array',
+};
+
+// 提供方配置的默认值
+const PROVIDER_DEFAULTS = {
+  scope: 'openid email profile',
+  enabled: true,
+  autoProvision: false,
+  linkByEmail: false,
+  defaultRoles: [],
+};
+
+class OidcService {
+  constructor() {
+    // 已发现的身份提供方元数据（按issuer缓存）
+    this.issuers = new Map();
+  }
+
+  /**
+   * 获取身份提供方配置（含客户端密钥）
+   * tenantId为提供方配置所属的租户：租户自己的设置中定义的提供方为该租户，否则为空（全局提供方）
+   * @param {string} tenantId - 租户ID，为空时返回全局配置
+   * @returns {Promise<Object>} - 以名称为键的提供方配置
+   */
+  async getProviders(tenantId = null) {
+    const globalProviders = await settingsService.get(SETTING_NAME, {});
+    const tenantProviders = (tenantId && (await settingsService.getOwn(SETTING_NAME, tenantId))) || {};
+    const merged = { ...config.oidc.providers, ...globalProviders, ...tenantProviders };
+
+    return Object.fromEntries(
+      Object.entries(merged).map(([name, { encryptedClientSecret, clientSecret, ...provider }]) => [
+        name,
+        {
+          ...PROVIDER_DEFAULTS,
+          ...provider,
+          name,
+          tenantId: tenantProviders[name] ? tenantId : null,
+          // 系统设置中的密钥加密保存，配置文件中的密钥为明文
+          clientSecret: encryptedClientSecret ? decrypt(encryptedClientSecret) : clientSecret || null,
+        },
+      ])
+    );
+  }
+
+  /**
+   * 获取可用的身份提供方
+   * @param {string} name - 提供方名称
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<Object>} - 提供方配置
+   */
+  async getProvider(name, tenantId = null) {
+    const provider = (await this.getProviders(tenantId))[name];
+
+    if (!provider || !provider.enabled) {
+      throw new ApiError(statusCodes.NOT_FOUND, '身份提供方不存在或未启用', 'AUTH_OIDC_PROVIDER_NOT_FOUND');
+    }
+
+    return provider;
+  }
+
+  /**
+   * 获取登录页展示的身份提供方列表
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<Object[]>} - 提供方列表（name、displayName、tenantId），租户自己的提供方发起登录时需带上tenantId
+   */
+  async listProviders(tenantId = null) {
+    const providers = await this.getProviders(tenantId);
+
+    return Object.values(providers)
+      .filter(provider => provider.enabled)
+      .map(provider => ({ name: provider.name, displayName: provider.displayName || provider.name, tenantId: provider.tenantId }));
+  }
+
+  /**
+   * 获取身份提供方配置（管理用，隐藏客户端密钥）
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<Object>} - 以名称为键的提供方配置
+   */
+  async getProviderSettings(tenantId = null) {
+    const providers = await this.getProviders(tenantId);
+
+    // 所属租户由配置所在的级别决定，不作为配置字段返回
+    return Object.fromEntries(Object.entries(providers).map(([name, { tenantId: _tenantId, ...provider }]) => [name, { ...provider, clientSecret: provider.clientSecret ? SECRET_PLACEHOLDER : null }]));
+  }
+
+  /**
+   * 更新身份提供方配置
+   * 传入的配置整体替换该级别原有的配置，未传入的提供方沿用上一级配置
+   * @param {Object} providers - 以名称为键的提供方配置
+   * @param {string} tenantId - 租户ID，为空时更新全局配置
+   * @returns {Promise<Object>} - 更新后的配置（隐藏客户端密钥）
+   */
+  async setProviders(providers, tenantId = null) {
+    if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '身份提供方配置必须是以名称为键的对象', 'VALIDATION_ERROR');
+    }
+
+    const current = await this.getProviders(tenantId);
+    const errors = [];
+    const stored = {};
+
+    Object.entries(providers).forEach(([name, provider]) => {
+      const providerErrors = this.validateProvider(name, provider);
+
+      if (providerErrors.length > 0) {
+        errors.push(...providerErrors);
+        return;
+      }
+
+      const { clientSecret, ...rest } = provider;
+      const secret = clientSecret === SECRET_PLACEHOLDER ? current[name] && current[name].clientSecret : clientSecret;
+
+      stored[name] = { ...rest, encryptedClientSecret: secret ? encrypt(secret) : undefined };
+    });
+
+    if (errors.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '身份提供方配置无效', 'VALIDATION_ERROR', errors);
+    }
+
+    await settingsService.set(SETTING_NAME, stored, tenantId);
+
+    return this.getProviderSettings(tenantId);
+  }
+
+  /**
+   * 校验单个身份提供方配置
+   * @param {string} name - 提供方名称
+   * @param {Object} provider - 提供方配置
+   * @returns {string[]} - 错误列表
+   */
+  validateProvider(name, provider) {
+    const errors = [];
+
+    if (!PROVIDER_NAME_PATTERN.test(name)) {
+      errors.push(`提供方名称无效: ${name}，只能包含小写字母、数字、下划线和连字符`);
+    }
+
+    if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+      return [...errors, `${name}: 配置必须是对象`];
+    }
+
+    Object.entries(provider).forEach(([field, value]) => {
+      const type = PROVIDER_FIELDS[field];
+
+      if (!type) {
+        errors.push(`${name}: 未知的配置字段 ${field}`);
+      } else if (type === 'array' ? !Array.isArray(value) : typeof value !== type) {
+        errors.push(`${name}: ${field}类型必须是${type}`);
+      }
+    });
+
+    ['issuer', 'clientId', 'redirectUri'].forEach(field => {
+      if (!provider[field]) {
+        errors.push(`${name}: ${field}是必填项`);
+      }
+    });
+
+    ['issuer', 'redirectUri'].forEach(field => {
+      if (typeof provider[field] === 'string' && !/^https?:\/\/\S+$/.test(provider[field])) {
+        errors.push(`${name}: ${field}必须是http(s) URL`);
+      }
+    });
+
+    if (Array.isArray(provider.defaultRoles) && provider.defaultRoles.some(role => typeof role !== 'string' || !ROLE_NAME_PATTERN.test(role))) {
+      errors.push(`${name}: defaultRoles包含无效的角色名称`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 获取身份提供方的OIDC客户端
+   * 首次使用时通过 .well-known/openid-configuration 发现提供方元数据
+   * @param {Object} provider - 提供方配置
+   * @returns {Promise<Client>} - openid-client客户端
+   */
+  async getClient(provider) {
+    let issuer = this.issuers.get(provider.issuer);
+
+    if (!issuer) {
+      try {
+        issuer = await Issuer.discover(provider.issuer);
+      } catch (error) {
+        logger.error('发现OIDC身份提供方失败', { error: error.message, issuer: provider.issuer });
+        throw new ApiError(statusCodes.BAD_GATEWAY, '无法连接身份提供方', 'AUTH_OIDC_DISCOVERY_FAILED');
+      }
+
+      // 元数据中的issuer必须与配置一致（OpenID Connect Discovery 4.3），否则提供方可以冒充其他身份提供方签发ID令牌
+      if (issuer.issuer !== provider.issuer) {
+        logger.error('OIDC身份提供方元数据中的issuer与配置不一致', { issuer: provider.issuer, discovered: issuer.issuer });
+        throw new ApiError(statusCodes.BAD_GATEWAY, '身份提供方元数据无效', 'AUTH_OIDC_DISCOVERY_FAILED');
+      }
+
+      this.issuers.set(provider.issuer, issuer);
+    }
+
+    return new issuer.Client({
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || undefined,
+      redirect_uris: [provider.redirectUri],
+      response_types: ['code'],
+      // 没有客户端密钥时作为公开客户端，仅依赖PKCE
+      token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none',
+    });
+  }
+
+  /**
+   * 发起登录，生成身份提供方的授权地址
+   * state、nonce和PKCE code_verifier保存在一次性令牌中，state即该令牌
+   * 指定的租户必须在自己的设置中定义了该提供方；登录所在的租户为提供方所属的租户，全局提供方为请求解析出的租户
+   * @param {string} name - 提供方名称
+   * @param {string} tenantId - 提供方所属的租户ID，全局提供方为空
+   * @param {Object} context - 登录上下文（ip、userAgent、deviceName）
+   * @returns {Promise<string>} - 授权地址
+   */
+  async createAuthorizationUrl(name, tenantId = null, context = {}) {
+    const provider = await this.getProvider(name, tenantId);
+
+    // 查询参数中的租户不能决定全局提供方登录或创建的用户所属的租户
+    if (tenantId && provider.tenantId !== tenantId) {
+      throw new ApiError(statusCodes.NOT_FOUND, '身份提供方不存在或未启用', 'AUTH_OIDC_PROVIDER_NOT_FOUND');
+    }
+
+    const client = await this.getClient(provider);
+
+    const codeVerifier = generators.codeVerifier();
+    const nonce = generators.nonce();
+    const state = await tokenService.createOneTimeToken(
+      TOKEN_PURPOSES.OIDC_STATE,
+      { provider: name, tenantId: provider.tenantId, loginTenantId: provider.tenantId || tenantService.getCurrentTenantId(), codeVerifier, nonce, context },
+      config.oidc.stateExpiresIn
+    );
+
+    return client.authorizationUrl({
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    });
+  }
+
+  /**
+   * 处理身份提供方的回调，换取令牌并登录
+   * @param {string} name - 提供方名称
+   * @param {Object} params - 回调参数（code、state或error）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   */
+  async handleCallback(name, params, dbType) {
+    const request = await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.OIDC_STATE, params.state);
+
+    if (!request || request.provider !== name) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '登录请求无效或已过期，请重新登录', 'AUTH_OIDC_INVALID_STATE');
+    }
+
+    const provider = await this.getProvider(name, request.tenantId);
+
+    // 发起登录后租户删除了自己的提供方时不能改用同名的全局提供方
+    if (provider.tenantId !== request.tenantId) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '登录请求无效或已过期，请重新登录', 'AUTH_OIDC_INVALID_STATE');
+    }
+
+    const client = await this.getClient(provider);
+
+    let claims;
+    try {
+      const tokenSet = await client.callback(provider.redirectUri, params, { state: params.state, nonce: request.nonce, code_verifier: request.codeVerifier });
+      claims = tokenSet.claims();
+
+      // ID令牌中没有邮箱时从UserInfo端点补充
+      if (!claims.email && tokenSet.access_token && client.issuer.userinfo_endpoint) {
+        claims = { ...(await client.userinfo(tokenSet)), ...claims };
+      }
+    } catch (error) {
+      if (error instanceof oidcErrors.OPError || error instanceof oidcErrors.RPError) {
+        logger.warn('OIDC登录失败', { provider: name, error: error.message });
+        throw new ApiError(statusCodes.UNAUTHORIZED, '身份提供方认证失败', 'AUTH_OIDC_FAILED');
+      }
+
+      logger.error('OIDC令牌交换失败', { provider: name, error: error.message });
+      throw new ApiError(statusCodes.BAD_GATEWAY, '无法连接身份提供方', 'AUTH_OIDC_FAILED');
+    }
+
+    const user = await identityService.resolveUser(
+      {
+        type: IDENTITY_TYPES.OIDC,
+        provider: name,
+        providerTenantId: provider.tenantId,
+        issuer: claims.iss,
+        subject: claims.sub,
+        email: claims.email ? claims.email.toLowerCase() : null,
+        emailVerified: claims.email_verified === true,
+        username: claims.preferred_username,
+        firstName: claims.given_name,
+        lastName: claims.family_name,
+      },
+      { tenantId: request.loginTenantId, linkByEmail: provider.linkByEmail, autoProvision: provider.autoProvision, defaultRoles: provider.defaultRoles },
+      dbType
+    );
+
+    // 多因素认证由身份提供方负责，这里不再要求
+    if (user.status !== USER_STATUS.ACTIVE) {
+      throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+    }
+
+    return await userService.completeLogin(user, { ...request.context, loginMethod: LOGIN_METHODS.OIDC });
+  }
+}
+
+module.exports = new OidcService();
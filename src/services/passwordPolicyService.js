@@ -0,0 +1,224 @@
+/**
+ * 密码策略服务类
+ * 统一校验注册、修改和重置密码时的新密码，策略可按租户覆盖：
+ * - 长度与字符类别
+ * - 常见弱密码
+ * - 与用户名、邮箱的相似度
+ * - 历史密码（不能重复使用最近N个密码）
+ * - 最长使用期限（过期后登录时必须先修改密码）
+ */
+const bcrypt = require('bcryptjs');
+const settingsService = require('./settingsService');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { PASSWORD_HISTORY_LIMIT } = require('../constants/business');
+const COMMON_PASSWORDS = new Set(require('../constants/commonPasswords'));
+
+// 策略在系统设置中的名称
+const SETTING_NAME = 'password.policy';
+
+// 策略字段及其类型
+const POLICY_FIELDS = {
+  minLength: 'number',
+  maxLength: 'number',
+  requireLowercase: 'boolean',
+  requireUppercase: 'boolean',
+  requireNumber: 'boolean',
+  requireSpecial: 'boolean',
+  blockCommon: 'boolean',
+  blockPersonalInfo: 'boolean',
+  historyCount: 'number',
+  maxAgeDays: 'number',
+};
+
+// 用户名、邮箱参与相似度检查的最小长度，过短的片段容易误判
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+class PasswordPolicyService {
+  /**
+   * 获取密码策略
+   * 配置文件中的默认值 < 全局设置 < 租户设置
+   * @param {string} tenantId - 租户ID，为空时返回全局策略
+   * @returns {Promise<Object>} - 密码策略
+   */
+  async getPolicy(tenantId = null) {
+    const globalPolicy = await settingsService.get(SETTING_NAME, {});
+    const tenantPolicy = tenantId ? await settingsService.get(SETTING_NAME, globalPolicy, tenantId) : globalPolicy;
+
+    return { ...config.passwordPolicy, ...globalPolicy, ...tenantPolicy };
+  }
+
+  /**
+   * 更新密码策略
+   * 传入的字段整体替换该级别原有的覆盖项，未传入的字段沿用上一级策略
+   * @param {Object} overrides - 要覆盖的策略字段
+   * @param {string} tenantId - 租户ID，为空时更新全局策略
+   * @returns {Promise<Object>} - 更新后的策略
+   */
+  async setPolicy(overrides, tenantId = null) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '密码策略必须是对象', 'VALIDATION_ERROR');
+    }
+
+    const errors = [];
+    Object.entries(overrides).forEach(([field, value]) => {
+      if (!POLICY_FIELDS[field]) {
+        errors.push(`未知的策略字段: ${field}`);
+      } else if (typeof value !== POLICY_FIELDS[field] || (POLICY_FIELDS[field] === 'number' && (!Number.isInteger(value) || value < 0))) {
+        errors.push(`${field}必须是${POLICY_FIELDS[field] === 'number' ? '非负整数' : '布尔值'}`);
+      }
+    });
+
+    const effective = { ...config.passwordPolicy, ...(tenantId ? await settingsService.get(SETTING_NAME, {}) : {}), ...overrides };
+
+    if (effective.minLength < 1 || effective.maxLength < effective.minLength) {
+      errors.push('maxLength不能小于minLength，且minLength至少为1');
+    }
+
+    if (effective.historyCount > PASSWORD_HISTORY_LIMIT) {
+      errors.push(`historyCount不能超过${PASSWORD_HISTORY_LIMIT}`);
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '密码策略无效', 'VALIDATION_ERROR', errors);
+    }
+
+    await settingsService.set(SETTING_NAME, overrides, tenantId);
+
+    return this.getPolicy(tenantId);
+  }
+
+  /**
+   * 校验新密码
+   * @param {string} password - 新密码
+   * @param {Object} context - 校验上下文
+   * @param {string} context.username - 用户名
+   * @param {string} context.email - 邮箱
+   * @param {string} context.tenantId - 租户ID
+   * @param {Object} context.user - 已有用户（修改/重置密码时传入，用于历史密码检查）
+   * @returns {Promise<string[]>} - 不符合要求的原因，为空表示通过
+   */
+  async validate(password, { username, email, tenantId, user } = {}) {
+    const policy = await this.getPolicy(user ? user.tenantId : tenantId);
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      errors.push(`密码长度必须至少为${policy.minLength}个字符`);
+      return errors;
+    }
+
+    if (password.length > policy.maxLength) {
+      errors.push(`密码长度不能超过${policy.maxLength}个字符`);
+    }
+
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      errors.push('密码必须包含至少一个小写字母');
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      errors.push('密码必须包含至少一个大写字母');
+    }
+
+    if (policy.requireNumber && !/\d/.test(password)) {
+      errors.push('密码必须包含至少一个数字');
+    }
+
+    if (policy.requireSpecial && !/[^A-Za-z0-9]/.test(password)) {
+      errors.push('密码必须包含至少一个特殊字符');
+    }
+
+    if (policy.blockCommon && this.isCommon(password)) {
+      errors.push('密码过于常见，请使用更独特的密码');
+    }
+
+    if (policy.blockPersonalInfo && this.containsPersonalInfo(password, user ? user.username : username, user ? user.email : email)) {
+      errors.push('密码不能包含用户名或邮箱');
+    }
+
+    if (errors.length === 0 && user && policy.historyCount > 0 && (await this.isReused(password, user, policy.historyCount))) {
+      errors.push(`不能使用最近${policy.historyCount}次使用过的密码`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 校验新密码，不符合策略时抛出错误
+   * @param {string} password - 新密码
+   * @param {Object} context - 校验上下文，同validate
+   * @throws {ApiError} - 密码不符合策略
+   */
+  async assertValid(password, context = {}) {
+    const errors = await this.validate(password, context);
+
+    if (errors.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '密码不符合安全要求', 'VALIDATION_ERROR', errors);
+    }
+  }
+
+  /**
+   * 检查是否为常见弱密码
+   * 同时比较去掉首尾数字和符号后的形式，如 Password123! 视同 password
+   * @param {string} password - 密码
+   * @returns {boolean} - 是否为常见密码
+   */
+  isCommon(password) {
+    const normalized = password.toLowerCase();
+    const stripped = normalized.replace(/^[^a-z]+|[^a-z]+$/g, '');
+
+    return COMMON_PASSWORDS.has(normalized) || (stripped.length > 0 && COMMON_PASSWORDS.has(stripped));
+  }
+
+  /**
+   * 检查密码是否包含用户名或邮箱（含倒序）
+   * @param {string} password - 密码
+   * @param {string} username - 用户名
+   * @param {string} email - 邮箱
+   * @returns {boolean} - 是否包含
+   */
+  containsPersonalInfo(password, username, email) {
+    const normalized = password.toLowerCase();
+    const reversed = [...normalized].reverse().join('');
+    const fragments = [username, email, email && email.split('@')[0]].filter(value => value && value.length >= MIN_PERSONAL_INFO_LENGTH).map(value => value.toLowerCase());
+
+    return fragments.some(fragment => normalized.includes(fragment) || reversed.includes(fragment));
+  }
+
+  /**
+   * 检查密码是否与当前密码或最近的历史密码相同
+   * @param {string} password - 新密码
+   * @param {Model} user - 用户实例
+   * @param {number} count - 检查的密码个数（含当前密码）
+   * @returns {Promise<boolean>} - 是否重复使用
+   */
+  async isReused(password, user, count) {
+    const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean).slice(0, count);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * 检查用户密码是否已超过最长使用期限
+   * @param {Model} user - 用户实例
+   * @param {Object} policy - 密码策略
+   * @returns {boolean} - 是否已过期
+   */
+  isExpired(user, policy) {
+    if (!policy.maxAgeDays) {
+      return false;
+    }
+
+    // 早于密码期限功能创建的用户没有passwordChangedAt，以注册时间为准
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return Boolean(changedAt) && Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 3600 * 1000;
+  }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,374 @@
+/**
+ * 角色服务类
+ * 管理角色（权限的集合），并将用户的角色解析为权限
+ */
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, CACHE_TTL, DEFAULT_ROLE_PERMISSIONS, PERMISSIONS, ROLE_NAME_PATTERN, USER_ROLES } = require('../constants/business');
+
+class RoleService {
+  /**
+   * 获取角色模型
+   * 角色是平台级数据，database隔离模式下也保存在公共数据库中
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 角色模型
+   */
+  async getRoleModel(dbType) {
+    const sequelize = await database.getSharedConnection(dbType);
+    return sequelize.models.Role;
+  }
+
+  /**
+   * 获取所有角色（内置角色 + 自定义角色）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object[]>} - 角色列表
+   */
+  async listRoles(dbType) {
+    const Role = await this.getRoleModel(dbType);
+    const rows = await Role.findAll({ order: [['name', 'ASC']] });
+    const stored = new Map(rows.map(row => [row.name, this.serializeRole(row)]));
+
+    const systemRoles = Object.keys(DEFAULT_ROLE_PERMISSIONS).map(name => stored.get(name) || this.defaultRole(name));
+    const customRoles = rows.filter(row => !DEFAULT_ROLE_PERMISSIONS[row.name]).map(row => stored.get(row.name));
+
+    return [...systemRoles, ...customRoles];
+  }
+
+  /**
+   * 获取角色
+   * @param {string} name - 角色名称
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 角色
+   */
+  async getRole(name, dbType) {
+    const Role = await this.getRoleModel(dbType);
+    const row = await Role.findOne({ where: { name } });
+
+    if (row) {
+      return this.serializeRole(row);
+    }
+
+    if (DEFAULT_ROLE_PERMISSIONS[name]) {
+      return this.defaultRole(name);
+    }
+
+    throw new ApiError(statusCodes.NOT_FOUND, '角色不存在', 'ROLE_NOT_FOUND');
+  }
+
+  /**
+   * 创建自定义角色
+   * @param {Object} roleData - 角色数据（name、description、permissions）
+   * @param {Object} actor - 操作者（只能授予自己拥有的权限）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 新创建的角色
+   */
+  async createRole({ name, description, permissions = [] }, actor, dbType) {
+    const Role = await this.getRoleModel(dbType);
+
+    if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '角色名称只能包含小写字母、数字、下划线和连字符，以字母开头，长度2-50', 'VALIDATION_ERROR');
+    }
+
+    await this.assertGrantable(permissions, actor);
+
+    try {
+      if (DEFAULT_ROLE_PERMISSIONS[name] || (await Role.findOne({ where: { name } }))) {
+        throw new ApiError(statusCodes.CONFLICT, '角色已存在', 'ROLE_EXISTS');
+      }
+
+      const role = await Role.create({ name, description, permissions, isSystem: false });
+
+      // 清除缓存（之前可能缓存了“角色不存在”）
+      await redisClient.del(`${CACHE_PREFIXES.ROLE}${name}`);
+
+      // 记录审计日志
+      logger.audit(actor.id, 'create_role', 'role', { name, permissions });
+
+      return this.serializeRole(role);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('创建角色失败', { error: error.message, name });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '创建角色失败', 'ROLE_CREATE_FAILED');
+    }
+  }
+
+  /**
+   * 修改角色
+   * 内置角色首次修改时写入数据库，admin角色不能修改以免失去管理权限
+   * @param {string} name - 角色名称
+   * @param {Object} roleData - 要修改的字段（description、permissions）
+   * @param {Object} actor - 操作者（只能授予自己拥有的权限）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 修改后的角色
+   */
+  async updateRole(name, { description, permissions }, actor, dbType) {
+    const Role = await this.getRoleModel(dbType);
+
+    if (name === USER_ROLES.ADMIN) {
+      throw new ApiError(statusCodes.FORBIDDEN, 'admin角色不能修改', 'ROLE_IMMUTABLE');
+    }
+
+    if (permissions !== undefined) {
+      await this.assertGrantable(permissions, actor);
+    }
+
+    try {
+      let role = await Role.findOne({ where: { name } });
+
+      if (!role && !DEFAULT_ROLE_PERMISSIONS[name]) {
+        throw new ApiError(statusCodes.NOT_FOUND, '角色不存在', 'ROLE_NOT_FOUND');
+      }
+
+      if (!role) {
+        role = Role.build({ ...this.defaultRole(name) });
+      }
+
+      if (description !== undefined) {
+        role.description = description;
+      }
+
+      if (permissions !== undefined) {
+        role.permissions = permissions;
+      }
+
+      await role.save();
+
+      // 清除缓存
+      await redisClient.del(`${CACHE_PREFIXES.ROLE}${name}`);
+
+      // 记录审计日志
+      logger.audit(actor.id, 'update_role', 'role', { name, description, permissions });
+
+      return this.serializeRole(role);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('修改角色失败', { error: error.message, name });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '修改角色失败', 'ROLE_UPDATE_FAILED');
+    }
+  }
+
+  /**
+   * 删除自定义角色
+   * 仍有用户使用的角色不能删除
+   * @param {string} name - 角色名称
+   * @param {Object} actor - 操作者
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async deleteRole(name, actor, dbType) {
+    const Role = await this.getRoleModel(dbType);
+    const sequelize = await database.getConnection(dbType);
+
+    if (DEFAULT_ROLE_PERMISSIONS[name]) {
+      throw new ApiError(statusCodes.FORBIDDEN, '内置角色不能删除', 'ROLE_IMMUTABLE');
+    }
+
+    try {
+      const role = await Role.findOne({ where: { name } });
+
+      if (!role) {
+        throw new ApiError(statusCodes.NOT_FOUND, '角色不存在', 'ROLE_NOT_FOUND');
+      }
+
+      // 角色是全局的，需要检查所有租户的用户
+      const members = await database.withoutTenantScope(() => sequelize.models.User.findByRole(name));
+      if (members.length > 0) {
+        throw new ApiError(statusCodes.CONFLICT, `仍有${members.length}个用户使用该角色，请先移除`, 'ROLE_IN_USE');
+      }
+
+      await role.destroy();
+
+      // 清除缓存
+      await redisClient.del(`${CACHE_PREFIXES.ROLE}${name}`);
+
+      // 记录审计日志
+      logger.audit(actor.id, 'delete_role', 'role', { name });
+
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('删除角色失败', { error: error.message, name });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '删除角色失败', 'ROLE_DELETE_FAILED');
+    }
+  }
+
+  /**
+   * 获取单个角色的权限（带缓存），不存在的角色没有任何权限
+   * @param {string} name - 角色名称
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<string[]>} - 权限列表
+   */
+  async getRolePermissions(name, dbType) {
+    const cacheKey = `${CACHE_PREFIXES.ROLE}${name}`;
+    const cached = await redisClient.get(cacheKey);
+
+    if (cached) {
+      return cached.permissions;
+    }
+
+    const Role = await this.getRoleModel(dbType);
+    const row = await Role.findOne({ where: { name } });
+    const permissions = row ? row.permissions : DEFAULT_ROLE_PERMISSIONS[name] || [];
+
+    await redisClient.set(cacheKey, { permissions }, CACHE_TTL.MEDIUM);
+
+    return permissions;
+  }
+
+  /**
+   * 获取多个角色的权限并集
+   * @param {string[]} roles - 角色名称列表
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<string[]>} - 权限列表
+   */
+  async getPermissions(roles = [], dbType) {
+    const permissions = new Set();
+
+    for (const role of roles) {
+      (await this.getRolePermissions(role, dbType)).forEach(permission => permissions.add(permission));
+    }
+
+    return [...permissions];
+  }
+
+  /**
+   * 获取用户的权限
+   * 已认证的请求用户会在requirePermission中缓存权限（user.permissions）
+   * @param {Object} user - 用户对象
+   * @returns {Promise<string[]>} - 权限列表
+   */
+  async getUserPermissions(user) {
+    return Array.isArray(user.permissions) ? user.permissions : this.getPermissions(user.roles);
+  }
+
+  /**
+   * 检查用户是否拥有权限
+   * @param {Object} user - 用户对象
+   * @param {string} permission - 权限
+   * @returns {Promise<boolean>} - 是否拥有
+   */
+  async hasPermission(user, permission) {
+    return this.grants(await this.getUserPermissions(user), permission);
+  }
+
+  /**
+   * 检查权限列表是否包含指定权限
+   * @param {string[]} granted - 已有权限
+   * @param {string} permission - 权限
+   * @returns {boolean} - 是否包含
+   */
+  grants(granted, permission) {
+    return granted.includes(PERMISSIONS.ALL) || granted.includes(permission);
+  }
+
+  /**
+   * 检查操作者能否管理目标用户
+   * 目标用户的权限必须是操作者权限的真子集，避免同级或更高权限的用户互相修改
+   * @param {Object} actor - 操作者
+   * @param {Object} target - 目标用户
+   * @returns {Promise<boolean>} - 能否管理
+   */
+  async canManageUser(actor, target) {
+    const actorPermissions = await this.getUserPermissions(actor);
+
+    if (actorPermissions.includes(PERMISSIONS.ALL)) {
+      return true;
+    }
+
+    const targetPermissions = await this.getPermissions(target.roles);
+
+    return !targetPermissions.includes(PERMISSIONS.ALL) && targetPermissions.every(permission => actorPermissions.includes(permission)) && targetPermissions.length < actorPermissions.length;
+  }
+
+  /**
+   * 检查操作者能否分配角色（角色的权限不能超出操作者自己的权限）
+   * @param {Object} actor - 操作者
+   * @param {string[]} roles - 要分配的角色
+   * @returns {Promise<boolean>} - 能否分配
+   */
+  async canAssignRoles(actor, roles) {
+    const actorPermissions = await this.getUserPermissions(actor);
+    const rolePermissions = await this.getPermissions(roles);
+
+    return rolePermissions.every(permission => this.grants(actorPermissions, permission));
+  }
+
+  /**
+   * 检查角色是否都存在
+   * @param {string[]} roles - 角色名称列表
+   * @param {string} dbType - 数据库类型
+   * @throws {ApiError} - 存在未知角色
+   */
+  async assertRolesExist(roles, dbType) {
+    if (!Array.isArray(roles) || roles.length === 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '角色必须是非空数组', 'VALIDATION_ERROR');
+    }
+
+    const Role = await this.getRoleModel(dbType);
+    const custom = roles.filter(role => !DEFAULT_ROLE_PERMISSIONS[role]);
+    const found = custom.length > 0 ? await Role.findAll({ where: { name: custom } }) : [];
+    const unknown = custom.filter(role => !found.some(row => row.name === role));
+
+    if (unknown.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, `角色不存在: ${unknown.join(', ')}`, 'VALIDATION_ERROR');
+    }
+  }
+
+  /**
+   * 检查权限列表是否有效，且操作者可以授予
+   * @param {string[]} permissions - 权限列表
+   * @param {Object} actor - 操作者
+   * @throws {ApiError} - 权限无效或超出操作者权限
+   */
+  async assertGrantable(permissions, actor) {
+    const validPermissions = Object.values(PERMISSIONS);
+
+    if (!Array.isArray(permissions) || permissions.some(permission => !validPermissions.includes(permission))) {
+      throw new ApiError(statusCodes.BAD_REQUEST, `permissions必须是权限数组，可选值: ${validPermissions.join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    const actorPermissions = await this.getUserPermissions(actor);
+    const notGranted = permissions.filter(permission => !this.grants(actorPermissions, permission));
+
+    if (notGranted.length > 0) {
+      throw new ApiError(statusCodes.FORBIDDEN, `不能授予自己没有的权限: ${notGranted.join(', ')}`, 'AUTH_INSUFFICIENT_PERMISSIONS');
+    }
+  }
+
+  /**
+   * 内置角色的默认定义
+   * @param {string} name - 内置角色名称
+   * @returns {Object} - 角色
+   */
+  defaultRole(name) {
+    return { name, description: null, permissions: DEFAULT_ROLE_PERMISSIONS[name], isSystem: true };
+  }
+
+  /**
+   * 转换为对外返回的角色对象
+   * @param {Model} row - 角色实例
+   * @returns {Object} - 角色
+   */
+  serializeRole(row) {
+    return {
+      name: row.name,
+      description: row.description,
+      permissions: row.permissions,
+      isSystem: row.isSystem,
+    };
+  }
+}
+
+module.exports = new RoleService();
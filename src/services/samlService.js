@@ -0,0 +1,576 @@
+/**
+ * SAML 2.0服务类
+ * 作为服务提供方（SP）对接外部身份提供方：生成SP元数据，在ACS校验签名断言后登录，并支持单点注销
+ * 提供方配置：配置文件中的默认值 < 全局设置 < 租户设置（按名称合并）
+ */
+const { SAML, ValidateInResponseTo } = require('@node-saml/node-saml');
+const settingsService = require('./settingsService');
+const tokenService = require('./tokenService');
+const sessionService = require('./sessionService');
+const identityService = require('./identityService');
+const roleService = require('./roleService');
+const userService = require('./userService');
+const tenantService = require('./tenantService');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const { encrypt, decrypt } = require('../utils/encryption');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, IDENTITY_TYPES, LOGIN_METHODS, ROLE_NAME_PATTERN, TOKEN_PURPOSES, USER_STATUS } = require('../constants/business');
+
+// 提供方配置在系统设置中的名称
+const SETTING_NAME = 'saml.providers';
+
+// 对外返回配置时SP私钥的占位符，保存时传入占位符表示沿用原私钥
+const SECRET_PLACEHOLDER = '********';
+
+// 提供方名称格式
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+// 邮箱格式的NameID
+const EMAIL_NAME_ID_FORMAT = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+
+// 提供方配置字段及其类型（certs为证书字符串或证书数组）
+const PROVIDER_FIELDS = {
+  name: 'string', // 以键名为准，允许原样提交查询结果
+  displayName: 'string',
+  entryPoint: 'string',
+  logoutUrl: 'string',
+  idpIssuer: 'string',
+  idpCert: 'certs',
+  issuer: 'string',
+  callbackUrl: 'string',
+  logoutCallbackUrl: 'string',
+  privateKey: 'string',
+  publicCert: 'string',
+  signatureAlgorithm: 'string',
+  identifierFormat: 'string',
+  wantAssertionsSigned: 'boolean',
+  wantAuthnResponseSigned: 'boolean',
+  allowIdpInitiated: 'boolean',
+  attributeMap: 'object',
+  groupAttribute: 'string',
+  groupRoles: 'object',
+  defaultRoles: 'array',
+  enabled: 'boolean',
+  autoProvision: 'boolean',
+  linkByEmail: 'boolean',
+  syncRoles: 'boolean',
+};
+
+// 提供方配置的默认值
+const PROVIDER_DEFAULTS = {
+  signatureAlgorithm: 'sha256',
+  identifierFormat: EMAIL_NAME_ID_FORMAT,
+  wantAssertionsSigned: true,
+  wantAuthnResponseSigned: false,
+  allowIdpInitiated: false,
+  attributeMap: {},
+  groupAttribute: 'groups',
+  groupRoles: {},
+  defaultRoles: [],
+  enabled: true,
+  autoProvision: false,
+  linkByEmail: false,
+  syncRoles: false,
+};
+
+// 断言属性到用户字段的默认映射
+const ATTRIBUTE_DEFAULTS = {
+  email: 'email',
+  username: 'uid',
+  firstName: 'givenName',
+  lastName: 'sn',
+};
+
+/**
+ * 已发出的AuthnRequest ID缓存，用于校验响应的InResponseTo，防止重放
+ * 实现node-saml的CacheProvider接口，多个实例间通过Redis共享
+ */
+const requestCache = {
+  async saveAsync(key, value) {
+    await redisClient.set(`${CACHE_PREFIXES.SAML_REQUEST}${key}`, value, config.saml.requestExpiresIn);
+    return { value, createdAt: Date.now() };
+  },
+
+  async getAsync(key) {
+    return await redisClient.get(`${CACHE_PREFIXES.SAML_REQUEST}${key}`);
+  },
+
+  async removeAsync(key) {
+    if (!key) {
+      return null;
+    }
+
+    const value = await redisClient.get(`${CACHE_PREFIXES.SAML_REQUEST}${key}`);
+    await redisClient.del(`${CACHE_PREFIXES.SAML_REQUEST}${key}`);
+    return value;
+  },
+};
+
+/**
+ * 取断言属性的全部值
+ * @param {Object} profile - node-saml解析出的断言信息
+ * @param {string} attribute - 属性名
+ * @returns {string[]} - 属性值
+ */
+const attributeValues = (profile, attribute) => {
+  const value = attribute ? profile[attribute] : undefined;
+
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' || typeof item === 'number').map(String);
+};
+
+class SamlService {
+  /**
+   * 获取身份提供方配置（含SP私钥）
+   * tenantId为提供方配置所属的租户：租户自己的设置中定义的提供方为该租户，否则为空（全局提供方）
+   * @param {string} tenantId - 租户ID，为空时返回全局配置
+   * @returns {Promise<Object>} - 以名称为键的提供方配置
+   */
+  async getProviders(tenantId = null) {
+    const globalProviders = await settingsService.get(SETTING_NAME, {});
+    const tenantProviders = (tenantId && (await settingsService.getOwn(SETTING_NAME, tenantId))) || {};
+    const merged = { ...config.saml.providers, ...globalProviders, ...tenantProviders };
+
+    return Object.fromEntries(
+      Object.entries(merged).map(([name, { encryptedPrivateKey, privateKey, ...provider }]) => [
+        name,
+        {
+          ...PROVIDER_DEFAULTS,
+          ...provider,
+          name,
+          tenantId: tenantProviders[name] ? tenantId : null,
+          // 系统设置中的私钥加密保存，配置文件中的私钥为明文
+          privateKey: encryptedPrivateKey ? decrypt(encryptedPrivateKey) : privateKey || null,
+        },
+      ])
+    );
+  }
+
+  /**
+   * 获取可用的身份提供方
+   * @param {string} name - 提供方名称
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<Object>} - 提供方配置
+   */
+  async getProvider(name, tenantId = null) {
+    const provider = (await this.getProviders(tenantId))[name];
+
+    if (!provider || !provider.enabled) {
+      throw new ApiError(statusCodes.NOT_FOUND, '身份提供方不存在或未启用', 'AUTH_SAML_PROVIDER_NOT_FOUND');
+    }
+
+    return provider;
+  }
+
+  /**
+   * 获取登录页展示的身份提供方列表
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<Object[]>} - 提供方列表（name、displayName）
+   */
+  async listProviders(tenantId = null) {
+    const providers = await this.getProviders(tenantId);
+
+    return Object.values(providers)
+      .filter(provider => provider.enabled)
+      .map(provider => ({ name: provider.name, displayName: provider.displayName || provider.name }));
+  }
+
+  /**
+   * 获取身份提供方配置（管理用，隐藏SP私钥）
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<Object>} - 以名称为键的提供方配置
+   */
+  async getProviderSettings(tenantId = null) {
+    const providers = await this.getProviders(tenantId);
+
+    // 所属租户由配置所在的级别决定，不作为配置字段返回
+    return Object.fromEntries(Object.entries(providers).map(([name, { tenantId: _tenantId, ...provider }]) => [name, { ...provider, privateKey: provider.privateKey ? SECRET_PLACEHOLDER : null }]));
+  }
+
+  /**
+   * 更新身份提供方配置
+   * 传入的配置整体替换该级别原有的配置，未传入的提供方沿用上一级配置
+   * @param {Object} providers - 以名称为键的提供方配置
+   * @param {string} tenantId - 租户ID，为空时更新全局配置
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 更新后的配置（隐藏SP私钥）
+   */
+  async setProviders(providers, tenantId = null, dbType) {
+    if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '身份提供方配置必须是以名称为键的对象', 'VALIDATION_ERROR');
+    }
+
+    const errors = Object.entries(providers).flatMap(([name, provider]) => this.validateProvider(name, provider));
+
+    if (errors.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '身份提供方配置无效', 'VALIDATION_ERROR', errors);
+    }
+
+    // 映射的角色必须存在
+    const roles = Object.values(providers).flatMap(provider => [...Object.values(provider.groupRoles || {}).flat(), ...(provider.defaultRoles || [])]);
+    if (roles.length > 0) {
+      await roleService.assertRolesExist([...new Set(roles)], dbType);
+    }
+
+    const current = await this.getProviders(tenantId);
+    const stored = Object.fromEntries(
+      Object.entries(providers).map(([name, { privateKey, ...rest }]) => {
+        const secret = privateKey === SECRET_PLACEHOLDER ? current[name] && current[name].privateKey : privateKey;
+        return [name, { ...rest, encryptedPrivateKey: secret ? encrypt(secret) : undefined }];
+      })
+    );
+
+    await settingsService.set(SETTING_NAME, stored, tenantId);
+
+    return this.getProviderSettings(tenantId);
+  }
+
+  /**
+   * 校验单个身份提供方配置
+   * @param {string} name - 提供方名称
+   * @param {Object} provider - 提供方配置
+   * @returns {string[]} - 错误列表
+   */
+  validateProvider(name, provider) {
+    const errors = [];
+
+    if (!PROVIDER_NAME_PATTERN.test(name)) {
+      errors.push(`提供方名称无效: ${name}，只能包含小写字母、数字、下划线和连字符`);
+    }
+
+    if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+      return [...errors, `${name}: 配置必须是对象`];
+    }
+
+    Object.entries(provider).forEach(([field, value]) => {
+      const type = PROVIDER_FIELDS[field];
+
+      if (!type) {
+        errors.push(`${name}: 未知的配置字段 ${field}`);
+      } else if (type === 'certs') {
+        if (!(typeof value === 'string' || (Array.isArray(value) && value.length > 0 && value.every(cert => typeof cert === 'string')))) {
+          errors.push(`${name}: ${field}必须是证书字符串或证书数组`);
+        }
+      } else if (type === 'array' ? !Array.isArray(value) : typeof value !== type || value === null || Array.isArray(value)) {
+        errors.push(`${name}: ${field}类型必须是${type}`);
+      }
+    });
+
+    // 断言和注销消息的签发方固定为idpIssuer，未配置时任何持有证书的身份提供方都能以其他实体的名义登录
+    ['entryPoint', 'idpIssuer', 'idpCert', 'issuer', 'callbackUrl'].forEach(field => {
+      if (!provider[field]) {
+        errors.push(`${name}: ${field}是必填项`);
+      }
+    });
+
+    ['entryPoint', 'logoutUrl', 'callbackUrl', 'logoutCallbackUrl'].forEach(field => {
+      if (typeof provider[field] === 'string' && !/^https?:\/\/\S+$/.test(provider[field])) {
+        errors.push(`${name}: ${field}必须是http(s) URL`);
+      }
+    });
+
+    if (provider.signatureAlgorithm !== undefined && !['sha1', 'sha256', 'sha512'].includes(provider.signatureAlgorithm)) {
+      errors.push(`${name}: signatureAlgorithm只能是sha1、sha256或sha512`);
+    }
+
+    if (provider.attributeMap && typeof provider.attributeMap === 'object' && Object.entries(provider.attributeMap).some(([field, attribute]) => !ATTRIBUTE_DEFAULTS[field] || typeof attribute !== 'string')) {
+      errors.push(`${name}: attributeMap只能映射${Object.keys(ATTRIBUTE_DEFAULTS).join('、')}，值为属性名`);
+    }
+
+    const isRoleList = roles => Array.isArray(roles) && roles.every(role => typeof role === 'string' && ROLE_NAME_PATTERN.test(role));
+
+    if (provider.groupRoles && typeof provider.groupRoles === 'object' && !Object.values(provider.groupRoles).every(isRoleList)) {
+      errors.push(`${name}: groupRoles必须是组到角色名称数组的映射`);
+    }
+
+    if (Array.isArray(provider.defaultRoles) && !isRoleList(provider.defaultRoles)) {
+      errors.push(`${name}: defaultRoles包含无效的角色名称`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 创建身份提供方的SAML客户端
+   * 没有通过RelayState发起的响应（IdP发起的登录）只有在allowIdpInitiated时接受
+   * @param {Object} provider - 提供方配置
+   * @returns {SAML} - node-saml客户端
+   */
+  getSaml(provider) {
+    return new SAML({
+      entryPoint: provider.entryPoint,
+      logoutUrl: provider.logoutUrl || provider.entryPoint,
+      idpIssuer: provider.idpIssuer,
+      idpCert: provider.idpCert,
+      issuer: provider.issuer,
+      audience: provider.issuer,
+      callbackUrl: provider.callbackUrl,
+      logoutCallbackUrl: provider.logoutCallbackUrl,
+      privateKey: provider.privateKey || undefined,
+      decryptionPvk: provider.privateKey || undefined,
+      publicCert: provider.publicCert,
+      signatureAlgorithm: provider.signatureAlgorithm,
+      identifierFormat: provider.identifierFormat,
+      wantAssertionsSigned: provider.wantAssertionsSigned,
+      wantAuthnResponseSigned: provider.wantAuthnResponseSigned,
+      validateInResponseTo: provider.allowIdpInitiated ? ValidateInResponseTo.ifPresent : ValidateInResponseTo.always,
+      requestIdExpirationPeriodMs: config.saml.requestExpiresIn * 1000,
+      cacheProvider: requestCache,
+    });
+  }
+
+  /**
+   * 生成SP元数据，供身份提供方导入
+   * @param {string} name - 提供方名称
+   * @param {string} tenantId - 租户ID
+   * @returns {Promise<string>} - 元数据XML
+   */
+  async getMetadata(name, tenantId = null) {
+    const provider = await this.getProvider(name, tenantId);
+    const cert = provider.privateKey && provider.publicCert ? provider.publicCert : null;
+
+    return this.getSaml(provider).generateServiceProviderMetadata(cert, cert);
+  }
+
+  /**
+   * 发起登录，生成身份提供方的登录地址（HTTP-Redirect绑定）
+   * RelayState为一次性令牌，保存提供方、租户和登录上下文
+   * 登录所在的租户为提供方所属的租户，全局提供方为请求解析出的租户，不使用查询参数中的租户
+   * @param {string} name - 提供方名称
+   * @param {string} tenantId - 租户ID
+   * @param {Object} context - 登录上下文（ip、userAgent、deviceName）
+   * @returns {Promise<string>} - 登录地址
+   */
+  async createLoginUrl(name, tenantId = null, context = {}) {
+    const provider = await this.getProvider(name, tenantId);
+    const relayState = await tokenService.createOneTimeToken(TOKEN_PURPOSES.SAML_RELAY_STATE, { provider: name, tenantId, loginTenantId: provider.tenantId || tenantService.getCurrentTenantId(), context }, config.saml.requestExpiresIn);
+
+    return await this.getSaml(provider).getAuthorizeUrlAsync(relayState, undefined, {});
+  }
+
+  /**
+   * 处理身份提供方POST到ACS的响应，校验签名断言并登录
+   * @param {string} name - 提供方名称
+   * @param {Object} body - 请求体（SAMLResponse、RelayState）
+   * @param {string} tenantId - 租户ID（IdP发起的登录没有RelayState时使用）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   */
+  async handleAcs(name, body, tenantId = null, dbType) {
+    const relay = body.RelayState ? await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.SAML_RELAY_STATE, body.RelayState) : null;
+
+    // 带了RelayState但已使用或已过期的响应不能当作身份提供方发起的登录处理
+    if ((body.RelayState && !relay) || (relay && relay.provider !== name)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '登录请求无效或已过期，请重新登录', 'AUTH_SAML_INVALID_RELAY_STATE');
+    }
+
+    const providerTenantId = relay ? relay.tenantId : tenantId;
+    const provider = await this.getProvider(name, providerTenantId);
+
+    if (!relay && !provider.allowIdpInitiated) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '登录请求无效或已过期，请重新登录', 'AUTH_SAML_INVALID_RELAY_STATE');
+    }
+
+    const profile = await this.validate(name, () => this.getSaml(provider).validatePostResponseAsync({ SAMLResponse: body.SAMLResponse }));
+    this.assertIssuer(provider, profile);
+
+    const attributeMap = { ...ATTRIBUTE_DEFAULTS, ...provider.attributeMap };
+    const [email] = [...attributeValues(profile, attributeMap.email), ...attributeValues(profile, 'mail'), ...(profile.nameIDFormat === EMAIL_NAME_ID_FORMAT ? [profile.nameID] : [])];
+    const first = field => attributeValues(profile, attributeMap[field])[0] || null;
+
+    const user = await identityService.resolveUser(
+      {
+        type: IDENTITY_TYPES.SAML,
+        provider: name,
+        providerTenantId: provider.tenantId,
+        issuer: provider.idpIssuer,
+        subject: profile.nameID,
+        email: email ? email.toLowerCase() : null,
+        // 断言由身份提供方签名，其中的邮箱视为已验证
+        emailVerified: Boolean(email),
+        username: first('username'),
+        firstName: first('firstName'),
+        lastName: first('lastName'),
+        roles: identityService.mapRoles(attributeValues(profile, provider.groupAttribute), provider.groupRoles),
+      },
+      {
+        tenantId: provider.tenantId || (relay ? relay.loginTenantId : tenantService.getCurrentTenantId()),
+        linkByEmail: provider.linkByEmail,
+        autoProvision: provider.autoProvision,
+        defaultRoles: provider.defaultRoles,
+        syncRoles: provider.syncRoles,
+      },
+      dbType
+    );
+
+    // 多因素认证由身份提供方负责，这里不再要求
+    if (user.status !== USER_STATUS.ACTIVE) {
+      throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+    }
+
+    // 会话记录SAML会话信息，供单点注销使用
+    const sso = {
+      type: IDENTITY_TYPES.SAML,
+      provider: name,
+      tenantId: providerTenantId,
+      issuer: provider.idpIssuer,
+      nameID: profile.nameID,
+      nameIDFormat: profile.nameIDFormat,
+      nameQualifier: profile.nameQualifier,
+      spNameQualifier: profile.spNameQualifier,
+      sessionIndex: profile.sessionIndex,
+    };
+
+    return await userService.completeLogin(user, { ...(relay ? relay.context : {}), sso, loginMethod: LOGIN_METHODS.SAML });
+  }
+
+  /**
+   * 生成SP发起的单点注销地址（本地会话已注销后调用）
+   * @param {Object} sso - 会话中记录的SAML会话信息
+   * @returns {Promise<string|null>} - 身份提供方的注销地址，提供方未配置单点注销时返回null
+   */
+  async createLogoutUrl(sso) {
+    try {
+      const provider = await this.getProvider(sso.provider, sso.tenantId);
+
+      if (!provider.logoutUrl) {
+        return null;
+      }
+
+      const relayState = await tokenService.createOneTimeToken(TOKEN_PURPOSES.SAML_RELAY_STATE, { provider: sso.provider, tenantId: sso.tenantId }, config.saml.requestExpiresIn);
+
+      return await this.getSaml(provider).getLogoutUrlAsync(sso, relayState, {});
+    } catch (error) {
+      // 本地会话已注销，单点注销失败不影响注销结果
+      logger.warn('生成SAML单点注销地址失败', { provider: sso.provider, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 处理单点注销消息
+   * 身份提供方发起的LogoutRequest：注销对应的本地会话（吊销令牌族），返回LogoutResponse地址；
+   * SP发起注销后身份提供方返回的LogoutResponse：校验后确认注销完成
+   * @param {string} name - 提供方名称
+   * @param {Object} message - 注销消息
+   * @param {Object} message.query - 查询参数（HTTP-Redirect绑定）
+   * @param {string} message.originalQuery - 原始查询字符串（用于校验签名）
+   * @param {Object} message.body - 请求体（HTTP-POST绑定）
+   * @param {string} tenantId - 租户ID（身份提供方发起注销时使用）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 注销结果（revoked、logoutResponseUrl）
+   */
+  async handleLogout(name, { query = {}, originalQuery = '', body = {} }, tenantId = null, dbType) {
+    const isRedirect = Boolean(query.SAMLRequest || query.SAMLResponse);
+    const params = isRedirect ? query : body;
+
+    if (!params.SAMLRequest && !params.SAMLResponse) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '缺少SAMLRequest或SAMLResponse', 'VALIDATION_ERROR');
+    }
+
+    // SP发起的注销通过RelayState确定租户
+    const relay = params.RelayState ? await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.SAML_RELAY_STATE, params.RelayState) : null;
+    const provider = await this.getProvider(name, relay && relay.provider === name ? relay.tenantId : tenantId);
+    const saml = this.getSaml(provider);
+
+    // SP发起注销后的LogoutResponse
+    if (params.SAMLResponse) {
+      await this.validate(name, () => (isRedirect ? saml.validateRedirectAsync(query, originalQuery) : saml.validatePostResponseAsync(body)), { allowEmpty: true });
+      return { revoked: 0 };
+    }
+
+    const profile = await this.validate(name, () => (isRedirect ? saml.validateRedirectAsync(query, originalQuery) : saml.validatePostRequestAsync(body)));
+    const revoked = await this.revokeSessions(provider, profile, dbType);
+
+    return {
+      revoked,
+      logoutResponseUrl: await saml.getLogoutResponseUrlAsync(profile, params.RelayState, {}, true),
+    };
+  }
+
+  /**
+   * 注销身份提供方会话对应的本地会话
+   * LogoutRequest带有SessionIndex时只注销对应的会话，否则注销该外部账户通过此提供方登录的全部会话
+   * @param {Object} provider - 提供方配置
+   * @param {Object} profile - LogoutRequest中的身份信息（issuer、nameID、sessionIndex）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<number>} - 注销的会话数量
+   */
+  async revokeSessions(provider, profile, dbType) {
+    const { name } = provider;
+    this.assertIssuer(provider, profile);
+
+    const identity = await identityService.findIdentity({ type: IDENTITY_TYPES.SAML, provider: name, providerTenantId: provider.tenantId, issuer: provider.idpIssuer, subject: profile.nameID }, dbType);
+
+    if (!identity) {
+      return 0;
+    }
+
+    const sessions = await sessionService.listSessions(identity.userId);
+    const matched = sessions.filter(
+      session =>
+        session.sso &&
+        session.sso.type === IDENTITY_TYPES.SAML &&
+        session.sso.provider === name &&
+        session.sso.issuer === provider.idpIssuer &&
+        session.sso.nameID === profile.nameID &&
+        (!profile.sessionIndex || session.sso.sessionIndex === profile.sessionIndex)
+    );
+
+    for (const session of matched) {
+      await sessionService.removeSession(identity.userId, session.id);
+    }
+
+    // 记录审计日志
+    logger.audit(identity.userId, 'sso_logout', 'user', { id: identity.userId, type: IDENTITY_TYPES.SAML, provider: name, sessions: matched.length });
+
+    return matched.length;
+  }
+
+  /**
+   * 校验消息的签发方是否为提供方配置的idpIssuer
+   * node-saml只对注销消息校验idpIssuer，登录断言需要在这里校验
+   * @param {Object} provider - 提供方配置
+   * @param {Object} profile - 消息中的身份信息
+   * @throws {ApiError} - 签发方不一致
+   */
+  assertIssuer(provider, profile) {
+    if (!provider.idpIssuer || profile.issuer !== provider.idpIssuer) {
+      logger.warn('SAML消息的签发方与配置不一致', { provider: provider.name, idpIssuer: provider.idpIssuer, issuer: profile.issuer });
+      throw new ApiError(statusCodes.UNAUTHORIZED, '身份提供方认证失败', 'AUTH_SAML_FAILED');
+    }
+  }
+
+  /**
+   * 校验SAML消息，把校验失败统一转换为认证失败
+   * @param {string} name - 提供方名称
+   * @param {Function} validator - 调用node-saml校验方法的函数
+   * @param {Object} options - 选项
+   * @param {boolean} options.allowEmpty - 是否允许消息中没有身份信息（如LogoutResponse）
+   * @returns {Promise<Object|null>} - 身份信息
+   */
+  async validate(name, validator, { allowEmpty = false } = {}) {
+    let result;
+
+    try {
+      result = await validator();
+    } catch (error) {
+      logger.warn('SAML消息校验失败', { provider: name, error: error.message });
+      throw new ApiError(statusCodes.UNAUTHORIZED, '身份提供方认证失败', 'AUTH_SAML_FAILED');
+    }
+
+    if (!result.profile && !allowEmpty) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '身份提供方认证失败', 'AUTH_SAML_FAILED');
+    }
+
+    return result.profile;
+  }
+}
+
+module.exports = new SamlService();
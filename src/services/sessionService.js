@@ -0,0 +1,237 @@
+/**
+ * 会话服务类
+ * 以会话为单位登记每次登录签发的令牌，支持查看和吊销登录设备
+ * 会话ID即令牌族ID，吊销会话会同时吊销该会话的刷新令牌和访问令牌
+ */
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { describeDevice } = require('../utils/device');
+const redisClient = require('../utils/redis');
+const tokenService = require('./tokenService');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { AUTH_LEVELS, CACHE_PREFIXES, CACHE_TTL } = require('../constants/business');
+
+class SessionService {
+  /**
+   * 创建会话
+   * @param {Object} user - 用户对象
+   * @param {Object} context - 登录上下文（ip、userAgent、deviceName）
+   * @param {Object} context.impersonator - 模拟登录时的真实操作者（id、username）
+   * @param {number} context.expiresIn - 会话有效期（秒），设置后会话到期不再续期，默认为刷新令牌有效期
+   * @param {Object} context.sso - 外部单点登录信息（如SAML的provider、nameID、sessionIndex），单点注销时用于查找会话
+   * @param {number} context.authTime - 最近一次认证的时间（秒），默认为当前时间；为null时会话没有认证时间，需要重新认证后才能执行敏感操作
+   * @param {number} context.authLevel - 本次登录的认证强度，默认为单一因素
+   * @returns {Promise<Object>} - 会话信息
+   */
+  async createSession(user, context = {}) {
+    const now = new Date();
+    const ttl = context.expiresIn || config.jwt.refreshExpiresIn;
+    const session = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      device: context.deviceName || describeDevice(context.userAgent),
+      ip: context.ip || null,
+      userAgent: context.userAgent || null,
+      impersonator: context.impersonator || null,
+      sso: context.sso || null, // 外部单点登录信息（用于单点注销）
+      authTime: context.authTime !== undefined ? context.authTime : Math.floor(now.getTime() / 1000), // 最近一次认证（登录或重新认证）的时间（秒）
+      authLevel: context.authLevel || AUTH_LEVELS.SINGLE_FACTOR, // 最近一次认证的强度
+      expiresAt: context.expiresIn ? new Date(now.getTime() + ttl * 1000).toISOString() : null,
+      createdAt: now.toISOString(),
+      lastSeenAt: now.toISOString(),
+    };
+
+    await redisClient.set(this.sessionKey(session.id), session, ttl);
+    await redisClient.sadd(this.userSessionsKey(user.id), session.id, config.jwt.refreshExpiresIn);
+
+    return session;
+  }
+
+  /**
+   * 获取会话
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object|null>} - 会话信息，不存在时返回null
+   */
+  async getSession(sessionId) {
+    return await redisClient.get(this.sessionKey(sessionId));
+  }
+
+  /**
+   * 获取会话并刷新最后活跃时间
+   * 为减少写入，最后活跃时间最多每分钟更新一次；传入force时总是更新并续期
+   * @param {string} sessionId - 会话ID
+   * @param {Object} context - 请求上下文（ip、userAgent）
+   * @param {boolean} force - 是否强制更新并续期
+   * @returns {Promise<Object|null>} - 会话信息，会话不存在或已吊销时返回null
+   */
+  async touchSession(sessionId, context = {}, force = false) {
+    const session = await redisClient.get(this.sessionKey(sessionId));
+
+    if (!session) {
+      return null;
+    }
+
+    const ttl = this.remainingTtl(session);
+
+    if (ttl <= 0) {
+      return null;
+    }
+
+    if (force || Date.now() - new Date(session.lastSeenAt).getTime() >= CACHE_TTL.SHORT * 1000) {
+      session.lastSeenAt = new Date().toISOString();
+      session.ip = context.ip || session.ip;
+      await redisClient.set(this.sessionKey(sessionId), session, ttl);
+
+      if (force) {
+        await redisClient.sadd(this.userSessionsKey(session.userId), sessionId, config.jwt.refreshExpiresIn);
+      }
+    }
+
+    return session;
+  }
+
+  /**
+   * 用户重新认证后更新会话的认证时间和强度
+   * 之后的请求以会话中的认证时间为准，无需重新签发令牌；刷新令牌时新的访问令牌也会带上更新后的认证时间
+   * @param {string} sessionId - 会话ID
+   * @param {number} authLevel - 重新认证的强度
+   * @returns {Promise<Object|null>} - 更新后的会话，会话不存在或已过期时返回null
+   */
+  async elevateSession(sessionId, authLevel) {
+    const session = await redisClient.get(this.sessionKey(sessionId));
+    const ttl = session ? this.remainingTtl(session) : 0;
+
+    if (ttl <= 0) {
+      return null;
+    }
+
+    session.authTime = Math.floor(Date.now() / 1000);
+    session.authLevel = authLevel;
+    await redisClient.set(this.sessionKey(sessionId), session, ttl);
+
+    return session;
+  }
+
+  /**
+   * 生成访问令牌中的认证声明
+   * @param {Object} session - 会话信息
+   * @returns {Object} - auth_time（最近一次认证的时间，秒）和auth_level（认证强度）
+   */
+  authClaims(session) {
+    return {
+      auth_time: session.authTime,
+      auth_level: session.authLevel,
+    };
+  }
+
+  /**
+   * 获取用户的所有活跃会话
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object[]>} - 会话列表（按最后活跃时间倒序）
+   */
+  async listSessions(userId) {
+    const sessionIds = await redisClient.smembers(this.userSessionsKey(userId));
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await redisClient.get(this.sessionKey(sessionId));
+
+      // 清理已过期或令牌族已被吊销的会话
+      if (!session || (await tokenService.isFamilyRevoked(sessionId))) {
+        await redisClient.srem(this.userSessionsKey(userId), sessionId);
+        continue;
+      }
+
+      sessions.push(session);
+    }
+
+    return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  }
+
+  /**
+   * 吊销指定会话
+   * @param {string} userId - 会话所属用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await redisClient.get(this.sessionKey(sessionId));
+
+    if (!session || session.userId !== userId) {
+      throw new ApiError(statusCodes.NOT_FOUND, '会话不存在', 'AUTH_SESSION_NOT_FOUND');
+    }
+
+    return await this.removeSession(userId, sessionId);
+  }
+
+  /**
+   * 吊销用户的所有会话
+   * @param {string} userId - 用户ID
+   * @param {Object} options - 选项
+   * @param {string} options.except - 保留的会话ID（如当前会话）
+   * @returns {Promise<number>} - 被吊销的会话数量
+   */
+  async revokeAllSessions(userId, { except } = {}) {
+    const sessionIds = await redisClient.smembers(this.userSessionsKey(userId));
+    let revoked = 0;
+
+    for (const sessionId of sessionIds) {
+      if (sessionId === except) {
+        continue;
+      }
+
+      await this.removeSession(userId, sessionId);
+      revoked++;
+    }
+
+    logger.info('已吊销用户会话', { userId, revoked });
+
+    return revoked;
+  }
+
+  /**
+   * 移除会话并吊销其令牌族（不校验会话归属）
+   * @param {string} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async removeSession(userId, sessionId) {
+    await tokenService.revokeFamily(sessionId);
+    await redisClient.del(this.sessionKey(sessionId));
+    await redisClient.srem(this.userSessionsKey(userId), sessionId);
+
+    return true;
+  }
+
+  /**
+   * 计算会话的剩余有效期
+   * 有固定有效期的会话（如模拟登录）到期后不再续期，其他会话每次续期为刷新令牌有效期
+   * @param {Object} session - 会话信息
+   * @returns {number} - 剩余有效期（秒），小于等于0表示已过期
+   */
+  remainingTtl(session) {
+    return session.expiresAt ? Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000) : config.jwt.refreshExpiresIn;
+  }
+
+  /**
+   * 会话缓存键
+   * @param {string} sessionId - 会话ID
+   * @returns {string} - 缓存键
+   */
+  sessionKey(sessionId) {
+    return `${CACHE_PREFIXES.SESSION}${sessionId}`;
+  }
+
+  /**
+   * 用户会话索引缓存键
+   * @param {string} userId - 用户ID
+   * @returns {string} - 缓存键
+   */
+  userSessionsKey(userId) {
+    return `${CACHE_PREFIXES.SESSION}user:${userId}`;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,69 @@
+/**
+ * 系统设置服务类
+ * 管理可由管理员在运行时调整的安全策略等设置，未设置时回退到配置文件中的默认值
+ */
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const { CACHE_PREFIXES } = require('../constants/business');
+
+class SettingsService {
+  /**
+   * 获取设置
+   * @param {string} name - 设置名称，如 mfa.enforcedRoles
+   * @param {any} defaultValue - 未设置时的默认值
+   * @param {string} tenantId - 租户ID，为空时读取全局设置
+   * @returns {Promise<any>} - 设置值
+   */
+  async get(name, defaultValue = null, tenantId = null) {
+    // 租户级设置优先于全局设置
+    if (tenantId) {
+      const tenantValue = await redisClient.get(this.settingKey(name, tenantId));
+      if (tenantValue !== null) {
+        return tenantValue;
+      }
+    }
+
+    const value = await redisClient.get(this.settingKey(name));
+    return value !== null ? value : defaultValue;
+  }
+
+  /**
+   * 获取某一级别自己的设置，不回退到上一级
+   * 用于判断配置由租户还是全局定义
+   * @param {string} name - 设置名称
+   * @param {string} tenantId - 租户ID，为空时读取全局设置
+   * @returns {Promise<any>} - 设置值，该级别未设置时返回null
+   */
+  async getOwn(name, tenantId = null) {
+    return await redisClient.get(this.settingKey(name, tenantId));
+  }
+
+  /**
+   * 保存设置（永久保存，不设置过期时间）
+   * @param {string} name - 设置名称
+   * @param {any} value - 设置值
+   * @param {string} tenantId - 租户ID，为空时保存为全局设置
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async set(name, value, tenantId = null) {
+    const saved = await redisClient.set(this.settingKey(name, tenantId), value, null);
+
+    if (saved) {
+      logger.info('系统设置已更新', { name, tenantId });
+    }
+
+    return saved;
+  }
+
+  /**
+   * 设置缓存键
+   * @param {string} name - 设置名称
+   * @param {string} tenantId - 租户ID
+   * @returns {string} - 缓存键
+   */
+  settingKey(name, tenantId = null) {
+    return tenantId ? `${CACHE_PREFIXES.SETTINGS}tenant:${tenantId}:${name}` : `${CACHE_PREFIXES.SETTINGS}${name}`;
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,561 @@
+/**
+ * 租户服务类
+ * 管理租户，校验用户所属的租户，并在认证时检查租户是否已停用
+ * schema/database隔离模式下创建租户时同时创建其schema或数据库，并将请求绑定到所属的租户
+ */
+const { Op } = require('sequelize');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const requestContext = require('../utils/requestContext');
+const { decrypt, encrypt } = require('../utils/encryption');
+const roleService = require('./roleService');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, CACHE_TTL, DATABASE_TYPES, PAGINATION, PERMISSIONS, TENANT_PLANS, TENANT_SLUG_PATTERN, TENANT_STATUS } = require('../constants/business');
+
+// 租户不存在时缓存的值，避免对不存在的租户反复查询数据库
+const MISSING_TENANT = 'missing';
+
+// 返回数据库连接配置时代替密码的占位符，提交时保持原密码不变
+const SECRET_PLACEHOLDER = '********';
+
+// 租户独立数据库的连接配置项（Oracle使用sid，其他数据库使用database）
+const DATABASE_CONFIG_FIELDS = ['host', 'port', 'database', 'sid', 'username', 'password'];
+
+class TenantService {
+  /**
+   * 获取租户模型
+   * 租户是平台级数据，database隔离模式下也保存在公共数据库中
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 租户模型
+   */
+  async getTenantModel(dbType) {
+    const sequelize = await database.getSharedConnection(dbType);
+    return sequelize.models.Tenant;
+  }
+
+  /**
+   * 获取租户列表
+   * @param {Object} options - 查询选项
+   * @param {number} options.page - 页码
+   * @param {number} options.limit - 每页条数
+   * @param {string} options.status - 按状态筛选
+   * @param {string} options.search - 按名称或标识搜索
+   * @param {Object} options.scope - 当前用户可查看的租户范围（policies.scope的结果），为null时没有可查看的租户
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 租户列表和分页信息
+   */
+  async listTenants({ page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT, status, search, scope = {} } = {}, dbType) {
+    const Tenant = await this.getTenantModel(dbType);
+    const pageNumber = Math.max(parseInt(page) || PAGINATION.DEFAULT_PAGE, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+
+    if (!scope) {
+      return { tenants: [], pagination: { total: 0, page: pageNumber, limit: pageSize, totalPages: 0 } };
+    }
+
+    const where = { [Op.and]: [scope] };
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (search) {
+      where[Op.or] = [{ name: { [Op.like]: `%${search}%` } }, { slug: { [Op.like]: `%${search}%` } }];
+    }
+
+    try {
+      const { count, rows } = await Tenant.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize,
+      });
+
+      return {
+        tenants: rows,
+        pagination: {
+          total: count,
+          page: pageNumber,
+          limit: pageSize,
+          totalPages: Math.ceil(count / pageSize),
+        },
+      };
+    } catch (error) {
+      logger.error('获取租户列表失败', { error: error.message });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '获取租户列表失败', 'TENANT_LIST_FAILED');
+    }
+  }
+
+  /**
+   * 在当前用户可查看的范围内获取租户，不可见的租户按不存在处理
+   * @param {string} id - 租户ID
+   * @param {Object} scope - 当前用户可查看的租户范围（policies.scope的结果），默认不限制
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 租户实例
+   */
+  async getTenant(id, scope = {}, dbType) {
+    const Tenant = await this.getTenantModel(dbType);
+    const tenant = scope ? await Tenant.findOne({ where: { [Op.and]: [{ id }, scope] } }) : null;
+
+    if (!tenant) {
+      throw new ApiError(statusCodes.NOT_FOUND, '租户不存在', 'TENANT_NOT_FOUND');
+    }
+
+    return tenant;
+  }
+
+  /**
+   * 创建租户
+   * @param {Object} tenantData - 租户数据（name、slug、plan、settings；database为独立数据库的连接配置，只在database隔离模式下使用）
+   * @param {Object} actor - 操作者
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 新创建的租户
+   */
+  async createTenant({ name, slug, plan = TENANT_PLANS.FREE, settings = {}, database: databaseConfig }, actor, dbType) {
+    const Tenant = await this.getTenantModel(dbType);
+
+    this.assertValid({ name, slug, plan, settings });
+
+    if (databaseConfig !== undefined) {
+      this.assertValidDatabaseConfig(databaseConfig, dbType);
+    }
+
+    try {
+      if (await Tenant.findOne({ where: { slug } })) {
+        throw new ApiError(statusCodes.CONFLICT, '租户标识已存在', 'TENANT_SLUG_EXISTS');
+      }
+
+      const tenant = await Tenant.create({
+        name,
+        slug,
+        plan,
+        settings,
+        status: TENANT_STATUS.ACTIVE,
+        databaseConfig: databaseConfig ? encrypt(JSON.stringify(databaseConfig)) : null,
+      });
+
+      // schema/database隔离模式下创建租户的schema或数据库以及数据表，失败时撤销创建
+      try {
+        await database.provisionTenant(tenant, dbType);
+      } catch (error) {
+        await database.closeTenantConnection(tenant, dbType);
+        await tenant.destroy();
+        logger.error('初始化租户数据库失败', { error: error.message, slug });
+        throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '初始化租户的数据库失败', 'TENANT_PROVISION_FAILED');
+      }
+
+      // 清除缓存（之前可能缓存了“租户不存在”）
+      await this.clearCache(tenant);
+
+      // 记录审计日志
+      logger.audit(actor.id, 'create_tenant', 'tenant', { id: tenant.id, name, slug, plan });
+
+      return tenant;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('创建租户失败', { error: error.message, slug });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '创建租户失败', 'TENANT_CREATE_FAILED');
+    }
+  }
+
+  /**
+   * 修改租户
+   * 标识创建后不能修改；状态改为suspended时停用租户，租户内所有用户立即不能访问接口
+   * @param {string} id - 租户ID
+   * @param {Object} tenantData - 要修改的字段（name、status、plan、settings）
+   * @param {Object} actor - 操作者
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 修改后的租户
+   */
+  async updateTenant(id, { name, status, plan, settings }, actor, dbType) {
+    const tenant = await this.getTenant(id, {}, dbType);
+
+    this.assertValid({ name, status, plan, settings });
+
+    try {
+      const changes = Object.fromEntries(Object.entries({ name, plan, settings }).filter(([, value]) => value !== undefined));
+
+      if (status !== undefined && status !== tenant.status) {
+        changes.status = status;
+        changes.suspendedAt = status === TENANT_STATUS.SUSPENDED ? new Date() : null;
+      }
+
+      await tenant.update(changes);
+
+      // 清除缓存，停用或恢复立即生效
+      await this.clearCache(tenant);
+
+      // 记录审计日志
+      logger.audit(actor.id, 'update_tenant', 'tenant', { id, fields: Object.keys(changes), status: changes.status });
+
+      if (changes.status) {
+        logger.warn(changes.status === TENANT_STATUS.SUSPENDED ? '租户已停用' : '租户已恢复', { tenantId: id, actorId: actor.id });
+      }
+
+      return tenant;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('修改租户失败', { error: error.message, tenantId: id });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '修改租户失败', 'TENANT_UPDATE_FAILED');
+    }
+  }
+
+  /**
+   * 删除租户
+   * 租户内仍有用户时不能删除，需先删除或迁移这些用户
+   * @param {string} id - 租户ID
+   * @param {Object} actor - 操作者
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async deleteTenant(id, actor, dbType) {
+    const tenant = await this.getTenant(id, {}, dbType);
+
+    try {
+      // schema/database隔离模式下租户的用户在租户自己的schema或数据库中
+      const userCount = await database.withTenant(tenant, async () => {
+        const sequelize = await database.getConnection(dbType);
+        return sequelize.models.User.count({ where: { tenantId: id } });
+      });
+
+      if (userCount > 0) {
+        throw new ApiError(statusCodes.CONFLICT, `租户内仍有${userCount}个用户，不能删除`, 'TENANT_NOT_EMPTY');
+      }
+
+      await tenant.destroy();
+
+      // 清除缓存
+      await this.clearCache(tenant);
+
+      // 记录审计日志
+      logger.audit(actor.id, 'delete_tenant', 'tenant', { id, slug: tenant.slug });
+
+      // 租户schema或数据库中可能还有API密钥、登录历史等数据，不自动删除
+      if (database.isSchemaIsolation()) {
+        logger.warn('租户已删除，其schema需要时请手工清理', { tenantId: id, schema: database.getTenantSchema(tenant, dbType) });
+      } else if (database.isDatabaseIsolation()) {
+        await database.closeTenantConnection(tenant, dbType);
+        logger.warn('租户已删除，其数据库需要时请手工清理', { tenantId: id });
+      }
+
+      return true;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('删除租户失败', { error: error.message, tenantId: id });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '删除租户失败', 'TENANT_DELETE_FAILED');
+    }
+  }
+
+  /**
+   * 获取租户独立数据库的连接配置（管理用，隐藏密码）
+   * @param {string} id - 租户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object|null>} - 连接配置，未配置独立数据库时返回null
+   */
+  async getDatabaseConfig(id, dbType) {
+    const tenant = await this.getTenant(id, {}, dbType);
+
+    if (!tenant.databaseConfig) {
+      return null;
+    }
+
+    const databaseConfig = JSON.parse(decrypt(tenant.databaseConfig));
+
+    return { ...databaseConfig, password: databaseConfig.password ? SECRET_PLACEHOLDER : null };
+  }
+
+  /**
+   * 设置租户独立数据库的连接配置，只在database隔离模式下可用
+   * 配置加密保存；设置后关闭租户现有的数据库连接，并在新数据库中创建数据表（不迁移原数据库中的数据），失败时恢复原配置
+   * @param {string} id - 租户ID
+   * @param {Object|null} databaseConfig - 连接配置，为null时改回使用默认数据库；密码为占位符时保持原密码不变
+   * @param {Object} actor - 操作者
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object|null>} - 更新后的连接配置（隐藏密码）
+   */
+  async setDatabaseConfig(id, databaseConfig, actor, dbType) {
+    if (!database.isDatabaseIsolation()) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '只有database隔离模式下才能为租户配置独立的数据库', 'TENANT_DATABASE_UNSUPPORTED');
+    }
+
+    const tenant = await this.getTenant(id, {}, dbType);
+    const previous = tenant.databaseConfig;
+    let stored = null;
+
+    if (databaseConfig !== null) {
+      const current = previous ? JSON.parse(decrypt(previous)) : {};
+      const password = databaseConfig.password === SECRET_PLACEHOLDER ? current.password : databaseConfig.password;
+
+      this.assertValidDatabaseConfig({ ...databaseConfig, password }, dbType);
+      stored = encrypt(JSON.stringify({ ...databaseConfig, password }));
+    }
+
+    try {
+      await tenant.update({ databaseConfig: stored });
+      await database.closeTenantConnection(tenant, dbType);
+      await database.provisionTenant(tenant, dbType);
+    } catch (error) {
+      await tenant.update({ databaseConfig: previous });
+      await database.closeTenantConnection(tenant, dbType);
+      logger.error('切换租户数据库失败', { error: error.message, tenantId: id });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '初始化租户的数据库失败', 'TENANT_PROVISION_FAILED');
+    }
+
+    // 记录审计日志（不记录连接配置，避免泄露密码）
+    logger.audit(actor.id, 'update_tenant_database', 'tenant', { id, dedicated: stored !== null });
+
+    return this.getDatabaseConfig(id, dbType);
+  }
+
+  /**
+   * 校验租户独立数据库的连接配置
+   * @param {Object} databaseConfig - 连接配置
+   * @param {string} dbType - 数据库类型
+   * @throws {ApiError} - 配置无效
+   */
+  assertValidDatabaseConfig(databaseConfig, dbType = DATABASE_TYPES.MYSQL) {
+    if (!databaseConfig || typeof databaseConfig !== 'object' || Array.isArray(databaseConfig)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '数据库连接配置必须是对象', 'VALIDATION_ERROR');
+    }
+
+    const errors = [];
+    const nameField = dbType === DATABASE_TYPES.ORACLE ? 'sid' : 'database';
+    const unknown = Object.keys(databaseConfig).filter(key => !DATABASE_CONFIG_FIELDS.includes(key));
+
+    if (unknown.length > 0) {
+      errors.push(`不支持的配置项: ${unknown.join(', ')}`);
+    }
+
+    ['host', nameField, 'username'].forEach(field => {
+      if (typeof databaseConfig[field] !== 'string' || databaseConfig[field].trim().length === 0) {
+        errors.push(`${field}是必填项`);
+      }
+    });
+
+    if (databaseConfig.port !== undefined && !(Number.isInteger(databaseConfig.port) && databaseConfig.port > 0 && databaseConfig.port < 65536)) {
+      errors.push('port必须是1-65535之间的整数');
+    }
+
+    if (databaseConfig.password !== undefined && databaseConfig.password !== null && typeof databaseConfig.password !== 'string') {
+      errors.push('password必须是字符串');
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '数据库连接配置无效', 'VALIDATION_ERROR', errors);
+    }
+  }
+
+  /**
+   * 获取租户的基本信息（缓存一分钟，修改租户时清除缓存）
+   * @param {string} tenantId - 租户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object|null>} - 租户的id、slug和status，租户不存在时返回null
+   */
+  async getTenantInfo(tenantId, dbType) {
+    return this.findTenantInfo(`${CACHE_PREFIXES.TENANT}${tenantId}`, { id: tenantId }, dbType);
+  }
+
+  /**
+   * 按租户标识获取租户的基本信息（缓存一分钟，修改租户时清除缓存）
+   * @param {string} slug - 租户标识
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object|null>} - 租户的id、slug和status，租户不存在时返回null
+   */
+  async getTenantInfoBySlug(slug, dbType) {
+    if (!TENANT_SLUG_PATTERN.test(slug)) {
+      return null;
+    }
+
+    return this.findTenantInfo(`${CACHE_PREFIXES.TENANT}slug:${slug}`, { slug }, dbType);
+  }
+
+  /**
+   * 查询租户的基本信息并缓存
+   * @param {string} cacheKey - 缓存键
+   * @param {Object} where - 查询条件
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object|null>} - 租户的id、slug和status，租户不存在时返回null
+   */
+  async findTenantInfo(cacheKey, where, dbType) {
+    const cached = await redisClient.get(cacheKey);
+
+    if (cached) {
+      return cached === MISSING_TENANT ? null : cached;
+    }
+
+    const Tenant = await this.getTenantModel(dbType);
+    const tenant = await Tenant.findOne({ where, attributes: ['id', 'slug', 'status'] });
+    const info = tenant ? { id: tenant.id, slug: tenant.slug, status: tenant.status } : null;
+
+    await redisClient.set(cacheKey, info || MISSING_TENANT, CACHE_TTL.SHORT);
+
+    return info;
+  }
+
+  /**
+   * 清除租户的缓存
+   * @param {Object} tenant - 租户（id和slug）
+   */
+  async clearCache(tenant) {
+    await redisClient.del(`${CACHE_PREFIXES.TENANT}${tenant.id}`);
+    await redisClient.del(`${CACHE_PREFIXES.TENANT}slug:${tenant.slug}`);
+  }
+
+  /**
+   * 获取租户状态
+   * @param {string} tenantId - 租户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<string|null>} - 租户状态，租户不存在时返回null
+   */
+  async getStatus(tenantId, dbType) {
+    const tenant = await this.getTenantInfo(tenantId, dbType);
+    return tenant ? tenant.status : null;
+  }
+
+  /**
+   * 将当前请求绑定到租户，schema/database隔离模式下之后的数据库操作都在该租户的schema或数据库中执行，
+   * 行级隔离模式下之后的数据库操作只作用于该租户的数据（id为空时只作用于不属于任何租户的数据）
+   * @param {Object} tenant - 租户（id和slug）
+   */
+  enterTenant(tenant) {
+    requestContext.set('tenant', { id: tenant.id, slug: tenant.slug });
+  }
+
+  /**
+   * 获取当前请求所在的租户ID（schema/database隔离模式下由请求头或认证信息确定，行级隔离模式下由认证信息确定）
+   * @returns {string|null} - 租户ID，不在任何租户中时返回null
+   */
+  getCurrentTenantId() {
+    const tenant = requestContext.get('tenant');
+    return tenant ? tenant.id : null;
+  }
+
+  /**
+   * 认证后将请求绑定到用户所属的租户
+   * schema/database隔离模式下请求头指定的租户与用户所属租户不一致时拒绝访问，拥有tenants:all权限且不属于任何租户的用户（如平台管理员）可通过请求头进入指定租户；
+   * 行级隔离模式下之后的数据库操作自动限定在该租户内，拥有tenants:all权限的用户可以访问所有租户的数据，不限定租户；
+   * 其余不属于任何租户的用户只能访问不属于任何租户的数据
+   * @param {Object} user - 已认证的用户（需要tenantId和roles）
+   * @param {string} dbType - 数据库类型
+   * @throws {ApiError} - 租户不一致或租户不存在
+   */
+  async bindUserTenant(user, dbType) {
+    if (!user.tenantId) {
+      if (await roleService.hasPermission(user, PERMISSIONS.TENANTS_ALL)) {
+        return;
+      }
+
+      if (this.getCurrentTenantId()) {
+        throw new ApiError(statusCodes.FORBIDDEN, '请求指定的租户与用户所属租户不一致', 'AUTH_TENANT_MISMATCH');
+      }
+
+      // schema/database隔离模式下没有指定租户的请求本来就在公共schema或公共数据库中
+      if (!database.isTenantIsolated()) {
+        this.enterTenant({ id: null, slug: null });
+      }
+      return;
+    }
+
+    if (!database.isTenantIsolated() && (await roleService.hasPermission(user, PERMISSIONS.TENANTS_ALL))) {
+      return;
+    }
+
+    const currentTenantId = this.getCurrentTenantId();
+
+    if (currentTenantId) {
+      if (currentTenantId !== user.tenantId) {
+        throw new ApiError(statusCodes.FORBIDDEN, '请求指定的租户与用户所属租户不一致', 'AUTH_TENANT_MISMATCH');
+      }
+      return;
+    }
+
+    const tenant = await this.getTenantInfo(user.tenantId, dbType);
+
+    if (!tenant) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '所属租户不存在', 'AUTH_TENANT_NOT_FOUND');
+    }
+
+    this.enterTenant(tenant);
+  }
+
+  /**
+   * 检查用户所属的租户是否已停用
+   * 不属于任何租户的用户（如平台管理员）不受影响
+   * @param {string} tenantId - 租户ID
+   * @param {string} dbType - 数据库类型
+   * @throws {ApiError} - 租户已停用
+   */
+  async assertNotSuspended(tenantId, dbType) {
+    if (tenantId && (await this.getStatus(tenantId, dbType)) === TENANT_STATUS.SUSPENDED) {
+      throw new ApiError(statusCodes.FORBIDDEN, '所属租户已停用', 'AUTH_TENANT_SUSPENDED');
+    }
+  }
+
+  /**
+   * 检查用户能否分配到指定租户（租户必须存在且未停用）
+   * tenantId为空表示不属于任何租户；schema/database隔离模式下还必须是当前请求所在的租户
+   * @param {string} tenantId - 租户ID
+   * @param {string} dbType - 数据库类型
+   * @throws {ApiError} - 租户不存在或已停用
+   */
+  async assertAssignable(tenantId, dbType) {
+    // schema/database隔离模式下用户保存在当前请求所在租户的schema或数据库中，不能分配到其他租户
+    if (database.isTenantIsolated() && (tenantId || null) !== this.getCurrentTenantId()) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '用户只能属于当前请求所在的租户', 'TENANT_MISMATCH');
+    }
+
+    if (!tenantId) {
+      return;
+    }
+
+    const status = await this.getStatus(tenantId, dbType);
+
+    if (!status) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '租户不存在', 'TENANT_NOT_FOUND');
+    }
+
+    if (status !== TENANT_STATUS.ACTIVE) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '租户已停用，不能分配用户', 'TENANT_INACTIVE');
+    }
+  }
+
+  /**
+   * 校验租户数据，只校验提供了的字段
+   * @param {Object} tenantData - 租户数据
+   * @throws {ApiError} - 数据无效
+   */
+  assertValid({ name, slug, status, plan, settings }) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '租户名称长度必须在1-100个字符之间', 'VALIDATION_ERROR');
+    }
+
+    if (slug !== undefined && (typeof slug !== 'string' || !TENANT_SLUG_PATTERN.test(slug))) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '租户标识只能包含小写字母、数字和连字符，以字母开头，长度2-63', 'VALIDATION_ERROR');
+    }
+
+    if (status !== undefined && !Object.values(TENANT_STATUS).includes(status)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, `无效的租户状态，可选值: ${Object.values(TENANT_STATUS).join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    if (plan !== undefined && !Object.values(TENANT_PLANS).includes(plan)) {
+      throw new ApiError(statusCodes.BAD_REQUEST, `无效的套餐，可选值: ${Object.values(TENANT_PLANS).join(', ')}`, 'VALIDATION_ERROR');
+    }
+
+    if (settings !== undefined && (settings === null || typeof settings !== 'object' || Array.isArray(settings))) {
+      throw new ApiError(statusCodes.BAD_REQUEST, 'settings必须是对象', 'VALIDATION_ERROR');
+    }
+  }
+}
+
+module.exports = new TenantService();
@@ -0,0 +1,314 @@
+/**
+ * 令牌服务类
+ * 负责访问令牌、刷新令牌及一次性令牌的签发、轮换和吊销
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redis');
+const keyring = require('../utils/keyring');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { CACHE_PREFIXES, CACHE_TTL } = require('../constants/business');
+
+class TokenService {
+  /**
+   * 签发令牌对（短期访问令牌 + 长期刷新令牌）
+   * @param {Object} user - 用户对象
+   * @param {string} [familyId] - 令牌族ID，轮换时沿用原令牌族，首次登录时自动生成
+   * @param {Object} [claims] - 访问令牌的附加声明
+   * @returns {Promise<Object>} - 访问令牌、刷新令牌及访问令牌有效期（秒）
+   */
+  async issueTokens(user, familyId = crypto.randomUUID(), claims = {}) {
+    const refreshTtl = config.jwt.refreshExpiresIn;
+
+    // 登记（或续期）令牌族
+    await redisClient.set(`${CACHE_PREFIXES.TOKEN_FAMILY}${familyId}`, { userId: user.id, createdAt: new Date().toISOString() }, refreshTtl);
+
+    // 生成不透明的刷新令牌，Redis中只保存其哈希
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    await redisClient.set(`${CACHE_PREFIXES.REFRESH_TOKEN}${this.hashToken(refreshToken)}`, { userId: user.id, familyId }, refreshTtl);
+
+    const token = this.generateAccessToken(user, { ...claims, fid: familyId });
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: exp - iat,
+    };
+  }
+
+  /**
+   * 轮换刷新令牌
+   * 每个刷新令牌只能使用一次，重复使用视为令牌泄露，整个令牌族将被吊销
+   * @param {string} refreshToken - 刷新令牌
+   * @returns {Promise<Object>} - 刷新令牌记录（userId、familyId）
+   */
+  async rotateRefreshToken(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+    const record = await redisClient.get(`${CACHE_PREFIXES.REFRESH_TOKEN}${tokenHash}`);
+
+    if (!record) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '刷新令牌无效或已过期', 'AUTH_INVALID_REFRESH_TOKEN');
+    }
+
+    // 令牌族已被吊销（注销或检测到重放）
+    const family = await redisClient.get(`${CACHE_PREFIXES.TOKEN_FAMILY}${record.familyId}`);
+    if (!family) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '令牌已失效，请重新登录', 'AUTH_TOKEN_REVOKED');
+    }
+
+    // 原子地标记令牌为已使用，标记失败说明该令牌已被使用过
+    const claimed = await redisClient.setIfNotExists(`${CACHE_PREFIXES.REFRESH_TOKEN}${tokenHash}:used`, true, config.jwt.refreshExpiresIn);
+
+    // Redis出错时无法判断令牌是否已被使用，不能当作重复使用而吊销整个令牌族
+    if (claimed === null) {
+      throw new ApiError(statusCodes.SERVICE_UNAVAILABLE, '令牌服务暂时不可用，请稍后重试', 'AUTH_TOKEN_STORE_UNAVAILABLE');
+    }
+
+    if (!claimed) {
+      await this.revokeFamily(record.familyId);
+
+      logger.warn('检测到刷新令牌重复使用，已吊销整个令牌族', { userId: record.userId, familyId: record.familyId });
+      logger.audit(record.userId, 'refresh_token_reuse', 'token', { familyId: record.familyId });
+
+      throw new ApiError(statusCodes.UNAUTHORIZED, '刷新令牌已被使用，请重新登录', 'AUTH_REFRESH_TOKEN_REUSED');
+    }
+
+    return record;
+  }
+
+  /**
+   * 吊销令牌族
+   * 删除令牌族记录使其刷新令牌失效，并将令牌族加入黑名单使已签发的访问令牌失效
+   * @param {string} familyId - 令牌族ID
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async revokeFamily(familyId) {
+    await redisClient.del(`${CACHE_PREFIXES.TOKEN_FAMILY}${familyId}`);
+
+    // 黑名单保留时长取刷新令牌有效期，保证覆盖该族内任一访问令牌的剩余有效期
+    return await redisClient.set(`${CACHE_PREFIXES.BLACKLIST}family:${familyId}`, true, config.jwt.refreshExpiresIn);
+  }
+
+  /**
+   * 检查令牌族是否已被吊销
+   * @param {string} familyId - 令牌族ID
+   * @returns {Promise<boolean>} - 是否已吊销
+   */
+  async isFamilyRevoked(familyId) {
+    return Boolean(await redisClient.get(`${CACHE_PREFIXES.BLACKLIST}family:${familyId}`));
+  }
+
+  /**
+   * 将访问令牌加入黑名单
+   * @param {string} token - JWT令牌
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async blacklistToken(token) {
+    const tokenExpiry = this.getTokenExpiry(token);
+    const expiryTime = tokenExpiry ? Math.floor((tokenExpiry - Date.now()) / 1000) : CACHE_TTL.DAY;
+
+    if (expiryTime <= 0) {
+      return true;
+    }
+
+    return await redisClient.set(`${CACHE_PREFIXES.BLACKLIST}${token}`, true, expiryTime);
+  }
+
+  /**
+   * 创建一次性令牌
+   * 用于登录挑战、邮件链接等短期凭证，Redis中只保存令牌哈希
+   * @param {string} purpose - 令牌用途（TOKEN_PURPOSES）
+   * @param {Object} payload - 令牌关联的数据
+   * @param {number} ttl - 有效期（秒）
+   * @returns {Promise<string>} - 令牌
+   */
+  async createOneTimeToken(purpose, payload, ttl = CACHE_TTL.MEDIUM) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const record = {
+      payload,
+      attempts: 0,
+      expiresAt: Date.now() + ttl * 1000,
+    };
+
+    await redisClient.set(this.oneTimeTokenKey(purpose, token), record, ttl);
+
+    return token;
+  }
+
+  /**
+   * 读取一次性令牌（不消费）
+   * @param {string} purpose - 令牌用途
+   * @param {string} token - 令牌
+   * @returns {Promise<Object|null>} - 令牌关联的数据，无效时返回null
+   */
+  async peekOneTimeToken(purpose, token) {
+    if (!token) {
+      return null;
+    }
+
+    const record = await redisClient.get(this.oneTimeTokenKey(purpose, token));
+    return record ? record.payload : null;
+  }
+
+  /**
+   * 消费一次性令牌
+   * 并发消费同一令牌时只有一个请求能成功
+   * @param {string} purpose - 令牌用途
+   * @param {string} token - 令牌
+   * @returns {Promise<Object|null>} - 令牌关联的数据，无效或已被使用时返回null
+   */
+  async consumeOneTimeToken(purpose, token) {
+    if (!token) {
+      return null;
+    }
+
+    const key = this.oneTimeTokenKey(purpose, token);
+    const record = await redisClient.get(key);
+
+    if (!record || !(await redisClient.setIfNotExists(`${key}:used`, true, CACHE_TTL.MEDIUM))) {
+      return null;
+    }
+
+    await redisClient.del(key);
+    return record.payload;
+  }
+
+  /**
+   * 记录一次性令牌的一次失败验证，达到上限后令牌作废
+   * @param {string} purpose - 令牌用途
+   * @param {string} token - 令牌
+   * @param {number} maxAttempts - 最大失败次数
+   * @returns {Promise<number>} - 剩余尝试次数
+   */
+  async recordOneTimeTokenFailure(purpose, token, maxAttempts = 5) {
+    const key = this.oneTimeTokenKey(purpose, token);
+    const record = await redisClient.get(key);
+
+    if (!record) {
+      return 0;
+    }
+
+    record.attempts += 1;
+    const remaining = maxAttempts - record.attempts;
+    const ttl = Math.ceil((record.expiresAt - Date.now()) / 1000);
+
+    if (remaining <= 0 || ttl <= 0) {
+      await redisClient.del(key);
+      return 0;
+    }
+
+    await redisClient.set(key, record, ttl);
+    return remaining;
+  }
+
+  /**
+   * 生成访问令牌
+   * @param {Object} user - 用户对象
+   * @param {Object} claims - 附加声明
+   * @param {number|string} expiresIn - 有效期，默认为配置的访问令牌有效期
+   * @returns {string} - JWT令牌
+   */
+  generateAccessToken(user, claims = {}, expiresIn = config.jwt.expiresIn) {
+    const payload = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      roles: user.roles,
+      tenantId: user.tenantId,
+      ...claims,
+    };
+
+    if (keyring.isSymmetric()) {
+      return jwt.sign(payload, config.jwt.secret, { algorithm: 'HS256', expiresIn });
+    }
+
+    const { kid, algorithm, privateKey } = keyring.getSigningKey();
+    return jwt.sign(payload, privateKey, { algorithm, keyid: kid, expiresIn });
+  }
+
+  /**
+   * 验证访问令牌
+   * 根据令牌头部的kid选择验证公钥，没有kid的令牌按HS256使用共享密钥验证；
+   * 使用非对称签名时只在配置的迁移截止时间（jwt.acceptLegacyHs256Until）之前接受HS256令牌
+   * @param {string} token - JWT令牌
+   * @returns {Object} - 令牌载荷
+   * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} - 令牌无效或已过期
+   */
+  verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid } = decoded.header;
+
+    if (!kid) {
+      if (!config.jwt.secret) {
+        throw new jwt.JsonWebTokenError('jwt signature is required');
+      }
+
+      if (!keyring.isSymmetric() && !this.acceptsLegacyTokens()) {
+        throw new jwt.JsonWebTokenError('legacy HS256 tokens are no longer accepted');
+      }
+
+      return jwt.verify(token, config.jwt.secret, { algorithms: ['HS256'] });
+    }
+
+    const key = keyring.getVerificationKey(kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('unknown key id');
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  }
+
+  /**
+   * 使用非对称签名时是否仍接受迁移前签发的HS256令牌（未配置截止时间时不接受）
+   * @returns {boolean}
+   */
+  acceptsLegacyTokens() {
+    const until = config.jwt.acceptLegacyHs256Until ? new Date(config.jwt.acceptLegacyHs256Until) : null;
+    return Boolean(until) && Date.now() < until.getTime();
+  }
+
+  /**
+   * 获取令牌过期时间
+   * @param {string} token - JWT令牌
+   * @returns {number|null} - 过期时间戳
+   */
+  getTokenExpiry(token) {
+    try {
+      const decoded = jwt.decode(token);
+      return decoded && decoded.exp ? decoded.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 一次性令牌缓存键
+   * @param {string} purpose - 令牌用途
+   * @param {string} token - 令牌
+   * @returns {string} - 缓存键
+   */
+  oneTimeTokenKey(purpose, token) {
+    return `${CACHE_PREFIXES.ONE_TIME_TOKEN}${purpose}:${this.hashToken(token)}`;
+  }
+
+  /**
+   * 计算令牌哈希（用于存储，避免明文保存）
+   * @param {string} token - 原始令牌
+   * @returns {string} - SHA-256哈希
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new TokenService();
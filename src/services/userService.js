@@ -2,16 +2,39 @@
  * 用户服务类
  * 处理与用户相关的业务逻辑
  */
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 const database = require('../utils/database');
 const logger = require('../utils/logger');
 const redisClient = require('../utils/redis');
+const { hash } = require('../utils/encryption');
+const tokenService = require('./tokenService');
+const sessionService = require('./sessionService');
+const mfaService = require('./mfaService');
+const emailVerificationService = require('./emailVerificationService');
+const mailService = require('./mailService');
+const passwordPolicyService = require('./passwordPolicyService');
+const roleService = require('./roleService');
+const authProviderService = require('./authProviderService');
+const webauthnService = require('./webauthnService');
+const magicLinkService = require('./magicLinkService');
+const loginHistoryService = require('./loginHistoryService');
+const bruteForceService = require('./bruteForceService');
+const tenantService = require('./tenantService');
 const config = require('../config');
 const { ApiError } = require('../middleware/generic/errorHandler');
 const statusCodes = require('../constants/statusCodes');
-const { CACHE_PREFIXES, CACHE_TTL, USER_ROLES, USER_STATUS } = require('../constants/business');
+const { AUTH_LEVELS, AUTH_PROVIDERS, AUTH_TYPES, CACHE_PREFIXES, LOGIN_METHODS, CACHE_TTL, TOKEN_PURPOSES, USER_ROLES, USER_STATUS } = require('../constants/business');
+
+// 用户对象中不应对外返回的敏感字段
+const SENSITIVE_FIELDS = ['password', 'passwordHistory', 'passwordResetToken', 'passwordResetExpires', 'mfaSecret', 'mfaRecoveryCodes'];
+
+// MFA挑战令牌有效期（秒）
+const MFA_CHALLENGE_TTL = 5 * 60;
+
+// 密码过期后修改密码的令牌有效期（秒）
+const PASSWORD_CHANGE_TTL = 10 * 60;
 
 class UserService {
   /**
@@ -33,12 +56,18 @@ class UserService {
   async register(userData, dbType) {
     const User = await this.getUserModel(dbType);
 
+    // 未指定租户时属于当前请求所在的租户（schema/database隔离模式下由租户请求头确定）
+    if (userData.tenantId === undefined && tenantService.getCurrentTenantId()) {
+      userData = { ...userData, tenantId: tenantService.getCurrentTenantId() };
+    }
+
     try {
-      // 检查用户名和邮箱是否已存在
+      // 检查用户名和邮箱是否已存在（在所有租户中唯一）
       const existingUser = await User.findOne({
         where: {
           [User.sequelize.Op.or]: [{ username: userData.username }, { email: userData.email }],
         },
+        tenantScope: false,
       });
 
       if (existingUser) {
@@ -49,6 +78,17 @@ class UserService {
         }
       }
 
+      // 校验密码策略
+      await passwordPolicyService.assertValid(userData.password, { username: userData.username, email: userData.email, tenantId: userData.tenantId });
+
+      // 校验角色是否存在
+      if (userData.roles) {
+        await roleService.assertRolesExist(userData.roles, dbType);
+      }
+
+      // 只能分配到已存在且未停用的租户
+      await tenantService.assertAssignable(userData.tenantId, dbType);
+
       // 创建用户
       const user = await database.transaction(async transaction => {
         // 设置默认角色和状态
@@ -85,78 +125,558 @@ class UserService {
 
   /**
    * 用户登录
+   * 按租户配置的认证方式（本地密码、LDAP等）依次认证，目录用户首次登录时绑定或创建本地用户。
+   * 登录失败次数过多时要求人机验证或暂时拒绝登录，见bruteForceService
    * @param {string} username - 用户名或邮箱
    * @param {string} password - 密码
+   * @param {Object} context - 登录上下文（ip、userAgent、deviceName、captchaToken；tenantId用于确定本地不存在的用户所属租户）
    * @param {string} dbType - 数据库类型
-   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   * @returns {Promise<Object>} - 用户信息和JWT令牌；需要多因素认证时返回MFA挑战令牌
    */
-  async login(username, password, dbType) {
+  async login(username, password, context = {}, dbType) {
     const User = await this.getUserModel(dbType);
+    const { tenantId, captchaToken, ...loginContext } = context;
+    let existing = null;
 
     try {
-      // 查找用户
-      const user = await User.findOne({
+      // 查找本地用户
+      existing = await User.findOne({
         where: {
-          [User.sequelize.Op.or]: [{ username }, { email: username }],
+          [Op.or]: [{ username }, { email: username }],
         },
       });
 
-      // 用户不存在
-      if (!user) {
-        throw new ApiError(statusCodes.UNAUTHORIZED, '用户名或密码不正确', 'AUTH_INVALID_CREDENTIALS');
-      }
+      // 检查登录失败次数限制（在检查账户状态之前，避免借此探测账户是否存在）
+      const attempt = { userKey: bruteForceService.subjectKey(existing, username), ip: loginContext.ip };
+      await bruteForceService.check({ ...attempt, captchaToken });
 
       // 检查账户状态
+      if (existing && existing.status !== USER_STATUS.ACTIVE) {
+        throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+      }
+
+      // 按认证方式顺序验证密码，已存在的用户使用其所属租户的配置
+      const authenticated = await authProviderService.authenticate({ username, password, user: existing, tenantId: existing ? existing.tenantId : tenantId || null }, dbType);
+
+      if (!authenticated) {
+        const { captchaRequired, retryAfter } = await bruteForceService.recordFailure(attempt);
+
+        if (retryAfter > 0) {
+          throw new ApiError(statusCodes.TOO_MANY_REQUESTS, `登录失败次数过多，请在${retryAfter}秒后重试`, 'AUTH_TOO_MANY_ATTEMPTS', { retryAfter });
+        }
+
+        // 之后的登录需要人机验证时告知客户端，以便提前展示验证组件
+        throw new ApiError(statusCodes.UNAUTHORIZED, '用户名或密码不正确', 'AUTH_INVALID_CREDENTIALS', captchaRequired ? { captchaRequired, ...bruteForceService.captchaChallenge() } : null);
+      }
+
+      await bruteForceService.reset(attempt);
+
+      const { user, provider } = authenticated;
+      loginContext.authProvider = provider;
+
+      // 目录认证时绑定或创建的用户
       if (user.status !== USER_STATUS.ACTIVE) {
         throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
       }
 
-      // 检查账户是否被锁定
-      if (user.isLocked()) {
-        const remainingTime = Math.ceil((user.lockUntil - new Date()) / (60 * 1000));
-        throw new ApiError(statusCodes.FORBIDDEN, `账户已被锁定，请在${remainingTime}分钟后重试`, 'AUTH_ACCOUNT_LOCKED');
+      // 检查邮箱验证策略
+      if (emailVerificationService.isLoginBlocked(user)) {
+        throw new ApiError(statusCodes.FORBIDDEN, '请先验证邮箱后再登录', 'AUTH_EMAIL_NOT_VERIFIED');
       }
 
-      // 验证密码
-      const isPasswordValid = await user.validatePassword(password);
+      // 需要多因素认证时，先返回MFA挑战令牌，通过第二因素验证后再签发令牌
+      if (await mfaService.isMfaRequired(user)) {
+        return await this.createMfaChallenge(user, loginContext, dbType);
+      }
 
-      if (!isPasswordValid) {
-        // 增加失败登录次数
-        await user.incrementFailedLogins();
+      return await this.finishLogin(user, loginContext);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        await this.recordLoginFailure(error, { user: existing, username }, loginContext);
+        throw error;
+      }
 
-        // 如果账户已被锁定，返回锁定信息
-        if (user.isLocked()) {
-          const remainingTime = Math.ceil((user.lockUntil - new Date()) / (60 * 1000));
-          throw new ApiError(statusCodes.FORBIDDEN, `密码错误次数过多，账户已被锁定${remainingTime}分钟`, 'AUTH_ACCOUNT_LOCKED');
-        }
+      logger.error('用户登录失败', { error: error.message, username });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '登录过程中发生错误', 'AUTH_LOGIN_FAILED');
+    }
+  }
+
+  /**
+   * 创建MFA挑战令牌，通过第二因素验证后再完成登录
+   * 注册了通行密钥的用户可以用通行密钥作为第二因素，无需另外绑定验证器
+   * @param {Model} user - 已通过第一因素认证的用户实例
+   * @param {Object} context - 登录上下文
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - MFA挑战（mfaRequired、mfaSetupRequired、mfaToken）
+   */
+  async createMfaChallenge(user, context, dbType) {
+    // 所属租户已停用时不再要求第二因素
+    await tenantService.assertNotSuspended(user.tenantId, dbType);
+
+    const mfaSetupRequired = !user.mfaEnabled && !(await webauthnService.hasCredentials(user.id, dbType));
+    const mfaToken = await tokenService.createOneTimeToken(TOKEN_PURPOSES.MFA_CHALLENGE, { userId: user.id, context, mfaSetupRequired }, MFA_CHALLENGE_TTL);
+
+    return {
+      mfaRequired: true,
+      mfaSetupRequired,
+      mfaToken,
+    };
+  }
 
-        throw new ApiError(statusCodes.UNAUTHORIZED, '用户名或密码不正确', 'AUTH_INVALID_CREDENTIALS');
+  /**
+   * 使用邮件中的登录链接登录（代替用户名和密码）
+   * 不受密码错误导致的登录限制，能打开邮件中的链接即可解除限制；需要多因素认证的用户仍需完成第二因素
+   * @param {string} token - 登录链接中的令牌
+   * @param {Object} context - 登录上下文（ip、userAgent、deviceName）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息和JWT令牌；需要多因素认证时返回MFA挑战令牌
+   */
+  async loginWithMagicLink(token, context = {}, dbType) {
+    try {
+      const user = await magicLinkService.consumeLink(token, dbType);
+      const loginContext = { ...context, authProvider: AUTH_PROVIDERS.MAGIC_LINK };
+
+      // 能打开邮件中的链接即证明了邮箱归属
+      if (!user.emailVerified) {
+        await user.markEmailVerified();
+      }
+
+      await bruteForceService.unlock(bruteForceService.subjectKey(user));
+
+      if (await mfaService.isMfaRequired(user)) {
+        return await this.createMfaChallenge(user, loginContext, dbType);
+      }
+
+      return await this.finishLogin(user, loginContext);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        await this.recordLoginFailure(error, {}, { ...context, loginMethod: LOGIN_METHODS.MAGIC_LINK });
+        throw error;
+      }
+
+      logger.error('邮件链接登录失败', { error: error.message });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '登录过程中发生错误', 'AUTH_LOGIN_FAILED');
+    }
+  }
+
+  /**
+   * 使用通行密钥登录（代替用户名和密码）
+   * 通行密钥同时证明了持有验证器和用户本人（PIN、指纹），本身即满足多因素认证，不再要求第二因素
+   * @param {Object} response - navigator.credentials.get()的结果（AuthenticationResponseJSON）
+   * @param {Object} context - 登录上下文（ip、userAgent、deviceName）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   */
+  async loginWithWebAuthn(response, context = {}, dbType) {
+    const loginContext = { ...context, loginMethod: LOGIN_METHODS.WEBAUTHN };
+    let user = null;
+
+    try {
+      const credential = await webauthnService.verifyAuthentication(response, { requireUserVerification: true }, dbType);
+
+      const User = await this.getUserModel(dbType);
+      user = await User.findByPk(credential.userId);
+
+      // 检查账户状态
+      if (!user || user.status !== USER_STATUS.ACTIVE) {
+        throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
       }
 
-      // 更新最后登录时间
-      await user.updateLoginTime();
+      // 检查邮箱验证策略
+      if (emailVerificationService.isLoginBlocked(user)) {
+        throw new ApiError(statusCodes.FORBIDDEN, '请先验证邮箱后再登录', 'AUTH_EMAIL_NOT_VERIFIED');
+      }
 
-      // 生成JWT令牌
-      const token = this.generateToken(user);
+      // 需要用户验证的通行密钥同时证明了持有设备和用户身份，视为多因素认证
+      return await this.completeLogin(user, { ...loginContext, authLevel: AUTH_LEVELS.MULTI_FACTOR });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        await this.recordLoginFailure(error, { user }, loginContext);
+        throw error;
+      }
+
+      logger.error('通行密钥登录失败', { error: error.message });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '登录过程中发生错误', 'AUTH_LOGIN_FAILED');
+    }
+  }
+
+  /**
+   * 使用MFA挑战令牌和第二因素完成登录
+   * @param {string} mfaToken - 登录时返回的MFA挑战令牌
+   * @param {Object} factor - 第二因素（code 或 recoveryCode）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   */
+  async verifyMfaLogin(mfaToken, factor, dbType) {
+    try {
+      const challenge = await tokenService.peekOneTimeToken(TOKEN_PURPOSES.MFA_CHALLENGE, mfaToken);
+
+      if (!challenge) {
+        throw new ApiError(statusCodes.UNAUTHORIZED, 'MFA挑战令牌无效或已过期，请重新登录', 'AUTH_INVALID_MFA_TOKEN');
+      }
+
+      if (challenge.mfaSetupRequired) {
+        throw new ApiError(statusCodes.FORBIDDEN, '您的角色要求启用多因素认证，请先完成绑定', 'AUTH_MFA_SETUP_REQUIRED');
+      }
+
+      const User = await this.getUserModel(dbType);
+      const user = await User.findByPk(challenge.userId);
+
+      if (!user || !(await mfaService.verifyFactor(user, factor))) {
+        const remaining = await tokenService.recordOneTimeTokenFailure(TOKEN_PURPOSES.MFA_CHALLENGE, mfaToken);
+        await loginHistoryService.recordFailure({ user, reason: 'AUTH_INVALID_MFA_CODE' }, challenge.context, dbType);
+        throw new ApiError(statusCodes.UNAUTHORIZED, '验证码不正确', 'AUTH_INVALID_MFA_CODE', { remainingAttempts: remaining });
+      }
+
+      return await this.resumeLogin(mfaToken, dbType);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('MFA登录验证失败', { error: error.message });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '登录过程中发生错误', 'AUTH_LOGIN_FAILED');
+    }
+  }
+
+  /**
+   * 消费MFA挑战令牌并完成登录
+   * 调用前须已完成第二因素验证（或刚完成MFA绑定）
+   * @param {string} mfaToken - MFA挑战令牌
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   */
+  async resumeLogin(mfaToken, dbType) {
+    const challenge = await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.MFA_CHALLENGE, mfaToken);
+
+    if (!challenge) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, 'MFA挑战令牌无效或已过期，请重新登录', 'AUTH_INVALID_MFA_TOKEN');
+    }
+
+    const User = await this.getUserModel(dbType);
+    const user = await User.findByPk(challenge.userId);
+
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+    }
+
+    return await this.finishLogin(user, { ...challenge.context, authLevel: AUTH_LEVELS.MULTI_FACTOR });
+  }
+
+  /**
+   * 通过认证后的最后一步：本地密码已超过最长使用期限时，先返回修改密码令牌，修改后再完成登录
+   * 通过目录、邮件链接等不使用本地密码的方式登录时不检查密码期限
+   * @param {Model} user - 用户实例
+   * @param {Object} context - 登录上下文（authProvider为认证方式）
+   * @returns {Promise<Object>} - 用户信息和JWT令牌，或修改密码令牌
+   */
+  async finishLogin(user, context = {}) {
+    const policy = await passwordPolicyService.getPolicy(user.tenantId);
+    const localPassword = !context.authProvider || context.authProvider === AUTH_PROVIDERS.LOCAL;
+
+    if (localPassword && passwordPolicyService.isExpired(user, policy)) {
+      const passwordChangeToken = await tokenService.createOneTimeToken(TOKEN_PURPOSES.PASSWORD_CHANGE, { userId: user.id, context }, PASSWORD_CHANGE_TTL);
+
+      return {
+        passwordChangeRequired: true,
+        passwordChangeToken,
+      };
+    }
+
+    return await this.completeLogin(user, context);
+  }
+
+  /**
+   * 使用修改密码令牌修改已过期的密码并完成登录
+   * @param {string} passwordChangeToken - 登录时返回的修改密码令牌
+   * @param {string} newPassword - 新密码
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   */
+  async changeExpiredPassword(passwordChangeToken, newPassword, dbType) {
+    const User = await this.getUserModel(dbType);
+
+    try {
+      const challenge = await tokenService.peekOneTimeToken(TOKEN_PURPOSES.PASSWORD_CHANGE, passwordChangeToken);
+
+      if (!challenge) {
+        throw new ApiError(statusCodes.UNAUTHORIZED, '修改密码令牌无效或已过期，请重新登录', 'AUTH_INVALID_PASSWORD_CHANGE_TOKEN');
+      }
+
+      const user = await User.findByPk(challenge.userId);
+
+      if (!user || user.status !== USER_STATUS.ACTIVE) {
+        throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+      }
+
+      // 校验密码策略（包括不能与当前及历史密码相同）
+      await passwordPolicyService.assertValid(newPassword, { user });
+
+      // 令牌只能使用一次，校验通过后再消费，密码不符合要求时可以重试
+      if (!(await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.PASSWORD_CHANGE, passwordChangeToken))) {
+        throw new ApiError(statusCodes.UNAUTHORIZED, '修改密码令牌无效或已过期，请重新登录', 'AUTH_INVALID_PASSWORD_CHANGE_TOKEN');
+      }
+
+      await user.resetPassword(newPassword);
 
       // 记录审计日志
-      logger.audit(user.id, 'login', 'user', { id: user.id, username: user.username });
+      logger.audit(user.id, 'change_expired_password', 'user', { id: user.id });
 
-      // 缓存用户信息
-      const userCache = this.sanitizeUser(user.toJSON());
-      await redisClient.set(`${CACHE_PREFIXES.USER}${user.id}`, userCache, CACHE_TTL.LONG);
+      // 吊销修改前的所有会话
+      await sessionService.revokeAllSessions(user.id);
+
+      // 发送安全提醒
+      await mailService.sendSecurityAlert(user, 'password_changed');
+
+      return await this.completeLogin(user, challenge.context);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('修改过期密码失败', { error: error.message });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '修改密码失败', 'USER_PASSWORD_CHANGE_FAILED');
+    }
+  }
+
+  /**
+   * 记录失败的登录
+   * 只记录因凭据、账户状态等被拒绝的登录（4xx），服务端故障不计入
+   * @param {ApiError} error - 登录失败的错误
+   * @param {Object} attempt - 登录尝试（user、username）
+   * @param {Object} context - 登录上下文
+   */
+  async recordLoginFailure(error, attempt, context) {
+    if (error.statusCode < statusCodes.INTERNAL_SERVER_ERROR) {
+      await loginHistoryService.recordFailure({ ...attempt, reason: error.code }, context);
+    }
+  }
+
+  /**
+   * 完成登录：更新登录时间、登记会话并签发令牌
+   * @param {Model} user - 用户实例
+   * @param {Object} context - 登录上下文
+   * @returns {Promise<Object>} - 用户信息和JWT令牌
+   */
+  async completeLogin(user, context = {}) {
+    // 所有登录方式最终都经过这里，所属租户已停用时拒绝登录
+    await tenantService.assertNotSuspended(user.tenantId);
+
+    // 更新最后登录时间
+    await user.updateLoginTime();
+
+    // 登记会话并签发访问令牌和刷新令牌
+    const session = await sessionService.createSession(user, context);
+    const tokens = await tokenService.issueTokens(user, session.id, { roles: emailVerificationService.getEffectiveRoles(user), ...sessionService.authClaims(session) });
+
+    // 记录审计日志和登录历史（检测新设备、新IP登录）
+    logger.audit(user.id, 'login', 'user', { id: user.id, username: user.username });
+    await loginHistoryService.recordSuccess(user, context);
+
+    // 缓存用户信息
+    const userCache = this.sanitizeUser(user.toJSON());
+    await redisClient.set(`${CACHE_PREFIXES.USER}${user.id}`, userCache, CACHE_TTL.LONG);
+
+    return {
+      user: userCache,
+      ...tokens,
+    };
+  }
+
+  /**
+   * 模拟用户登录，用于排查用户问题
+   * 签发同时携带被模拟用户和真实操作者（act声明）的短期访问令牌，不签发刷新令牌，到期后需要重新发起
+   * 调用方负责检查操作者能否模拟该用户
+   * @param {Object} actor - 真实操作者
+   * @param {string} userId - 被模拟的用户ID
+   * @param {Object} context - 请求上下文（ip、userAgent）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 被模拟的用户信息、访问令牌及有效期（秒）
+   */
+  async impersonate(actor, userId, context = {}, dbType) {
+    const User = await this.getUserModel(dbType);
+
+    try {
+      const user = await User.findByPk(userId);
+
+      if (!user) {
+        throw new ApiError(statusCodes.NOT_FOUND, '用户不存在', 'USER_NOT_FOUND');
+      }
+
+      if (user.status !== USER_STATUS.ACTIVE) {
+        throw new ApiError(statusCodes.BAD_REQUEST, '不能模拟未激活或已禁用的账户', 'USER_INACTIVE');
+      }
+
+      const impersonator = { id: actor.id, username: actor.username };
+      const { expiresIn } = config.impersonation;
+
+      // 模拟登录会话会出现在被模拟用户的会话列表中，可以随时吊销
+      // 认证时间和强度沿用操作者自己的，避免借模拟登录绕过重新认证
+      const session = await sessionService.createSession(user, {
+        ...context,
+        deviceName: `模拟登录（${actor.username}）`,
+        impersonator,
+        expiresIn,
+        authTime: actor.auth_time || null,
+        authLevel: actor.auth_level,
+      });
+      const token = tokenService.generateAccessToken(user, { roles: emailVerificationService.getEffectiveRoles(user), ...sessionService.authClaims(session), fid: session.id, act: impersonator }, expiresIn);
+
+      // 记录审计日志
+      logger.audit(actor.id, 'start_impersonation', 'user', { id: user.id, username: user.username, sessionId: session.id, expiresIn });
 
       return {
-        user: userCache,
+        user: this.sanitizeUser(user.toJSON()),
+        impersonator,
         token,
+        expiresIn,
       };
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
       }
 
-      logger.error('用户登录失败', { error: error.message, username });
-      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '登录过程中发生错误', 'AUTH_LOGIN_FAILED');
+      logger.error('模拟登录失败', { error: error.message, actorId: actor.id, userId });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '模拟登录失败', 'AUTH_IMPERSONATION_FAILED');
+    }
+  }
+
+  /**
+   * 刷新令牌
+   * 使用一次性刷新令牌换取新的令牌对，旧刷新令牌随即失效
+   * @param {string} refreshToken - 刷新令牌
+   * @param {Object} context - 请求上下文（ip、userAgent）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 新的访问令牌和刷新令牌
+   */
+  async refreshToken(refreshToken, context = {}, dbType) {
+    try {
+      const { userId, familyId } = await tokenService.rotateRefreshToken(refreshToken);
+
+      // 会话已被吊销时不再续签
+      const session = await sessionService.touchSession(familyId, context, true);
+      if (!session) {
+        await tokenService.revokeFamily(familyId);
+        throw new ApiError(statusCodes.UNAUTHORIZED, '会话已失效，请重新登录', 'AUTH_SESSION_REVOKED');
+      }
+
+      // 重新加载用户，确保角色等信息为最新，且账户仍可用
+      const User = await this.getUserModel(dbType);
+      const user = await User.findByPk(userId);
+
+      if (!user || user.status !== USER_STATUS.ACTIVE) {
+        await sessionService.removeSession(userId, familyId);
+        throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+      }
+
+      // 租户停用期间不续签，恢复后会话仍可继续使用
+      await tenantService.assertNotSuspended(user.tenantId, dbType);
+
+      // 刷新不是重新认证，沿用会话中最近一次认证的时间和强度
+      return await tokenService.issueTokens(user, familyId, { roles: emailVerificationService.getEffectiveRoles(user), ...sessionService.authClaims(session) });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('刷新令牌失败', { error: error.message });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '刷新令牌失败', 'AUTH_REFRESH_FAILED');
+    }
+  }
+
+  /**
+   * 重新认证当前会话，用于执行修改角色、删除用户、修改密码等敏感操作前确认操作者身份
+   * 可使用密码、第二因素（TOTP口令、恢复码）或需要用户验证的通行密钥；同时提供密码和第二因素时视为多因素认证。
+   * 验证失败计入登录失败次数，失败次数过多时暂时不能重新认证
+   * @param {Object} sessionUser - 当前登录用户（req.user）
+   * @param {Object} credentials - 认证凭据
+   * @param {string} credentials.password - 密码
+   * @param {string} credentials.code - TOTP口令
+   * @param {string} credentials.recoveryCode - 恢复码
+   * @param {Object} credentials.webauthn - 通行密钥认证结果（AuthenticationResponseJSON）
+   * @param {Object} context - 请求上下文（ip）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 认证时间（authTime，秒）、认证强度（authLevel）和有效期（maxAge，秒）
+   */
+  async reauthenticate(sessionUser, { password, code, recoveryCode, webauthn } = {}, context = {}, dbType) {
+    if (!sessionUser.fid) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '当前登录方式不支持重新认证', 'AUTH_REAUTHENTICATION_UNSUPPORTED');
+    }
+
+    if (!password && !code && !recoveryCode && !webauthn) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '请提供密码、验证码、恢复码或通行密钥', 'VALIDATION_ERROR');
+    }
+
+    const User = await this.getUserModel(dbType);
+
+    try {
+      const user = await User.findByPk(sessionUser.id);
+
+      if (!user || user.status !== USER_STATUS.ACTIVE) {
+        throw new ApiError(statusCodes.FORBIDDEN, '账户未激活或已被禁用', 'AUTH_ACCOUNT_INACTIVE');
+      }
+
+      // 已登录用户不要求人机验证，失败次数过多时同样暂时拒绝
+      const attempt = { userKey: bruteForceService.subjectKey(user), ip: context.ip };
+      await bruteForceService.check(attempt, { captcha: false });
+
+      let authLevel;
+
+      if (webauthn) {
+        // 验证失败时抛出带有具体原因的错误
+        await webauthnService.verifyAuthentication(webauthn, { userId: user.id, requireUserVerification: true }, dbType);
+        authLevel = AUTH_LEVELS.MULTI_FACTOR;
+      } else {
+        const hasFactor = Boolean(code || recoveryCode);
+        let verified = true;
+
+        // 按用户所属租户的认证方式验证密码（本地用户或目录用户）
+        if (password) {
+          const authenticated = await authProviderService.authenticate({ username: user.username, password, user, tenantId: user.tenantId }, dbType);
+          verified = Boolean(authenticated) && authenticated.user.id === user.id;
+        }
+
+        if (verified && hasFactor) {
+          verified = await mfaService.verifyFactor(user, { code, recoveryCode });
+        }
+
+        if (!verified) {
+          const { retryAfter } = await bruteForceService.recordFailure(attempt);
+
+          if (retryAfter > 0) {
+            throw new ApiError(statusCodes.TOO_MANY_REQUESTS, `验证失败次数过多，请在${retryAfter}秒后重试`, 'AUTH_TOO_MANY_ATTEMPTS', { retryAfter });
+          }
+
+          throw new ApiError(statusCodes.UNAUTHORIZED, '身份验证失败', 'AUTH_REAUTHENTICATION_FAILED');
+        }
+
+        authLevel = password && hasFactor ? AUTH_LEVELS.MULTI_FACTOR : AUTH_LEVELS.SINGLE_FACTOR;
+      }
+
+      // 验证通过后清除失败次数
+      await bruteForceService.reset(attempt);
+
+      const session = await sessionService.elevateSession(sessionUser.fid, authLevel);
+
+      if (!session) {
+        throw new ApiError(statusCodes.UNAUTHORIZED, '会话已失效，请重新登录', 'AUTH_SESSION_REVOKED');
+      }
+
+      // 记录审计日志
+      logger.audit(user.id, 'reauthenticate', 'user', { id: user.id, sessionId: session.id, authLevel });
+
+      return {
+        authTime: session.authTime,
+        authLevel: session.authLevel,
+        maxAge: config.stepUp.maxAge,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('重新认证失败', { error: error.message, userId: sessionUser.id });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '重新认证过程中发生错误', 'AUTH_REAUTHENTICATION_ERROR');
     }
   }
 
@@ -168,15 +688,19 @@ class UserService {
    */
   async logout(token, user) {
     try {
-      // 将令牌添加到黑名单
-      const tokenExpiry = this.getTokenExpiry(token);
-      const expiryTime = tokenExpiry ? Math.floor((tokenExpiry - Date.now()) / 1000) : CACHE_TTL.DAY;
+      // 将令牌添加到黑名单（API密钥需通过吊销接口失效）
+      if (!user || user.authType !== AUTH_TYPES.API_KEY) {
+        await tokenService.blacklistToken(token);
+      }
 
-      await redisClient.set(`blacklist:${token}`, true, expiryTime);
+      // 结束当前会话，使对应的刷新令牌一并失效
+      if (user && user.fid) {
+        await sessionService.removeSession(user.id, user.fid);
+      }
 
-      // 记录审计日志
+      // 记录审计日志（模拟登录的令牌注销即结束模拟）
       if (user && user.id) {
-        logger.audit(user.id, 'logout', 'user', { id: user.id, username: user.username });
+        logger.audit(user.id, user.impersonator ? 'end_impersonation' : 'logout', 'user', { id: user.id, username: user.username });
       }
 
       return true;
@@ -188,7 +712,7 @@ class UserService {
 
   /**
    * 获取用户列表
-   * @param {Object} options - 查询选项
+   * @param {Object} options - 查询选项，scope为授权策略生成的可见范围
    * @param {string} dbType - 数据库类型
    * @returns {Promise<Object>} - 用户列表和分页信息
    */
@@ -196,7 +720,7 @@ class UserService {
     const User = await this.getUserModel(dbType);
 
     try {
-      const { page = 1, limit = 10, status, role, tenantId, search, sortBy = 'createdAt', sortOrder = 'DESC' } = options;
+      const { page = 1, limit = 10, status, role, tenantId, search, scope, sortBy = 'createdAt', sortOrder = 'DESC' } = options;
 
       // 构建查询条件
       const where = {};
@@ -218,19 +742,23 @@ class UserService {
         ];
       }
 
-      // 角色过滤（JSON字段）
-      let roleCondition = null;
+      // 角色过滤（JSON字段）和可见范围
+      const conditions = [];
       if (role) {
-        roleCondition = User.sequelize.literal(`JSON_CONTAINS(roles, '"${role}"')`);
+        conditions.push(User.sequelize.literal(`JSON_CONTAINS(roles, '"${role}"')`));
+      }
+
+      if (scope) {
+        conditions.push(scope);
       }
 
       // 执行查询
       const { rows, count } = await User.findAndCountAll({
-        where: roleCondition ? { ...where, [User.sequelize.Op.and]: [roleCondition] } : where,
+        where: conditions.length > 0 ? { ...where, [Op.and]: conditions } : where,
         order: [[sortBy, sortOrder]],
         limit: parseInt(limit),
         offset: (parseInt(page) - 1) * parseInt(limit),
-        attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires'] },
+        attributes: { exclude: SENSITIVE_FIELDS },
       });
 
       // 计算分页信息
@@ -270,7 +798,7 @@ class UserService {
       const User = await this.getUserModel(dbType);
 
       const user = await User.findByPk(id, {
-        attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires'] },
+        attributes: { exclude: SENSITIVE_FIELDS },
       });
 
       if (!user) {
@@ -292,6 +820,37 @@ class UserService {
     }
   }
 
+  /**
+   * 在可见范围内获取用户详情，范围外的用户按不存在处理，避免泄露其他租户的用户是否存在
+   * @param {string} id - 用户ID
+   * @param {Object} scope - 授权策略生成的可见范围
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 用户信息
+   */
+  async getUserInScope(id, scope, dbType) {
+    const User = await this.getUserModel(dbType);
+
+    try {
+      const user = await User.findOne({
+        where: { [Op.and]: [{ id }, scope] },
+        attributes: { exclude: SENSITIVE_FIELDS },
+      });
+
+      if (!user) {
+        throw new ApiError(statusCodes.NOT_FOUND, '用户不存在', 'USER_NOT_FOUND');
+      }
+
+      return user.toJSON();
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('获取用户详情失败', { error: error.message, userId: id });
+      throw new ApiError(statusCodes.INTERNAL_SERVER_ERROR, '获取用户详情失败', 'USER_DETAILS_FAILED');
+    }
+  }
+
   /**
    * 更新用户信息
    * @param {string} id - 用户ID
@@ -303,7 +862,9 @@ class UserService {
     const User = await this.getUserModel(dbType);
 
     try {
-      return await database.transaction(async transaction => {
+      let emailChanged = false;
+
+      const updatedUser = await database.transaction(async transaction => {
         // 查找用户
         const user = await User.findByPk(id, { transaction });
 
@@ -312,11 +873,27 @@ class UserService {
         }
 
         // 禁止更新敏感字段
-        const protectedFields = ['id', 'password', 'passwordResetToken', 'passwordResetExpires'];
+        const protectedFields = ['id', ...SENSITIVE_FIELDS, 'passwordChangedAt', 'mfaEnabled', 'mfaEnrolledAt', 'emailVerified'];
         protectedFields.forEach(field => {
           delete userData[field];
         });
 
+        // 校验角色是否存在
+        if (userData.roles !== undefined) {
+          await roleService.assertRolesExist(userData.roles, dbType);
+        }
+
+        // 移到其他租户时，目标租户必须存在且未停用
+        if (userData.tenantId !== undefined && userData.tenantId !== user.tenantId) {
+          await tenantService.assertAssignable(userData.tenantId, dbType);
+        }
+
+        // 更换邮箱后需要重新验证
+        if (userData.email && userData.email !== user.email) {
+          userData.emailVerified = false;
+          emailChanged = true;
+        }
+
         // 更新用户
         await user.update(userData, { transaction });
 
@@ -329,6 +906,13 @@ class UserService {
         // 返回更新后的用户（不包含敏感信息）
         return this.sanitizeUser(user.toJSON());
       }, dbType);
+
+      // 向新邮箱发送验证邮件
+      if (emailChanged) {
+        await emailVerificationService.sendVerification(updatedUser);
+      }
+
+      return updatedUser;
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -344,14 +928,16 @@ class UserService {
    * @param {string} id - 用户ID
    * @param {string} currentPassword - 当前密码
    * @param {string} newPassword - 新密码
+   * @param {Object} options - 选项
+   * @param {string} options.keepSession - 保留的会话ID（发起修改的当前会话），其他会话全部吊销
    * @param {string} dbType - 数据库类型
    * @returns {Promise<boolean>} - 操作是否成功
    */
-  async changePassword(id, currentPassword, newPassword, dbType) {
+  async changePassword(id, currentPassword, newPassword, { keepSession } = {}, dbType) {
     const User = await this.getUserModel(dbType);
 
     try {
-      return await database.transaction(async transaction => {
+      const user = await database.transaction(async transaction => {
         // 查找用户
         const user = await User.findByPk(id, { transaction });
 
@@ -371,14 +957,25 @@ class UserService {
           throw new ApiError(statusCodes.BAD_REQUEST, '新密码不能与当前密码相同', 'AUTH_SAME_PASSWORD');
         }
 
+        // 校验密码策略
+        await passwordPolicyService.assertValid(newPassword, { user });
+
         // 更新密码
         await user.resetPassword(newPassword);
 
         // 记录审计日志
         logger.audit(user.id, 'change_password', 'user', { id: user.id });
 
-        return true;
+        return user;
       }, dbType);
+
+      // 吊销其他设备上的会话
+      await sessionService.revokeAllSessions(user.id, { except: keepSession });
+
+      // 发送安全提醒
+      await mailService.sendSecurityAlert(user, 'password_changed');
+
+      return true;
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -391,28 +988,54 @@ class UserService {
 
   /**
    * 请求重置密码
+   * 无论邮箱是否存在、是否触发限流，调用方都应返回相同的响应，避免泄露注册信息
    * @param {string} email - 用户邮箱
+   * @param {Object} context - 请求上下文
+   * @param {string} context.ip - 请求IP
    * @param {string} dbType - 数据库类型
-   * @returns {Promise<string>} - 重置令牌
+   * @returns {Promise<boolean>} - 是否发送了重置邮件
    */
-  async requestPasswordReset(email, dbType) {
+  async requestPasswordReset(email, { ip } = {}, dbType) {
     const User = await this.getUserModel(dbType);
+    const { tokenExpiresIn, maxPerEmail, maxPerIp } = config.passwordReset;
 
     try {
+      // 按IP限流，超出时明确拒绝（不涉及邮箱是否存在）
+      if (ip && (await redisClient.incr(`${CACHE_PREFIXES.RATE_LIMIT}password_reset:ip:${ip}`, config.passwordReset.window)) > maxPerIp) {
+        throw new ApiError(statusCodes.TOO_MANY_REQUESTS, '请求过于频繁，请稍后再试', 'AUTH_TOO_MANY_REQUESTS');
+      }
+
+      // 按邮箱限流，超出时静默忽略，避免通过响应差异判断邮箱是否存在
+      if ((await redisClient.incr(`${CACHE_PREFIXES.RATE_LIMIT}password_reset:email:${hash(email.toLowerCase())}`, config.passwordReset.window)) > maxPerEmail) {
+        logger.warn('密码重置请求过于频繁，已忽略', { email, ip });
+        return false;
+      }
+
       // 查找用户
       const user = await User.findOne({ where: { email } });
 
       if (!user) {
-        throw new ApiError(statusCodes.NOT_FOUND, '该邮箱未注册', 'USER_EMAIL_NOT_FOUND');
+        return false;
       }
 
       // 生成重置令牌
-      const resetToken = await user.generatePasswordResetToken();
+      const resetToken = await user.generatePasswordResetToken(tokenExpiresIn);
+
+      // 发送重置邮件
+      await mailService.send('passwordReset', {
+        to: user.email,
+        locale: user.locale,
+        data: {
+          username: user.username,
+          url: mailService.buildUrl('/reset-password', { token: resetToken }),
+          expiresInMinutes: Math.round(tokenExpiresIn / 60),
+        },
+      });
 
       // 记录审计日志
-      logger.audit(user.id, 'request_password_reset', 'user', { id: user.id, email });
+      logger.audit(user.id, 'request_password_reset', 'user', { id: user.id, email, ip });
 
-      return resetToken;
+      return true;
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -425,6 +1048,7 @@ class UserService {
 
   /**
    * 重置密码
+   * 令牌使用后即失效，同时吊销用户的所有会话
    * @param {string} token - 重置令牌
    * @param {string} newPassword - 新密码
    * @param {string} dbType - 数据库类型
@@ -434,11 +1058,11 @@ class UserService {
     const User = await this.getUserModel(dbType);
 
     try {
-      return await database.transaction(async transaction => {
+      const user = await database.transaction(async transaction => {
         // 查找用户
         const user = await User.findOne({
           where: {
-            passwordResetToken: token,
+            passwordResetToken: hash(token),
             passwordResetExpires: { [User.sequelize.Op.gt]: new Date() },
           },
           transaction,
@@ -448,14 +1072,28 @@ class UserService {
           throw new ApiError(statusCodes.BAD_REQUEST, '重置令牌无效或已过期', 'AUTH_INVALID_RESET_TOKEN');
         }
 
+        // 校验密码策略
+        await passwordPolicyService.assertValid(newPassword, { user });
+
         // 重置密码
         await user.resetPassword(newPassword);
 
         // 记录审计日志
         logger.audit(user.id, 'reset_password', 'user', { id: user.id });
 
-        return true;
+        return user;
       }, dbType);
+
+      // 密码已被重置，所有设备上的会话都需重新登录
+      await sessionService.revokeAllSessions(user.id);
+
+      // 能收到重置邮件即证明了账户归属，解除登录失败导致的限制
+      await bruteForceService.unlock(bruteForceService.subjectKey(user));
+
+      // 发送安全提醒
+      await mailService.sendSecurityAlert(user, 'password_reset');
+
+      return true;
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -511,39 +1149,7 @@ class UserService {
    * @returns {Object} - 处理后的用户对象
    */
   sanitizeUser(user) {
-    const { password, passwordResetToken, passwordResetExpires, ...sanitizedUser } = user;
-    return sanitizedUser;
-  }
-
-  /**
-   * 生成JWT令牌
-   * @param {Object} user - 用户对象
-   * @returns {string} - JWT令牌
-   */
-  generateToken(user) {
-    const payload = {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      roles: user.roles,
-      tenantId: user.tenantId,
-    };
-
-    return jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
-  }
-
-  /**
-   * 获取令牌过期时间
-   * @param {string} token - JWT令牌
-   * @returns {number|null} - 过期时间戳
-   */
-  getTokenExpiry(token) {
-    try {
-      const decoded = jwt.decode(token);
-      return decoded && decoded.exp ? decoded.exp * 1000 : null;
-    } catch (error) {
-      return null;
-    }
+    return Object.fromEntries(Object.entries(user).filter(([field]) => !SENSITIVE_FIELDS.includes(field)));
   }
 }
 
@@ -0,0 +1,363 @@
+/**
+ * WebAuthn（通行密钥）服务类
+ * 处理凭据的注册和认证仪式。挑战以一次性令牌的形式保存在Redis中，
+ * 验证时按客户端数据中的挑战查找并消费，每个挑战只能使用一次
+ */
+const { generateRegistrationOptions, verifyRegistrationResponse, generateAuthenticationOptions, verifyAuthenticationResponse } = require('@simplewebauthn/server');
+const { decodeClientDataJSON, isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const { Op } = require('sequelize');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const config = require('../config');
+const { ApiError } = require('../middleware/generic/errorHandler');
+const statusCodes = require('../constants/statusCodes');
+const { TOKEN_PURPOSES } = require('../constants/business');
+
+// 用户未命名时的凭据名称
+const DEFAULT_CREDENTIAL_NAME = '通行密钥';
+
+class WebAuthnService {
+  /**
+   * 获取用户模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 用户模型
+   */
+  async getUserModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.User;
+  }
+
+  /**
+   * 获取WebAuthn凭据模型
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - WebAuthn凭据模型
+   */
+  async getCredentialModel(dbType) {
+    const sequelize = await database.getConnection(dbType);
+    return sequelize.models.WebAuthnCredential;
+  }
+
+  /**
+   * 开始注册凭据
+   * 返回的选项由前端传给 navigator.credentials.create()，已注册的凭据会被排除
+   * @param {string} userId - 用户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 注册选项（PublicKeyCredentialCreationOptionsJSON）
+   */
+  async beginRegistration(userId, dbType) {
+    const User = await this.getUserModel(dbType);
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      throw new ApiError(statusCodes.NOT_FOUND, '用户不存在', 'USER_NOT_FOUND');
+    }
+
+    const credentials = await WebAuthnCredential.findAll({ where: { userId } });
+    const { rpName, rpID, challengeExpiresIn } = config.webauthn;
+
+    return await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: user.email || user.username,
+      userDisplayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username,
+      // 用户句柄为本地用户ID，免用户名登录时用于确认凭据所属用户
+      userID: isoUint8Array.fromUTF8String(user.id),
+      challenge: await tokenService.createOneTimeToken(TOKEN_PURPOSES.WEBAUTHN_REGISTRATION, { userId }, challengeExpiresIn),
+      timeout: challengeExpiresIn * 1000,
+      attestationType: 'none',
+      excludeCredentials: credentials.map(credential => ({ id: credential.credentialId, transports: credential.transports })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred',
+      },
+    });
+  }
+
+  /**
+   * 完成注册凭据
+   * @param {string} userId - 用户ID
+   * @param {Object} response - navigator.credentials.create()的结果（RegistrationResponseJSON）
+   * @param {string} name - 凭据名称
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 注册的凭据
+   */
+  async finishRegistration(userId, response, name, dbType) {
+    const challenge = readChallenge(response);
+    const payload = await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.WEBAUTHN_REGISTRATION, challenge);
+
+    if (!payload || payload.userId !== userId) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '注册请求不存在或已过期，请重新开始', 'AUTH_WEBAUTHN_CHALLENGE_EXPIRED');
+    }
+
+    const { registrationInfo } = await verifyCeremony(
+      () =>
+        verifyRegistrationResponse({
+          response,
+          expectedChallenge: isoBase64URL.fromUTF8String(challenge),
+          expectedOrigin: config.webauthn.origins,
+          expectedRPID: config.webauthn.rpID,
+          requireUserVerification: false,
+        }),
+      statusCodes.BAD_REQUEST,
+      '通行密钥注册失败',
+      'AUTH_WEBAUTHN_REGISTRATION_FAILED'
+    );
+
+    const User = await this.getUserModel(dbType);
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    const { credential, credentialDeviceType, credentialBackedUp, aaguid } = registrationInfo;
+
+    // 凭据ID在所有租户中唯一
+    if (await WebAuthnCredential.findOne({ where: { credentialId: credential.id }, tenantScope: false })) {
+      throw new ApiError(statusCodes.CONFLICT, '该验证器已注册', 'AUTH_WEBAUTHN_CREDENTIAL_EXISTS');
+    }
+
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      throw new ApiError(statusCodes.NOT_FOUND, '用户不存在', 'USER_NOT_FOUND');
+    }
+
+    const record = await WebAuthnCredential.create({
+      userId,
+      tenantId: user.tenantId,
+      name: name || DEFAULT_CREDENTIAL_NAME,
+      credentialId: credential.id,
+      publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      aaguid,
+    });
+
+    // 记录审计日志
+    logger.audit(userId, 'register_webauthn_credential', 'user', { id: userId, credentialId: record.id, deviceType: credentialDeviceType });
+    await mailService.sendSecurityAlert(user, 'webauthn_registered', { device: record.name });
+
+    return this.sanitizeCredential(record);
+  }
+
+  /**
+   * 开始认证
+   * 指定用户时只允许该用户的凭据；不指定时由浏览器列出可发现凭据（免用户名登录）
+   * 按用户名查找不到用户时同样返回不含凭据的选项，不暴露用户是否存在
+   * @param {Object} options - 认证选项
+   * @param {string} options.userId - 用户ID（作为第二因素时）
+   * @param {string} options.username - 用户名或邮箱（免密码登录时可选）
+   * @param {string} options.userVerification - 是否要求用户验证（PIN、指纹）：required、preferred、discouraged
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Object>} - 认证选项（PublicKeyCredentialRequestOptionsJSON）
+   */
+  async beginAuthentication({ userId = null, username = null, userVerification = 'preferred' } = {}, dbType) {
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    let ownerId = userId;
+
+    if (!ownerId && username) {
+      const User = await this.getUserModel(dbType);
+      const user = await User.findOne({ where: { [Op.or]: [{ username }, { email: username }] } });
+      ownerId = user ? user.id : null;
+    }
+
+    const credentials = ownerId ? await WebAuthnCredential.findAll({ where: { userId: ownerId } }) : [];
+
+    if (userId && credentials.length === 0) {
+      throw new ApiError(statusCodes.BAD_REQUEST, '尚未注册通行密钥', 'AUTH_WEBAUTHN_NOT_REGISTERED');
+    }
+
+    const { rpID, challengeExpiresIn } = config.webauthn;
+
+    return await generateAuthenticationOptions({
+      rpID,
+      allowCredentials: credentials.map(credential => ({ id: credential.credentialId, transports: credential.transports })),
+      challenge: await tokenService.createOneTimeToken(TOKEN_PURPOSES.WEBAUTHN_AUTHENTICATION, { userId: ownerId }, challengeExpiresIn),
+      timeout: challengeExpiresIn * 1000,
+      userVerification,
+    });
+  }
+
+  /**
+   * 验证认证结果
+   * 签名计数器没有增长时视为验证器可能被复制，拒绝认证并通知用户
+   * @param {Object} response - navigator.credentials.get()的结果（AuthenticationResponseJSON）
+   * @param {Object} options - 验证选项
+   * @param {string} options.userId - 期望的用户ID（作为第二因素时）
+   * @param {boolean} options.requireUserVerification - 是否要求验证器完成用户验证（免密码登录时必须）
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Model>} - 通过认证的凭据
+   */
+  async verifyAuthentication(response, { userId = null, requireUserVerification = false } = {}, dbType) {
+    const challenge = readChallenge(response);
+    const payload = await tokenService.consumeOneTimeToken(TOKEN_PURPOSES.WEBAUTHN_AUTHENTICATION, challenge);
+
+    if (!payload) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '认证请求不存在或已过期，请重新开始', 'AUTH_WEBAUTHN_CHALLENGE_EXPIRED');
+    }
+
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    const credential = await WebAuthnCredential.findOne({ where: { credentialId: response.id } });
+    const expectedUserId = userId || payload.userId;
+    const userHandle = response.response.userHandle ? isoBase64URL.toUTF8String(response.response.userHandle) : null;
+
+    if (!credential || (payload.userId && payload.userId !== expectedUserId) || (expectedUserId && credential.userId !== expectedUserId) || (userHandle && userHandle !== credential.userId)) {
+      throw new ApiError(statusCodes.UNAUTHORIZED, '通行密钥验证失败', 'AUTH_WEBAUTHN_FAILED');
+    }
+
+    const { authenticationInfo } = await verifyCeremony(
+      () =>
+        verifyAuthenticationResponse({
+          response,
+          expectedChallenge: isoBase64URL.fromUTF8String(challenge),
+          expectedOrigin: config.webauthn.origins,
+          expectedRPID: config.webauthn.rpID,
+          // 计数器在签名验证通过后单独检查，以便记录异常
+          credential: { id: credential.credentialId, publicKey: isoBase64URL.toBuffer(credential.publicKey), counter: 0, transports: credential.transports },
+          requireUserVerification,
+        }),
+      statusCodes.UNAUTHORIZED,
+      '通行密钥验证失败',
+      'AUTH_WEBAUTHN_FAILED'
+    );
+
+    const { newCounter, credentialBackedUp } = authenticationInfo;
+    const storedCounter = Number(credential.counter);
+
+    // 不支持计数器的验证器（如可同步的通行密钥）始终返回0
+    if ((newCounter > 0 || storedCounter > 0) && newCounter <= storedCounter) {
+      logger.warn('WebAuthn签名计数器异常', { userId: credential.userId, credentialId: credential.id, storedCounter, newCounter });
+      logger.audit(credential.userId, 'webauthn_counter_mismatch', 'user', { id: credential.userId, credentialId: credential.id, storedCounter, newCounter });
+
+      const User = await this.getUserModel(dbType);
+      const user = await User.findByPk(credential.userId);
+      if (user) {
+        await mailService.sendSecurityAlert(user, 'webauthn_counter_mismatch', { device: credential.name });
+      }
+
+      throw new ApiError(statusCodes.UNAUTHORIZED, '通行密钥签名计数异常，可能已被复制，请联系管理员', 'AUTH_WEBAUTHN_COUNTER_MISMATCH');
+    }
+
+    await credential.update({ counter: newCounter, backedUp: credentialBackedUp, lastUsedAt: new Date() });
+
+    return credential;
+  }
+
+  /**
+   * 获取用户注册的凭据
+   * @param {string} userId - 用户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<Array>} - 凭据列表
+   */
+  async listCredentials(userId, dbType) {
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    const credentials = await WebAuthnCredential.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+    });
+
+    return credentials.map(credential => this.sanitizeCredential(credential));
+  }
+
+  /**
+   * 检查用户是否注册了凭据
+   * @param {string} userId - 用户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 是否已注册
+   */
+  async hasCredentials(userId, dbType) {
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    return (await WebAuthnCredential.count({ where: { userId } })) > 0;
+  }
+
+  /**
+   * 删除凭据
+   * @param {string} userId - 用户ID
+   * @param {string} credentialId - 凭据记录ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async removeCredential(userId, credentialId, dbType) {
+    const User = await this.getUserModel(dbType);
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    const credential = await WebAuthnCredential.findOne({ where: { id: credentialId, userId } });
+
+    if (!credential) {
+      throw new ApiError(statusCodes.NOT_FOUND, '通行密钥不存在', 'AUTH_WEBAUTHN_CREDENTIAL_NOT_FOUND');
+    }
+
+    await credential.destroy();
+
+    // 记录审计日志
+    logger.audit(userId, 'remove_webauthn_credential', 'user', { id: userId, credentialId });
+
+    const user = await User.findByPk(userId);
+    if (user) {
+      await mailService.sendSecurityAlert(user, 'webauthn_removed', { device: credential.name });
+    }
+
+    return true;
+  }
+
+  /**
+   * 删除用户的全部凭据（管理员重置多因素认证时使用）
+   * @param {string} userId - 用户ID
+   * @param {string} dbType - 数据库类型
+   * @returns {Promise<number>} - 删除的凭据数量
+   */
+  async removeAllCredentials(userId, dbType) {
+    const WebAuthnCredential = await this.getCredentialModel(dbType);
+    return await WebAuthnCredential.destroy({ where: { userId } });
+  }
+
+  /**
+   * 移除凭据中不需要返回给前端的字段
+   * @param {Model} credential - 凭据实例
+   * @returns {Object} - 凭据信息
+   */
+  sanitizeCredential(credential) {
+    const { id, name, deviceType, backedUp, transports, createdAt, lastUsedAt } = credential;
+    return { id, name, deviceType, backedUp, transports, createdAt, lastUsedAt };
+  }
+}
+
+/**
+ * 从客户端数据中读取挑战（即一次性令牌）
+ * @param {Object} response - 注册或认证结果
+ * @returns {string|null} - 挑战，格式不正确时返回null
+ */
+function readChallenge(response) {
+  try {
+    return isoBase64URL.toUTF8String(decodeClientDataJSON(response.response.clientDataJSON).challenge);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 执行注册或认证的校验，将校验失败转换为ApiError
+ * @param {Function} verifier - 校验函数
+ * @param {number} statusCode - 校验失败时的状态码
+ * @param {string} message - 校验失败时的提示
+ * @param {string} code - 校验失败时的错误码
+ * @returns {Promise<Object>} - 校验结果
+ */
+async function verifyCeremony(verifier, statusCode, message, code) {
+  let verification;
+
+  try {
+    verification = await verifier();
+  } catch (error) {
+    logger.warn('WebAuthn校验失败', { error: error.message });
+    throw new ApiError(statusCode, message, code);
+  }
+
+  if (!verification.verified) {
+    throw new ApiError(statusCode, message, code);
+  }
+
+  return verification;
+}
+
+module.exports = new WebAuthnService();
@@ -0,0 +1,55 @@
+/**
+ * 邮件模板文案（英文）
+ * 每个模板返回 { subject, heading, paragraphs, action }，由模板渲染器统一生成HTML和纯文本
+ */
+
+// 安全事件描述
+const SECURITY_EVENTS = {
+  password_changed: 'your password was changed',
+  password_reset: 'your password was reset by email',
+  mfa_disabled: 'multi-factor authentication was disabled',
+  mfa_reset: 'multi-factor authentication was reset by an administrator',
+  webauthn_registered: 'a new passkey was added',
+  webauthn_removed: 'a passkey was removed',
+  webauthn_counter_mismatch: 'a possibly cloned passkey was detected and the sign-in was rejected',
+  suspicious_login: 'a sign-in from a new device or IP address',
+  login_failure_burst: 'several failed sign-in attempts in a short time',
+};
+
+module.exports = {
+  emailVerification: ({ username, url, expiresInHours }) => ({
+    subject: 'Please verify your email address',
+    heading: `Hi ${username},`,
+    paragraphs: ['Thanks for signing up. Please confirm your email address by clicking the button below.', `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`],
+    action: { label: 'Verify email', url },
+  }),
+
+  passwordReset: ({ username, url, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    heading: `Hi ${username},`,
+    paragraphs: [
+      'We received a request to reset the password for your account. Click the button below to choose a new password.',
+      `This link expires in ${expiresInMinutes} minutes. If you did not request a password reset, you can ignore this email and your password will not change.`,
+    ],
+    action: { label: 'Reset password', url },
+  }),
+
+  magicLink: ({ username, url, expiresInMinutes }) => ({
+    subject: 'Your sign-in link',
+    heading: `Hi ${username},`,
+    paragraphs: ['Click the button below to sign in to your account without a password.', `This link can be used once and expires in ${expiresInMinutes} minutes. If you did not request it, you can ignore this email.`],
+    action: { label: 'Sign in', url },
+  }),
+
+  securityAlert: ({ username, event, time, ip, device }) => ({
+    subject: 'Security alert for your account',
+    heading: `Hi ${username},`,
+    paragraphs: [
+      `The following change was just made to your account: ${SECURITY_EVENTS[event] || event}.`,
+      `Time: ${time}${ip ? `, IP address: ${ip}` : ''}${device ? `, device: ${device}` : ''}`,
+      'If this was not you, reset your password immediately and contact your administrator.',
+    ],
+  }),
+
+  footer: 'This is an automated message, please do not reply.',
+};
@@ -0,0 +1,83 @@
+/**
+ * 邮件模板渲染器
+ * 根据语言选择模板文案，生成HTML和纯文本两种格式的邮件内容
+ */
+const { SUPPORTED_LOCALES } = require('../../constants/business');
+
+const locales = {
+  'zh-CN': require('./zh-CN'),
+  'en-US': require('./en-US'),
+};
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} value - 原始文本
+ * @returns {string} - 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * 解析语言，不支持的语言按语种匹配（如en匹配en-US），仍无匹配时使用默认语言
+ * @param {string} locale - 请求的语言
+ * @param {string} defaultLocale - 默认语言
+ * @returns {string} - 可用的语言
+ */
+function resolveLocale(locale, defaultLocale) {
+  if (locale && locales[locale]) {
+    return locale;
+  }
+
+  const language = locale && locale.split(/[-_]/)[0].toLowerCase();
+  const matched = SUPPORTED_LOCALES.find(supported => supported.split('-')[0] === language);
+
+  return matched || defaultLocale;
+}
+
+/**
+ * 渲染邮件
+ * @param {string} name - 模板名称
+ * @param {string} locale - 语言
+ * @param {Object} data - 模板数据
+ * @param {string} defaultLocale - 默认语言
+ * @returns {Object} - { subject, html, text }
+ */
+function render(name, locale, data, defaultLocale = 'zh-CN') {
+  const messages = locales[resolveLocale(locale, defaultLocale)];
+  const template = messages[name];
+
+  if (typeof template !== 'function') {
+    throw new Error(`邮件模板不存在: ${name}`);
+  }
+
+  const { subject, heading, paragraphs, action } = template(data);
+
+  const text = [heading, '', ...paragraphs.flatMap(paragraph => [paragraph, '']), ...(action ? [`${action.label}: ${action.url}`, ''] : []), '--', messages.footer].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="font-family: -apple-system, 'Segoe UI', 'PingFang SC', 'Microsoft YaHei', sans-serif; color: #333; line-height: 1.6;">
+  <div style="max-width: 560px; margin: 0 auto; padding: 24px;">
+    <p><strong>${escapeHtml(heading)}</strong></p>
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${
+      action
+        ? `<p style="margin: 32px 0;"><a href="${escapeHtml(action.url)}" style="background: #1a73e8; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">${escapeHtml(action.label)}</a></p>
+    <p style="font-size: 12px; color: #888;">${escapeHtml(action.url)}</p>`
+        : ''
+    }
+    <hr style="border: none; border-top: 1px solid #eee;">
+    <p style="font-size: 12px; color: #888;">${escapeHtml(messages.footer)}</p>
+  </div>
+</body>
+</html>`;
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  render,
+  resolveLocale,
+};
@@ -0,0 +1,48 @@
+/**
+ * 邮件模板文案（简体中文）
+ * 每个模板返回 { subject, heading, paragraphs, action }，由模板渲染器统一生成HTML和纯文本
+ */
+
+// 安全事件描述
+const SECURITY_EVENTS = {
+  password_changed: '密码已修改',
+  password_reset: '密码已通过邮件重置',
+  mfa_disabled: '多因素认证已停用',
+  mfa_reset: '多因素认证已被管理员重置',
+  webauthn_registered: '添加了新的通行密钥',
+  webauthn_removed: '删除了通行密钥',
+  webauthn_counter_mismatch: '检测到可能被复制的通行密钥，相关登录已被拒绝',
+  suspicious_login: '从新的设备或IP地址登录',
+  login_failure_burst: '短时间内多次登录失败',
+};
+
+module.exports = {
+  emailVerification: ({ username, url, expiresInHours }) => ({
+    subject: '请验证您的邮箱地址',
+    heading: `${username}，您好`,
+    paragraphs: ['感谢您的注册。请点击下方按钮验证您的邮箱地址。', `该链接将在${expiresInHours}小时后失效。如果这不是您本人的操作，请忽略此邮件。`],
+    action: { label: '验证邮箱', url },
+  }),
+
+  passwordReset: ({ username, url, expiresInMinutes }) => ({
+    subject: '重置您的密码',
+    heading: `${username}，您好`,
+    paragraphs: ['我们收到了重置您账户密码的请求。请点击下方按钮设置新密码。', `该链接将在${expiresInMinutes}分钟后失效。如果您没有申请重置密码，请忽略此邮件，您的密码不会被更改。`],
+    action: { label: '重置密码', url },
+  }),
+
+  magicLink: ({ username, url, expiresInMinutes }) => ({
+    subject: '您的登录链接',
+    heading: `${username}，您好`,
+    paragraphs: ['请点击下方按钮登录您的账户，无需输入密码。', `该链接只能使用一次，将在${expiresInMinutes}分钟后失效。如果这不是您本人的操作，请忽略此邮件。`],
+    action: { label: '登录', url },
+  }),
+
+  securityAlert: ({ username, event, time, ip, device }) => ({
+    subject: '账户安全提醒',
+    heading: `${username}，您好`,
+    paragraphs: [`您的账户刚刚发生了以下操作：${SECURITY_EVENTS[event] || event}。`, `时间：${time}${ip ? `，IP地址：${ip}` : ''}${device ? `，设备：${device}` : ''}`, '如果这不是您本人的操作，请立即重置密码并联系管理员。'],
+  }),
+
+  footer: '此邮件由系统自动发送，请勿直接回复。',
+};
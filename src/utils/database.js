@@ -1,25 +1,99 @@
 /**
  * 数据库连接工具
  * 支持MySQL、Oracle、PostgreSQL和达梦数据库
+ * schema隔离模式下每个租户的数据保存在独立的schema中，按请求上下文中的租户切换连接的当前schema；
+ * database隔离模式下每个租户使用独立的数据库，按请求上下文中的租户返回该租户的数据库连接
+ * 行级隔离模式下有tenantId字段的模型按请求上下文中的租户自动过滤查询、填入新建数据的租户
  */
-const { Sequelize } = require('sequelize');
+const { Op, QueryTypes, Sequelize } = require('sequelize');
 const logger = require('./logger');
+const requestContext = require('./requestContext');
+const { decrypt } = require('./encryption');
 const config = require('../config');
-const { DATABASE_TYPES } = require('../constants/business');
+const { DATABASE_TYPES, TENANT_ISOLATION } = require('../constants/business');
 
 // 导入数据库模型
 const UserModel = require('../models/user');
+const ApiKeyModel = require('../models/apiKey');
+const RoleModel = require('../models/role');
+const UserIdentityModel = require('../models/userIdentity');
+const WebAuthnCredentialModel = require('../models/webAuthnCredential');
+const LoginEventModel = require('../models/loginEvent');
+const TenantModel = require('../models/tenant');
 
 // 数据库连接对象
 const connections = {};
 
+// database隔离模式下已打开的租户数据库连接，按最近使用的顺序排列（最久未使用的在前）
+const tenantConnections = new Map();
+
+// 已移出缓存的租户数据库连接，可能仍被正在处理的请求使用，空闲超时后关闭
+const retiredTenantConnections = new Set();
+
+// schema隔离模式下不支持schema限定表名的数据库（MySQL）用于平台级数据的连接，不随请求切换schema
+const platformConnections = {};
+
+// schema/database隔离模式下保存在公共schema或公共数据库中的模型（平台级数据），其余模型每个租户各有一份
+const SHARED_MODELS = ['Tenant', 'Role'];
+
+// 各数据库的schema操作：默认schema、检查是否存在、创建、切换连接的当前schema，以及在底层连接上执行语句
+const SCHEMA_DIALECTS = {
+  [DATABASE_TYPES.MYSQL]: {
+    defaultSchema: ({ database }) => database,
+    exists: 'SELECT 1 FROM information_schema.schemata WHERE schema_name = :schema',
+    create: schema => [`CREATE SCHEMA \`${schema}\``],
+    use: schema => `USE \`${schema}\``,
+    execute: (connection, sql) => connection.promise().query(sql),
+  },
+  [DATABASE_TYPES.POSTGRES]: {
+    defaultSchema: () => 'public',
+    exists: 'SELECT 1 FROM information_schema.schemata WHERE schema_name = :schema',
+    create: schema => [`CREATE SCHEMA "${schema}"`],
+    use: schema => `SET search_path TO "${schema}"`,
+    execute: (connection, sql) => connection.query(sql),
+  },
+  // Oracle的schema即用户，租户schema使用不能登录的schema-only账户
+  [DATABASE_TYPES.ORACLE]: {
+    defaultSchema: ({ username }) => username.toUpperCase(),
+    exists: 'SELECT 1 FROM all_users WHERE username = :schema',
+    create: schema => [`CREATE USER "${schema}" NO AUTHENTICATION`, `GRANT UNLIMITED TABLESPACE TO "${schema}"`],
+    use: schema => `ALTER SESSION SET CURRENT_SCHEMA = "${schema}"`,
+    execute: (connection, sql) => connection.execute(sql),
+    upperCase: true,
+  },
+  // 达梦使用PostgreSQL方言连接，但schema语法与Oracle相同
+  [DATABASE_TYPES.DM]: {
+    defaultSchema: ({ username }) => username.toUpperCase(),
+    exists: "SELECT 1 FROM SYSOBJECTS WHERE NAME = :schema AND TYPE$ = 'SCH'",
+    create: schema => [`CREATE SCHEMA "${schema}"`],
+    use: schema => `SET SCHEMA "${schema}"`,
+    execute: (connection, sql) => connection.query(sql),
+    upperCase: true,
+  },
+};
+
+// 在公共数据库所在的服务器上检查和创建租户数据库的语句
+// Oracle和达梦的租户数据库需由DBA预先创建，并为租户配置数据库连接
+const DATABASE_DIALECTS = {
+  [DATABASE_TYPES.MYSQL]: {
+    exists: 'SELECT 1 FROM information_schema.schemata WHERE schema_name = :database',
+    create: database => `CREATE DATABASE \`${database}\``,
+  },
+  [DATABASE_TYPES.POSTGRES]: {
+    exists: 'SELECT 1 FROM pg_database WHERE datname = :database',
+    create: database => `CREATE DATABASE "${database}"`,
+  },
+};
+
 /**
  * 初始化MySQL连接
+ * @param {Object} settings - 连接配置，默认为配置文件中的公共数据库
+ * @param {Object} options - 模型选项（见initModels）
  * @returns {Promise<Sequelize>} - Sequelize连接实例
  */
-async function initMySQLConnection() {
+async function initMySQLConnection(settings = config.databases.mysql, options = {}) {
   try {
-    const { host, port, username, password, database, pool } = config.databases.mysql;
+    const { host, port, username, password, database, pool } = settings;
 
     logger.info('正在连接MySQL数据库...');
 
@@ -42,7 +116,7 @@ async function initMySQLConnection() {
     logger.info('MySQL数据库连接成功');
 
     // 初始化模型
-    initModels(sequelize);
+    initModels(sequelize, DATABASE_TYPES.MYSQL, options);
 
     return sequelize;
   } catch (error) {
@@ -53,11 +127,13 @@ async function initMySQLConnection() {
 
 /**
  * 初始化Oracle连接
+ * @param {Object} settings - 连接配置，默认为配置文件中的公共数据库
+ * @param {Object} options - 模型选项（见initModels）
  * @returns {Promise<Sequelize>} - Sequelize连接实例
  */
-async function initOracleConnection() {
+async function initOracleConnection(settings = config.databases.oracle, options = {}) {
   try {
-    const { host, port, username, password, sid, pool } = config.databases.oracle;
+    const { host, port, username, password, sid, pool } = settings;
 
     logger.info('正在连接Oracle数据库...');
 
@@ -78,7 +154,7 @@ async function initOracleConnection() {
     logger.info('Oracle数据库连接成功');
 
     // 初始化模型
-    initModels(sequelize);
+    initModels(sequelize, DATABASE_TYPES.ORACLE, options);
 
     return sequelize;
   } catch (error) {
@@ -89,11 +165,13 @@ async function initOracleConnection() {
 
 /**
  * 初始化PostgreSQL连接
+ * @param {Object} settings - 连接配置，默认为配置文件中的公共数据库
+ * @param {Object} options - 模型选项（见initModels）
  * @returns {Promise<Sequelize>} - Sequelize连接实例
  */
-async function initPostgresConnection() {
+async function initPostgresConnection(settings = config.databases.postgres, options = {}) {
   try {
-    const { host, port, username, password, database, pool } = config.databases.postgres;
+    const { host, port, username, password, database, pool } = settings;
 
     logger.info('正在连接PostgreSQL数据库...');
 
@@ -115,7 +193,7 @@ async function initPostgresConnection() {
     logger.info('PostgreSQL数据库连接成功');
 
     // 初始化模型
-    initModels(sequelize);
+    initModels(sequelize, DATABASE_TYPES.POSTGRES, options);
 
     return sequelize;
   } catch (error) {
@@ -126,11 +204,13 @@ async function initPostgresConnection() {
 
 /**
  * 初始化达梦数据库连接
+ * @param {Object} settings - 连接配置，默认为配置文件中的公共数据库
+ * @param {Object} options - 模型选项（见initModels）
  * @returns {Promise<Sequelize>} - Sequelize连接实例
  */
-async function initDMConnection() {
+async function initDMConnection(settings = config.databases.dm, options = {}) {
   try {
-    const { host, port, username, password, database, pool } = config.databases.dm;
+    const { host, port, username, password, database, pool } = settings;
 
     logger.info('正在连接达梦数据库...');
 
@@ -152,7 +232,7 @@ async function initDMConnection() {
     logger.info('达梦数据库连接成功');
 
     // 初始化模型
-    initModels(sequelize);
+    initModels(sequelize, DATABASE_TYPES.DM, options);
 
     return sequelize;
   } catch (error) {
@@ -164,14 +244,51 @@ async function initDMConnection() {
 /**
  * 初始化数据库模型
  * @param {Sequelize} sequelize - Sequelize实例
+ * @param {string} type - 数据库类型
+ * @param {Object} options - 选项
+ * @param {Object} options.tenant - 租户数据库所属的租户，租户数据库中没有平台级数据的模型
+ * @param {boolean} options.platform - 是否为不切换schema的平台级数据连接
  */
-function initModels(sequelize) {
+function initModels(sequelize, type, options = {}) {
   // 初始化模型
   const models = {
+    Tenant: TenantModel(sequelize),
     User: UserModel(sequelize),
+    ApiKey: ApiKeyModel(sequelize),
+    Role: RoleModel(sequelize),
+    UserIdentity: UserIdentityModel(sequelize),
+    WebAuthnCredential: WebAuthnCredentialModel(sequelize),
+    LoginEvent: LoginEventModel(sequelize),
     // 在此处添加其他模型
   };
 
+  // 平台级数据只保存在公共数据库中
+  if (options.tenant) {
+    SHARED_MODELS.forEach(name => {
+      delete models[name];
+    });
+  }
+
+  // schema隔离模式下平台级数据固定在公共schema中，不随请求切换
+  // 不支持schema限定表名的数据库（MySQL的.schema()会生成`shared.Tenants`这样的单个标识符）不在此连接上提供，
+  // 由getSharedConnection换成平台级数据连接上的模型，租户的表也不建立到公共数据库的外键
+  if (isSchemaIsolation() && !options.platform) {
+    SHARED_MODELS.forEach(name => {
+      if (sequelize.dialect.supports.schemas) {
+        models[name] = models[name].schema(getSharedSchema(type));
+      } else {
+        delete models[name];
+      }
+    });
+  }
+
+  // 有tenantId字段的模型在行级隔离模式下自动按请求所属的租户过滤和写入
+  Object.values(models).forEach(model => {
+    if (model.rawAttributes.tenantId) {
+      enableTenantScope(model);
+    }
+  });
+
   // 建立模型之间的关联关系
   Object.keys(models).forEach(modelName => {
     if (models[modelName].associate) {
@@ -185,34 +302,64 @@ function initModels(sequelize) {
 
 /**
  * 获取数据库连接
+ * database隔离模式下请求上下文中有租户时返回该租户的数据库连接，否则返回公共数据库连接
  * @param {string} type - 数据库类型 (mysql, oracle, postgres, dm)
  * @returns {Promise<Sequelize>} - 数据库连接实例
  */
 async function getConnection(type = DATABASE_TYPES.MYSQL) {
-  // 如果连接已存在，直接返回
-  if (connections[type]) {
-    return connections[type];
-  }
+  const tenant = isDatabaseIsolation() ? requestContext.get('tenant') : null;
 
-  let connection;
+  return tenant ? getTenantConnection(tenant, type) : getSharedConnection(type);
+}
 
+/**
+ * 打开数据库连接
+ * @param {string} type - 数据库类型
+ * @param {Object} settings - 连接配置
+ * @param {Object} options - 模型选项（见initModels）
+ * @returns {Promise<Sequelize>} - 数据库连接实例
+ */
+async function openConnection(type, settings, options) {
   // 根据类型初始化不同的数据库连接
   switch (type) {
     case DATABASE_TYPES.MYSQL:
-      connection = await initMySQLConnection();
-      break;
+      return initMySQLConnection(settings, options);
     case DATABASE_TYPES.ORACLE:
-      connection = await initOracleConnection();
-      break;
+      return initOracleConnection(settings, options);
     case DATABASE_TYPES.POSTGRES:
-      connection = await initPostgresConnection();
-      break;
+      return initPostgresConnection(settings, options);
     case DATABASE_TYPES.DM:
-      connection = await initDMConnection();
-      break;
+      return initDMConnection(settings, options);
     default:
       throw new Error(`不支持的数据库类型: ${type}`);
   }
+}
+
+/**
+ * 获取公共数据库连接（保存租户、角色等平台数据）
+ * @param {string} type - 数据库类型 (mysql, oracle, postgres, dm)
+ * @returns {Promise<Sequelize>} - 数据库连接实例
+ */
+async function getSharedConnection(type = DATABASE_TYPES.MYSQL) {
+  // 如果连接已存在，直接返回
+  if (connections[type]) {
+    return connections[type];
+  }
+
+  const connection = await openConnection(type);
+
+  if (isSchemaIsolation()) {
+    enableSchemaRouting(connection, type);
+
+    if (!connection.dialect.supports.schemas) {
+      const platform = platformConnections[type] || (await openConnection(type, undefined, { platform: true }));
+      platformConnections[type] = platform;
+
+      SHARED_MODELS.forEach(name => {
+        connection.models[name] = platform.models[name];
+      });
+    }
+  }
 
   // 缓存连接
   connections[type] = connection;
@@ -220,6 +367,399 @@ async function getConnection(type = DATABASE_TYPES.MYSQL) {
   return connection;
 }
 
+/**
+ * 是否启用了schema隔离模式
+ * @returns {boolean}
+ */
+function isSchemaIsolation() {
+  return config.tenancy.isolation === TENANT_ISOLATION.SCHEMA;
+}
+
+/**
+ * 是否启用了database隔离模式
+ * @returns {boolean}
+ */
+function isDatabaseIsolation() {
+  return config.tenancy.isolation === TENANT_ISOLATION.DATABASE;
+}
+
+/**
+ * 是否按请求所属的租户切换数据（schema或database隔离模式）
+ * @returns {boolean}
+ */
+function isTenantIsolated() {
+  return isSchemaIsolation() || isDatabaseIsolation();
+}
+
+/**
+ * 获取行级隔离模式下当前操作限定的租户
+ * 请求上下文中有租户时（用户认证后由认证中间件确定）限定为该租户，租户ID为空时限定为不属于任何租户的数据；
+ * 在withoutTenantScope中执行或查询选项中指定tenantScope: false时不限定
+ * @param {Object} options - 查询选项
+ * @returns {Object|null} - 限定条件（tenantId），不限定租户时返回null
+ */
+function getTenantScope(options = {}) {
+  if (isTenantIsolated() || options.tenantScope === false || requestContext.get('tenantScope') === false) {
+    return null;
+  }
+
+  const tenant = requestContext.get('tenant');
+  return tenant ? { tenantId: tenant.id } : null;
+}
+
+/**
+ * 为模型添加租户范围钩子：查询、统计、批量修改和批量删除只作用于当前租户的数据，
+ * 新建的数据未指定租户时写入当前租户，写入其他租户的数据时报错
+ * @param {Model} model - 有tenantId字段的模型
+ */
+function enableTenantScope(model) {
+  const scopeWhere = options => {
+    const scope = getTenantScope(options);
+
+    if (scope) {
+      options.where = options.where ? { [Op.and]: [options.where, scope] } : { ...scope };
+    }
+  };
+
+  const stampTenant = (instance, options) => {
+    const scope = getTenantScope(options);
+
+    if (!scope) {
+      return;
+    }
+
+    // 只为新建的数据填入租户，已有的数据不能被移到当前租户
+    if ((instance.tenantId === null || instance.tenantId === undefined) && instance.isNewRecord !== false) {
+      instance.tenantId = scope.tenantId;
+    } else if (instance.tenantId !== scope.tenantId) {
+      throw new Error(`不能写入其他租户的数据: ${model.name}`);
+    }
+  };
+
+  model.addHook('beforeFind', scopeWhere);
+  model.addHook('beforeCount', scopeWhere);
+  model.addHook('beforeBulkDestroy', scopeWhere);
+  model.addHook('beforeBulkUpdate', options => {
+    if (options.attributes && options.attributes.tenantId !== undefined) {
+      stampTenant(options.attributes, options);
+    }
+    scopeWhere(options);
+  });
+  model.addHook('beforeSave', stampTenant);
+  model.addHook('beforeBulkCreate', (instances, options) => instances.forEach(instance => stampTenant(instance, options)));
+}
+
+/**
+ * 在不限定租户的上下文中执行函数（行级隔离模式下用于需要访问所有租户数据的管理操作，如检查全局唯一性）
+ * @param {Function} callback - 要执行的函数
+ * @returns {Promise<any>} - 函数的返回值
+ */
+async function withoutTenantScope(callback) {
+  return requestContext.extend({ tenantScope: false }, callback);
+}
+
+/**
+ * 获取公共schema（保存租户、角色等平台数据以及不属于任何租户的用户）
+ * @param {string} type - 数据库类型
+ * @returns {string} - schema名称
+ */
+function getSharedSchema(type) {
+  return config.tenancy.sharedSchema || SCHEMA_DIALECTS[type].defaultSchema(config.databases[type]);
+}
+
+/**
+ * 获取租户的schema名称：前缀加租户标识，连字符替换为下划线（Oracle和达梦使用大写）
+ * @param {Object} tenant - 租户（需要slug）
+ * @param {string} type - 数据库类型
+ * @returns {string} - schema名称
+ */
+function getTenantSchema(tenant, type = DATABASE_TYPES.MYSQL) {
+  const schema = `${config.tenancy.schemaPrefix}${tenant.slug.replace(/-/g, '_')}`;
+  return SCHEMA_DIALECTS[type].upperCase ? schema.toUpperCase() : schema;
+}
+
+/**
+ * 按请求上下文中的租户切换连接的当前schema
+ * 每次从连接池取出连接时检查，没有租户时切换回公共schema；连接上记录当前schema，未变化时不重复切换
+ * @param {Sequelize} sequelize - Sequelize实例
+ * @param {string} type - 数据库类型
+ */
+function enableSchemaRouting(sequelize, type) {
+  const dialect = SCHEMA_DIALECTS[type];
+  const sharedSchema = getSharedSchema(type);
+
+  sequelize.addHook('afterPoolAcquire', async connection => {
+    const tenant = requestContext.get('tenant');
+    const schema = tenant ? getTenantSchema(tenant, type) : sharedSchema;
+
+    if (connection.tenantSchema !== schema) {
+      await dialect.execute(connection, dialect.use(schema));
+      connection.tenantSchema = schema;
+    }
+  });
+}
+
+/**
+ * 在指定租户的上下文中执行函数，schema隔离模式下其中的数据库操作都在该租户的schema中执行
+ * @param {Object} tenant - 租户（需要id和slug）
+ * @param {Function} callback - 要执行的函数
+ * @returns {Promise<any>} - 函数的返回值
+ */
+async function withTenant(tenant, callback) {
+  return requestContext.run({ tenant: { id: tenant.id, slug: tenant.slug } }, callback);
+}
+
+/**
+ * 创建租户的schema并在其中创建数据表（已存在的schema和表保持不变，可重复执行以补齐新增的表）
+ * @param {Object} tenant - 租户（需要id和slug）
+ * @param {string} type - 数据库类型
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 是否强制重建表
+ */
+async function provisionTenantSchema(tenant, type = DATABASE_TYPES.MYSQL, { force = false } = {}) {
+  const sequelize = await getSharedConnection(type);
+  const dialect = SCHEMA_DIALECTS[type];
+  const schema = getTenantSchema(tenant, type);
+
+  // 在公共schema的连接上创建租户schema（切换到不存在的schema会失败）
+  await requestContext.run({}, async () => {
+    const existing = await sequelize.query(dialect.exists, { replacements: { schema }, type: QueryTypes.SELECT });
+
+    if (existing.length === 0) {
+      logger.info('正在创建租户schema...', { tenantId: tenant.id, schema });
+
+      for (const sql of dialect.create(schema)) {
+        await sequelize.query(sql);
+      }
+    }
+  });
+
+  // 在租户schema中创建租户级数据表；表名带schema限定，外键引用的未限定表名按当前schema解析
+  // 不支持schema限定表名的数据库使用未限定的表名，连接已切换到租户schema
+  await withTenant(tenant, async () => {
+    for (const [name, model] of Object.entries(sequelize.models)) {
+      if (!SHARED_MODELS.includes(name)) {
+        await (sequelize.dialect.supports.schemas ? model.schema(schema) : model).sync({ force });
+      }
+    }
+  });
+
+  logger.info('租户schema同步完成', { tenantId: tenant.id, schema });
+}
+
+/**
+ * 获取租户数据库的默认名称：前缀加租户标识，连字符替换为下划线
+ * @param {Object} tenant - 租户（需要slug）
+ * @returns {string} - 数据库名称
+ */
+function getTenantDatabaseName(tenant) {
+  return `${config.tenancy.databasePrefix}${tenant.slug.replace(/-/g, '_')}`;
+}
+
+/**
+ * 获取租户数据库的连接配置
+ * 租户配置了独立的数据库连接时使用该配置（加密保存在租户表中），否则使用公共数据库所在的服务器，数据库按租户标识命名
+ * @param {Object} tenant - 租户（需要id）
+ * @param {string} type - 数据库类型
+ * @returns {Promise<Object>} - settings为连接配置，dedicated表示是否为租户单独配置的数据库
+ */
+async function getTenantDatabaseSettings(tenant, type = DATABASE_TYPES.MYSQL) {
+  const { Tenant } = (await getSharedConnection(type)).models;
+  const row = await Tenant.findByPk(tenant.id, { attributes: ['id', 'slug', 'databaseConfig'] });
+
+  if (!row) {
+    throw new Error(`租户不存在: ${tenant.id}`);
+  }
+
+  const defaults = config.databases[type];
+  const dedicated = row.databaseConfig ? JSON.parse(decrypt(row.databaseConfig)) : null;
+
+  return {
+    // 租户连接池不保留空闲连接，避免租户较多时占满数据库的连接数
+    settings: { ...defaults, ...(dedicated || { database: getTenantDatabaseName(row) }), pool: { ...defaults.pool, min: 0 } },
+    dedicated: !!dedicated,
+  };
+}
+
+/**
+ * 获取租户的数据库连接
+ * 首次使用时打开并缓存，超过缓存上限时将最久未使用的连接移出缓存；
+ * 连接可能仍被之前取得它的请求使用，只有在空闲超时（期间没有被获取，也没有从连接池取出连接）后才关闭
+ * @param {Object} tenant - 租户（需要id）
+ * @param {string} type - 数据库类型
+ * @returns {Promise<Sequelize>} - 数据库连接实例
+ */
+async function getTenantConnection(tenant, type = DATABASE_TYPES.MYSQL) {
+  const key = `${type}:${tenant.id}`;
+  let entry = tenantConnections.get(key);
+
+  if (entry) {
+    // 重新插入，移到最近使用的位置
+    tenantConnections.delete(key);
+  } else {
+    entry = { tenantId: tenant.id };
+    entry.connection = openTenantConnection(tenant, type, entry);
+
+    // 打开失败时移除，下次重新打开
+    entry.connection.catch(() => {
+      if (tenantConnections.get(key) === entry) {
+        tenantConnections.delete(key);
+      }
+      retiredTenantConnections.delete(entry);
+    });
+  }
+
+  entry.lastUsed = Date.now();
+  tenantConnections.set(key, entry);
+  evictTenantConnections();
+
+  return entry.connection;
+}
+
+/**
+ * 打开租户的数据库连接，每次从连接池取出连接时更新缓存项的最近使用时间
+ * @param {Object} tenant - 租户（需要id）
+ * @param {string} type - 数据库类型
+ * @param {Object} entry - 缓存项
+ * @returns {Promise<Sequelize>} - 数据库连接实例
+ */
+async function openTenantConnection(tenant, type, entry) {
+  const { settings } = await getTenantDatabaseSettings(tenant, type);
+
+  logger.info('正在打开租户数据库连接...', { tenantId: tenant.id, database: settings.database || settings.sid });
+
+  const sequelize = await openConnection(type, settings, { tenant });
+
+  sequelize.addHook('afterPoolAcquire', () => {
+    entry.lastUsed = Date.now();
+  });
+  entry.sequelize = sequelize;
+
+  return sequelize;
+}
+
+/**
+ * 租户数据库连接是否已空闲超时（超时时间内没有被获取或取出连接，且当前没有正在使用或等待的连接）
+ * @param {Object} entry - 缓存项
+ * @param {number} now - 当前时间
+ * @returns {boolean}
+ */
+function isTenantEntryIdle(entry, now) {
+  if (!entry.sequelize || now - entry.lastUsed < config.tenancy.idleTimeout * 1000) {
+    return false;
+  }
+
+  const { pool } = entry.sequelize.connectionManager;
+  return !pool.using && !pool.waiting;
+}
+
+/**
+ * 将超过缓存上限或空闲超时的租户数据库连接移出缓存（从最久未使用的开始），关闭其中已空闲超时的连接
+ */
+function evictTenantConnections() {
+  const now = Date.now();
+
+  for (const [key, entry] of tenantConnections) {
+    if (tenantConnections.size <= config.tenancy.maxConnections && !isTenantEntryIdle(entry, now)) {
+      break;
+    }
+
+    tenantConnections.delete(key);
+    retiredTenantConnections.add(entry);
+  }
+
+  for (const entry of retiredTenantConnections) {
+    if (isTenantEntryIdle(entry, now)) {
+      retiredTenantConnections.delete(entry);
+      closeTenantEntry(entry);
+    }
+  }
+}
+
+/**
+ * 关闭缓存的租户数据库连接，等待正在执行的查询完成后释放连接池
+ * @param {Object} entry - 缓存项
+ * @returns {Promise<void>}
+ */
+async function closeTenantEntry(entry) {
+  try {
+    const sequelize = await entry.connection;
+    await sequelize.close();
+    logger.info('租户数据库连接已关闭', { tenantId: entry.tenantId });
+  } catch (error) {
+    logger.warn('关闭租户数据库连接失败', { tenantId: entry.tenantId, error: error.message });
+  }
+}
+
+/**
+ * 停止使用租户当前的数据库连接（如修改了租户的数据库连接配置），下次使用时按新配置重新打开
+ * 旧连接移出缓存，空闲超时后关闭
+ * @param {Object} tenant - 租户（需要id）
+ * @param {string} type - 数据库类型
+ */
+async function closeTenantConnection(tenant, type = DATABASE_TYPES.MYSQL) {
+  const key = `${type}:${tenant.id}`;
+  const entry = tenantConnections.get(key);
+
+  if (entry) {
+    tenantConnections.delete(key);
+    retiredTenantConnections.add(entry);
+  }
+
+  evictTenantConnections();
+}
+
+/**
+ * 创建租户的数据库并在其中创建数据表（已存在的数据库和表保持不变，可重复执行以补齐新增的表）
+ * 未为租户配置独立数据库时在公共数据库所在的服务器上创建数据库（只支持MySQL和PostgreSQL）
+ * @param {Object} tenant - 租户（需要id和slug）
+ * @param {string} type - 数据库类型
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 是否强制重建表
+ */
+async function provisionTenantDatabase(tenant, type = DATABASE_TYPES.MYSQL, { force = false } = {}) {
+  const { settings, dedicated } = await getTenantDatabaseSettings(tenant, type);
+
+  if (!dedicated) {
+    const dialect = DATABASE_DIALECTS[type];
+
+    if (!dialect) {
+      throw new Error(`${type}数据库不支持自动创建租户数据库，请预先创建数据库并为租户配置数据库连接`);
+    }
+
+    const shared = await getSharedConnection(type);
+    const existing = await shared.query(dialect.exists, { replacements: { database: settings.database }, type: QueryTypes.SELECT });
+
+    if (existing.length === 0) {
+      logger.info('正在创建租户数据库...', { tenantId: tenant.id, database: settings.database });
+      await shared.query(dialect.create(settings.database));
+    }
+  }
+
+  const sequelize = await getTenantConnection(tenant, type);
+
+  for (const model of Object.values(sequelize.models)) {
+    await model.sync({ force });
+  }
+
+  logger.info('租户数据库同步完成', { tenantId: tenant.id, database: settings.database || settings.sid });
+}
+
+/**
+ * 按隔离模式创建租户的schema或数据库以及其中的数据表，行级隔离模式下不需要处理
+ * @param {Object} tenant - 租户（需要id和slug）
+ * @param {string} type - 数据库类型
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 是否强制重建表
+ */
+async function provisionTenant(tenant, type = DATABASE_TYPES.MYSQL, options = {}) {
+  if (isSchemaIsolation()) {
+    await provisionTenantSchema(tenant, type, options);
+  } else if (isDatabaseIsolation()) {
+    await provisionTenantDatabase(tenant, type, options);
+  }
+}
+
 /**
  * 关闭所有数据库连接
  */
@@ -232,6 +772,18 @@ async function closeAllConnections() {
       delete connections[type];
     }
   }
+
+  for (const entry of [...tenantConnections.values(), ...retiredTenantConnections]) {
+    await closeTenantEntry(entry);
+  }
+
+  tenantConnections.clear();
+  retiredTenantConnections.clear();
+
+  for (const type in platformConnections) {
+    await platformConnections[type].close();
+    delete platformConnections[type];
+  }
 }
 
 /**
@@ -241,7 +793,7 @@ async function closeAllConnections() {
  */
 async function syncModels(type = DATABASE_TYPES.MYSQL, force = false) {
   try {
-    const sequelize = await getConnection(type);
+    const sequelize = await getSharedConnection(type);
 
     if (force) {
       logger.warn('正在强制重建数据库表...');
@@ -249,7 +801,16 @@ async function syncModels(type = DATABASE_TYPES.MYSQL, force = false) {
       logger.info('正在同步数据库模型...');
     }
 
-    await sequelize.sync({ force });
+    await requestContext.run({}, () => sequelize.sync({ force }));
+
+    // schema/database隔离模式下同步所有租户的schema或数据库
+    if (isTenantIsolated()) {
+      const tenants = await sequelize.models.Tenant.findAll({ attributes: ['id', 'slug'] });
+
+      for (const tenant of tenants) {
+        await provisionTenant(tenant, type, { force });
+      }
+    }
 
     logger.info('数据库模型同步完成');
   } catch (error) {
@@ -294,5 +855,16 @@ module.exports = {
   closeAllConnections,
   syncModels,
   transaction,
+  getSharedConnection,
+  getTenantConnection,
+  closeTenantConnection,
+  isSchemaIsolation,
+  isDatabaseIsolation,
+  isTenantIsolated,
+  getTenantSchema,
+  getTenantDatabaseSettings,
+  withTenant,
+  withoutTenantScope,
+  provisionTenant,
   DATABASE_TYPES,
 };
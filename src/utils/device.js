@@ -0,0 +1,43 @@
+/**
+ * 设备识别工具模块
+ * 根据User-Agent生成会话列表、登录记录中展示的设备描述
+ */
+
+/**
+ * 根据User-Agent生成可读的设备描述
+ * @param {string} userAgent - User-Agent请求头
+ * @returns {string} - 设备描述，如 "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return '未知设备';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent.slice(0, 100);
+  }
+
+  return [browser ? browser[0] : '未知浏览器', system ? system[0] : '未知系统'].join(' on ');
+}
+
+module.exports = {
+  describeDevice,
+};
@@ -0,0 +1,82 @@
+/**
+ * 加密工具模块
+ * 使用AES-256-GCM对需要可逆存储的敏感数据（如MFA密钥）进行加密
+ */
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * 由配置的加密密钥派生出32字节的AES密钥
+ * @returns {Buffer} - AES密钥
+ */
+function getKey() {
+  const secret = config.security?.encryptionKey;
+
+  if (!secret) {
+    throw new Error('未配置数据加密密钥 (ENCRYPTION_KEY)');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * 加密字符串
+ * @param {string} plaintext - 明文
+ * @returns {string} - 密文，格式为 iv.authTag.ciphertext（base64）
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * 解密字符串
+ * @param {string} payload - encrypt() 生成的密文
+ * @returns {string} - 明文
+ */
+function decrypt(payload) {
+  const [iv, authTag, ciphertext] = String(payload)
+    .split('.')
+    .map(part => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * 计算字符串的SHA-256哈希
+ * 适用于高熵随机值（令牌、恢复码），口令请使用bcrypt
+ * @param {string} value - 原始值
+ * @returns {string} - 十六进制哈希
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * 常量时间比较两个字符串，防止时序攻击
+ * @param {string} a - 字符串a
+ * @param {string} b - 字符串b
+ * @returns {boolean} - 是否相等
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hash,
+  safeEqual,
+};
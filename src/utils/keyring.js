@@ -0,0 +1,211 @@
+/**
+ * JWT签名密钥环
+ * 管理非对称签名密钥（RS256/ES256），密钥以`<kid>.pem`文件形式存放在密钥目录中：
+ * - 当前签名密钥由JWT_ACTIVE_KID指定，未指定时使用最新的私钥（多实例部署时建议显式指定）
+ * - 目录中的其他密钥（包括只保留公钥的已退役密钥）仍可用于验证，保证轮换期间旧令牌继续有效
+ *
+ * 密钥轮换步骤：
+ * 1. 生成新密钥（npm run keys:generate）并分发到所有实例，此时新密钥只用于验证
+ * 2. 将JWT_ACTIVE_KID切换为新密钥，新令牌开始使用新密钥签名
+ * 3. 超过访问令牌有效期后，删除旧密钥文件
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+// 支持的非对称签名算法
+const ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'prime256v1' } },
+};
+
+// 遇到未知kid时重新加载密钥目录的最小间隔（毫秒）
+const RELOAD_INTERVAL = 60 * 1000;
+
+/**
+ * 根据密钥类型推断签名算法
+ * @param {crypto.KeyObject} keyObject - 密钥
+ * @returns {string|null} - 签名算法
+ */
+function detectAlgorithm(keyObject) {
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  return null;
+}
+
+class Keyring {
+  constructor() {
+    this.keys = null;
+    this.activeKid = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * 是否使用对称签名（HS256，共享config.jwt.secret）
+   * @returns {boolean}
+   */
+  isSymmetric() {
+    return config.jwt.algorithm === 'HS256';
+  }
+
+  /**
+   * 获取密钥目录
+   * @returns {string} - 密钥目录绝对路径
+   */
+  getKeysDir() {
+    return path.resolve(config.jwt.keysDir);
+  }
+
+  /**
+   * 从密钥目录加载所有密钥
+   */
+  load() {
+    const dir = this.getKeysDir();
+    const keys = new Map();
+
+    if (fs.existsSync(dir)) {
+      const files = fs
+        .readdirSync(dir)
+        .filter(file => file.endsWith('.pem'))
+        .map(file => ({ file, mtime: fs.statSync(path.join(dir, file)).mtimeMs }))
+        .sort((a, b) => a.mtime - b.mtime);
+
+      for (const { file } of files) {
+        const kid = path.basename(file, '.pem');
+        const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+
+        let privateKey = null;
+        let publicKey;
+        try {
+          if (pem.includes('PRIVATE KEY')) {
+            privateKey = crypto.createPrivateKey(pem);
+            publicKey = crypto.createPublicKey(privateKey);
+          } else {
+            publicKey = crypto.createPublicKey(pem);
+          }
+        } catch (error) {
+          logger.warn('无法解析JWT密钥文件', { file, error: error.message });
+          continue;
+        }
+
+        const algorithm = detectAlgorithm(publicKey);
+        if (!algorithm) {
+          logger.warn('不支持的JWT密钥类型，仅支持RSA和P-256椭圆曲线密钥', { file });
+          continue;
+        }
+
+        keys.set(kid, { kid, algorithm, privateKey, publicKey });
+      }
+    }
+
+    // 开发环境下没有密钥时自动生成
+    if (keys.size === 0 && config.jwt.autoGenerateKeys) {
+      const kid = this.generateKey(config.jwt.algorithm, dir);
+      logger.info('已自动生成JWT签名密钥', { kid, dir });
+      return this.load();
+    }
+
+    // 确定当前签名密钥
+    const signingKids = [...keys.values()].filter(key => key.privateKey).map(key => key.kid);
+    const activeKid = config.jwt.activeKid || signingKids[signingKids.length - 1];
+
+    if (!activeKid || !keys.has(activeKid) || !keys.get(activeKid).privateKey) {
+      throw new Error(`未找到可用的JWT签名私钥${config.jwt.activeKid ? `: ${config.jwt.activeKid}` : ''}，请检查密钥目录 ${dir}`);
+    }
+
+    this.keys = keys;
+    this.activeKid = activeKid;
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * 确保密钥已加载
+   */
+  ensureLoaded() {
+    if (!this.keys) {
+      this.load();
+    }
+  }
+
+  /**
+   * 获取当前签名密钥
+   * @returns {Object} - 密钥信息（kid、algorithm、privateKey）
+   */
+  getSigningKey() {
+    this.ensureLoaded();
+    return this.keys.get(this.activeKid);
+  }
+
+  /**
+   * 根据kid获取验证公钥
+   * 其他实例已轮换到新密钥时，会重新加载密钥目录
+   * @param {string} kid - 密钥ID
+   * @returns {Object|null} - 密钥信息（kid、algorithm、publicKey）
+   */
+  getVerificationKey(kid) {
+    if (this.isSymmetric()) {
+      return null;
+    }
+
+    this.ensureLoaded();
+
+    if (!this.keys.has(kid) && Date.now() - this.loadedAt >= RELOAD_INTERVAL) {
+      this.load();
+    }
+
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * 获取JWKS（JSON Web Key Set），供其他服务验证令牌
+   * @returns {Object} - { keys: [...] }
+   */
+  getJwks() {
+    if (this.isSymmetric()) {
+      return { keys: [] };
+    }
+
+    this.ensureLoaded();
+
+    return {
+      keys: [...this.keys.values()].map(({ kid, algorithm, publicKey }) => ({
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg: algorithm,
+        use: 'sig',
+      })),
+    };
+  }
+
+  /**
+   * 生成新的签名密钥并写入密钥目录
+   * @param {string} algorithm - 签名算法（RS256或ES256）
+   * @param {string} dir - 密钥目录
+   * @returns {string} - 新密钥的kid
+   */
+  generateKey(algorithm = 'RS256', dir = this.getKeysDir()) {
+    const spec = ALGORITHMS[algorithm];
+
+    if (!spec) {
+      throw new Error(`不支持的签名算法: ${algorithm}，可选值: ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync(spec.type, spec.options);
+    const kid = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    return kid;
+  }
+}
+
+module.exports = new Keyring();
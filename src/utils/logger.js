@@ -7,6 +7,7 @@ const path = require('path');
 const fs = require('fs');
 const { format } = winston;
 const config = require('../config');
+const requestContext = require('./requestContext');
 
 // 确保日志目录存在
 const logDir = config.logger?.dir || 'logs';
@@ -86,13 +87,17 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 // 审计日志记录方法
+// 模拟登录期间同时记录真实操作者和被模拟的用户
 logger.audit = (userId, action, resource, details = {}) => {
+  const user = requestContext.get('user');
+
   logger.info('审计日志', {
     audit: true,
     userId,
     action,
     resource,
     details,
+    ...(user && user.impersonator ? { impersonation: { actorId: user.impersonator.id, actorUsername: user.impersonator.username, subjectId: user.id } } : {}),
     timestamp: new Date().toISOString(),
   });
 };
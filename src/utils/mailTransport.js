@@ -0,0 +1,78 @@
+/**
+ * 邮件传输工具模块
+ * 根据配置创建邮件传输：
+ * - smtp: 通过SMTP服务器发送（生产环境）
+ * - file: 将邮件以.eml文件写入目录（测试环境，便于断言邮件内容）
+ * - console: 将邮件内容输出到日志（开发环境）
+ */
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+/**
+ * 创建文件传输
+ * @param {string} dir - 邮件保存目录
+ * @returns {Object} - 传输对象
+ */
+function createFileTransport(dir) {
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async sendMail(message) {
+      const info = await transport.sendMail(message);
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, info.message);
+
+      return { messageId: info.messageId, file };
+    },
+  };
+}
+
+/**
+ * 创建控制台传输
+ * @returns {Object} - 传输对象
+ */
+function createConsoleTransport() {
+  return {
+    async sendMail(message) {
+      logger.info('邮件（控制台传输，未实际发送）', {
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+
+      return { messageId: null };
+    },
+  };
+}
+
+/**
+ * 根据配置创建邮件传输
+ * @param {Object} mailConfig - 邮件配置（config.mail）
+ * @returns {Object} - 具有sendMail(message)方法的传输对象
+ */
+function createTransport(mailConfig) {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: mailConfig.smtp.host,
+        port: mailConfig.smtp.port,
+        secure: mailConfig.smtp.secure,
+        auth: mailConfig.smtp.user ? { user: mailConfig.smtp.user, pass: mailConfig.smtp.password } : undefined,
+      });
+    case 'file':
+      return createFileTransport(path.resolve(mailConfig.fileDir));
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`不支持的邮件传输方式: ${mailConfig.transport}`);
+  }
+}
+
+module.exports = {
+  createTransport,
+};
@@ -140,6 +140,24 @@ class RedisClient {
     }
   }
 
+  /**
+   * 仅在键不存在时设置缓存（原子操作）
+   * @param {string} key - 缓存键
+   * @param {any} value - 要缓存的值
+   * @param {number} ttl - 过期时间（秒）
+   * @returns {Promise<boolean|null>} - 是否设置成功（键已存在时返回false，Redis出错时返回null）
+   */
+  async setIfNotExists(key, value, ttl = CACHE_TTL.MEDIUM) {
+    try {
+      await this.ensureConnection();
+      const result = await this.client.set(key, JSON.stringify(value), 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Redis setIfNotExists 失败', { key, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * 设置缓存并附加过期时间
    * @param {string} key - 缓存键
@@ -202,6 +220,169 @@ class RedisClient {
     }
   }
 
+  /**
+   * 向集合添加成员
+   * @param {string} key - 集合键
+   * @param {string} member - 成员
+   * @param {number} ttl - 集合过期时间（秒），为空时不设置
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async sadd(key, member, ttl = null) {
+    try {
+      await this.ensureConnection();
+      await this.client.sadd(key, member);
+      if (ttl) {
+        await this.client.expire(key, ttl);
+      }
+      return true;
+    } catch (error) {
+      logger.error('Redis sadd 失败', { key, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 获取集合中的所有成员
+   * @param {string} key - 集合键
+   * @returns {Promise<string[]>} - 成员列表
+   */
+  async smembers(key) {
+    try {
+      await this.ensureConnection();
+      return await this.client.smembers(key);
+    } catch (error) {
+      logger.error('Redis smembers 失败', { key, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * 从集合移除成员
+   * @param {string} key - 集合键
+   * @param {string} member - 成员
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async srem(key, member) {
+    try {
+      await this.ensureConnection();
+      await this.client.srem(key, member);
+      return true;
+    } catch (error) {
+      logger.error('Redis srem 失败', { key, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 递增计数器，首次创建时设置过期时间
+   * @param {string} key - 计数器键
+   * @param {number} ttl - 过期时间（秒）
+   * @returns {Promise<number|null>} - 递增后的值，失败时返回null
+   */
+  async incr(key, ttl = CACHE_TTL.MEDIUM) {
+    try {
+      await this.ensureConnection();
+      const count = await this.client.incr(key);
+      if (count === 1) {
+        await this.client.expire(key, ttl);
+      }
+      return count;
+    } catch (error) {
+      logger.error('Redis incr 失败', { key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 向列表头部添加元素
+   * @param {string} key - 列表键
+   * @param {any} value - 元素值
+   * @param {number} maxLength - 列表最大长度，超出部分从尾部截断，为空时不限制
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async lpush(key, value, maxLength = null) {
+    try {
+      await this.ensureConnection();
+      await this.client.lpush(key, JSON.stringify(value));
+      if (maxLength) {
+        await this.client.ltrim(key, 0, maxLength - 1);
+      }
+      return true;
+    } catch (error) {
+      logger.error('Redis lpush 失败', { key, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 从列表尾部弹出元素
+   * @param {string} key - 列表键
+   * @returns {Promise<any>} - 解析后的元素值，列表为空时返回null
+   */
+  async rpop(key) {
+    try {
+      await this.ensureConnection();
+      const value = await this.client.rpop(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error('Redis rpop 失败', { key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 向有序集合添加成员
+   * @param {string} key - 有序集合键
+   * @param {number} score - 分值
+   * @param {any} value - 成员值
+   * @returns {Promise<boolean>} - 操作是否成功
+   */
+  async zadd(key, score, value) {
+    try {
+      await this.ensureConnection();
+      await this.client.zadd(key, score, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      logger.error('Redis zadd 失败', { key, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * 按分值范围获取有序集合成员
+   * @param {string} key - 有序集合键
+   * @param {number} min - 最小分值
+   * @param {number} max - 最大分值
+   * @param {number} limit - 最多返回数量
+   * @returns {Promise<any[]>} - 解析后的成员列表
+   */
+  async zrangebyscore(key, min, max, limit = 100) {
+    try {
+      await this.ensureConnection();
+      const values = await this.client.zrangebyscore(key, min, max, 'LIMIT', 0, limit);
+      return values.map(value => JSON.parse(value));
+    } catch (error) {
+      logger.error('Redis zrangebyscore 失败', { key, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * 从有序集合移除成员
+   * @param {string} key - 有序集合键
+   * @param {any} value - 成员值
+   * @returns {Promise<boolean>} - 是否移除成功（并发移除同一成员时只有一个调用方返回true）
+   */
+  async zrem(key, value) {
+    try {
+      await this.ensureConnection();
+      return (await this.client.zrem(key, JSON.stringify(value))) > 0;
+    } catch (error) {
+      logger.error('Redis zrem 失败', { key, error: error.message });
+      return false;
+    }
+  }
+
   /**
    * 尝试获取分布式锁
    * @param {string} lockName - 锁名称
@@ -0,0 +1,71 @@
+/**
+ * 请求上下文工具模块
+ * 基于AsyncLocalStorage在一次请求的整个异步调用链中共享数据（如当前用户），
+ * 使日志、服务等无法直接访问req的代码也能获取请求信息
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * 为每个请求创建独立的上下文
+ * 需要注册在请求体解析之后，避免解析回调丢失上下文
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ */
+function middleware(req, res, next) {
+  storage.run(new Map(), next);
+}
+
+/**
+ * 在新的上下文中执行函数（用于请求以外的场景，如后台任务）
+ * @param {Object} values - 上下文初始值
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} - 函数的返回值
+ */
+function run(values, fn) {
+  return storage.run(new Map(Object.entries(values)), fn);
+}
+
+/**
+ * 在当前上下文的副本中执行函数，values覆盖副本中的同名值，副本中的修改不影响当前上下文
+ * @param {Object} values - 要覆盖的值
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} - 函数的返回值
+ */
+function extend(values, fn) {
+  const store = storage.getStore();
+  return storage.run(new Map([...(store || []), ...Object.entries(values)]), fn);
+}
+
+/**
+ * 读取当前上下文中的值
+ * @param {string} key - 键
+ * @returns {*} - 值，不在请求上下文中时返回undefined
+ */
+function get(key) {
+  const store = storage.getStore();
+  return store ? store.get(key) : undefined;
+}
+
+/**
+ * 写入当前上下文，不在请求上下文中时忽略
+ * @param {string} key - 键
+ * @param {*} value - 值
+ */
+function set(key, value) {
+  const store = storage.getStore();
+
+  if (store) {
+    store.set(key, value);
+  }
+}
+
+module.exports = {
+  middleware,
+  run,
+  extend,
+  get,
+  set,
+};
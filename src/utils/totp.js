@@ -0,0 +1,156 @@
+/**
+ * TOTP工具模块
+ * 基于RFC 6238实现基于时间的一次性口令，兼容Google Authenticator等验证器应用
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // 时间步长（秒）
+
+/**
+ * Base32编码
+ * @param {Buffer} buffer - 原始数据
+ * @returns {string} - Base32字符串（无填充）
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Base32解码
+ * @param {string} input - Base32字符串
+ * @returns {Buffer} - 解码后的数据
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`无效的Base32字符: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+/**
+ * 生成TOTP密钥
+ * @param {number} size - 密钥字节数
+ * @returns {string} - Base32编码的密钥
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * 计算指定时间步的口令
+ * @param {string} secret - Base32编码的密钥
+ * @param {number} counter - 时间步
+ * @returns {string} - 6位数字口令
+ */
+function generateCode(secret, counter = getTimeStep()) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * 获取当前时间步
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {number} - 时间步
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / PERIOD);
+}
+
+/**
+ * 验证口令
+ * 允许前后各window个时间步的时钟偏差
+ * @param {string} secret - Base32编码的密钥
+ * @param {string} code - 用户输入的口令
+ * @param {number} window - 允许的时间步偏差
+ * @returns {number|null} - 匹配的时间步，不匹配时返回null
+ */
+function verifyCode(secret, code, window = 1) {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 生成otpauth URI（用于生成二维码）
+ * @param {Object} options - 选项
+ * @param {string} options.secret - Base32编码的密钥
+ * @param {string} options.accountName - 账户名称
+ * @param {string} options.issuer - 签发方名称
+ * @returns {string} - otpauth URI
+ */
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  PERIOD,
+};
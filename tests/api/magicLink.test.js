@@ -0,0 +1,49 @@
+/**
+ * 邮件登录链接接口测试
+ * 检查请求登录链接时对邮箱参数的校验
+ */
+jest.mock('../../src/utils/redis', () => require('../helpers/memoryRedis'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const redisClient = require('../../src/utils/redis');
+const magicLinkService = require('../../src/services/magicLinkService');
+
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+
+describe('请求邮件登录链接', () => {
+  beforeEach(() => {
+    redisClient.flushall();
+    jest.spyOn(magicLinkService, 'requestLink').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('邮箱有效时发送登录链接', async () => {
+    const res = await request(app).post(`${API_PREFIX}/auth/magic-link`).send({ email: 'alice@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(magicLinkService.requestLink).toHaveBeenCalledWith('alice@example.com', expect.any(Object));
+  });
+
+  it.each([
+    ['数组', ['alice@example.com']],
+    ['对象', { address: 'alice@example.com' }],
+    ['数字', 12345],
+  ])('邮箱不是字符串（%s）时返回400', async (type, email) => {
+    const res = await request(app).post(`${API_PREFIX}/auth/magic-link`).send({ email });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(magicLinkService.requestLink).not.toHaveBeenCalled();
+  });
+
+  it('邮箱格式不正确时返回400', async () => {
+    const res = await request(app).post(`${API_PREFIX}/auth/magic-link`).send({ email: 'alice' });
+
+    expect(res.status).toBe(400);
+    expect(magicLinkService.requestLink).not.toHaveBeenCalled();
+  });
+});
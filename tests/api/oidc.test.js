@@ -0,0 +1,360 @@
+/**
+ * OpenID Connect登录接口测试
+ * 对接本机启动的测试身份提供方，完整走一遍 authorize → 身份提供方登录 → callback 流程
+ */
+jest.mock('../../src/utils/redis', () => require('../helpers/memoryRedis'));
+
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config');
+const database = require('../../src/utils/database');
+const redisClient = require('../../src/utils/redis');
+const settingsService = require('../../src/services/settingsService');
+const oidcService = require('../../src/services/oidcService');
+const { createModel } = require('../helpers/memoryModel');
+const { startOidcProvider } = require('../helpers/oidcProvider');
+
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+const TENANT_ID = '6f1c9a52-3d4e-4b7a-9c21-0e5d8f7a6b31';
+const OTHER_TENANT_ID = '0b8e2d47-91c3-4f6a-a5d2-7c4e1f9b3a68';
+
+describe('OIDC登录', () => {
+  let provider;
+  let models;
+
+  beforeAll(async () => {
+    provider = await startOidcProvider();
+  });
+
+  afterAll(async () => {
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    redisClient.flushall();
+    oidcService.issuers.clear();
+
+    models = {
+      User: createModel('User', {
+        async updateLoginTime() {
+          this.lastLogin = new Date();
+        },
+      }),
+      UserIdentity: createModel('UserIdentity'),
+      LoginEvent: createModel('LoginEvent'),
+      Role: createModel('Role'),
+      Tenant: createModel('Tenant'),
+    };
+    models.Tenant.rows.push(models.Tenant.build({ id: TENANT_ID, slug: 'acme', status: 'active' }), models.Tenant.build({ id: OTHER_TENANT_ID, slug: 'globex', status: 'active' }));
+
+    jest.spyOn(database, 'getConnection').mockResolvedValue({ models });
+    jest.spyOn(database, 'getSharedConnection').mockResolvedValue({ models });
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(null));
+
+    config.oidc.providers = {
+      corp: {
+        issuer: provider.issuer,
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecret,
+        redirectUri: 'http://localhost:3000/api/v1/auth/oidc/corp/callback',
+        autoProvision: true,
+        linkByEmail: true,
+      },
+      partner: {
+        issuer: provider.issuer,
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecret,
+        redirectUri: 'http://localhost:3000/api/v1/auth/oidc/partner/callback',
+      },
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * 发起登录，返回授权地址
+   * @param {string} name - 提供方名称
+   * @param {Object} query - 查询参数（tenantId等）
+   * @returns {Promise<string>} - 授权地址
+   */
+  async function authorize(name = 'corp', query = {}) {
+    const res = await request(app).get(`${API_PREFIX}/auth/oidc/${name}/authorize`).query(query).set('Accept', 'application/json');
+
+    expect(res.status).toBe(200);
+    return res.body.data.authorizationUrl;
+  }
+
+  /**
+   * 身份提供方回调
+   * @param {Object} params - 回调参数（code、state）
+   * @param {string} name - 提供方名称
+   * @returns {Promise<Response>}
+   */
+  function callback(params, name = 'corp') {
+    return request(app).get(`${API_PREFIX}/auth/oidc/${name}/callback`).query(params);
+  }
+
+  it('授权地址使用S256 PKCE并携带state和nonce', async () => {
+    const params = new URL(await authorize()).searchParams;
+
+    expect(params.get('client_id')).toBe(provider.clientId);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBeTruthy();
+    expect(params.get('state')).toBeTruthy();
+    expect(params.get('nonce')).toBeTruthy();
+  });
+
+  it('未绑定的账户按配置即时创建用户并绑定外部身份', async () => {
+    const params = provider.login(await authorize(), {
+      sub: 'idp-1001',
+      email: 'New.Hire@Example.com',
+      email_verified: true,
+      preferred_username: 'newhire',
+      given_name: 'New',
+      family_name: 'Hire',
+    });
+
+    const res = await callback(params);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.refreshToken).toBeTruthy();
+    expect(res.body.data.user).toMatchObject({ username: 'newhire', email: 'new.hire@example.com', firstName: 'New', roles: ['user'], emailVerified: true });
+    expect(res.body.data.user.password).toBeUndefined();
+
+    expect(models.User.rows).toHaveLength(1);
+    expect(models.UserIdentity.rows).toHaveLength(1);
+    expect(models.UserIdentity.rows[0]).toMatchObject({ userId: models.User.rows[0].id, provider: 'corp', providerTenantId: null, issuer: provider.issuer, subject: 'idp-1001' });
+  });
+
+  it('已绑定的账户再次登录时不重复创建用户', async () => {
+    const claims = { sub: 'idp-1002', email: 'repeat@example.com', email_verified: true };
+
+    expect((await callback(provider.login(await authorize(), claims))).status).toBe(200);
+    const res = await callback(provider.login(await authorize(), claims));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(models.User.rows[0].id);
+    expect(models.User.rows).toHaveLength(1);
+    expect(models.UserIdentity.rows).toHaveLength(1);
+  });
+
+  it('未启用自动创建时拒绝未开通的账户', async () => {
+    config.oidc.providers.corp.autoProvision = false;
+
+    const res = await callback(provider.login(await authorize(), { sub: 'idp-1003', email: 'nobody@example.com', email_verified: true }));
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('AUTH_IDENTITY_NOT_PROVISIONED');
+    expect(models.User.rows).toHaveLength(0);
+  });
+
+  describe('按邮箱绑定已有用户', () => {
+    let existing;
+
+    beforeEach(async () => {
+      existing = await models.User.create({ username: 'alice', email: 'alice@example.com', roles: ['user'], status: 'active', emailVerified: true, tenantId: null });
+    });
+
+    it('身份提供方验证过的邮箱绑定到已有用户', async () => {
+      const res = await callback(provider.login(await authorize(), { sub: 'idp-2001', email: 'alice@example.com', email_verified: true }));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.id).toBe(existing.id);
+      expect(models.User.rows).toHaveLength(1);
+      expect(models.UserIdentity.rows[0]).toMatchObject({ userId: existing.id, subject: 'idp-2001' });
+    });
+
+    it('邮箱未经身份提供方验证时不绑定，也不创建新用户', async () => {
+      const res = await callback(provider.login(await authorize(), { sub: 'idp-2002', email: 'alice@example.com', email_verified: false }));
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('AUTH_IDENTITY_CONFLICT');
+      expect(res.body.data).toBeUndefined();
+      expect(models.User.rows).toHaveLength(1);
+      expect(models.UserIdentity.rows).toHaveLength(0);
+    });
+
+    it('身份提供方未声明邮箱已验证时按未验证处理', async () => {
+      const res = await callback(provider.login(await authorize(), { sub: 'idp-2003', email: 'alice@example.com' }));
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('AUTH_IDENTITY_CONFLICT');
+      expect(models.UserIdentity.rows).toHaveLength(0);
+    });
+
+    it('未启用按邮箱绑定时即使邮箱已验证也不绑定', async () => {
+      config.oidc.providers.corp.linkByEmail = false;
+
+      const res = await callback(provider.login(await authorize(), { sub: 'idp-2004', email: 'alice@example.com', email_verified: true }));
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('AUTH_IDENTITY_CONFLICT');
+      expect(models.UserIdentity.rows).toHaveLength(0);
+    });
+  });
+
+  describe('state校验', () => {
+    it('拒绝不存在的state', async () => {
+      const res = await callback({ code: 'any-code', state: 'forged-state' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('AUTH_OIDC_INVALID_STATE');
+    });
+
+    it('拒绝缺少state的回调', async () => {
+      const res = await callback({ code: 'any-code' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('AUTH_OIDC_INVALID_STATE');
+    });
+
+    it('state只能使用一次，重放回调被拒绝', async () => {
+      const params = provider.login(await authorize(), { sub: 'idp-3001', email: 'replay@example.com', email_verified: true });
+
+      expect((await callback(params)).status).toBe(200);
+
+      const res = await callback(params);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('AUTH_OIDC_INVALID_STATE');
+      expect(models.User.rows).toHaveLength(1);
+    });
+
+    it('拒绝为其他身份提供方签发的state', async () => {
+      const params = provider.login(await authorize('partner'), { sub: 'idp-3002', email: 'partner@example.com', email_verified: true });
+
+      const res = await callback(params, 'corp');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('AUTH_OIDC_INVALID_STATE');
+      expect(models.User.rows).toHaveLength(0);
+    });
+  });
+
+  describe('PKCE校验', () => {
+    it('授权码与state对应的code_verifier不匹配时登录失败', async () => {
+      // 攻击者把为另一次登录请求签发的授权码注入到受害者的回调中
+      const attackerParams = provider.login(await authorize(), { sub: 'idp-4001', email: 'mallory@example.com', email_verified: true });
+      const victimUrl = await authorize();
+      const { state } = Object.fromEntries(new URL(victimUrl).searchParams);
+
+      const res = await callback({ code: attackerParams.code, state });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error.code).toBe('AUTH_OIDC_FAILED');
+      expect(models.User.rows).toHaveLength(0);
+      expect(models.UserIdentity.rows).toHaveLength(0);
+    });
+
+    it('PKCE校验失败后state已作废，不能再次使用', async () => {
+      const attackerParams = provider.login(await authorize(), { sub: 'idp-4002', email: 'mallory@example.com', email_verified: true });
+      const victimParams = provider.login(await authorize(), { sub: 'idp-4003', email: 'victim@example.com', email_verified: true });
+
+      expect((await callback({ code: attackerParams.code, state: victimParams.state })).status).toBe(401);
+
+      const res = await callback(victimParams);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('AUTH_OIDC_INVALID_STATE');
+    });
+  });
+
+  describe('身份提供方隔离', () => {
+    /**
+     * 在租户自己的设置中定义提供方
+     * @param {Object} overrides - 提供方配置
+     */
+    async function defineTenantProvider(overrides = {}) {
+      const { corp } = config.oidc.providers;
+      await settingsService.set('oidc.providers', { corp: { ...corp, autoProvision: false, linkByEmail: false, ...overrides } }, TENANT_ID);
+    }
+
+    it('拒绝发现文档中的issuer与配置不一致的提供方', async () => {
+      // 冒充corp身份提供方的恶意提供方
+      const rogue = await startOidcProvider({ claimedIssuer: provider.issuer });
+
+      try {
+        config.oidc.providers.rogue = { issuer: rogue.issuer, clientId: rogue.clientId, clientSecret: rogue.clientSecret, redirectUri: 'http://localhost:3000/api/v1/auth/oidc/rogue/callback', autoProvision: true };
+
+        const res = await request(app).get(`${API_PREFIX}/auth/oidc/rogue/authorize`).set('Accept', 'application/json');
+
+        expect(res.status).toBe(502);
+        expect(res.body.error.code).toBe('AUTH_OIDC_DISCOVERY_FAILED');
+      } finally {
+        await rogue.close();
+      }
+    });
+
+    it('租户的提供方不能登录全局提供方绑定的账户', async () => {
+      const victim = await callback(provider.login(await authorize(), { sub: 'idp-5001', email: 'victim@example.com', email_verified: true }));
+      expect(victim.status).toBe(200);
+
+      await defineTenantProvider();
+
+      const res = await callback(provider.login(await authorize('corp', { tenantId: TENANT_ID }), { sub: 'idp-5001' }));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('AUTH_IDENTITY_NOT_PROVISIONED');
+      expect(res.body.data).toBeUndefined();
+    });
+
+    it('租户提供方绑定的外部身份对应其他租户的用户时拒绝登录', async () => {
+      await defineTenantProvider();
+
+      const outsider = await models.User.create({ username: 'outsider', email: 'outsider@example.com', roles: ['admin'], status: 'active', emailVerified: true, tenantId: OTHER_TENANT_ID });
+      await models.UserIdentity.create({ userId: outsider.id, tenantId: OTHER_TENANT_ID, type: 'oidc', provider: 'corp', providerTenantId: TENANT_ID, issuer: provider.issuer, subject: 'idp-5002' });
+
+      const res = await callback(provider.login(await authorize('corp', { tenantId: TENANT_ID }), { sub: 'idp-5002' }));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('AUTH_IDENTITY_TENANT_MISMATCH');
+    });
+
+    it('查询参数中的租户没有自己定义该提供方时拒绝发起登录', async () => {
+      const res = await request(app).get(`${API_PREFIX}/auth/oidc/corp/authorize`).query({ tenantId: TENANT_ID }).set('Accept', 'application/json');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('AUTH_OIDC_PROVIDER_NOT_FOUND');
+    });
+
+    it('提供方列表标明提供方所属的租户', async () => {
+      await defineTenantProvider();
+
+      const res = await request(app).get(`${API_PREFIX}/auth/oidc/providers`).query({ tenantId: TENANT_ID });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(
+        expect.arrayContaining([
+          { name: 'corp', displayName: 'corp', tenantId: TENANT_ID },
+          { name: 'partner', displayName: 'partner', tenantId: null },
+        ])
+      );
+    });
+
+    it('发起登录后租户删除了自己的提供方时不改用同名的全局提供方', async () => {
+      await defineTenantProvider({ autoProvision: true });
+      const authorizationUrl = await authorize('corp', { tenantId: TENANT_ID });
+
+      await settingsService.set('oidc.providers', {}, TENANT_ID);
+
+      const res = await callback(provider.login(authorizationUrl, { sub: 'idp-5004', email: 'member@acme.example', email_verified: true }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('AUTH_OIDC_INVALID_STATE');
+      expect(models.User.rows).toHaveLength(0);
+    });
+
+    it('租户提供方即时创建的用户属于该租户，外部身份记录提供方所属租户', async () => {
+      await defineTenantProvider({ autoProvision: true });
+
+      const res = await callback(provider.login(await authorize('corp', { tenantId: TENANT_ID }), { sub: 'idp-5003', email: 'member@acme.example', email_verified: true }));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.tenantId).toBe(TENANT_ID);
+      expect(models.UserIdentity.rows[0]).toMatchObject({ provider: 'corp', providerTenantId: TENANT_ID, subject: 'idp-5003' });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * 内存版Sequelize模型
+ * 只实现服务层用到的按字段相等查询、创建和更新，测试中替换database.getConnection返回的模型
+ */
+const crypto = require('crypto');
+
+/**
+ * 判断记录是否满足查询条件
+ * 只支持字段相等，使用运算符（Op.gte等）的条件视为不满足
+ * @param {Object} row - 记录
+ * @param {Object} where - 查询条件
+ * @returns {boolean}
+ */
+function matches(row, where = {}) {
+  return Object.entries(where).every(([field, value]) => row[field] === value);
+}
+
+/**
+ * 创建内存模型
+ * @param {string} name - 模型名称
+ * @param {Object} instanceMethods - 实例方法（如User的updateLoginTime）
+ * @returns {Object} - 模型，rows为已保存的记录
+ */
+function createModel(name, instanceMethods = {}) {
+  const prototype = {
+    async update(changes) {
+      Object.assign(this, changes, { updatedAt: new Date() });
+      return this;
+    },
+
+    async save() {
+      return this;
+    },
+
+    toJSON() {
+      return { ...this };
+    },
+
+    ...instanceMethods,
+  };
+
+  const model = {
+    name,
+    rows: [],
+
+    build(values) {
+      const now = new Date();
+      return Object.assign(Object.create(prototype), { id: crypto.randomUUID(), createdAt: now, updatedAt: now }, values);
+    },
+
+    async create(values) {
+      const row = model.build(values);
+      model.rows.push(row);
+      return row;
+    },
+
+    async findByPk(id) {
+      return model.rows.find(row => row.id === id) || null;
+    },
+
+    async findOne({ where } = {}) {
+      return model.rows.find(row => matches(row, where)) || null;
+    },
+
+    async findAll({ where } = {}) {
+      return model.rows.filter(row => matches(row, where));
+    },
+
+    async count({ where } = {}) {
+      return model.rows.filter(row => matches(row, where)).length;
+    },
+  };
+
+  return model;
+}
+
+module.exports = { createModel };
@@ -0,0 +1,124 @@
+/**
+ * 内存版Redis客户端
+ * 与src/utils/redis导出的客户端接口一致，测试中通过 jest.mock('../../src/utils/redis', () => require('../helpers/memoryRedis')) 替换，
+ * 值按JSON序列化保存，过期时间按秒计算
+ */
+const store = new Map();
+const expiries = new Map();
+
+/**
+ * 读取未过期的键
+ * @param {string} key - 键
+ * @returns {any} - 保存的值，不存在或已过期时返回undefined
+ */
+function read(key) {
+  if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+    store.delete(key);
+    expiries.delete(key);
+  }
+
+  return store.get(key);
+}
+
+/**
+ * 写入键并设置过期时间
+ * @param {string} key - 键
+ * @param {any} value - 值
+ * @param {number} ttl - 过期时间（秒），为空时永久保存
+ */
+function write(key, value, ttl) {
+  store.set(key, value);
+
+  if (ttl) {
+    expiries.set(key, Date.now() + ttl * 1000);
+  } else {
+    expiries.delete(key);
+  }
+}
+
+const memoryRedis = {
+  async connect() {},
+
+  async get(key) {
+    const value = read(key);
+    return value === undefined ? null : JSON.parse(value);
+  },
+
+  async set(key, value, ttl) {
+    write(key, JSON.stringify(value), ttl);
+    return true;
+  },
+
+  async setWithExpiry(key, value, ttl) {
+    return this.set(key, value, ttl);
+  },
+
+  async setIfNotExists(key, value, ttl) {
+    if (read(key) !== undefined) {
+      return false;
+    }
+
+    write(key, JSON.stringify(value), ttl);
+    return true;
+  },
+
+  async del(key) {
+    store.delete(key);
+    expiries.delete(key);
+    return true;
+  },
+
+  async incr(key, ttl) {
+    const count = (read(key) || 0) + 1;
+    store.set(key, count);
+
+    // 与Redis客户端一致，只在首次计数时设置过期时间
+    if (count === 1 && ttl) {
+      expiries.set(key, Date.now() + ttl * 1000);
+    }
+
+    return count;
+  },
+
+  async sadd(key, member) {
+    const members = read(key) || new Set();
+    members.add(member);
+    store.set(key, members);
+    return true;
+  },
+
+  async smembers(key) {
+    return [...(read(key) || [])];
+  },
+
+  async srem(key, member) {
+    const members = read(key);
+    if (members) {
+      members.delete(member);
+    }
+    return true;
+  },
+
+  async lpush(key, value, maxLength = null) {
+    const list = read(key) || [];
+    list.unshift(JSON.stringify(value));
+    store.set(key, maxLength ? list.slice(0, maxLength) : list);
+    return true;
+  },
+
+  async rpop(key) {
+    const list = read(key) || [];
+    const value = list.pop();
+    return value === undefined ? null : JSON.parse(value);
+  },
+
+  /**
+   * 清空所有数据（在每个测试之前调用）
+   */
+  flushall() {
+    store.clear();
+    expiries.clear();
+  },
+};
+
+module.exports = memoryRedis;
@@ -0,0 +1,125 @@
+/**
+ * 测试用OpenID Connect身份提供方
+ * 在本机随机端口上提供发现文档、JWKS和令牌端点，令牌端点按授权请求中的code_challenge校验PKCE，
+ * 授权码只能使用一次。login()模拟用户在身份提供方完成登录，返回回调参数。
+ * 指定claimedIssuer时发现文档和ID令牌中声称该issuer，用于模拟冒充其他身份提供方的恶意提供方
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * 启动身份提供方
+ * @param {Object} options - 选项
+ * @param {string} options.claimedIssuer - 声称的issuer，默认为实际地址
+ * @returns {Promise<Object>} - issuer（发现地址）、clientId、clientSecret、login(authorizationUrl, claims)、close()
+ */
+async function startOidcProvider({ claimedIssuer } = {}) {
+  const clientId = 'test-client';
+  const clientSecret = 'test-client-secret';
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+
+  // 已签发未使用的授权码
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+  const tokenIssuer = claimedIssuer || issuer;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: tokenIssuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const [id, secret] = Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!grant || req.body.grant_type !== 'authorization_code' || req.body.redirect_uri !== grant.redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto
+      .createHash('sha256')
+      .update(req.body.code_verifier || '')
+      .digest('base64url');
+
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: tokenIssuer,
+      audience: clientId,
+      expiresIn: 300,
+    });
+
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+
+    /**
+     * 模拟用户在身份提供方登录并同意授权
+     * @param {string} authorizationUrl - 依赖方生成的授权地址
+     * @param {Object} claims - ID令牌中的用户声明（sub、email等）
+     * @returns {Object} - 回调参数（code、state）
+     */
+    login(authorizationUrl, claims) {
+      const params = new URL(authorizationUrl).searchParams;
+
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+        throw new Error(`授权请求无效: ${authorizationUrl}`);
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        claims,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+      });
+
+      return { code, state: params.get('state') };
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startOidcProvider };
@@ -0,0 +1,203 @@
+/**
+ * 授权策略测试
+ * 直接调用policies.can/authorize/scope，覆盖本人、管理者、跨租户和权限高低的判断以及列表查询条件
+ */
+jest.mock('../../src/utils/redis', () => require('../helpers/memoryRedis'));
+
+const { Op } = require('sequelize');
+const config = require('../../src/config');
+const database = require('../../src/utils/database');
+const redisClient = require('../../src/utils/redis');
+const policies = require('../../src/policies');
+const { createModel } = require('../helpers/memoryModel');
+
+const TENANT_A = '6f1c9a52-3d4e-4b7a-9c21-0e5d8f7a6b31';
+const TENANT_B = '0b8e2d47-91c3-4f6a-a5d2-7c4e1f9b3a68';
+
+/**
+ * 创建用户
+ * @param {string} id - 用户ID
+ * @param {string[]} roles - 角色
+ * @param {string} tenantId - 所属租户
+ * @returns {Object} - 用户
+ */
+const user = (id, roles, tenantId = TENANT_A) => ({ id, roles, tenantId });
+
+const admin = user('admin', ['admin']);
+const manager = user('manager', ['manager']);
+const otherManager = user('other-manager', ['manager']);
+const member = user('member', ['user']);
+const otherMember = user('other-member', ['user']);
+const foreignMember = user('foreign-member', ['user'], TENANT_B);
+// 只有查看权限和跨租户权限的平台审计员，不属于任何租户
+const auditor = user('auditor', ['auditor'], null);
+// 只能管理自己所在租户的租户管理员
+const tenantAdmin = user('tenant-admin', ['tenant_admin']);
+
+describe('授权策略', () => {
+  const explain = config.authorization.explain;
+
+  beforeEach(() => {
+    redisClient.flushall();
+
+    const Role = createModel('Role');
+    Role.rows.push(Role.build({ name: 'auditor', permissions: ['users:read', 'tenants:read', 'tenants:all'] }), Role.build({ name: 'tenant_admin', permissions: ['tenants:read', 'tenants:manage'] }));
+    jest.spyOn(database, 'getSharedConnection').mockResolvedValue({ models: { Role } });
+  });
+
+  afterEach(() => {
+    config.authorization.explain = explain;
+    jest.restoreAllMocks();
+  });
+
+  describe('本人', () => {
+    it('可以查看和修改自己', async () => {
+      expect(await policies.can(member, 'read', 'user', member)).toBe(true);
+      expect(await policies.can(member, 'update', 'user', member)).toBe(true);
+      expect(await policies.can(member, 'manageApiKeys', 'user', member)).toBe(true);
+    });
+
+    it('没有权限时不能查看和修改同租户的其他用户', async () => {
+      expect(await policies.can(member, 'read', 'user', otherMember)).toBe(false);
+      expect(await policies.can(member, 'update', 'user', otherMember)).toBe(false);
+    });
+
+    it('不能修改自己的角色、状态或删除自己', async () => {
+      expect(await policies.can(manager, 'updateRoles', 'user', manager, { roles: ['user'] })).toBe(false);
+      expect(await policies.can(manager, 'updateStatus', 'user', manager)).toBe(false);
+      expect(await policies.can(admin, 'delete', 'user', admin)).toBe(false);
+    });
+  });
+
+  describe('管理者', () => {
+    it('可以查看和管理同租户内权限低于自己的用户', async () => {
+      expect(await policies.can(manager, 'read', 'user', otherMember)).toBe(true);
+      expect(await policies.can(manager, 'update', 'user', member)).toBe(true);
+      expect(await policies.can(manager, 'updateStatus', 'user', member)).toBe(true);
+      expect(await policies.can(manager, 'delete', 'user', member)).toBe(true);
+    });
+
+    it('只能分配不超出自己权限的角色', async () => {
+      expect(await policies.can(manager, 'updateRoles', 'user', member, { roles: ['manager'] })).toBe(true);
+      expect(await policies.can(manager, 'updateRoles', 'user', member, { roles: ['admin'] })).toBe(false);
+      expect(await policies.can(manager, 'create', 'user', { tenantId: TENANT_A }, { roles: ['admin'] })).toBe(false);
+      expect(await policies.can(manager, 'create', 'user', { tenantId: TENANT_A }, { roles: ['user'] })).toBe(true);
+    });
+
+    it('没有对应权限的操作不允许', async () => {
+      expect(await policies.can(manager, 'resetMfa', 'user', member)).toBe(false);
+      expect(await policies.can(manager, 'impersonate', 'user', member)).toBe(false);
+    });
+  });
+
+  describe('权限高低', () => {
+    it('不能管理权限相同的用户', async () => {
+      expect(await policies.can(manager, 'update', 'user', otherManager)).toBe(false);
+      expect(await policies.can(manager, 'delete', 'user', otherManager)).toBe(false);
+    });
+
+    it('不能管理权限更高的用户', async () => {
+      expect(await policies.can(manager, 'update', 'user', admin)).toBe(false);
+      expect(await policies.can(manager, 'updateStatus', 'user', admin)).toBe(false);
+    });
+
+    it('拥有全部权限的用户可以管理其他拥有全部权限的用户，但不能模拟他们登录', async () => {
+      const otherAdmin = user('other-admin', ['admin']);
+
+      expect(await policies.can(admin, 'update', 'user', otherAdmin)).toBe(true);
+      expect(await policies.can(admin, 'impersonate', 'user', otherAdmin)).toBe(false);
+      expect(await policies.can(admin, 'impersonate', 'user', member)).toBe(true);
+    });
+  });
+
+  describe('跨租户', () => {
+    it('没有跨租户权限时不能查看和管理其他租户的用户', async () => {
+      expect(await policies.can(manager, 'read', 'user', foreignMember)).toBe(false);
+      expect(await policies.can(manager, 'update', 'user', foreignMember)).toBe(false);
+      expect(await policies.can(manager, 'create', 'user', { tenantId: TENANT_B }, { roles: ['user'] })).toBe(false);
+    });
+
+    it('拥有跨租户权限的用户可以查看所有租户的用户', async () => {
+      expect(await policies.can(auditor, 'read', 'user', foreignMember)).toBe(true);
+      expect(await policies.can(auditor, 'read', 'user', member)).toBe(true);
+      expect(await policies.can(auditor, 'update', 'user', member)).toBe(false);
+    });
+
+    it('不属于任何租户的用户没有跨租户权限时只能访问不属于任何租户的用户', async () => {
+      const platformManager = user('platform-manager', ['manager'], null);
+
+      expect(await policies.can(platformManager, 'read', 'user', member)).toBe(false);
+      expect(await policies.can(platformManager, 'read', 'user', user('platform-member', ['user'], null))).toBe(true);
+    });
+
+    it('租户管理员只能查看和修改自己所在的租户', async () => {
+      expect(await policies.can(tenantAdmin, 'read', 'tenant', { id: TENANT_A })).toBe(true);
+      expect(await policies.can(tenantAdmin, 'update', 'tenant', { id: TENANT_A })).toBe(true);
+      expect(await policies.can(tenantAdmin, 'read', 'tenant', { id: TENANT_B })).toBe(false);
+      expect(await policies.can(tenantAdmin, 'create', 'tenant')).toBe(false);
+    });
+
+    it('不能停用或删除自己所在的租户', async () => {
+      expect(await policies.can(admin, 'updateStatus', 'tenant', { id: TENANT_A })).toBe(false);
+      expect(await policies.can(admin, 'delete', 'tenant', { id: TENANT_A })).toBe(false);
+      expect(await policies.can(admin, 'delete', 'tenant', { id: TENANT_B })).toBe(true);
+    });
+  });
+
+  describe('authorize', () => {
+    it('允许时不抛出错误', async () => {
+      await expect(policies.authorize(manager, 'update', 'user', member)).resolves.toBeUndefined();
+    });
+
+    it('拒绝时抛出403错误，并说明每条规则未满足的条件', async () => {
+      config.authorization.explain = true;
+
+      const error = await policies.authorize(member, 'update', 'user', otherMember).catch(err => err);
+
+      expect(error).toMatchObject({ statusCode: 403, code: 'AUTH_INSUFFICIENT_PERMISSIONS', message: '权限不足，无法修改该用户' });
+      expect(error.data.rules).toEqual([expect.objectContaining({ rule: 'self', failed: '目标必须是当前用户本人' }), expect.objectContaining({ rule: 'manager', failed: '需要users:update权限' })]);
+    });
+
+    it('关闭explain时不返回拒绝原因', async () => {
+      config.authorization.explain = false;
+
+      await expect(policies.authorize(manager, 'update', 'user', foreignMember)).rejects.toMatchObject({ statusCode: 403, data: null });
+    });
+
+    it('未定义的操作抛出异常', async () => {
+      await expect(policies.authorize(admin, 'archive', 'user', member)).rejects.toThrow('未定义的授权策略: user.archive');
+    });
+  });
+
+  describe('列表查询条件', () => {
+    it('没有查看权限的用户只能查看自己', async () => {
+      expect(await policies.scope(member, 'read', 'user')).toEqual({ id: member.id });
+    });
+
+    it('管理者可以查看自己和所在租户的用户', async () => {
+      expect(await policies.scope(manager, 'read', 'user')).toEqual({ [Op.or]: [{ id: manager.id }, { tenantId: TENANT_A }] });
+    });
+
+    it('拥有跨租户权限时不限制', async () => {
+      expect(await policies.scope(admin, 'read', 'user')).toEqual({});
+      expect(await policies.scope(auditor, 'read', 'user')).toEqual({});
+    });
+
+    it('不属于任何租户的用户只能查看不属于任何租户的用户', async () => {
+      expect(await policies.scope(user('platform-manager', ['manager'], null), 'read', 'user')).toEqual({ [Op.or]: [{ id: 'platform-manager' }, { tenantId: null }] });
+    });
+
+    it('没有任何可访问的资源时返回null', async () => {
+      expect(await policies.scope(member, 'read', 'tenant')).toBeNull();
+    });
+
+    it('租户管理员只能查看自己所在的租户', async () => {
+      expect(await policies.scope(tenantAdmin, 'read', 'tenant')).toEqual({ id: TENANT_A });
+    });
+
+    it('无法转换为查询条件的规则被忽略', async () => {
+      // 删除需要比较权限高低，不能转换为查询条件
+      expect(await policies.scope(manager, 'delete', 'user')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * 登录暴力破解防护服务测试
+ * 按账户统计默认不限制登录，检查没有人机验证服务时分布式猜测密码仍被退避限制
+ */
+jest.mock('../../src/utils/redis', () => require('../helpers/memoryRedis'));
+
+const config = require('../../src/config');
+const redisClient = require('../../src/utils/redis');
+const bruteForceService = require('../../src/services/bruteForceService');
+
+describe('按账户统计的登录失败', () => {
+  const bruteForce = config.bruteForce;
+  const userKey = 'id:6f1c9a52-3d4e-4b7a-9c21-0e5d8f7a6b31';
+
+  /**
+   * 从不同IP连续失败，模拟分布式猜测密码（每个IP只失败一次，不触发按IP的限制）
+   * @param {number} times - 失败次数
+   * @returns {Promise<Object>} - 最后一次失败的结果
+   */
+  async function failFromManyIps(times) {
+    let result;
+    for (let i = 1; i <= times; i += 1) {
+      result = await bruteForceService.recordFailure({ userKey, ip: `203.0.113.${i}` });
+    }
+    return result;
+  }
+
+  beforeEach(() => {
+    redisClient.flushall();
+    config.bruteForce = {
+      ...bruteForce,
+      enabled: true,
+      user: { captchaAfter: 5, lockAfter: null },
+      captcha: { ...bruteForce.captcha, provider: undefined },
+    };
+  });
+
+  afterEach(() => {
+    config.bruteForce = bruteForce;
+  });
+
+  it('未达到人机验证阈值时不限制', async () => {
+    const result = await failFromManyIps(4);
+
+    expect(result).toEqual({ captchaRequired: false, retryAfter: 0 });
+    await expect(bruteForceService.check({ userKey, ip: '198.51.100.1' })).resolves.toBeUndefined();
+  });
+
+  it('没有人机验证服务时从阈值起按指数退避，不超过backoffMaxDelay', async () => {
+    expect((await failFromManyIps(5)).retryAfter).toBe(1);
+    expect((await bruteForceService.recordFailure({ userKey, ip: '198.51.100.6' })).retryAfter).toBe(2);
+    expect((await bruteForceService.recordFailure({ userKey, ip: '198.51.100.7' })).retryAfter).toBe(4);
+
+    const result = await failFromManyIps(10);
+    expect(result.retryAfter).toBe(config.bruteForce.backoffMaxDelay);
+
+    await expect(bruteForceService.check({ userKey, ip: '198.51.100.1' })).rejects.toMatchObject({ statusCode: 429, code: 'AUTH_TOO_MANY_ATTEMPTS' });
+  });
+
+  it('配置了人机验证服务时只要求人机验证，不退避', async () => {
+    config.bruteForce.captcha.provider = 'turnstile';
+
+    const result = await failFromManyIps(8);
+
+    expect(result).toEqual({ captchaRequired: true, retryAfter: 0 });
+    await expect(bruteForceService.check({ userKey, ip: '198.51.100.1' })).rejects.toMatchObject({ statusCode: 403, code: 'AUTH_CAPTCHA_REQUIRED' });
+  });
+
+  it('登录成功后清除退避', async () => {
+    await failFromManyIps(6);
+    await bruteForceService.reset({ userKey, ip: '198.51.100.1' });
+
+    await expect(bruteForceService.check({ userKey, ip: '198.51.100.1' })).resolves.toBeUndefined();
+  });
+});
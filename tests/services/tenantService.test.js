@@ -0,0 +1,82 @@
+/**
+ * 租户服务测试
+ * 检查认证后请求绑定的租户，尤其是不属于任何租户的用户
+ */
+jest.mock('../../src/utils/redis', () => require('../helpers/memoryRedis'));
+
+const config = require('../../src/config');
+const requestContext = require('../../src/utils/requestContext');
+const roleService = require('../../src/services/roleService');
+const tenantService = require('../../src/services/tenantService');
+
+const TENANT = { id: '6f1c9a52-3d4e-4b7a-9c21-0e5d8f7a6b31', slug: 'acme' };
+
+describe('认证后绑定租户', () => {
+  const isolation = config.tenancy.isolation;
+  let permitted;
+
+  /**
+   * 在请求上下文中绑定租户，返回绑定后上下文中的租户
+   * @param {Object} user - 已认证的用户
+   * @param {Object} values - 请求上下文初始值
+   * @returns {Promise<Object|undefined>} - 上下文中的租户
+   */
+  function bind(user, values = {}) {
+    return requestContext.run(values, async () => {
+      await tenantService.bindUserTenant(user);
+      return requestContext.get('tenant');
+    });
+  }
+
+  beforeEach(() => {
+    permitted = false;
+    jest.spyOn(roleService, 'hasPermission').mockImplementation(async () => permitted);
+    jest.spyOn(tenantService, 'getTenantInfo').mockResolvedValue({ ...TENANT, status: 'active' });
+  });
+
+  afterEach(() => {
+    config.tenancy.isolation = isolation;
+    jest.restoreAllMocks();
+  });
+
+  describe('行级隔离模式', () => {
+    beforeEach(() => {
+      config.tenancy.isolation = 'row';
+    });
+
+    it('属于租户的用户限定在所属租户', async () => {
+      expect(await bind({ id: 'u1', tenantId: TENANT.id, roles: ['user'] })).toEqual({ id: TENANT.id, slug: TENANT.slug });
+    });
+
+    it('不属于任何租户的用户限定为不属于任何租户的数据', async () => {
+      expect(await bind({ id: 'u1', tenantId: null, roles: ['user'] })).toEqual({ id: null, slug: null });
+    });
+
+    it('拥有tenants:all权限的用户不限定租户', async () => {
+      permitted = true;
+
+      expect(await bind({ id: 'u1', tenantId: null, roles: ['admin'] })).toBeUndefined();
+      expect(await bind({ id: 'u1', tenantId: TENANT.id, roles: ['admin'] })).toBeUndefined();
+    });
+  });
+
+  describe('schema隔离模式', () => {
+    beforeEach(() => {
+      config.tenancy.isolation = 'schema';
+    });
+
+    it('不属于任何租户的用户不能通过请求头进入租户', async () => {
+      await expect(bind({ id: 'u1', tenantId: null, roles: ['user'] }, { tenant: TENANT })).rejects.toMatchObject({ statusCode: 403, code: 'AUTH_TENANT_MISMATCH' });
+    });
+
+    it('拥有tenants:all权限且不属于任何租户的用户可以进入租户', async () => {
+      permitted = true;
+
+      expect(await bind({ id: 'u1', tenantId: null, roles: ['admin'] }, { tenant: TENANT })).toEqual(TENANT);
+    });
+
+    it('不属于任何租户的用户没有指定租户时留在公共schema', async () => {
+      expect(await bind({ id: 'u1', tenantId: null, roles: ['user'] })).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * 数据库连接工具测试
+ * 用模拟的MySQL连接记录每条语句及执行时连接的当前schema：
+ * schema隔离模式下检查平台级数据的查询不受租户schema切换的影响，行级隔离模式下检查查询限定的租户
+ */
+const MySQLConnectionManager = require('sequelize/lib/dialects/mysql/connection-manager');
+const config = require('../../src/config');
+const database = require('../../src/utils/database');
+const requestContext = require('../../src/utils/requestContext');
+
+const TENANT = { id: '6f1c9a52-3d4e-4b7a-9c21-0e5d8f7a6b31', slug: 'acme' };
+
+describe('数据库连接工具（MySQL）', () => {
+  const isolation = config.tenancy.isolation;
+  const sharedSchema = config.databases.mysql.database;
+
+  // 执行过的语句及执行时连接的当前schema
+  let statements;
+
+  /**
+   * 创建模拟的mysql2连接，USE语句切换当前schema，查询版本时返回MySQL 8，其余语句返回空结果
+   * @returns {Object} - 连接
+   */
+  function createConnection() {
+    const connection = {
+      schema: sharedSchema,
+      stream: { destroyed: false },
+
+      query(sql, callback) {
+        const text = typeof sql === 'string' ? sql : sql.sql;
+        statements.push({ schema: connection.schema, sql: text });
+        setImmediate(() => callback(null, /VERSION\(\)/.test(text) ? [{ version: '8.0.36' }] : []));
+        return { setMaxListeners() {} };
+      },
+
+      execute(sql, parameters, callback) {
+        return connection.query(sql, callback);
+      },
+
+      promise() {
+        return {
+          async query(sql) {
+            const [, schema] = sql.match(/^USE `(.+)`$/) || [];
+            connection.schema = schema || connection.schema;
+            return [[]];
+          },
+        };
+      },
+
+      on() {},
+      removeListener() {},
+      end(callback) {
+        callback();
+      },
+    };
+
+    return connection;
+  }
+
+  beforeEach(() => {
+    statements = [];
+    jest.spyOn(MySQLConnectionManager.prototype, 'connect').mockImplementation(async () => createConnection());
+  });
+
+  afterEach(async () => {
+    await database.closeAllConnections();
+    config.tenancy.isolation = isolation;
+    jest.restoreAllMocks();
+  });
+
+  describe('schema隔离模式', () => {
+    beforeEach(() => {
+      config.tenancy.isolation = 'schema';
+    });
+
+    it('切换到租户schema后平台级数据仍在公共schema中查询', async () => {
+      const { models } = await database.getSharedConnection('mysql');
+
+      await requestContext.run({ tenant: TENANT }, async () => {
+        await models.User.findAll();
+        await models.Tenant.findAll();
+        await models.Role.findAll();
+      });
+
+      const find = table => statements.find(statement => statement.sql.includes(`FROM \`${table}\``));
+
+      expect(find('users').schema).toBe('tenant_acme');
+      expect(find('tenants').schema).toBe(sharedSchema);
+      expect(find('roles').schema).toBe(sharedSchema);
+
+      // 不生成`myapp.tenants`这样把schema和表名当作一个标识符的表名
+      expect(statements.some(statement => statement.sql.includes(`\`${sharedSchema}.`))).toBe(false);
+    });
+
+    it('在租户schema中创建租户级数据表，表名不带schema限定', async () => {
+      await database.provisionTenant(TENANT, 'mysql');
+
+      const creates = statements.filter(statement => statement.sql.startsWith('CREATE TABLE'));
+
+      expect(creates.length).toBeGreaterThan(0);
+      expect(creates.every(statement => statement.schema === 'tenant_acme')).toBe(true);
+      expect(creates.some(statement => /`(tenants|roles)`/.test(statement.sql.split('(')[0]))).toBe(false);
+      expect(statements.some(statement => statement.sql.includes('`tenant_acme.'))).toBe(false);
+    });
+  });
+
+  describe('行级隔离模式', () => {
+    beforeEach(() => {
+      config.tenancy.isolation = 'row';
+    });
+
+    /**
+     * 在请求上下文中查询用户，返回执行的查询语句
+     * @param {Object} values - 请求上下文
+     * @returns {Promise<string>} - 查询语句
+     */
+    async function findUsers(values) {
+      const { models } = await database.getSharedConnection('mysql');
+      await requestContext.run(values, () => models.User.findAll({ where: { status: 'active' } }));
+      return statements.find(statement => statement.sql.includes('FROM `users`')).sql;
+    }
+
+    it('限定为请求所在的租户', async () => {
+      expect(await findUsers({ tenant: TENANT })).toContain(`\`User\`.\`tenantId\` = '${TENANT.id}'`);
+    });
+
+    it('租户ID为空时限定为不属于任何租户的数据', async () => {
+      expect(await findUsers({ tenant: { id: null, slug: null } })).toContain('`User`.`tenantId` IS NULL');
+    });
+
+    it('没有租户时不限定', async () => {
+      expect(await findUsers({})).not.toContain('`User`.`tenantId`');
+    });
+
+    it('不能写入其他租户的数据', async () => {
+      const { models } = await database.getSharedConnection('mysql');
+      const user = models.User.build({ username: 'other', email: 'other@example.com', password: 'Passw0rd!', tenantId: TENANT.id });
+
+      await expect(requestContext.run({ tenant: { id: null, slug: null } }, () => user.save())).rejects.toThrow('不能写入其他租户的数据');
+    });
+  });
+});